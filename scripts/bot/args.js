@@ -0,0 +1,175 @@
+// ============================================================================
+// args.js — Declarative command arguments: tokenize, validate, usage errors
+// ============================================================================
+// Commands that declare `args`/`flags` in their descriptor get them parsed by
+// the registry instead of by a regex:
+//
+//   registerCommand(/^\/add(?:\s|$)/, async (msg, { args }) => ..., { role: 'admin',
+//       args: [{ name: 'name' }, { name: 'path', type: 'path', rest: true }],
+//       flags: [{ name: 'force', description: '…' }] })
+//
+// Argument spec:   name, optional, values (enum), type ('string' | 'int' |
+//                  'path'), min (int), base (path: resolve relative paths
+//                  against it), rest (last arg: takes the remaining words)
+// Flag spec:       name, type ('boolean' | 'string' | 'int'), values — a
+//                  flag without type or values is a boolean switch
+//
+// Words may be quoted ("…" or '…', and the curly quotes phones insert).
+// `--name=value` and `--name value` both work; a bare `--` ends the flags.
+// An optional enum arg whose value doesn't match is skipped, so
+// `/history 2` still means page 2. Every problem throws a UsageError whose
+// message ends in the command's usage line. Handlers may throw one too, for
+// checks only they can make; the registry adds the usage line.
+// ============================================================================
+
+import { existsSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { isAbsolute, resolve } from 'path';
+
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+class UsageError extends Error {
+    constructor(problem, usage) {
+        super(usage ? `❌ ${problem}\nUsage: ${usage}` : `❌ ${problem}`);
+        this.name = 'UsageError';
+        this.problem = problem;
+        this.usage = usage;
+    }
+}
+
+/**
+ * Split on whitespace; quotes group words and are dropped, \ escapes the
+ * next character inside double quotes.
+ *
+ * @returns {string[]}
+ * @throws {Error} on an unterminated quote
+ */
+function tokenize(text) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === QUOTES[quote]) quote = null;
+            else if (ch === '\\' && quote === '"' && i + 1 < text.length) current += text[++i];
+            else current += ch;
+        } else if (/\s/.test(ch)) {
+            if (current !== null) tokens.push(current);
+            current = null;
+        } else if (QUOTES[ch]) {
+            quote = ch;
+            current = current ?? '';
+        } else {
+            current = (current ?? '') + ch;
+        }
+    }
+    if (quote) throw new Error(`Unterminated quote ${quote}`);
+    if (current !== null) tokens.push(current);
+    return tokens;
+}
+
+function argLabel(arg) {
+    const label = arg.values ? arg.values.join('|') : arg.name;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+}
+
+const isSwitch = (flag) => (flag.type || (flag.values ? 'string' : 'boolean')) === 'boolean';
+
+function flagLabel(flag) {
+    if (isSwitch(flag)) return `[--${flag.name}]`;
+    return `[--${flag.name}=<${flag.values ? flag.values.join('|') : flag.type === 'int' ? 'n' : 'value'}>]`;
+}
+
+/** "/add <name> <path> [--force]" */
+function usageLine(spec) {
+    return [`/${spec.name}`, ...(spec.args || []).map(argLabel), ...(spec.flags || []).map(flagLabel)].join(' ');
+}
+
+// Check one value against its arg/flag spec; returns the converted value
+function convert(item, raw, what, fail) {
+    if (item.values && !item.values.includes(raw)) {
+        fail(`${what} must be one of: ${item.values.join(', ')} (got "${raw}")`);
+    }
+    if (item.type === 'int') {
+        if (!/^-?\d+$/.test(raw)) fail(`${what} must be a whole number (got "${raw}")`);
+        const n = parseInt(raw, 10);
+        if (item.min !== undefined && n < item.min) fail(`${what} must be at least ${item.min} (got ${n})`);
+        return n;
+    }
+    if (item.type === 'path') {
+        const expanded = raw.replace(/^~(?=\/|$)/, homedir());
+        const path = isAbsolute(expanded) ? expanded : resolve(item.base || process.cwd(), expanded);
+        if (!existsSync(path) || !statSync(path).isDirectory()) fail(`Directory not found: ${path}`);
+        return path;
+    }
+    return raw;
+}
+
+/**
+ * Parse a command message against its descriptor.
+ *
+ * @param {string} text - the full message, e.g. '/add web "/srv/my site"'
+ * @param {{ name: string, args?: object[], flags?: object[] }} spec
+ * @returns {{ args: object, flags: object }}
+ * @throws {UsageError}
+ */
+function parseArgs(text, spec) {
+    const usage = usageLine(spec);
+    const fail = (problem) => { throw new UsageError(problem, usage); };
+
+    let tokens;
+    try {
+        tokens = tokenize(text.replace(/^\/\S+/, ''));
+    } catch (err) {
+        fail(err.message);
+    }
+
+    const flagSpecs = spec.flags || [];
+    const flags = Object.fromEntries(flagSpecs.map(f => [f.name, isSwitch(f) ? false : undefined]));
+    const words = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === '--') {
+            words.push(...tokens.slice(i + 1));
+            break;
+        }
+        if (!token.startsWith('--')) {
+            words.push(token);
+            continue;
+        }
+        const [name, inline] = token.slice(2).split(/=(.*)/s);
+        const flag = flagSpecs.find(f => f.name === name);
+        if (!flag) fail(`Unknown option --${name}`);
+        if (isSwitch(flag)) {
+            if (inline !== undefined) fail(`--${name} takes no value`);
+            flags[name] = true;
+            continue;
+        }
+        const raw = inline ?? tokens[++i];
+        if (raw === undefined) fail(`--${name} needs a value`);
+        flags[name] = convert(flag, raw, `--${name}`, fail);
+    }
+
+    const argSpecs = spec.args || [];
+    const args = {};
+    let w = 0;
+    for (let a = 0; a < argSpecs.length; a++) {
+        const arg = argSpecs[a];
+        if (w >= words.length) {
+            if (!arg.optional) fail(`Missing <${arg.name}>`);
+            continue;
+        }
+        if (arg.rest) {
+            args[arg.name] = convert(arg, words.slice(w).join(' '), `<${arg.name}>`, fail);
+            w = words.length;
+            continue;
+        }
+        if (arg.optional && arg.values && !arg.values.includes(words[w]) && a < argSpecs.length - 1) continue;
+        args[arg.name] = convert(arg, words[w++], `<${arg.name}>`, fail);
+    }
+    if (w < words.length) fail(`Unexpected "${words[w]}"`);
+    return { args, flags };
+}
+
+export { UsageError, tokenize, argLabel, flagLabel, usageLine, parseArgs };
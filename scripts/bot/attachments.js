@@ -0,0 +1,133 @@
+// ============================================================================
+// attachments.js — Photos and documents → project attachments → inbox
+// ============================================================================
+// A photo or document from an operator is saved into the target project's
+// .gemini/attachments/ directory (the topic-bound project, else the active
+// one) and relayed to the inbox with its caption. The inbox entry lists the
+// saved files, which the watcher adds to the agent prompt:
+//
+//   { text: "<caption>", attachments: [{ path, name, mimeType, size }] }
+//
+// Editing the caption in Telegram, or ✏️ Edit, changes the text until the
+// watcher reads it (message_edits.js).
+//
+// ATTACHMENT_MAX_MB caps the size (Telegram itself stops bots at 20 MB) and
+// ATTACHMENT_EXTENSIONS is the allow-list of file extensions.
+// ============================================================================
+
+import { mkdirSync, renameSync } from 'fs';
+import { extname, resolve } from 'path';
+import { editKeyboard } from './message_edits.js';
+
+const DEFAULT_EXTENSIONS = [
+    'png', 'jpg', 'jpeg', 'gif', 'webp',
+    'pdf', 'txt', 'log', 'md', 'csv', 'json', 'yaml', 'yml', 'xml', 'html',
+    'diff', 'patch', 'js', 'ts', 'py', 'sh', 'sql'
+];
+const MAX_MB_DEFAULT = 20;
+const NAME_LEN = 80;
+
+/**
+ * Size limit and extension allow-list from the environment.
+ *
+ * @returns {{ maxBytes: number, extensions: string[] }}
+ */
+function loadAttachmentPolicy(env = process.env) {
+    const mb = env.ATTACHMENT_MAX_MB;
+    if (mb !== undefined && mb !== '' && !/^[1-9]\d*$/.test(String(mb).trim())) {
+        throw new Error(`ATTACHMENT_MAX_MB must be a positive integer (got "${mb}")`);
+    }
+    const extensions = env.ATTACHMENT_EXTENSIONS
+        ? env.ATTACHMENT_EXTENSIONS.split(',').map(e => e.trim().replace(/^\./, '').toLowerCase()).filter(Boolean)
+        : DEFAULT_EXTENSIONS;
+    return { maxBytes: (mb ? parseInt(mb, 10) : MAX_MB_DEFAULT) * 1024 * 1024, extensions };
+}
+
+/**
+ * The file a message carries: the largest size of a photo, or the document.
+ *
+ * @returns {{ fileId: string, name: string, mimeType: string, size: number }|null}
+ */
+function attachmentOf(msg) {
+    if (msg.photo?.length) {
+        const photo = msg.photo[msg.photo.length - 1];
+        return { fileId: photo.file_id, name: `photo_${photo.file_unique_id || photo.file_id}.jpg`, mimeType: 'image/jpeg', size: photo.file_size || 0 };
+    }
+    if (msg.document) {
+        const doc = msg.document;
+        return {
+            fileId: doc.file_id,
+            name: doc.file_name || `document_${doc.file_unique_id || doc.file_id}`,
+            mimeType: doc.mime_type || 'application/octet-stream',
+            size: doc.file_size || 0
+        };
+    }
+    return null;
+}
+
+// Timestamped and reduced to safe characters, so names never collide or escape the directory
+function storedName(name, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const ext = extname(name).toLowerCase();
+    const base = name.slice(0, name.length - ext.length).replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '') || 'file';
+    return `${stamp}_${base.slice(0, NAME_LEN)}${ext}`;
+}
+
+/**
+ * Why an attachment is refused, or null if it is accepted.
+ */
+function rejectReason(attachment, policy) {
+    const ext = extname(attachment.name).slice(1).toLowerCase();
+    if (!ext || !policy.extensions.includes(ext)) {
+        return `${ext ? `.${ext}` : 'Files without an extension'} not accepted. Allowed: ${policy.extensions.join(', ')}`;
+    }
+    if (attachment.size > policy.maxBytes) {
+        return `${attachment.name} is ${(attachment.size / 1024 / 1024).toFixed(1)} MB — the limit is ${policy.maxBytes / 1024 / 1024} MB`;
+    }
+    return null;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Save one photo/document message and relay it to the inbox.
+ *
+ * @returns {Promise<object|null>} the inbox entry
+ */
+async function relayAttachment(bot, ctx, msg, policy = loadAttachmentPolicy()) {
+    const { reply, inbox, inboxOrigin, getState, projectFor } = ctx;
+    const attachment = attachmentOf(msg);
+    const reason = rejectReason(attachment, policy);
+    if (reason) {
+        await reply(msg, `❌ ${reason}`);
+        return null;
+    }
+
+    const state = getState();
+    const dir = resolve(projectFor(state, msg), '.gemini', 'attachments');
+    try {
+        mkdirSync(dir, { recursive: true });
+        const downloaded = await bot.downloadFile(attachment.fileId, dir);
+        const path = resolve(dir, storedName(attachment.name));
+        renameSync(downloaded, path);
+
+        const entry = await inbox.chat(msg.caption || '', { ...inboxOrigin(msg, state), messageId: msg.message_id }, [
+            { path, name: attachment.name, mimeType: attachment.mimeType, size: attachment.size }
+        ]);
+        await reply(msg, `📎 Saved ${attachment.name} (${formatSize(attachment.size)}) — sent to the agent.`, {
+            reply_markup: editKeyboard(entry)
+        });
+        console.log(`📎 ${new Date().toISOString()} | Saved attachment: ${path}`);
+        return entry;
+    } catch (err) {
+        console.error(`Attachment error: ${err.message}`);
+        await reply(msg, `❌ Could not save ${attachment.name}: ${err.message}`);
+        return null;
+    }
+}
+
+export {
+    DEFAULT_EXTENSIONS, loadAttachmentPolicy, attachmentOf, storedName, rejectReason, relayAttachment
+};
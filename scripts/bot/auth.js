@@ -0,0 +1,128 @@
+// ============================================================================
+// auth.js — Role-based access control (users + group chats)
+// ============================================================================
+// Replaces the single TELEGRAM_CHAT_ID comparison from REF-2 with an
+// allow-list. Each Telegram user ID or chat ID maps to a role:
+//
+//   viewer   — read-only commands (/status, /list, ...)
+//   operator — workflow commands, plan review, inbox relay
+//   admin    — destructive commands (/kill, /restart, /apply_fix, ...)
+//
+// Roles are ordered, so an admin can do everything an operator can.
+// TELEGRAM_CHAT_ID keeps working as an admin chat entry, which means existing
+// single-user .env files need no changes.
+// ============================================================================
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Parse an allow-list like "12345:admin, -100987:viewer" into a Map.
+ * A bare ID without a role defaults to viewer (least privilege).
+ *
+ * @param {string} spec - Comma-separated `id:role` pairs
+ * @returns {Map<string, string>} id → role
+ */
+function parseAllowList(spec) {
+    const entries = new Map();
+    for (const raw of (spec || '').split(',')) {
+        const item = raw.trim();
+        if (!item) continue;
+        const [id, role = 'viewer'] = item.split(':').map(s => s.trim());
+        if (!/^-?\d+$/.test(id)) {
+            throw new Error(`Invalid Telegram ID in allow-list: "${item}"`);
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}" for ${id} (expected: ${ROLES.join(', ')})`);
+        }
+        entries.set(id, role);
+    }
+    return entries;
+}
+
+/**
+ * Build the access-control list from environment variables.
+ *
+ * @param {object} env - Usually process.env
+ * @returns {{ users: Map<string, string>, chats: Map<string, string> }}
+ */
+function loadAcl(env = process.env) {
+    const users = parseAllowList(env.TELEGRAM_ALLOWED_USERS);
+    const chats = parseAllowList(env.TELEGRAM_ALLOWED_CHATS);
+    if (env.TELEGRAM_CHAT_ID && !chats.has(String(env.TELEGRAM_CHAT_ID))) {
+        chats.set(String(env.TELEGRAM_CHAT_ID), 'admin');
+    }
+    return { users, chats };
+}
+
+function hasRole(role, required) {
+    if (!role) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Resolve the effective role for a sender. A user entry and a chat entry can
+ * both apply (e.g. a viewer group with one admin member) — the higher wins.
+ *
+ * @param {object} acl - From loadAcl()
+ * @param {{ chatId: number|string, userId?: number|string }} source
+ * @returns {string|null} role, or null if neither user nor chat is listed
+ */
+function resolveRole(acl, { chatId, userId }) {
+    const candidates = [
+        userId !== undefined ? acl.users.get(String(userId)) : undefined,
+        acl.chats.get(String(chatId))
+    ].filter(Boolean);
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, r) => (hasRole(r, best) ? r : best));
+}
+
+function describeSender(source) {
+    return `user ${source.userId ?? '?'} in chat ${source.chatId}`;
+}
+
+function denialText(role, required, what) {
+    return role
+        ? `⛔ ${what} requires the ${required} role (you are ${role}).`
+        : '⛔ You are not authorized to use this bot.';
+}
+
+/**
+ * Check a message sender against a required role. Rejections are logged and
+ * answered in the originating chat.
+ *
+ * @returns {Promise<boolean>} true if the handler may run
+ */
+async function checkMessage(bot, acl, msg, required, what = 'This action') {
+    const source = { chatId: msg.chat.id, userId: msg.from?.id };
+    const role = resolveRole(acl, source);
+    if (hasRole(role, required)) return true;
+
+    console.log(`⛔ ${new Date().toISOString()} | Denied ${what} for ${describeSender(source)} (role: ${role || 'none'}, needs ${required})`);
+    try {
+        await bot.sendMessage(msg.chat.id, denialText(role, required, what));
+    } catch { /* chat may not accept messages from the bot */ }
+    return false;
+}
+
+/**
+ * Check a callback query sender against a required role. Rejections are
+ * logged and answered with an alert on the tapped button.
+ *
+ * @returns {Promise<boolean>} true if the handler may run
+ */
+async function checkCallback(bot, acl, query, required, what = 'This action') {
+    const source = { chatId: query.message?.chat.id, userId: query.from?.id };
+    const role = resolveRole(acl, source);
+    if (hasRole(role, required)) return true;
+
+    console.log(`⛔ ${new Date().toISOString()} | Denied callback ${what} for ${describeSender(source)} (role: ${role || 'none'}, needs ${required})`);
+    try {
+        await bot.answerCallbackQuery(query.id, { text: denialText(role, required, what), show_alert: true });
+    } catch { /* query may have expired */ }
+    return false;
+}
+
+export {
+    ROLES, parseAllowList, loadAcl, hasRole, resolveRole,
+    checkMessage, checkCallback
+};
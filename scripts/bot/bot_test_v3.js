@@ -8,30 +8,80 @@
 // Run: node scripts/bot/bot_test_v3.js
 // ============================================================================
 
-import { strictEqual, deepStrictEqual, ok } from 'assert';
+import { strictEqual, deepStrictEqual, ok, throws, rejects } from 'assert';
 import {
     readFileSync, writeFileSync, unlinkSync, existsSync,
-    mkdirSync, rmSync, statSync, renameSync
+    mkdirSync, rmSync, statSync, renameSync, appendFileSync, chmodSync, readdirSync, mkdtempSync, utimesSync
 } from 'fs';
-import { resolve, dirname, join } from 'path';
+import { resolve, dirname, join, basename, extname } from 'path';
 import { fileURLToPath } from 'url';
 import { tmpdir } from 'os';
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
+import { createServer } from 'http';
+import { createRequire } from 'module';
 
 // --- Direct Module Imports (behavioral testing) ---
 import {
     readJsonSafe, atomicWrite, writeToInbox, getState, updateState, formatUptime,
-    CENTRAL_DIR, DEFAULT_PROJECT_DIR
+    CENTRAL_DIR, DEFAULT_PROJECT_DIR,
+    projectSlice, ensureProjectSlice, migrateState,
+    StaleRevisionError, updateJson, writeJson, replaceJson, removeJson
 } from './helpers.js';
+import { LockTimeoutError, STALE_LOCK_MS, acquireLock, withFileLock, breakStaleLock } from './filelock.js';
+import { openStorage, DB_FILENAME } from './storage/index.js';
+import { migrateStorage, sameDocument } from './migrate_storage.js';
+import {
+    loadRetention, splitForArchive, compactMessages, listArchives, readArchivePage
+} from './retention.js';
+import { register as registerHistory, renderHistoryPage, renderDeadLetters } from './commands/history.js';
+import {
+    MAX_ATTEMPTS, DocumentMissingError, classifyError, recordFailure, isDue,
+    deadLetterFile, moveToDeadLetters, listDeadLetters, replayDeadLetters, dropDeadLetters
+} from './delivery.js';
+import { createOutboxRelay } from './outbox.js';
+import { loadReplyFormat, renderMarkdown, formatReply, isParseError } from './format.js';
+import { splitMessage, loadFileThreshold } from './split.js';
+import {
+    progressFile, loadEditInterval, readProgressEvents, formatElapsed, renderProgress, createProgressRelay
+} from './progress.js';
+import { loadSttConfig, openStt, registerSttProvider, WhisperCliProvider } from './stt/index.js';
+import { createVoiceDrafts, relayVoice } from './voice.js';
+import { loadAttachmentPolicy, storedName, relayAttachment } from './attachments.js';
+import { startMediaRelay } from './media.js';
+import { loadConfirmTimeout, createConfirmations } from './confirm.js';
+import { CATEGORIES, validateDescriptor, usageLine, createCommandRegistry, findCallbackRoute } from './command_registry.js';
+import { loadControlApiConfig, createLoopback, createControlApi } from './control_api.js';
+import { UsageError, tokenize, parseArgs } from './args.js';
+import {
+    loadScheduleGrace, nextCronRun, parseSchedule, schedulesFileOf, listJobs, addJob, setPaused, runDueJobs
+} from './scheduler.js';
+import { enqueue, relayType, listQueue, moveEntry, cancelEntry, editEntry, entryForMessage } from './inbox.js';
+import { editKeyboard, startMessageEdits } from './message_edits.js';
+import MockTelegramBot from './__mocks__/node-telegram-bot-api.js';
 import { isValidHotfixBranch, safeGit } from './shell.js';
+import {
+    parseAllowList, loadAcl, hasRole, resolveRole, checkMessage, checkCallback
+} from './auth.js';
+import {
+    topicKey, originOf, boundProject, projectFor, inboxOrigin, threadOptions,
+    stripBotMention, withBotMention
+} from './groups.js';
 import {
     MODEL_OPTIONS, PLATFORM_MODELS, PLATFORM_LABELS,
     BACKEND_OPTIONS, TIER_EMOJI, TIER_DEFAULTS, DIFFICULTY_LABEL
 } from './registries.js';
 import {
     loadExecutionPlan, saveExecutionPlan, formatExecutionPlan,
-    applyTierDefaults, writeDispatch
+    applyTierDefaults, writeDispatch, planTargets, announcePendingPlans,
+    reviewKeyboard, register as registerPlan
 } from './commands/plan.js';
+import { register as registerPlanGraph } from './commands/plan_graph.js';
+import { register as registerPlanTasks } from './commands/plan_tasks.js';
+import { register as registerPlanEdit, editTask, addTask, removeTask, moveTask } from './commands/plan_edit.js';
+import { loadConcurrency, loadTestCommand, nextTasks, runDispatch } from './dispatch.js';
+import { loadSkipPolicy, blockedTasks, applyTaskAction, taskActionRow } from './task_actions.js';
+import { planDag, validatePlan, formatProblems, criticalPath, renderTree, toMermaid, toDot } from './plan_dag.js';
+import { formatDispatchProgress, showDispatchProgress } from './dispatch_progress.js';
 
 const SCRIPT_DIR = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = resolve(SCRIPT_DIR, '..', '..');
@@ -92,6 +142,13 @@ async function test(name, fn) {
     }
 }
 
+// Tests that need an optional dependency are skipped when it is not installed
+async function testIf(available, reason, name, fn) {
+    if (available) return test(name, fn);
+    skipped++;
+    console.log(`  ⏭️  ${name} (${reason})`);
+}
+
 // --- Helpers for test-local state (uses TEST_DIR, not production STATE_FILE) ---
 function testGetState() { return readJsonSafe(STATE, { activeProject: DEFAULT_PROJECT_DIR, projects: { main: DEFAULT_PROJECT_DIR } }); }
 function testUpdateState(updater) {
@@ -332,7 +389,9 @@ await test('[plan] callback data format under 64 bytes', () => {
         'ep_platform:gemini', 'ep_platform:jules',
         'ep_model:gemini-2.5-flash', 'ep_execute', 'ep_override',
         'ep_task:1', 'ep_task_plat:1:gemini', 'ep_task_model:1:gemini-2.5-flash',
-        'ep_replan', 'ep_continue', 'ep_stop'
+        'ep_replan', 'ep_continue', 'ep_stop', 'ep_parallel', 'ep_unattended', 'ep_graph', 'ep_graph:mermaid', 'ep_graph:dot',
+        'ep_tasks', 'ep_tasks:12', 'ep_retry:12', 'ep_retry:12:openrouter/minimax/minimax-m2.5', 'ep_retry_pick:12', 'ep_skip:12', 'ep_rerun:12',
+        'ep_edit', 'ep_edit:12', 'ep_edit_done', 'ep_edit_up:12', 'ep_edit_down:12', 'ep_edit_rm:12', 'ep_edit_tier:12:free'
     ];
     for (const cb of callbacks) {
         ok(cb.length <= 64, `"${cb}" should be under 64 bytes`);
@@ -359,8 +418,8 @@ await test('[v3] bot_v3.js imports outbox.js', () => {
     ok(V3_SRC.includes("from './outbox.js'"), 'should import outbox');
 });
 
-await test('[v3] bot_v3.js imports all 7 command modules', () => {
-    const modules = ['general', 'model', 'project', 'workflow', 'plan', 'admin', 'diagnose'];
+await test('[v3] bot_v3.js imports all 13 command modules', () => {
+    const modules = ['general', 'model', 'project', 'workflow', 'plan', 'plan_graph', 'plan_tasks', 'plan_edit', 'admin', 'diagnose', 'history', 'schedule', 'queue'];
     for (const mod of modules) {
         ok(V3_SRC.includes(`'./commands/${mod}.js'`), `should import commands/${mod}.js`);
     }
@@ -377,13 +436,14 @@ await test('[v3] bot_v3.js has callback router', () => {
 });
 
 await test('[v3] bot_v3.js has registerCommand for auto BOT_COMMANDS', () => {
-    ok(V3_SRC.includes('function registerCommand'), 'should define registerCommand');
-    ok(V3_SRC.includes('BOT_COMMANDS'), 'should build BOT_COMMANDS list');
+    ok(V3_SRC.includes('createCommandRegistry(bot'), 'should build the command registry');
+    ok(V3_SRC.includes('{ registerCommand, describeCommand, BOT_COMMANDS }'), 'should take registerCommand and BOT_COMMANDS from it');
+    ok(V3_SRC.includes('commands.publish()'), 'should publish the Telegram command menu');
 });
 
 await test('[v3] bot_v3.js has message relay to inbox', () => {
     ok(V3_SRC.includes("bot.on('message'"), 'should have message handler');
-    ok(V3_SRC.includes('writeToInbox'), 'should relay to inbox');
+    ok(V3_SRC.includes('inbox[relayType(text)]'), 'should relay to inbox as a command or chat entry');
 });
 
 await test('[v3] bot_v3.js has error handling', () => {
@@ -400,7 +460,7 @@ await test('[v3] bot_v3.js has no duplicate dotenv import', () => {
 
 console.log('\n── Contract: Command Module Structure ──');
 
-const COMMAND_FILES = ['general', 'model', 'project', 'workflow', 'plan', 'admin', 'diagnose'];
+const COMMAND_FILES = ['general', 'model', 'project', 'workflow', 'plan', 'plan_graph', 'plan_tasks', 'plan_edit', 'admin', 'diagnose', 'history', 'schedule', 'queue'];
 
 for (const mod of COMMAND_FILES) {
     await test(`[contract] commands/${mod}.js exports register()`, () => {
@@ -417,6 +477,14 @@ const ALL_COMMAND_SOURCES = COMMAND_FILES.map(f =>
     readFileSync(resolve(SCRIPT_DIR, 'commands', `${f}.js`), 'utf8')
 ).join('\n');
 
+// Every command module registered into a real command registry, without guards
+async function registeredCommands(bot = mockBot) {
+    const registry = createCommandRegistry({ ...bot, onText: () => { } }, { authorized: h => h, confirmations: { command: h => h } });
+    const ctx = { SCRIPT_DIR, CENTRAL_DIR, resolve, ...registry, commands: registry, onCallback: () => { } };
+    for (const mod of COMMAND_FILES) (await import(`./commands/${mod}.js`)).register(bot, ctx);
+    return registry;
+}
+
 await test('[contract] all 18 bot commands have handlers in v3', () => {
     const expectedCommands = [
         'help', 'version', 'status',
@@ -425,7 +493,8 @@ await test('[contract] all 18 bot commands have handlers in v3', () => {
         'sprint', 'stop',
         'review_plan',
         'kill', 'clear_lock', 'restart', 'watchdog',
-        'diagnose', 'autofix', 'apply_fix', 'discard_fix'
+        'diagnose', 'autofix', 'apply_fix', 'discard_fix',
+        'history', 'deadletters'
     ];
     for (const cmd of expectedCommands) {
         const pattern = new RegExp(`registerCommand\\(.*\\\\\\/${cmd}`);
@@ -1164,9 +1233,8 @@ await test('[self-healing] /restart clears lock file', () => {
     ok(admin.includes('LOCK_FILE'));
 });
 
-await test('[self-healing] /restart listed in /help output', () => {
-    const general = readFileSync(resolve(SCRIPT_DIR, 'commands', 'general.js'), 'utf8');
-    ok(general.includes('/restart'));
+await test('[self-healing] /restart listed in /help output', async () => {
+    ok((await registeredCommands()).help().includes('\n/restart — '));
 });
 
 await test('[self-healing] watchdog.sh has restart loop guard', () => {
@@ -1408,6 +1476,3271 @@ await test('[session] watcher.sh strips reply-file instructions for Kilo session
     ok(w.includes('session_history.txt'), 'should still have session_history reference (for Gemini)');
 });
 
+// ---- Role-Based Access (auth.js) ----
+console.log('\n── auth.js: Roles & Allow-List ──');
+
+await test('[auth] parseAllowList parses id:role pairs', () => {
+    const list = parseAllowList('111:admin, -100222:viewer ,333:operator');
+    strictEqual(list.get('111'), 'admin');
+    strictEqual(list.get('-100222'), 'viewer');
+    strictEqual(list.get('333'), 'operator');
+});
+
+await test('[auth] parseAllowList defaults bare IDs to viewer', () => {
+    strictEqual(parseAllowList('444').get('444'), 'viewer');
+    strictEqual(parseAllowList('').size, 0);
+    strictEqual(parseAllowList(undefined).size, 0);
+});
+
+await test('[auth] parseAllowList rejects unknown roles and bad IDs', () => {
+    let threw = false;
+    try { parseAllowList('111:root'); } catch { threw = true; }
+    ok(threw, 'unknown role should throw');
+    threw = false;
+    try { parseAllowList('abc:admin'); } catch { threw = true; }
+    ok(threw, 'non-numeric ID should throw');
+});
+
+await test('[auth] legacy TELEGRAM_CHAT_ID becomes an admin chat', () => {
+    const acl = loadAcl({ TELEGRAM_CHAT_ID: '123456789' });
+    strictEqual(acl.chats.get('123456789'), 'admin');
+    strictEqual(resolveRole(acl, { chatId: 123456789, userId: 123456789 }), 'admin');
+});
+
+await test('[auth] explicit chat entry overrides legacy CHAT_ID role', () => {
+    const acl = loadAcl({ TELEGRAM_CHAT_ID: '123', TELEGRAM_ALLOWED_CHATS: '123:viewer' });
+    strictEqual(acl.chats.get('123'), 'viewer');
+});
+
+await test('[auth] role ordering viewer < operator < admin', () => {
+    ok(hasRole('admin', 'viewer'));
+    ok(hasRole('admin', 'admin'));
+    ok(hasRole('operator', 'operator'));
+    ok(!hasRole('operator', 'admin'));
+    ok(!hasRole('viewer', 'operator'));
+    ok(!hasRole(null, 'viewer'));
+});
+
+await test('[auth] highest of user and group role wins', () => {
+    const acl = loadAcl({ TELEGRAM_ALLOWED_USERS: '42:admin', TELEGRAM_ALLOWED_CHATS: '-100500:viewer' });
+    strictEqual(resolveRole(acl, { chatId: -100500, userId: 42 }), 'admin');
+    strictEqual(resolveRole(acl, { chatId: -100500, userId: 7 }), 'viewer');
+    strictEqual(resolveRole(acl, { chatId: 999, userId: 42 }), 'admin');
+    strictEqual(resolveRole(acl, { chatId: 999, userId: 7 }), null);
+});
+
+await test('[auth] checkMessage rejects and answers insufficient role', async () => {
+    const acl = loadAcl({ TELEGRAM_ALLOWED_USERS: '7:viewer' });
+    const allowed = await checkMessage(mockBot, acl, { chat: { id: 7 }, from: { id: 7 }, text: '/kill' }, 'admin', '/kill');
+    strictEqual(allowed, false);
+    strictEqual(receivedMessages.length, 1);
+    strictEqual(receivedMessages[0].chatId, 7);
+    ok(receivedMessages[0].text.includes('/kill requires the admin role'));
+});
+
+await test('[auth] checkMessage answers unknown senders', async () => {
+    const acl = loadAcl({ TELEGRAM_CHAT_ID: '1' });
+    const allowed = await checkMessage(mockBot, acl, { chat: { id: 2 }, from: { id: 2 }, text: 'hi' }, 'viewer');
+    strictEqual(allowed, false);
+    ok(receivedMessages[0].text.includes('not authorized'));
+});
+
+await test('[auth] checkMessage passes sufficient role silently', async () => {
+    const acl = loadAcl({ TELEGRAM_ALLOWED_USERS: '7:operator' });
+    ok(await checkMessage(mockBot, acl, { chat: { id: 7 }, from: { id: 7 } }, 'viewer'));
+    strictEqual(receivedMessages.length, 0);
+});
+
+await test('[auth] checkCallback answers rejected button taps', async () => {
+    const answers = [];
+    mockBot.answerCallbackQuery = async (id, opts) => { answers.push({ id, opts }); };
+    const acl = loadAcl({ TELEGRAM_ALLOWED_CHATS: '-100500:viewer' });
+    const query = { id: 'q1', data: 'ep_execute', from: { id: 9 }, message: { chat: { id: -100500 } } };
+    strictEqual(await checkCallback(mockBot, acl, query, 'operator', 'ep_execute'), false);
+    strictEqual(answers.length, 1);
+    ok(answers[0].opts.show_alert);
+    ok(answers[0].opts.text.includes('operator'));
+});
+
+await test('[contract] every registration declares a role', () => {
+    for (const mod of COMMAND_FILES) {
+        const src = readFileSync(resolve(SCRIPT_DIR, 'commands', `${mod}.js`), 'utf8');
+        const registrations = (src.match(/^    (registerCommand|onCallback)\(/gm) || []).length;
+        const roles = (src.match(/^    }, \{ role: '(viewer|operator|admin)'/gm) || []).length;
+        strictEqual(roles, registrations, `commands/${mod}.js: ${registrations} registrations, ${roles} role declarations`);
+    }
+});
+
+await test('[contract] destructive commands require admin', () => {
+    const all = ALL_COMMAND_SOURCES;
+    for (const cmd of ['kill', 'restart', 'apply_fix', 'discard_fix']) {
+        const block = all.match(new RegExp(`registerCommand\\(/\\^\\\\/${cmd}[\\s\\S]*?\\n    \\}, \\{ role: '(\\w+)'`));
+        ok(block, `/${cmd} registration not found`);
+        strictEqual(block[1], 'admin', `/${cmd} should require admin`);
+    }
+});
+
+// ---- Group Chats & Forum Topics (groups.js) ----
+console.log('\n── groups.js: Topics & Routing ──');
+
+const TOPIC_MSG = { chat: { id: -1001, type: 'supergroup', is_forum: true }, message_thread_id: 42, is_topic_message: true, from: { id: 7 }, text: 'hi' };
+
+await test('[groups] topicKey distinguishes topics from plain chats', () => {
+    strictEqual(topicKey(-1001, 42), '-1001:42');
+    strictEqual(topicKey(-1001), '-1001');
+    strictEqual(topicKey(123, undefined), '123');
+});
+
+await test('[groups] originOf only uses thread ID for forum topic messages', () => {
+    deepStrictEqual(originOf(TOPIC_MSG), { chatId: -1001, threadId: 42 });
+    // Reply threads in normal groups also carry message_thread_id — not a topic
+    deepStrictEqual(originOf({ chat: { id: -5 }, message_thread_id: 9 }), { chatId: -5 });
+    deepStrictEqual(originOf({ chat: { id: 123 } }), { chatId: 123 });
+});
+
+await test('[groups] boundProject resolves topic binding to project path', () => {
+    const state = { projects: { web: '/srv/web', api: '/srv/api' }, topics: { '-1001:42': 'web', '-2002': 'api' } };
+    deepStrictEqual(boundProject(state, { chatId: -1001, threadId: 42 }), { name: 'web', path: '/srv/web' });
+    deepStrictEqual(boundProject(state, { chatId: -2002 }), { name: 'api', path: '/srv/api' });
+    strictEqual(boundProject(state, { chatId: -1001, threadId: 43 }), null);
+});
+
+await test('[groups] boundProject ignores bindings to removed projects', () => {
+    const state = { projects: {}, topics: { '-1001:42': 'gone' } };
+    strictEqual(boundProject(state, { chatId: -1001, threadId: 42 }), null);
+    strictEqual(boundProject({ projects: {} }, { chatId: 1 }), null);
+});
+
+await test('[groups] inboxOrigin carries chat, topic and bound project', () => {
+    const state = { projects: { web: '/srv/web' }, topics: { '-1001:42': 'web' } };
+    deepStrictEqual(inboxOrigin(TOPIC_MSG, state), { chatId: -1001, threadId: 42, project: '/srv/web' });
+    deepStrictEqual(inboxOrigin({ chat: { id: 5 } }, state), { chatId: 5 });
+});
+
+await test('[groups] inboxOrigin records the quoted message, but not a topic opener', () => {
+    const reply = { chat: { id: 5 }, reply_to_message: { message_id: 77, text: 'Task 3 done' } };
+    deepStrictEqual(inboxOrigin(reply, {}), { chatId: 5, replyTo: { messageId: 77, text: 'Task 3 done' } });
+    const inTopic = { ...TOPIC_MSG, reply_to_message: { message_id: 42, text: 'topic created' } };
+    strictEqual(inboxOrigin(inTopic, {}).replyTo, undefined);
+});
+
+await test('[groups] threadOptions adds message_thread_id only for topics', () => {
+    deepStrictEqual(threadOptions(42, { reply_markup: { a: 1 } }), { reply_markup: { a: 1 }, message_thread_id: 42 });
+    deepStrictEqual(threadOptions(undefined, { x: 1 }), { x: 1 });
+    deepStrictEqual(threadOptions(false), {});
+});
+
+await test('[groups] bot mentions are stripped and matched', () => {
+    strictEqual(stripBotMention('/startup@wa_bridge_bot quick'), '/startup quick');
+    strictEqual(stripBotMention('hello @someone'), 'hello @someone');
+    ok(withBotMention(/^\/model$/).test('/model@wa_bridge_bot'));
+    ok(withBotMention(/^\/model$/).test('/model'));
+    ok(!withBotMention(/^\/model$/).test('/models'));
+    strictEqual('/project@bot web'.match(withBotMention(/^\/project\s+(.+)/))[1], 'web');
+});
+
+await test('[groups] writeDispatch records approving chat/topic', () => {
+    const plan = { tasks: [{ id: 1, description: 'A', platform: 'gemini', model: 'm', parallel: false, deps: [] }] };
+    writeDispatch(plan, atomicWrite, DISPATCH, { chatId: -1001, threadId: 42 });
+    const d = readJsonSafe(DISPATCH, {});
+    strictEqual(d.chatId, -1001);
+    strictEqual(d.threadId, 42);
+    writeDispatch(plan, atomicWrite, DISPATCH);
+    strictEqual(readJsonSafe(DISPATCH, {}).chatId, undefined);
+});
+
+await test('[contract] outbox poller routes by chatId/threadId', () => {
+    const src = readFileSync(resolve(SCRIPT_DIR, 'outbox.js'), 'utf8');
+    ok(src.includes('msg.chatId ?? CHAT_ID'), 'should fall back to home chat');
+    ok(src.includes('threadOptions(msg.threadId)'), 'should reply into the topic');
+});
+
+await test('[contract] watcher batches inbox by origin and stamps replies', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    ok(w.includes('outbox_route()'), 'should define outbox_route helper');
+    ok(w.includes('inbox_batch'), 'should batch by origin (INBOX_QUEUE_JQ)');
+    ok(w.includes('MSG_PROJECT'), 'should honour topic-bound project');
+    const agentWriters = w.match(/json_update "\$OUTBOX" '[^']*"from": "agent"[^']*'/g) || [];
+    ok(agentWriters.length >= 3, 'all agent outbox writers should go through json_update');
+    ok(agentWriters.every(f => f.includes('+ $route')), 'all agent outbox writers should add route');
+});
+
+// ---- Per-Project State (helpers.js projectState) ----
+console.log('\n── helpers.js: Per-Project State ──');
+
+await test('[pstate] migrateState moves legacy fields into the active project', () => {
+    const state = {
+        activeProject: '/srv/web', projects: { web: '/srv/web' }, auto_fix_enabled: true,
+        backend: 'kilo', model: 'openrouter/z-ai/glm-5', kiloSessionId: 'ses_1',
+        executionPlan: { status: 'executing', tasks: [{ id: 1 }] }
+    };
+    strictEqual(migrateState(state), true);
+    strictEqual(state.backend, undefined, 'top-level backend should be removed');
+    strictEqual(state.executionPlan, undefined, 'top-level plan should be removed');
+    strictEqual(state.auto_fix_enabled, true, 'global settings stay at the top level');
+    const web = state.projectState['/srv/web'];
+    strictEqual(web.backend, 'kilo');
+    strictEqual(web.model, 'openrouter/z-ai/glm-5');
+    strictEqual(web.kiloSessionId, 'ses_1');
+    strictEqual(web.executionPlan.status, 'executing');
+});
+
+await test('[pstate] migrateState keeps existing slice values and is idempotent', () => {
+    const state = { activeProject: '/a', model: 'old', projectState: { '/a': { model: 'new' } } };
+    strictEqual(migrateState(state), true);
+    strictEqual(state.projectState['/a'].model, 'new');
+    strictEqual(state.model, undefined);
+    strictEqual(migrateState(state), false, 'second run should be a no-op');
+});
+
+await test('[pstate] projectSlice reads the given or active project', () => {
+    const state = { activeProject: '/a', projectState: { '/a': { backend: 'kilo' }, '/b': { backend: 'gemini' } } };
+    strictEqual(projectSlice(state).backend, 'kilo');
+    strictEqual(projectSlice(state, '/b').backend, 'gemini');
+    deepStrictEqual(projectSlice(state, '/c'), {});
+    deepStrictEqual(projectSlice({ activeProject: '/a' }), {});
+});
+
+await test('[pstate] ensureProjectSlice creates a mutable slice', () => {
+    const state = { activeProject: '/a' };
+    ensureProjectSlice(state).model = 'm';
+    ensureProjectSlice(state, '/b').backend = 'kilo';
+    deepStrictEqual(state.projectState, { '/a': { model: 'm' }, '/b': { backend: 'kilo' } });
+});
+
+await test('[pstate] execution plans are isolated per project', () => {
+    testUpdateState(s => { s.activeProject = '/a'; });
+    saveExecutionPlan({ status: 'executing', tasks: [{ id: 1 }] }, testUpdateState, '/a');
+    saveExecutionPlan({ status: 'pending_review', tasks: [{ id: 1 }, { id: 2 }] }, testUpdateState, '/b');
+    strictEqual(loadExecutionPlan(testGetState).status, 'executing', 'defaults to the active project');
+    strictEqual(loadExecutionPlan(testGetState, '/b').tasks.length, 2);
+    // Switching the pointer must not carry the plan along
+    testUpdateState(s => { s.activeProject = '/c'; });
+    strictEqual(loadExecutionPlan(testGetState), null);
+    strictEqual(testGetState().executionPlan, undefined, 'nothing written to the top level');
+});
+
+await test('[pstate] applyTierDefaults uses the project backend', () => {
+    testUpdateState(s => {
+        s.activeProject = '/a';
+        s.projectState = { '/a': { backend: 'gemini' }, '/b': { backend: 'kilo' } };
+    });
+    const plan = { tasks: [{ id: 1, tier: 'mid' }] };
+    applyTierDefaults(plan, testGetState, '/b');
+    strictEqual(plan.tasks[0].platform, 'kilo');
+    strictEqual(plan.defaultPlatform, 'kilo');
+});
+
+await test('[pstate] projectFor prefers the topic binding over the active project', () => {
+    const state = { activeProject: '/srv/api', projects: { web: '/srv/web', api: '/srv/api' }, topics: { '-1001:42': 'web' } };
+    strictEqual(projectFor(state, TOPIC_MSG), '/srv/web');
+    strictEqual(projectFor(state, { chat: { id: 123 } }), '/srv/api');
+});
+
+await test('[pstate] planTargets announces bound projects in their topic', () => {
+    const state = { activeProject: '/srv/api', projects: { web: '/srv/web', api: '/srv/api' }, topics: { '-1001:42': 'web' } };
+    const targets = planTargets(state, '123');
+    deepStrictEqual(targets.get('/srv/web'), { chatId: -1001, threadId: 42 });
+    deepStrictEqual(targets.get('/srv/api'), { chatId: '123' });
+    strictEqual(targets.size, 2);
+});
+
+await test('[pstate] announcePendingPlans posts each project plan once', async () => {
+    testUpdateState(s => {
+        s.activeProject = '/srv/api';
+        s.projects = { web: '/srv/web', api: '/srv/api' };
+        s.topics = { '-1001:42': 'web' };
+        s.projectState = { '/srv/web': { backend: 'kilo', executionPlan: { status: 'pending_review', tasks: [{ id: 1, description: 'A', tier: 'mid' }] } } };
+    });
+    const ctx = { CHAT_ID, getState: testGetState, updateState: testUpdateState };
+    const announced = new Map();
+    await announcePendingPlans(mockBot, ctx, announced, ['pending_review']);
+    await announcePendingPlans(mockBot, ctx, announced, ['pending_review']);
+    strictEqual(receivedMessages.length, 1);
+    strictEqual(receivedMessages[0].chatId, -1001);
+    strictEqual(receivedMessages[0].options.message_thread_id, 42);
+    const plan = loadExecutionPlan(testGetState, '/srv/web');
+    strictEqual(plan.status, 'confirming');
+    strictEqual(plan.tasks[0].platform, 'kilo');
+});
+
+await test('[pstate] writeDispatch records the plan project', () => {
+    const plan = { tasks: [{ id: 1, description: 'A', platform: 'gemini', model: 'm', parallel: false, deps: [] }] };
+    writeDispatch(plan, atomicWrite, DISPATCH, { chatId: 1, project: '/srv/web' });
+    strictEqual(readJsonSafe(DISPATCH, {}).project, '/srv/web');
+});
+
+await test('[pstate] auto-load writes the plan into the project slice', () => {
+    const watcher = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    const pyStart = watcher.indexOf('import json, re, sys');
+    const pyEnd = watcher.indexOf('" "$TASKS_FILE"', pyStart);
+    const pyScript = watcher.substring(pyStart, pyEnd);
+    const mockTasks = resolve(TEST_DIR, 'antigravity_tasks.md');
+    const specRef = 'docs/specs/test_spec.md';
+    writeFileSync(mockTasks, `## To Do\n- [ ] [Feature] [Bot] Add thing [Ref: ${specRef}] [Difficulty: 3]\n`);
+    writeFileSync(STATE, JSON.stringify({ activeProject: '/srv/web', projectState: { '/srv/web': { backend: 'kilo' } } }, null, 2));
+    execSync(`python3 -c '${pyScript.replace(/'/g, "'\\''")}' '${mockTasks}' '${STATE}' '${specRef}' '/srv/web'`, { encoding: 'utf8', timeout: 5000 });
+    const state = testGetState();
+    strictEqual(state.executionPlan, undefined);
+    const plan = state.projectState['/srv/web'].executionPlan;
+    strictEqual(plan.status, 'pending_review');
+    strictEqual(plan.tasks[0].platform, 'kilo');
+});
+
+await test('[contract] watcher reads project settings through pstate helpers', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    ok(w.includes('pstate_get()') && w.includes('pstate_set()'));
+    ok(!/jq -r '\.(model|kiloSessionId|lastCommand) \/\/ empty' "\$STATE_FILE"/.test(w), 'no direct top-level reads');
+    ok(w.includes(`json_read "$DISPATCH_FILE" | jq -r '.project // empty'`), 'dispatch should run in the plan project');
+});
+
+await test('[contract] bot_v3.js migrates state.json on startup', () => {
+    ok(V3_SRC.includes('migrateStateFile()'));
+});
+
+// ---- Locks & Revisions (filelock.js + helpers.js updateJson) ----
+console.log('\n── filelock.js: Locks & Revisions ──');
+
+const HELPERS_URL = new URL('./helpers.js', import.meta.url).href;
+const JSON_LOCK_SH = resolve(PROJECT_ROOT, 'scripts', 'json_lock.sh');
+
+// Run writer scripts as separate processes at the same time
+function runConcurrently(commands) {
+    const script = commands.map(c => `( ${c} ) &`).join('\n') + '\nwait';
+    execSync(script, { shell: '/bin/bash', encoding: 'utf8', timeout: 60000, cwd: TEST_DIR });
+}
+function nodeWriter(body, env = '') {
+    const code = `const h = await import('${HELPERS_URL}'); ${body}`;
+    return `${env} node --input-type=module -e "${code.replace(/"/g, '\\"')}"`;
+}
+
+await test('[lock] acquireLock records the owner PID and release removes the lock', async () => {
+    const release = await acquireLock(STATE);
+    strictEqual(readFileSync(`${STATE}.lock/owner`, 'utf8'), String(process.pid));
+    release();
+    ok(!existsSync(`${STATE}.lock`));
+});
+
+await test('[lock] a held lock times out with LockTimeoutError', async () => {
+    const release = await acquireLock(STATE);
+    try {
+        await rejects(withFileLock(STATE, () => { }, { timeoutMs: 50 }), LockTimeoutError);
+    } finally {
+        release();
+    }
+});
+
+await test('[lock] a lock left by a dead process is broken', async () => {
+    const deadPid = execSync('sh -c \'echo $$\'', { encoding: 'utf8' }).trim();
+    mkdirSync(`${STATE}.lock`);
+    writeFileSync(`${STATE}.lock/owner`, deadPid);
+    const result = await withFileLock(STATE, () => 'ran', { timeoutMs: 200 });
+    strictEqual(result, 'ran');
+    ok(!existsSync(`${STATE}.lock`));
+});
+
+await test('[lock] breakStaleLock puts back a lock whose owner is alive', () => {
+    mkdirSync(`${STATE}.lock`);
+    writeFileSync(`${STATE}.lock/owner`, String(process.pid));
+    strictEqual(breakStaleLock(`${STATE}.lock`), false);
+    strictEqual(readFileSync(`${STATE}.lock/owner`, 'utf8'), String(process.pid));
+    deepStrictEqual(readdirSync(TEST_DIR).filter(f => f.includes('.stale.')), [], 'no tombstone left');
+});
+
+await test('[concurrency] writers racing to break a dead lock still take turns', () => {
+    const deadPid = execSync('sh -c \'echo $$\'', { encoding: 'utf8' }).trim();
+    mkdirSync(`${OUTBOX}.lock`);
+    writeFileSync(`${OUTBOX}.lock/owner`, deadPid);
+    const writes = 10;
+    const shWriter = `source '${JSON_LOCK_SH}'; for i in $(seq ${writes}); do ` +
+        `json_update '${OUTBOX}' '.messages = ((.messages // []) + [{id: $id}])' --arg id "sh_$$_$i" || exit 1; done`;
+    const body = `for (let i = 0; i < ${writes}; i++) {
+        await h.updateJson('${OUTBOX}', { messages: [] }, o => { o.messages.push({ id: 'js_' + process.pid + '_' + i }); });
+    }`;
+    runConcurrently([shWriter, nodeWriter(body), shWriter, nodeWriter(body), nodeWriter(body)]);
+
+    const outbox = readJsonSafe(OUTBOX, {});
+    strictEqual(outbox.messages.length, 50, 'every writer got the lock to itself');
+    strictEqual(outbox._rev, 50);
+    ok(!existsSync(`${OUTBOX}.lock`), 'no lock left behind');
+    deepStrictEqual(readdirSync(TEST_DIR).filter(f => f.includes('.stale.')), [], 'no tombstone left');
+});
+
+await test('[rev] updateJson starts from the fallback and bumps _rev', async () => {
+    const fallback = { messages: [] };
+    await updateJson(OUTBOX, fallback, d => d.messages.push('a'));
+    const doc = await updateJson(OUTBOX, fallback, d => d.messages.push('b'));
+    deepStrictEqual(doc.messages, ['a', 'b']);
+    strictEqual(readJsonSafe(OUTBOX, {})._rev, 2);
+    deepStrictEqual(fallback.messages, [], 'fallback must not be mutated');
+});
+
+await test('[rev] writeJson rejects a document read at an older revision', async () => {
+    await updateJson(STATE, {}, s => { s.model = 'a'; });
+    const stale = readJsonSafe(STATE, {});
+    await updateJson(STATE, {}, s => { s.model = 'b'; });
+    stale.model = 'c';
+    let err;
+    try { await writeJson(STATE, stale); } catch (e) { err = e; }
+    ok(err instanceof StaleRevisionError, 'should reject stale write');
+    strictEqual(err.expected, 1);
+    strictEqual(err.actual, 2);
+    strictEqual(readJsonSafe(STATE, {}).model, 'b', 'file untouched');
+    const fresh = readJsonSafe(STATE, {});
+    fresh.model = 'c';
+    strictEqual((await writeJson(STATE, fresh))._rev, 3);
+});
+
+await test('[rev] updateJson retries on top of a write that skipped the lock', async () => {
+    await updateJson(STATE, {}, s => { s.count = 0; });
+    let calls = 0;
+    const doc = await updateJson(STATE, {}, s => {
+        calls++;
+        if (calls === 1) atomicWrite(STATE, { count: 10, _rev: 7 }); // lockless writer
+        s.count++;
+    });
+    strictEqual(calls, 2);
+    strictEqual(doc.count, 11);
+    strictEqual(doc._rev, 8);
+});
+
+await test('[rev] updateJson rejects once retries are exhausted', async () => {
+    let rev = 0;
+    let err;
+    try {
+        await updateJson(STATE, {}, () => { atomicWrite(STATE, { _rev: ++rev + 100 }); }, { retries: 2 });
+    } catch (e) { err = e; }
+    ok(err instanceof StaleRevisionError);
+    strictEqual(rev, 3, 'one attempt plus two retries');
+    ok(!existsSync(`${STATE}.lock`), 'lock released after failure');
+});
+
+await test('[rev] replaceJson continues the revision and removeJson deletes', async () => {
+    await updateJson(DISPATCH, {}, d => { d.status = 'running'; });
+    strictEqual((await replaceJson(DISPATCH, { status: 'pending' }))._rev, 2);
+    await removeJson(DISPATCH);
+    ok(!existsSync(DISPATCH));
+    await removeJson(DISPATCH); // already gone is fine
+});
+
+await test('[concurrency] parallel bot processes lose no state, inbox, outbox or dispatch writes', () => {
+    const central = resolve(TEST_DIR, '.gemini');
+    const writes = 25;
+    const body = `for (let i = 0; i < ${writes}; i++) {
+        await h.updateState(s => { s.counter = (s.counter || 0) + 1; });
+        await h.writeToInbox('w' + process.pid + '-' + i);
+        await h.updateJson(h.OUTBOX, { messages: [] }, o => { o.messages.push({ id: process.pid + '-' + i }); });
+        await h.updateJson(h.DISPATCH_FILE, {}, d => { d.done = (d.done || 0) + 1; });
+    }`;
+    runConcurrently(Array.from({ length: 4 }, () => nodeWriter(body, `GEMINI_PROJECT_DIR='${TEST_DIR}'`)));
+
+    const state = readJsonSafe(resolve(central, 'state.json'), {});
+    strictEqual(state.counter, 100);
+    strictEqual(state._rev, 100);
+    const inbox = readJsonSafe(resolve(central, 'wa_inbox.json'), {});
+    strictEqual(inbox.messages.length, 100);
+    strictEqual(new Set(inbox.messages.map(m => m.id)).size, 100, 'inbox ids must be unique');
+    strictEqual(readJsonSafe(resolve(central, 'wa_outbox.json'), {}).messages.length, 100);
+    strictEqual(readJsonSafe(resolve(central, 'wa_dispatch.json'), {}).done, 100);
+    ok(!existsSync(resolve(central, 'state.json.lock')), 'no lock left behind');
+});
+
+await test('[concurrency] watcher json_update and bot updateJson interleave safely', () => {
+    const writes = 25;
+    const shWriter = `source '${JSON_LOCK_SH}'; for i in $(seq ${writes}); do ` +
+        `json_update '${OUTBOX}' '.messages = ((.messages // []) + [{id: $id}])' --arg id "sh_$$_$i" || exit 1; done`;
+    const body = `for (let i = 0; i < ${writes}; i++) {
+        await h.updateJson('${OUTBOX}', { messages: [] }, o => { o.messages.push({ id: 'js_' + process.pid + '_' + i }); });
+    }`;
+    runConcurrently([shWriter, nodeWriter(body), shWriter, nodeWriter(body)]);
+
+    const outbox = readJsonSafe(OUTBOX, {});
+    strictEqual(outbox.messages.length, 100);
+    strictEqual(outbox._rev, 100);
+    strictEqual(outbox.messages.filter(m => m.id.startsWith('sh_')).length, 50);
+    ok(!existsSync(`${OUTBOX}.lock`), 'no lock left behind');
+});
+
+await test('[lock] json_lock breaks a stale lock and json_update starts missing files at {}', () => {
+    mkdirSync(`${STATE}.lock`);
+    writeFileSync(`${STATE}.lock/owner`, execSync('sh -c \'echo $$\'', { encoding: 'utf8' }).trim());
+    execSync(`bash -c "source '${JSON_LOCK_SH}'; json_update '${STATE}' '.model = \\"x\\"'"`, { encoding: 'utf8', timeout: 10000, stdio: 'pipe' });
+    deepStrictEqual(readJsonSafe(STATE, {}), { model: 'x', _rev: 1 });
+    ok(!existsSync(`${STATE}.lock`));
+
+    // An owner-less lock is stale after the same time on both sides
+    const shellStaleSecs = Number(readFileSync(JSON_LOCK_SH, 'utf8').match(/^JSON_LOCK_STALE_SECS=(\d+)/m)[1]);
+    strictEqual(shellStaleSecs * 1000, STALE_LOCK_MS);
+    const lockWithAge = secs => {
+        mkdirSync(`${STATE}.lock`);
+        const at = (Date.now() - secs * 1000) / 1000;
+        utimesSync(`${STATE}.lock`, at, at);
+    };
+    const update = () => execSync(`bash -c "source '${JSON_LOCK_SH}'; JSON_LOCK_TIMEOUT_SECS=1 json_update '${STATE}' '.model = \\"y\\"'"`,
+        { encoding: 'utf8', timeout: 10000, stdio: 'pipe' });
+    lockWithAge(shellStaleSecs - 5);
+    throws(update, 'a younger owner-less lock is waited on');
+    rmSync(`${STATE}.lock`, { recursive: true });
+    lockWithAge(shellStaleSecs + 5);
+    update();
+    strictEqual(readJsonSafe(STATE, {}).model, 'y');
+});
+
+await test('[contract] shell writers use json_lock.sh instead of unlocked jq > tmp && mv', () => {
+    const scripts = ['watcher.sh', 'watchdog.sh', 'hooks/before_agent_wa.sh', 'hooks/after_agent_wa.sh'];
+    for (const name of scripts) {
+        const src = readFileSync(resolve(PROJECT_ROOT, 'scripts', name), 'utf8');
+        ok(src.includes('json_lock.sh'), `${name} should source json_lock.sh`);
+        ok(!/\.tmp" && mv/.test(src), `${name} should not write shared JSON unlocked`);
+        ok(!src.includes("wa_outbox.json', 'w'"), `${name} should not rewrite the outbox from python`);
+    }
+});
+
+// ---- Storage backends (storage/*.js, migrate_storage.js) ----
+console.log('\n── storage: JSON & SQLite Backends ──');
+
+const HAS_SQLITE = (() => {
+    try { createRequire(import.meta.url)('better-sqlite3'); return true; } catch { return false; }
+})();
+const NO_SQLITE = 'better-sqlite3 not installed';
+const sqliteTest = (name, fn) => testIf(HAS_SQLITE, NO_SQLITE, name, fn);
+
+const SAMPLE_STATE = {
+    activeProject: '/srv/web',
+    projects: { web: '/srv/web' },
+    projectState: {
+        '/srv/web': {
+            backend: 'kilo', model: 'm1', kiloSessionId: 'ses_1', kiloSessionStartedAt: '2026-01-01T00:00:00Z',
+            executionPlan: { status: 'executing', tasks: [{ id: 1, description: 'a', taskStatus: 'done' }, { id: 2, description: 'b' }] }
+        },
+        '/srv/api': { backend: 'gemini' }
+    },
+    _rev: 4
+};
+const SAMPLE_INBOX = {
+    messages: [
+        { id: 'm1', timestamp: '2026-01-01T00:00:00Z', text: 'old', read: true, chatId: -100, threadId: 7 },
+        { id: 'm2', timestamp: '2026-01-02T00:00:00Z', text: 'new', read: false, chatId: -100, threadId: 7, project: '/srv/web' },
+        { id: 'm3', timestamp: '2026-01-03T00:00:00Z', text: 'home', read: false }
+    ],
+    _rev: 3
+};
+
+function withStorage(kind, fn) {
+    const storage = openStorage(kind, TEST_DIR);
+    try { return fn(storage); } finally { storage.close(); }
+}
+
+await test('[storage] unknown backends are rejected', () => {
+    let err;
+    try { openStorage('redis', TEST_DIR); } catch (e) { err = e; }
+    ok(err && err.message.includes('redis'));
+});
+
+await test('[storage] json backend is the plain files', () => withStorage('json', store => {
+    store.write(INBOX, SAMPLE_INBOX);
+    deepStrictEqual(JSON.parse(readFileSync(INBOX, 'utf8')), SAMPLE_INBOX);
+    ok(store.exists(INBOX));
+    store.remove(INBOX);
+    ok(!store.exists(INBOX));
+    strictEqual(store.read(INBOX, 'fallback'), 'fallback');
+}));
+
+for (const kind of ['json', 'sqlite']) {
+    await testIf(kind === 'json' || HAS_SQLITE, NO_SQLITE, `[storage] ${kind}: message, task and session queries`, () => withStorage(kind, store => {
+        store.write(INBOX, SAMPLE_INBOX);
+        store.write(STATE, SAMPLE_STATE);
+        const ids = q => store.queryMessages({ box: 'inbox', ...q }).map(r => r.id);
+        deepStrictEqual(ids({}), ['m1', 'm2', 'm3']);
+        deepStrictEqual(ids({ pending: true }), ['m2', 'm3']);
+        deepStrictEqual(ids({ pending: false }), ['m1']);
+        deepStrictEqual(ids({ chatId: -100, threadId: 7 }), ['m1', 'm2']);
+        deepStrictEqual(ids({ project: '/srv/web' }), ['m2']);
+        deepStrictEqual(ids({ since: '2026-01-02T00:00:00Z' }), ['m2', 'm3']);
+        deepStrictEqual(ids({ limit: 2 }), ['m2', 'm3']);
+        strictEqual(store.queryMessages({ box: 'inbox', pending: true })[0].message.text, 'new');
+        deepStrictEqual(store.queryMessages({ box: 'outbox' }), []);
+
+        deepStrictEqual(store.queryTasks({ status: 'pending' }).map(t => [t.project, t.taskId]), [['/srv/web', '2']]);
+        strictEqual(store.queryTasks({ project: '/srv/web' }).length, 2);
+        deepStrictEqual(store.querySessions({ backend: 'kilo' }).map(s => [s.project, s.sessionId]), [['/srv/web', 'ses_1']]);
+        strictEqual(store.querySessions().length, 2);
+
+        const dupes = [{ id: 1, description: 'a' }, { id: 1, description: 'again', taskStatus: 'done' }];
+        store.write(STATE, { projectState: { '/srv/web': { executionPlan: { tasks: dupes } } } });
+        deepStrictEqual(store.queryTasks().map(t => t.description), ['a', 'again'], 'duplicate ids are kept');
+    }));
+}
+
+for (const kind of ['json', 'sqlite']) {
+    await testIf(kind === 'json' || HAS_SQLITE, NO_SQLITE, `[storage] ${kind}: /status counts through the storage queries`, async () => {
+        const store = openStorage(kind, TEST_DIR);
+        try {
+            store.write(INBOX, SAMPLE_INBOX);
+            store.write(OUTBOX, { messages: [{ id: 'o1', sent: true }, { id: 'o2', sent: false }] });
+            store.write(STATE, SAMPLE_STATE);
+            const queried = [];
+            const spy = Object.fromEntries(['queryMessages', 'queryTasks', 'querySessions']
+                .map(name => [name, q => { queried.push(name); return store[name](q); }]));
+            const commands = [];
+            (await import('./commands/general.js')).register(mockBot, {
+                getState: () => SAMPLE_STATE, getProjectState: p => projectSlice(SAMPLE_STATE, p), getStorage: () => spy,
+                formatUptime, CENTRAL_DIR: TEST_DIR, BOT_START_TIME: Date.now(),
+                registerCommand: (pattern, handler) => commands.push({ pattern, handler }),
+                reply: (msg, text) => mockBot.sendMessage(msg.chat.id, text)
+            });
+            await commands.find(c => c.pattern.test('/status')).handler({ chat: { id: 1 } });
+            const text = receivedMessages.at(-1).text;
+            for (const line of ['📥 Inbox: 3 total, 2 unread', '📤 Outbox: 2 total, 1 unsent', '🧵 Kilo session: ses_1', 'Tasks: 1 done, 1 pending']) {
+                ok(text.includes(line), `${line} in:\n${text}`);
+            }
+            deepStrictEqual([...new Set(queried)].sort(), ['queryMessages', 'querySessions', 'queryTasks']);
+        } finally {
+            store.close();
+        }
+    });
+}
+
+await sqliteTest('[storage] sqlite writes only the message rows that changed', () => {
+    withStorage('sqlite', store => store.write(INBOX, SAMPLE_INBOX));
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    const db = new Database(resolve(TEST_DIR, DB_FILENAME));
+    db.exec(`CREATE TABLE written (seq INTEGER);
+        CREATE TRIGGER on_insert AFTER INSERT ON messages BEGIN INSERT INTO written VALUES (new.seq); END;
+        CREATE TRIGGER on_update AFTER UPDATE ON messages BEGIN INSERT INTO written VALUES (new.seq); END;
+        CREATE TRIGGER on_delete AFTER DELETE ON messages BEGIN INSERT INTO written VALUES (-1 - old.seq); END;`);
+    const written = () => db.prepare('SELECT seq FROM written ORDER BY rowid').all().map(r => r.seq);
+    try {
+        const messages = SAMPLE_INBOX.messages.map(m => m.id === 'm2' ? { ...m, read: true } : m);
+        const reply = { id: 'm4', timestamp: '2026-01-04T00:00:00Z', text: 'next', read: false };
+        withStorage('sqlite', store => store.write(INBOX, { ...SAMPLE_INBOX, messages: [...messages, reply] }));
+        deepStrictEqual(written(), [1, 3], 'the read flag and the appended message only');
+        withStorage('sqlite', store => {
+            store.write(INBOX, { messages: [reply] });
+            deepStrictEqual(store.read(INBOX, null).messages, [reply]);
+            deepStrictEqual(store.queryMessages({ box: 'inbox' }).map(r => [r.seq, r.id]), [[0, 'm4']]);
+        });
+        deepStrictEqual(written().slice(2), [0, -2, -3, -4], 'compaction moves the rest up and drops the tail');
+    } finally {
+        db.close();
+    }
+});
+
+await sqliteTest('[storage] sqlite rebuilds a version 1 task index, which collapsed duplicate ids', () => {
+    const Database = createRequire(import.meta.url)('better-sqlite3');
+    const tasks = [{ id: 1, description: 'a' }, { id: 1, description: 'again' }];
+    const db = new Database(resolve(TEST_DIR, DB_FILENAME));
+    db.exec(`CREATE TABLE documents (name TEXT PRIMARY KEY, body TEXT NOT NULL, updated_at TEXT NOT NULL);
+        CREATE TABLE tasks (project TEXT NOT NULL, task_id TEXT NOT NULL, description TEXT, status TEXT NOT NULL,
+            platform TEXT, body TEXT NOT NULL, PRIMARY KEY (project, task_id));
+        INSERT INTO tasks VALUES ('/srv/web', '1', 'again', 'pending', NULL, '{}');`);
+    db.prepare('INSERT INTO documents VALUES (?, ?, ?)').run('state', JSON.stringify({ projectState: { '/srv/web': { executionPlan: { tasks } } } }), '');
+    db.pragma('user_version = 1');
+    db.close();
+    withStorage('sqlite', store => {
+        deepStrictEqual(store.queryTasks().map(t => t.description), ['a', 'again']);
+    });
+});
+
+await sqliteTest('[storage] sqlite round-trips every shared document', () => withStorage('sqlite', store => {
+    const dispatch = { status: 'approved', tasks: [{ id: 1, taskStatus: 'running' }], _rev: 2 };
+    const outbox = { messages: [{ id: 'o1', text: 'hi', sent: false, chatId: 5, reply_markup: { inline_keyboard: [] } }], _rev: 1 };
+    for (const [file, doc] of [[STATE, SAMPLE_STATE], [INBOX, SAMPLE_INBOX], [OUTBOX, outbox], [DISPATCH, dispatch]]) {
+        store.write(file, doc);
+        ok(sameDocument(store.read(file, null), doc), `${file} should round-trip`);
+        ok(!existsSync(file), 'shared documents do not touch the JSON files');
+    }
+    ok(existsSync(resolve(TEST_DIR, DB_FILENAME)));
+    store.remove(DISPATCH);
+    ok(!store.exists(DISPATCH));
+    strictEqual(store.read(DISPATCH, null), null);
+}));
+
+await sqliteTest('[storage] sqlite keeps other paths as plain files', () => withStorage('sqlite', store => {
+    const other = resolve(TEST_DIR, 'history', 'state.json');
+    store.write(other, { a: 1 });
+    deepStrictEqual(JSON.parse(readFileSync(other, 'utf8')), { a: 1 });
+    deepStrictEqual(store.read(other, null), { a: 1 });
+}));
+
+await sqliteTest('[storage] migrateStorage json → sqlite → json preserves documents', async () => {
+    writeFileSync(STATE, JSON.stringify(SAMPLE_STATE));
+    writeFileSync(INBOX, JSON.stringify(SAMPLE_INBOX));
+
+    const dry = await migrateStorage({ to: 'sqlite', dir: TEST_DIR, dryRun: true });
+    deepStrictEqual(dry.migrated, [{ file: 'state.json' }, { file: 'wa_inbox.json', messages: 3 }]);
+    ok(existsSync(STATE) && !existsSync(resolve(TEST_DIR, DB_FILENAME)), 'dry run changes nothing');
+
+    await migrateStorage({ to: 'sqlite', dir: TEST_DIR });
+    ok(!existsSync(STATE) && existsSync(`${STATE}.migrated`), 'JSON sources set aside');
+    withStorage('sqlite', store => ok(sameDocument(store.read(INBOX, null), SAMPLE_INBOX)));
+
+    const back = await migrateStorage({ to: 'json', dir: TEST_DIR });
+    strictEqual(back.from, 'sqlite');
+    ok(sameDocument(JSON.parse(readFileSync(STATE, 'utf8')), SAMPLE_STATE));
+    ok(sameDocument(JSON.parse(readFileSync(INBOX, 'utf8')), SAMPLE_INBOX));
+    ok(existsSync(resolve(TEST_DIR, `${DB_FILENAME}.migrated`)), 'database set aside');
+});
+
+await test('[storage] migrateStorage refuses while an agent session is running', async () => {
+    writeFileSync(LOCK, '12345');
+    let err;
+    try { await migrateStorage({ to: 'sqlite', dir: TEST_DIR }); } catch (e) { err = e; }
+    ok(err && err.message.includes('wa_session.lock'));
+});
+
+await sqliteTest('[storage] sqlite: parallel bot processes lose no writes', () => {
+    const writes = 20;
+    const body = `for (let i = 0; i < ${writes}; i++) {
+        await h.updateState(s => { s.counter = (s.counter || 0) + 1; });
+        await h.writeToInbox('w' + process.pid + '-' + i);
+    }`;
+    runConcurrently(Array.from({ length: 3 }, () => nodeWriter(body, `WA_STORAGE=sqlite GEMINI_PROJECT_DIR='${TEST_DIR}'`)));
+    const central = resolve(TEST_DIR, '.gemini');
+    const store = openStorage('sqlite', central);
+    try {
+        strictEqual(store.read(resolve(central, 'state.json'), {}).counter, 60);
+        strictEqual(store.queryMessages({ box: 'inbox', pending: true }).length, 60);
+        ok(!existsSync(resolve(central, 'state.json')), 'no JSON file written');
+    } finally {
+        store.close();
+    }
+});
+
+await sqliteTest('[storage] sqlite: watcher json_update and json_read go through store_cli', () => {
+    const sh = (cmd) => execSync(`bash -c "source '${JSON_LOCK_SH}'; ${cmd.replace(/"/g, '\\"')}"`,
+        { encoding: 'utf8', timeout: 30000, env: { ...process.env, WA_STORAGE: 'sqlite' } });
+    withStorage('sqlite', store => store.write(INBOX, SAMPLE_INBOX));
+    sh(`json_update '${INBOX}' '.messages[] |= (.read = true)'`);
+    withStorage('sqlite', store => {
+        strictEqual(store.queryMessages({ box: 'inbox', pending: true }).length, 0);
+        strictEqual(store.read(INBOX, {})._rev, 4);
+    });
+    strictEqual(sh(`json_read '${INBOX}' | jq -r '.messages[0].id'`).trim(), 'm1');
+    strictEqual(sh(`json_exists '${DISPATCH}' && echo yes || echo no`).trim(), 'no');
+    ok(!existsSync(INBOX), 'no JSON file written');
+});
+
+await test('[contract] shell scripts read shared documents through json_read', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    ok(!/\bjq [^|&\n]*"\$(INBOX|STATE_FILE|DISPATCH_FILE|OUTBOX)"/.test(w), 'no jq on shared paths');
+    ok(!/\[ -f "\$(INBOX|STATE_FILE|DISPATCH_FILE)" \]/.test(w), 'no file-existence checks on shared paths');
+    ok(w.includes('json_checkout "$STATE_FILE"'), 'python plan loader works on a checked-out copy');
+    for (const name of ['watchdog.sh', 'hooks/before_agent_wa.sh', 'hooks/after_agent_wa.sh']) {
+        const src = readFileSync(resolve(PROJECT_ROOT, 'scripts', name), 'utf8');
+        ok(src.includes('json_read'), `${name} should use json_read`);
+        ok(!src.includes("open('$GEMINI_DIR/state.json')"), `${name} should not open state.json directly`);
+    }
+});
+
+// ---- Retention & archives (retention.js, commands/history.js) ----
+console.log('\n── retention.js: Compaction & /history ──');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-20T12:00:00Z');
+const daysAgo = d => new Date(NOW - d * DAY).toISOString();
+const ARCHIVE_DIR = resolve(TEST_DIR, 'archive');
+const retentionCtx = () => ({ CENTRAL_DIR: TEST_DIR, INBOX, OUTBOX, readJsonSafe, updateJson });
+
+await test('[retention] loadRetention defaults and validation', () => {
+    deepStrictEqual(loadRetention({}), { keepMessages: 200, keepDays: 7, compactMinutes: 60 });
+    deepStrictEqual(loadRetention({ RETENTION_KEEP_MESSAGES: '5', RETENTION_KEEP_DAYS: '0', RETENTION_COMPACT_MINUTES: '10' }),
+        { keepMessages: 5, keepDays: 0, compactMinutes: 10 });
+    let err;
+    try { loadRetention({ RETENTION_KEEP_DAYS: 'week' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('RETENTION_KEEP_DAYS'));
+});
+
+await test('[retention] keeps the newest N or last X days, never pending messages', () => {
+    const msgs = [
+        { id: 'a', read: true, timestamp: daysAgo(30) },
+        { id: 'b', read: false, timestamp: daysAgo(20) },
+        { id: 'c', read: true, timestamp: daysAgo(10) },
+        { id: 'd', read: true, timestamp: daysAgo(9) },
+        { id: 'e', read: true, timestamp: daysAgo(1) }
+    ];
+    const ids = list => list.map(m => m.id);
+    let r = splitForArchive(msgs, 'inbox', { keepMessages: 1, keepDays: 0 }, NOW);
+    deepStrictEqual(ids(r.keep), ['b', 'e']);
+    deepStrictEqual(ids(r.archive), ['a', 'c', 'd']);
+    r = splitForArchive(msgs, 'inbox', { keepMessages: 2, keepDays: 0 }, NOW);
+    deepStrictEqual(ids(r.keep), ['b', 'd', 'e']);
+    r = splitForArchive(msgs, 'inbox', { keepMessages: 0, keepDays: 15 }, NOW);
+    deepStrictEqual(ids(r.keep), ['b', 'c', 'd', 'e']);
+    r = splitForArchive(msgs, 'inbox', { keepMessages: 1, keepDays: 15 }, NOW);
+    deepStrictEqual(ids(r.archive), ['a'], 'either rule keeps a message');
+    r = splitForArchive([{ id: 'o', sent: false }, { id: 'p', sent: true }], 'outbox', { keepMessages: 0, keepDays: 0 }, NOW);
+    deepStrictEqual(ids(r.keep), ['o']);
+});
+
+await test('[retention] compaction moves old messages into dated archive files', async () => {
+    writeFileSync(INBOX, JSON.stringify({ messages: [
+        { id: 'i1', read: true, text: 'old question', timestamp: '2026-03-01T08:00:00Z' },
+        { id: 'i2', read: false, text: 'pending', timestamp: '2026-03-01T09:00:00Z' },
+        { id: 'i3', read: true, text: 'fresh', timestamp: daysAgo(1) }
+    ], _rev: 5 }));
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'o1', sent: true, text: 'old answer', timestamp: '2026-03-01T08:05:00Z' },
+        { id: 'o2', sent: true, text: 'older answer', timestamp: '2026-02-27T23:59:00Z' }
+    ] }));
+    const counts = await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 7 }, NOW);
+    deepStrictEqual(counts, { inbox: 1, outbox: 2 });
+
+    const inbox = readJsonSafe(INBOX, {});
+    deepStrictEqual(inbox.messages.map(m => m.id), ['i2', 'i3']);
+    strictEqual(inbox._rev, 6, 'compaction is a revisioned write');
+    strictEqual(readJsonSafe(OUTBOX, {}).messages.length, 0);
+    deepStrictEqual(listArchives(ARCHIVE_DIR).map(a => `${a.box}-${a.date}`),
+        ['inbox-2026-03-01', 'outbox-2026-03-01', 'outbox-2026-02-27']);
+    const line = readFileSync(resolve(ARCHIVE_DIR, 'inbox-2026-03-01.jsonl'), 'utf8').trim();
+    strictEqual(JSON.parse(line).text, 'old question');
+
+    deepStrictEqual(await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 7 }, NOW), { inbox: 0, outbox: 0 });
+    strictEqual(readJsonSafe(INBOX, {})._rev, 6, 'nothing to archive → no write');
+});
+
+await test('[retention] readArchivePage merges boxes newest first and pages', async () => {
+    const msgs = Array.from({ length: 25 }, (_, i) => ({
+        id: `m${i}`, text: `t${i}`, read: true, sent: true,
+        timestamp: new Date(Date.parse('2026-03-01T00:00:00Z') + i * 3600 * 1000).toISOString()
+    }));
+    writeFileSync(INBOX, JSON.stringify({ messages: msgs.filter((_, i) => i % 2 === 0) }));
+    writeFileSync(OUTBOX, JSON.stringify({ messages: msgs.filter((_, i) => i % 2 === 1) }));
+    await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 0 }, NOW);
+
+    const first = readArchivePage(ARCHIVE_DIR, { pageSize: 10 });
+    strictEqual(first.total, 25);
+    strictEqual(first.pages, 3);
+    deepStrictEqual(first.entries.slice(0, 2).map(e => [e.box, e.message.id]), [['inbox', 'm24'], ['outbox', 'm23']]);
+    const last = readArchivePage(ARCHIVE_DIR, { page: 99, pageSize: 10 });
+    strictEqual(last.page, 3, 'page is clamped');
+    strictEqual(last.entries.length, 5);
+    strictEqual(readArchivePage(ARCHIVE_DIR, { box: 'outbox' }).total, 12);
+});
+
+await test('[retention] readArchivePage stops reading once the page is filled', async () => {
+    const msgs = Array.from({ length: 30 }, (_, i) => ({ id: `m${i}`, sent: true, text: `t${i}`, timestamp: daysAgo(40 - i) }));
+    writeFileSync(OUTBOX, JSON.stringify({ messages: msgs }));
+    await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 0 }, NOW);
+    writeFileSync(listArchives(ARCHIVE_DIR).at(-1).file, '{ not json at all\n');
+
+    const first = readArchivePage(ARCHIVE_DIR, { pageSize: 10 });
+    deepStrictEqual(first.entries.map(e => e.message.id), msgs.slice(20).reverse().map(m => m.id));
+    strictEqual(first.more, true);
+    strictEqual(first.total, undefined, 'the older days were not read');
+    const last = readArchivePage(ARCHIVE_DIR, { page: 3, pageSize: 10 });
+    deepStrictEqual([last.entries.length, last.more, last.total, last.pages], [9, false, 29, 3], 'the torn oldest day only shows up at the end');
+});
+
+await test('[history] /history pages through archives with pager buttons', async () => {
+    const msgs = Array.from({ length: 12 }, (_, i) => ({ id: `o${i}`, sent: true, text: `answer ${i}`, timestamp: daysAgo(20 - i) }));
+    writeFileSync(OUTBOX, JSON.stringify({ messages: msgs }));
+    await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 0 }, NOW);
+
+    const commands = [];
+    const callbacks = {};
+    const edits = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edits.push({ text, opts }); } };
+    registerHistory(bot, {
+        ...retentionCtx(), MAX_MSG_LEN: 4096, CHAT_ID: 1,
+        registerCommand: (pattern, handler, opts) => commands.push({ pattern, handler, opts }),
+        onCallback: (prefix, handler, opts) => { callbacks[prefix] = { handler, opts }; },
+        reply: (msg, text, opts) => mockBot.sendMessage(msg.chat.id, text, opts)
+    });
+    const [history] = commands;
+    strictEqual(history.opts.role, 'operator');
+    ok(history.pattern.test('/history outbox 2'));
+    const spec = { name: 'history', ...history.opts };
+    deepStrictEqual(parseArgs('/history 2', spec).args, { page: 2 }, 'box is optional before the page');
+    throws(() => parseArgs('/history everything', spec), /must be a whole number/);
+
+    const msg = { chat: { id: 1 } };
+    await history.handler(msg, parseArgs('/history outbox', spec));
+    const sent = receivedMessages[0];
+    ok(sent.text.includes('— page 1\n'), 'the total is not counted before the last page');
+    ok(sent.text.includes('answer 11') && !sent.text.includes('answer 1\n'), 'newest first');
+    deepStrictEqual(sent.options.reply_markup.inline_keyboard[0].map(b => b.callback_data), ['hist:outbox:2']);
+
+    await callbacks['hist:'].handler({ id: 'q', data: 'hist:outbox:2', message: { chat: { id: 1 }, message_id: 9 } });
+    ok(edits[0].text.includes('page 2/2, 12 messages'));
+    deepStrictEqual(edits[0].opts.reply_markup.inline_keyboard[0].map(b => b.text), ['◀️ Newer']);
+    strictEqual(renderHistoryPage(resolve(TEST_DIR, 'none'), undefined, 1).text, '🗄️ No archived messages (inbox + outbox) yet.');
+});
+
+await test('[history] /history and its pager only show the caller\'s chat or topic', async () => {
+    writeFileSync(INBOX, JSON.stringify({ messages: [
+        { id: 'home', read: true, text: 'home question', timestamp: daysAgo(3) },
+        { id: 'group', read: true, text: 'group question', chatId: -100, timestamp: daysAgo(3) },
+        { id: 'topic', read: true, text: 'topic question', chatId: -100, threadId: 7, timestamp: daysAgo(3) }
+    ] }));
+    writeFileSync(OUTBOX, JSON.stringify({ messages: Array.from({ length: 12 }, (_, i) =>
+        ({ id: `t${i}`, sent: true, text: `topic answer ${i}`, chatId: -100, threadId: 7, timestamp: daysAgo(20 - i) })) }));
+    await compactMessages(retentionCtx(), { keepMessages: 0, keepDays: 0 }, NOW);
+
+    const commands = [];
+    const callbacks = {};
+    const edits = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edits.push({ text, opts }); } };
+    registerHistory(bot, {
+        ...retentionCtx(), MAX_MSG_LEN: 4096, CHAT_ID: 1,
+        registerCommand: (pattern, handler, opts) => commands.push({ pattern, handler, opts }),
+        onCallback: (prefix, handler) => { callbacks[prefix] = handler; },
+        reply: (msg, text, opts) => mockBot.sendMessage(msg.chat.id, text, opts)
+    });
+    const [history] = commands;
+    const spec = { name: 'history', ...history.opts };
+    const ask = async (chat) => {
+        await history.handler(chat, parseArgs('/history', spec));
+        return receivedMessages.at(-1).text;
+    };
+    const home = await ask({ chat: { id: 1 } });
+    ok(home.includes('home question') && !home.includes('group') && !home.includes('topic'), 'entries without a chatId are the home chat\'s');
+    const group = await ask({ chat: { id: -100 } });
+    ok(group.includes('group question') && !group.includes('topic'), 'the group outside the topic');
+    const topic = { chat: { id: -100 }, is_topic_message: true, message_thread_id: 7 };
+    ok(!(await ask(topic)).includes('group question'));
+    strictEqual(receivedMessages.at(-1).options.reply_markup.inline_keyboard[0][0].callback_data, 'hist:all:2');
+
+    await callbacks['hist:']({ id: 'q', data: 'hist:all:2', message: { ...topic, message_id: 9 } });
+    ok(edits[0].text.includes('page 2/2, 13 messages'), edits[0].text);
+    await callbacks['hist:']({ id: 'q', data: 'hist:all:2', message: { chat: { id: 5 }, message_id: 9 } });
+    strictEqual(edits[1].text, '🗄️ No archived messages (inbox + outbox) yet.', 'another chat pressing the pager sees nothing of it');
+});
+
+await test('[contract] bot_v3.js starts compaction', () => {
+    ok(V3_SRC.includes('startCompaction(ctx)'));
+});
+
+// ---- Outbox delivery (delivery.js, outbox.js) ----
+console.log('\n── delivery.js: Retries & Dead Letters ──');
+
+// node-telegram-bot-api rejects with the Bot API answer in response.body
+function tgError(code, parameters, description = `Error ${code}`) {
+    const err = new Error(`ETELEGRAM: ${code}`);
+    err.response = { body: { ok: false, error_code: code, description, ...(parameters ? { parameters } : {}) } };
+    return err;
+}
+const deliveryCtx = () => ({
+    CHAT_ID, OUTBOX, CENTRAL_DIR: TEST_DIR, MAX_MSG_LEN: 4096, readJsonSafe, updateJson,
+    getStorage: () => openStorage('json', TEST_DIR)
+});
+const outboxIds = () => readJsonSafe(OUTBOX, { messages: [] }).messages.map(m => m.id);
+
+await test('[delivery] classifyError: 429 waits, 400/403/404 are permanent, others retry', () => {
+    deepStrictEqual(classifyError(tgError(429, { retry_after: 30 })), { permanent: false, retryAfterMs: 30000, reason: 'Error 429' });
+    strictEqual(classifyError(tgError(403)).permanent, true);
+    strictEqual(classifyError(tgError(400)).permanent, true);
+    strictEqual(classifyError(tgError(502)).permanent, false);
+    strictEqual(classifyError(new Error('ECONNRESET')).permanent, false, 'network errors retry');
+    strictEqual(classifyError(new DocumentMissingError('/x.pdf')).permanent, true);
+});
+
+await test('[delivery] recordFailure backs off exponentially until MAX_ATTEMPTS', () => {
+    const now = Date.parse('2026-03-20T12:00:00Z');
+    const msg = { id: 'm' };
+    strictEqual(recordFailure(msg, tgError(500), now).dead, false);
+    strictEqual(msg.delivery.nextAttemptAt, '2026-03-20T12:00:05.000Z');
+    recordFailure(msg, tgError(500), now);
+    strictEqual(msg.delivery.nextAttemptAt, '2026-03-20T12:00:10.000Z');
+    ok(!isDue(msg, now) && isDue(msg, now + 10000));
+
+    recordFailure(msg, tgError(429, { retry_after: 3 }), now);
+    strictEqual(msg.delivery.attempts, 2, '429 does not use up an attempt');
+    strictEqual(msg.delivery.nextAttemptAt, '2026-03-20T12:00:03.000Z');
+
+    let dead = false;
+    while (!dead) dead = recordFailure(msg, tgError(500), now).dead;
+    strictEqual(msg.delivery.attempts, MAX_ATTEMPTS);
+    strictEqual(msg.delivery.nextAttemptAt, null);
+});
+
+await test('[outbox] failed send is retried later and holds back its chat only', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'a1', text: 'first', sent: false },
+        { id: 'a2', text: 'second', sent: false },
+        { id: 'b1', text: 'other chat', chatId: -100, sent: false }
+    ] }));
+    let failNext = true;
+    const bot = {
+        ...mockBot,
+        sendMessage: async (chatId, text, options) => {
+            if (failNext) { failNext = false; throw tgError(502); }
+            return mockBot.sendMessage(chatId, text, options);
+        }
+    };
+    const relay = createOutboxRelay(bot, deliveryCtx());
+    await relay();
+    deepStrictEqual(receivedMessages.map(m => m.text), ['other chat']);
+    let msgs = readJsonSafe(OUTBOX, {}).messages;
+    strictEqual(msgs[0].delivery.attempts, 1);
+    strictEqual(msgs[0].delivery.lastError, 'Error 502');
+    strictEqual(msgs[1].sent, false, 'later message in the same chat waits');
+    strictEqual(msgs[2].sent, true);
+
+    await relay();
+    strictEqual(receivedMessages.length, 1, 'nothing is due during backoff');
+
+    // Backoff over: both go out, in order
+    await updateJson(OUTBOX, {}, doc => { doc.messages[0].delivery.nextAttemptAt = new Date(0).toISOString(); });
+    await relay();
+    deepStrictEqual(receivedMessages.map(m => m.text), ['other chat', 'first', 'second']);
+    msgs = readJsonSafe(OUTBOX, {}).messages;
+    ok(msgs.every(m => m.sent && !m.delivery), 'sent messages drop their delivery record');
+});
+
+await test('[outbox] 429 pauses the whole relay for retry_after', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'a1', text: 'first', sent: false },
+        { id: 'b1', text: 'other chat', chatId: -100, sent: false }
+    ] }));
+    let calls = 0;
+    const bot = { ...mockBot, sendMessage: async () => { calls++; throw tgError(429, { retry_after: 60 }); } };
+    const relay = createOutboxRelay(bot, deliveryCtx());
+    await relay();
+    await relay();
+    strictEqual(calls, 1, 'second pass is skipped while paused');
+    const [first, second] = readJsonSafe(OUTBOX, {}).messages;
+    strictEqual(first.delivery.attempts, 0);
+    strictEqual(second.delivery, undefined, 'the pass stops at the 429');
+});
+
+await test('[outbox] permanent failures and missing documents become dead letters', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'd1', type: 'document', filePath: resolve(TEST_DIR, 'gone.pdf'), sent: false },
+        { id: 'k1', text: 'to a blocked chat', chatId: 42, sent: false },
+        { id: 'ok', text: 'fine', sent: false }
+    ] }));
+    const bot = {
+        ...mockBot,
+        sendMessage: async (chatId, text, options) => {
+            if (chatId === 42) throw tgError(403);
+            return mockBot.sendMessage(chatId, text, options);
+        }
+    };
+    await createOutboxRelay(bot, deliveryCtx())();
+    deepStrictEqual(outboxIds(), ['ok']);
+    const dead = listDeadLetters(deliveryCtx());
+    deepStrictEqual(dead.map(m => m.id), ['d1', 'k1']);
+    ok(dead[0].delivery.lastError.startsWith('Document not found'));
+    strictEqual(dead[1].delivery.lastError, 'Error 403');
+    ok(dead.every(m => m.deadAt));
+    strictEqual(deadLetterFile(deliveryCtx()), resolve(TEST_DIR, 'wa_deadletters.json'));
+});
+
+await test('[delivery] replay returns dead letters to the outbox, drop deletes them', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'x', text: 'x', sent: false, delivery: { attempts: 6, nextAttemptAt: null, lastError: 'boom' } },
+        { id: 'y', text: 'y', sent: false },
+        { id: 'z', text: 'z', sent: false }
+    ] }));
+    const ctx = deliveryCtx();
+    await moveToDeadLetters(ctx, readJsonSafe(OUTBOX, {}).messages);
+    deepStrictEqual(outboxIds(), []);
+
+    strictEqual(await replayDeadLetters(ctx, ['x']), 1);
+    deepStrictEqual(readJsonSafe(OUTBOX, {}).messages, [{ id: 'x', text: 'x', sent: false }]);
+    strictEqual(await replayDeadLetters(ctx, ['missing']), 0);
+    strictEqual(await dropDeadLetters(ctx, ['y']), 1);
+    deepStrictEqual(listDeadLetters(ctx).map(m => m.id), ['z']);
+    strictEqual(await dropDeadLetters(ctx), 1);
+    strictEqual(listDeadLetters(ctx).length, 0);
+});
+
+await test('[deadletters] /deadletters lists failures with replay and drop buttons', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'r1', text: 'lost reply', timestamp: '2026-03-01T08:00:00Z', sent: false, delivery: { attempts: 6, lastError: 'Error 502' } },
+        { id: 'r2', text: 'another', sent: false, delivery: { attempts: 1, lastError: 'Error 403' } }
+    ] }));
+    await moveToDeadLetters(deliveryCtx(), readJsonSafe(OUTBOX, {}).messages);
+
+    const commands = [];
+    const callbacks = {};
+    const edits = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edits.push({ text, opts }); } };
+    registerHistory(bot, {
+        ...deliveryCtx(), INBOX,
+        registerCommand: (pattern, handler, opts) => commands.push({ pattern, handler, opts }),
+        onCallback: (prefix, handler, opts) => { callbacks[prefix] = { handler, opts }; },
+        reply: (msg, text, opts) => mockBot.sendMessage(msg.chat.id, text, opts)
+    });
+    const deadletters = commands.find(c => c.pattern.test('/deadletters'));
+    strictEqual(deadletters.opts.role, 'operator');
+    strictEqual(callbacks['dl_drop:'].opts.role, 'admin');
+
+    await deadletters.handler({ chat: { id: 1 } }, '/deadletters'.match(deadletters.pattern));
+    const sent = receivedMessages[0];
+    ok(sent.text.includes('Dead letters: 2'));
+    ok(sent.text.includes('6 attempt(s)') && sent.text.includes('❌ Error 502') && sent.text.includes('lost reply'));
+    const buttons = sent.options.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+    deepStrictEqual(buttons, ['dl_replay:r1', 'dl_replay:r2', 'dl_replay:all', 'dl_drop:all']);
+
+    await callbacks['dl_replay:'].handler({ id: 'q', data: 'dl_replay:r2', message: { chat: { id: 1 }, message_id: 9 } });
+    deepStrictEqual(outboxIds(), ['r2']);
+    ok(edits[0].text.includes('Dead letters: 1'));
+
+    await callbacks['dl_drop:'].handler({ id: 'q', data: 'dl_drop:all', message: { chat: { id: 1 }, message_id: 9 } });
+    strictEqual(edits[1].text, renderDeadLetters(deliveryCtx()).text);
+    ok(edits[1].text.startsWith('☠️ No dead letters'));
+});
+
+// ---- Reply formatting (format.js) ----
+console.log('\n── format.js: Telegram Markup ──');
+
+const SAMPLE_MD = [
+    '## Done',
+    'Fixed **auth_guard.js** (see `a<b>`), *really* — 2 * 3 & more.',
+    '- item one',
+    '```js',
+    'if (a < b) {}',
+    '```',
+    '> note [docs](https://example.com/a_(b))'
+].join('\n');
+
+await test('[format] renders Markdown as Telegram HTML', () => {
+    strictEqual(renderMarkdown(SAMPLE_MD, 'html'), [
+        '<b>Done</b>',
+        'Fixed <b>auth_guard.js</b> (see <code>a&lt;b&gt;</code>), <i>really</i> — 2 * 3 &amp; more.',
+        '• item one',
+        '<pre><code class="language-js">if (a &lt; b) {}</code></pre>',
+        '<blockquote>note <a href="https://example.com/a_(b)">docs</a></blockquote>'
+    ].join('\n'));
+});
+
+await test('[format] renders Markdown as escaped MarkdownV2', () => {
+    strictEqual(renderMarkdown(SAMPLE_MD, 'markdownv2'), [
+        '*Done*',
+        'Fixed *auth\\_guard\\.js* \\(see `a<b>`\\), _really_ — 2 \\* 3 & more\\.',
+        '• item one',
+        '```js\nif (a < b) {}\n```',
+        '>note [docs](https://example.com/a_(b\\))'
+    ].join('\n'));
+});
+
+await test('[format] snake_case, globs and unterminated fences stay literal', () => {
+    strictEqual(renderMarkdown('run my_script_name on *.js files', 'html'), 'run my_script_name on *.js files');
+    strictEqual(renderMarkdown('```\nno end <tag>', 'html'), '<pre>no end &lt;tag&gt;</pre>');
+    deepStrictEqual(formatReply('**x**', 'plain'), { text: '**x**' });
+    deepStrictEqual(formatReply('**x**', 'html'), { text: '<b>x</b>', parse_mode: 'HTML' });
+});
+
+await test('[format] loadReplyFormat defaults to html and validates', () => {
+    strictEqual(loadReplyFormat({}), 'html');
+    strictEqual(loadReplyFormat({ REPLY_FORMAT: 'MarkdownV2' }), 'markdownv2');
+    let err;
+    try { loadReplyFormat({ REPLY_FORMAT: 'rtf' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('REPLY_FORMAT'));
+});
+
+await test('[outbox] sends formatted replies and falls back to plain text on a parse error', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'f1', text: '**ok** `x`', sent: false },
+        { id: 'f2', text: '**broken**', sent: false }
+    ] }));
+    const bot = {
+        ...mockBot,
+        sendMessage: async (chatId, text, options) => {
+            if (text === '<b>broken</b>') throw tgError(400, undefined, "Bad Request: can't parse entities: unexpected end tag");
+            return mockBot.sendMessage(chatId, text, options);
+        }
+    };
+    await createOutboxRelay(bot, deliveryCtx(), { format: 'html' })();
+    strictEqual(receivedMessages[0].text, '<b>ok</b> <code>x</code>');
+    strictEqual(receivedMessages[0].options.parse_mode, 'HTML');
+    strictEqual(receivedMessages[1].text, '**broken**');
+    strictEqual(receivedMessages[1].options.parse_mode, undefined);
+    ok(readJsonSafe(OUTBOX, {}).messages.every(m => m.sent));
+    ok(isParseError(tgError(400, undefined, "Bad Request: can't parse entities")));
+    ok(!isParseError(tgError(400)));
+});
+
+// ---- Long replies (split.js) ----
+console.log('\n── split.js: Message Splitting ──');
+
+const para = (tag, n) => Array.from({ length: n }, (_, i) => `${tag} line ${i} ` + 'x'.repeat(40)).join('\n');
+
+await test('[split] short replies pass through unchanged', () => {
+    deepStrictEqual(splitMessage('hello\n\nworld', 100), ['hello\n\nworld']);
+});
+
+await test('[split] splits on paragraph boundaries and numbers the chunks', () => {
+    const text = [para('A', 3), para('B', 3), para('C', 3)].join('\n\n');
+    const chunks = splitMessage(text, 300);
+    strictEqual(chunks.length, 3);
+    ok(chunks.every(c => c.length <= 300));
+    ok(chunks[0].startsWith('1/3\nA line 0') && chunks[0].endsWith('A line 2 ' + 'x'.repeat(40)));
+    ok(chunks[2].startsWith('3/3\nC line 0'));
+});
+
+await test('[split] oversized code fences are cut between lines and re-fenced', () => {
+    const code = Array.from({ length: 30 }, (_, i) => `const v${i} = ${i};`).join('\n');
+    const chunks = splitMessage(`Intro\n\n\`\`\`js\n${code}\n\`\`\`\n\nOutro`, 200);
+    ok(chunks.length > 2);
+    for (const chunk of chunks) {
+        ok(chunk.length <= 200, 'chunk fits');
+        strictEqual((chunk.match(/^```/gm) || []).length % 2, 0, 'fences are balanced in every chunk');
+    }
+    ok(chunks[1].includes('```js\nconst'), 'continuation keeps the language');
+    const body = chunks.map(c => c.replace(/^\d+\/\d+\n/, '')).join('\n');
+    ok(body.includes('const v29 = 29;') && body.endsWith('Outro'));
+});
+
+await test('[split] a single huge line is wrapped at word boundaries', () => {
+    const chunks = splitMessage(Array.from({ length: 100 }, (_, i) => `word${i}`).join(' '), 120);
+    ok(chunks.length > 1 && chunks.every(c => c.length <= 120));
+    const words = chunks.map(c => c.split('\n')[1]).join(' ').split(' ');
+    deepStrictEqual(words, Array.from({ length: 100 }, (_, i) => `word${i}`), 'no word is cut in half');
+});
+
+await test('[split] escape-heavy chunks still fit once rendered as HTML or MarkdownV2', () => {
+    const line = i => `a<b && c_${i} * d_e & <f> *g* _h_`;
+    const text = Array.from({ length: 6 }, (_, p) => Array.from({ length: 30 }, (_, i) => line(p * 30 + i)).join('\n')).join('\n\n');
+    ok(text.length > 4096 && text.length < 8000);
+    for (const format of ['html', 'markdownv2']) {
+        const rendered = chunk => formatReply(chunk, format).text.length;
+        ok(splitMessage(text, 4096).some(c => rendered(c) > 4096), `${format}: the source length alone is not enough`);
+        const chunks = splitMessage(text, 4096, rendered);
+        for (const chunk of chunks) ok(rendered(chunk) <= 4096, `${format}: ${rendered(chunk)} chars`);
+        const body = chunks.map(c => c.replace(/^\d+\/\d+\n/, '')).join('\n');
+        ok(body.includes(line(0)) && body.endsWith(line(179)), `${format}: nothing is lost`);
+    }
+});
+
+await test('[split] loadFileThreshold default and validation', () => {
+    strictEqual(loadFileThreshold({}), 16000);
+    strictEqual(loadFileThreshold({ REPLY_FILE_THRESHOLD: '0' }), 0);
+    let err;
+    try { loadFileThreshold({ REPLY_FILE_THRESHOLD: 'big' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('REPLY_FILE_THRESHOLD'));
+});
+
+await test('[outbox] long replies go out as numbered messages, buttons on the last', async () => {
+    const markup = { inline_keyboard: [[{ text: 'OK', callback_data: 'ok' }]] };
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'long', text: [para('A', 60), para('B', 60)].join('\n\n'), reply_markup: markup, sent: false }
+    ] }));
+    const docs = [];
+    const bot = { ...mockBot, sendDocument: async (...args) => { docs.push(args); } };
+    await createOutboxRelay(bot, deliveryCtx(), { format: 'plain', fileThreshold: 16000 })();
+    strictEqual(docs.length, 0, 'no attachment below the threshold');
+    strictEqual(receivedMessages.length, 2);
+    ok(receivedMessages[0].text.startsWith('1/2\n') && receivedMessages[1].text.startsWith('2/2\n'));
+    strictEqual(receivedMessages[0].options.reply_markup, undefined);
+    deepStrictEqual(receivedMessages[1].options.reply_markup, markup);
+    const [msg] = readJsonSafe(OUTBOX, {}).messages;
+    ok(msg.sent && msg.chunksSent === undefined);
+
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [{ id: 'huge', text: para('H', 60), sent: false }] }));
+    await createOutboxRelay(bot, deliveryCtx(), { format: 'plain', fileThreshold: 1000 })();
+    strictEqual(docs.length, 1, 'above the threshold → .txt attachment');
+});
+
+await test('[outbox] a retried split reply resumes after the last chunk sent', async () => {
+    writeFileSync(OUTBOX, JSON.stringify({ messages: [
+        { id: 'long', text: [para('A', 60), para('B', 60), para('C', 60)].join('\n\n'), sent: false }
+    ] }));
+    let calls = 0;
+    const bot = {
+        ...mockBot,
+        sendMessage: async (chatId, text, options) => {
+            if (++calls === 2) throw tgError(502);
+            return mockBot.sendMessage(chatId, text, options);
+        }
+    };
+    const relay = createOutboxRelay(bot, deliveryCtx(), { format: 'plain', fileThreshold: 0 });
+    await relay();
+    let [msg] = readJsonSafe(OUTBOX, {}).messages;
+    strictEqual(msg.chunksSent, 1);
+    strictEqual(msg.delivery.attempts, 1);
+
+    await updateJson(OUTBOX, {}, doc => { doc.messages[0].delivery.nextAttemptAt = new Date(0).toISOString(); });
+    await relay();
+    deepStrictEqual(receivedMessages.map(m => m.text.split('\n')[0]), ['1/3', '2/3', '3/3']);
+    [msg] = readJsonSafe(OUTBOX, {}).messages;
+    ok(msg.sent && msg.chunksSent === undefined && msg.delivery === undefined);
+    deepStrictEqual(msg.messageIds, [1, 2, 3], 'every chunk is recorded, across attempts');
+});
+
+// ---- Live progress (progress.js, ../progress.sh) ----
+console.log('\n── progress.js: Live Status Message ──');
+
+const PROGRESS_SH = resolve(PROJECT_ROOT, 'scripts', 'progress.sh');
+const progressCtx = () => ({ CHAT_ID, CENTRAL_DIR: TEST_DIR });
+const appendEvents = (...events) => appendFileSync(progressFile(progressCtx()), events.map(e => JSON.stringify(e) + '\n').join(''));
+
+await test('[progress] readProgressEvents keeps partial lines and restarts after truncation', () => {
+    const file = progressFile(progressCtx());
+    writeFileSync(file, '{"run":"r","type":"start"}\n{"run":"r","type":"to');
+    let read = readProgressEvents(file, 0);
+    deepStrictEqual(read.events, [{ run: 'r', type: 'start' }]);
+    appendFileSync(file, 'ol","text":"bash"}\n');
+    read = readProgressEvents(file, read.offset);
+    deepStrictEqual(read.events, [{ run: 'r', type: 'tool', text: 'bash' }]);
+    writeFileSync(file, '{"run":"s","type":"end"}\n');
+    strictEqual(readProgressEvents(file, read.offset).events[0].run, 's', 'shrunk file is read from the start');
+    deepStrictEqual(readProgressEvents(resolve(TEST_DIR, 'none.jsonl'), 5), { events: [], offset: 0 });
+});
+
+await test('[progress] renders elapsed time, tool call and last output line', () => {
+    strictEqual(formatElapsed(45000), '45s');
+    strictEqual(formatElapsed(133000), '2m 13s');
+    strictEqual(formatElapsed(3725000), '1h 02m');
+    const run = { label: '🧠 Running Kilo CLI (m)...', startedAt: 0, tool: 'bash: npm test', output: 'ok', exitCode: null };
+    strictEqual(renderProgress(run, 133000), '🧠 Running Kilo CLI (m)...\n⏱️ 2m 13s\n🔧 bash: npm test\n💬 ok');
+    ok(renderProgress({ ...run, exitCode: 0 }, 5000).includes('✅ Finished in 5s'));
+    ok(renderProgress({ ...run, exitCode: 2 }, 5000).includes('❌ Exited with code 2 after 5s'));
+    strictEqual(loadEditInterval({}), 3000);
+    let err;
+    try { loadEditInterval({ PROGRESS_EDIT_SECONDS: '0' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('PROGRESS_EDIT_SECONDS'));
+});
+
+await test('[progress] one status message per run, edits throttled, final edit on end', async () => {
+    const edits = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edits.push({ text, opts }); } };
+    const relay = createProgressRelay(bot, progressCtx(), { editMs: 3000, offset: 0 });
+    const t0 = Date.parse('2026-03-20T12:00:00Z');
+    appendEvents({ run: 'r1', ts: '2026-03-20T12:00:00Z', type: 'start', label: '🧠 Running Gemini CLI (flash)...', chatId: -100, threadId: 7 });
+    await relay(t0);
+    strictEqual(receivedMessages.length, 1);
+    strictEqual(receivedMessages[0].chatId, -100);
+    strictEqual(receivedMessages[0].options.message_thread_id, 7);
+
+    appendEvents({ run: 'r1', type: 'tool', text: 'read_file: src/app.js' });
+    await relay(t0 + 1000);
+    strictEqual(edits.length, 0, 'too soon after the last update');
+    appendEvents({ run: 'r1', type: 'output', text: 'Reading the code' });
+    await relay(t0 + 3000);
+    strictEqual(edits.length, 1, 'pending changes are coalesced into one edit');
+    ok(edits[0].text.includes('⏱️ 3s') && edits[0].text.includes('🔧 read_file: src/app.js') && edits[0].text.includes('💬 Reading the code'));
+    deepStrictEqual(edits[0].opts, { chat_id: -100, message_id: 1 });
+
+    await relay(t0 + 10000);
+    strictEqual(edits.length, 1, 'no changes → no edit before the heartbeat');
+    await relay(t0 + 18000);
+    strictEqual(edits.length, 2, 'heartbeat refreshes the elapsed time');
+
+    appendEvents({ run: 'r1', type: 'end', exitCode: 0 });
+    await relay(t0 + 21000);
+    ok(edits[2].text.includes('✅ Finished in 21s'));
+    await relay(t0 + 60000);
+    strictEqual(edits.length, 3, 'finished runs are forgotten');
+
+    appendEvents({ run: 'ghost', type: 'tool', text: 'x' });
+    await relay(t0 + 70000);
+    strictEqual(receivedMessages.length + edits.length, 4, 'events without a seen start are ignored');
+});
+
+await test('[progress] a 429 pauses status edits for retry_after', async () => {
+    let fail = true;
+    const edits = [];
+    const bot = {
+        ...mockBot,
+        editMessageText: async (text) => {
+            if (fail) { fail = false; throw tgError(429, { retry_after: 10 }); }
+            edits.push(text);
+        }
+    };
+    const relay = createProgressRelay(bot, progressCtx(), { editMs: 1000, offset: 0 });
+    appendEvents({ run: 'r', ts: new Date(0).toISOString(), type: 'start', label: 'L' });
+    await relay(0);
+    appendEvents({ run: 'r', type: 'end', exitCode: 1 });
+    await relay(2000);
+    await relay(5000);
+    strictEqual(edits.length, 0, 'paused');
+    await relay(12000);
+    strictEqual(edits.length, 1, 'the final update is not lost');
+    ok(edits[0].includes('❌ Exited with code 1'));
+});
+
+await test('[progress] progress.sh streams tool and output events around a run', () => {
+    const out = resolve(TEST_DIR, 'agent.out');
+    writeFileSync(out, '');
+    execSync(`bash -c '
+        source "${PROGRESS_SH}"
+        progress_begin "🧠 Running Gemini CLI (m)..." "${out}" "{\\"chatId\\": 5}"
+        printf "%s\\n" "Hello" "|  Bash     npm test" >> "${out}"
+        sleep 2
+        printf "%s\\n" "All done" >> "${out}"
+        progress_finish 0
+    '`, { env: { ...process.env, DOT_GEMINI: TEST_DIR, PROGRESS_INTERVAL_SECS: '1' }, timeout: 20000 });
+    const events = readProgressEvents(progressFile(progressCtx()), 0).events;
+    strictEqual(events[0].type, 'start');
+    strictEqual(events[0].chatId, 5);
+    ok(events.every(e => e.run === events[0].run));
+    ok(events.some(e => e.type === 'tool' && e.text === 'Bash: npm test'), 'tool call from "| Tool detail" lines');
+    ok(events.some(e => e.type === 'output' && e.text === 'Hello'));
+    deepStrictEqual(events.slice(-2).map(e => [e.type, e.text ?? e.exitCode]), [['output', 'All done'], ['end', 0]]);
+});
+
+await test('[contract] run_agent streams progress instead of a one-off status message', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    ok(w.includes('source "$SCRIPT_DIR/progress.sh"'));
+    strictEqual((w.match(/progress_begin "🧠 Running (Kilo|Gemini) CLI/g) || []).length, 2);
+    ok(w.includes('progress_finish "$AGENT_EXIT_CODE"'));
+    ok(readFileSync(resolve(SCRIPT_DIR, 'outbox.js'), 'utf8').includes('startProgressRelay(bot, ctx)'));
+});
+
+// ---- Voice notes (voice.js, stt/) ----
+console.log('\n── voice.js: Speech-to-Text ──');
+
+// A stand-in whisper binary: prints (or writes to --output_dir) what it was given
+function fakeWhisper(body) {
+    const bin = resolve(TEST_DIR, 'fake-whisper');
+    writeFileSync(bin, `#!/usr/bin/env bash\n${body}\n`);
+    chmodSync(bin, 0o755);
+    return bin;
+}
+
+function voiceCtx(overrides = {}) {
+    const replies = [];
+    const markups = [];
+    const ctx = {
+        CHAT_ID, INBOX,
+        reply: async (msg, text, opts) => { replies.push(text); markups.push(opts?.reply_markup); },
+        inbox: {
+            chat: (text, origin) => {
+                const entry = { text, ...origin };
+                const inbox = readJsonSafe(INBOX, { messages: [] });
+                inbox.messages.push(entry);
+                writeFileSync(INBOX, JSON.stringify(inbox));
+                return entry;
+            }
+        },
+        inboxOrigin: (msg) => ({ chatId: msg.chat.id }),
+        getState: () => ({}),
+        authorized: (handler) => handler,
+        ...overrides
+    };
+    return { ctx, replies, markups };
+}
+
+const voiceBot = () => ({
+    ...mockBot,
+    downloadFile: async (fileId, dir) => {
+        const file = resolve(dir, `${fileId}.oga`);
+        writeFileSync(file, 'OggS');
+        return file;
+    }
+});
+
+// Held transcripts with their vc: buttons and a ✏️ Edit prompt from message_edits.js
+function voiceDrafts() {
+    const routes = {};
+    const closed = [];
+    const bot = { ...voiceBot(), on: () => { }, editMessageText: async (text, opts) => { closed.push({ text, opts }); } };
+    const { ctx, replies, markups } = voiceCtx({ onCallback: (prefix, handler, opts) => { routes[prefix] = { handler, ...opts }; } });
+    ctx.edits = startMessageEdits(bot, { INBOX, authorized: h => h, reply: ctx.reply, onCallback: () => { } });
+    const drafts = createVoiceDrafts(bot, ctx);
+    const press = (data) => routes['vc:'].handler({ id: 'q', data, message: { chat: { id: 7 }, message_id: 40 } });
+    const token = () => markups.at(-1).inline_keyboard[0][0].callback_data.split(':')[2];
+    return { bot, ctx, replies, markups, routes, closed, drafts, press, token };
+}
+
+await test('[stt] config defaults, provider registry and unknown providers', () => {
+    const config = loadSttConfig({ OPENAI_API_KEY: 'sk-x' });
+    strictEqual(config.provider, 'whisper');
+    strictEqual(config.timeoutMs, 120000);
+    strictEqual(config.apiKey, 'sk-x');
+    strictEqual(openStt(config).name, 'whisper');
+    strictEqual(openStt({ ...config, provider: 'openai' }).name, 'openai');
+    let err;
+    try { openStt({ ...config, provider: 'carrier-pigeon' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('Unknown STT_PROVIDER'));
+    try { loadSttConfig({ STT_TIMEOUT_SECONDS: '0' }); } catch (e) { err = e; }
+    ok(err.message.includes('STT_TIMEOUT_SECONDS'));
+    registerSttProvider('test-stt', () => ({ name: 'test-stt', transcribe: async () => 'hi' }));
+    strictEqual(openStt({ provider: 'test-stt' }).name, 'test-stt');
+});
+
+await test('[stt] whisper provider builds argv and drops an unset {language}', () => {
+    const p = new WhisperCliProvider({ command: 'whisper {file} --output_dir {outdir} --language {language}', timeoutMs: 1000 });
+    deepStrictEqual(p.argv('/a.oga', '/out'), ['whisper', '/a.oga', '--output_dir', '/out']);
+    const de = new WhisperCliProvider({ command: 'whisper {file} --language {language}', language: 'de', timeoutMs: 1000 });
+    deepStrictEqual(de.argv('/a.oga', '/out'), ['whisper', '/a.oga', '--language', 'de']);
+});
+
+await test('[stt] whisper provider reads stdout or the .txt it wrote', async () => {
+    const bin = fakeWhisper('if [ "$2" = "--output_dir" ]; then echo "  from file  " > "$3/voice.txt"; else echo "from stdout"; fi');
+    strictEqual(await new WhisperCliProvider({ command: `${bin} {file}`, timeoutMs: 10000 }).transcribe('/a.oga'), 'from stdout');
+    strictEqual(await new WhisperCliProvider({ command: `${bin} {file} --output_dir {outdir}`, timeoutMs: 10000 }).transcribe('/a.oga'), 'from file');
+
+    const failing = fakeWhisper('echo "model not found" >&2; exit 3');
+    let err;
+    try { await new WhisperCliProvider({ command: `${failing} {file}`, timeoutMs: 10000 }).transcribe('/a.oga'); } catch (e) { err = e; }
+    strictEqual(err.message, 'model not found');
+    try { await new WhisperCliProvider({ command: 'no-such-whisper-binary {file}', timeoutMs: 10000 }).transcribe('/a.oga'); } catch (e) { err = e; }
+    ok(err.message.includes('not found — install it or set STT_COMMAND'));
+});
+
+await test('[voice] the transcript is held for ✅ Send and written to the inbox only then', async () => {
+    const bin = fakeWhisper('echo "deploy the $(basename "$1" .oga) branch"');
+    const { bot, ctx, replies, markups, routes, closed, drafts, press, token } = voiceDrafts();
+    strictEqual(routes['vc:'].role, 'operator');
+    const stt = new WhisperCliProvider({ command: `${bin} {file}`, timeoutMs: 10000 });
+    const text = await relayVoice(bot, ctx, { chat: { id: 7 }, voice: { file_id: 'staging', file_size: 1000 } }, () => stt, drafts);
+    strictEqual(text, 'deploy the staging branch');
+    deepStrictEqual(replies, ['🎙️ Heard:\ndeploy the staging branch']);
+    deepStrictEqual(markups[0].inline_keyboard[0].map(b => b.text), ['✅ Send', '✏️ Edit', '🗑 Discard']);
+    ok(!existsSync(INBOX), 'nothing is queued before ✅ Send');
+
+    const held = token();
+    await press(`vc:send:${held}`);
+    deepStrictEqual(readJsonSafe(INBOX, {}).messages, [{ text: 'deploy the staging branch', chatId: 7 }]);
+    strictEqual(closed[0].text, '🎙️ Sent to the agent:\ndeploy the staging branch');
+    deepStrictEqual(closed[0].opts.reply_markup.inline_keyboard[0].map(b => b.text), ['✏️ Edit', '🗑 Cancel']);
+    await press(`vc:send:${held}`);
+    strictEqual(readJsonSafe(INBOX, {}).messages.length, 1, 'sent once');
+    ok(closed[1].text.startsWith('⌛'));
+});
+
+await test('[voice] ✏️ Edit replaces the held transcript and 🗑 Discard drops it', async () => {
+    const { ctx, replies, closed, drafts, press, token } = voiceDrafts();
+    await drafts.hold({ chat: { id: 7 } }, 'deploy the stating branch');
+    const held = token();
+    await press(`vc:edit:${held}`);
+    strictEqual(receivedMessages.at(-1).text, '✏️ Reply to this message with the corrected transcript:\ndeploy the stating branch');
+    ok(receivedMessages.at(-1).options.reply_markup.force_reply);
+    const reply = { chat: { id: 7 }, text: 'deploy the staging branch', reply_to_message: { message_id: receivedMessages.length } };
+    ok(await ctx.edits.applyReply(reply), 'the correction is not relayed as a message');
+    strictEqual(replies.at(-1), '🎙️ Corrected:\ndeploy the staging branch');
+    strictEqual(token(), held, 'offered again with the same buttons');
+    ok(!existsSync(INBOX));
+
+    await press(`vc:drop:${held}`);
+    strictEqual(closed.at(-1).text, '🎙️ Heard:\ndeploy the staging branch\n🗑 Discarded — nothing was sent.');
+    strictEqual(drafts.drafts.size, 0);
+    ok(!existsSync(INBOX));
+});
+
+await test('[voice] empty, failed or oversized audio writes nothing', async () => {
+    const { bot, ctx, replies, drafts } = voiceDrafts();
+    const msg = { chat: { id: 7 }, audio: { file_id: 'a', file_size: 1000 } };
+    strictEqual(await relayVoice(bot, ctx, msg, () => ({ transcribe: async () => '   ' }), drafts), null);
+    strictEqual(await relayVoice(bot, ctx, msg, () => ({ transcribe: async () => { throw new Error('boom'); } }), drafts), null);
+    strictEqual(await relayVoice(bot, ctx, { ...msg, audio: { file_id: 'b', file_size: 50 * 1024 * 1024 } }, () => null, drafts), null);
+    deepStrictEqual(replies, [
+        '🎙️ No speech recognised — nothing was sent.',
+        '❌ Could not transcribe: boom',
+        '❌ Audio is too large to download (20 MB limit).'
+    ]);
+    strictEqual(drafts.drafts.size, 0);
+    ok(!existsSync(INBOX));
+});
+
+// ---- Attachments (attachments.js, media.js) ----
+console.log('\n── attachments.js: Photos & Documents ──');
+
+// Inbox messages as the watcher and BeforeAgent hook put them in the prompt
+function inboxText(messages) {
+    return execSync(`bash -c 'source "${resolve(SCRIPT_DIR, '..', 'json_lock.sh')}"; jq -r "$INBOX_TEXT_JQ .messages[] | inbox_text"'`, {
+        input: JSON.stringify({ messages })
+    }).toString();
+}
+
+const ATTACH_PROJECT = resolve(TEST_DIR, 'attach-project');
+const attachCtx = () => voiceCtx({
+    inbox: {
+        chat: (text, origin, attachments) => {
+            const entry = { text, ...origin, attachments };
+            const inbox = readJsonSafe(INBOX, { messages: [] });
+            inbox.messages.push(entry);
+            writeFileSync(INBOX, JSON.stringify(inbox));
+            return entry;
+        }
+    },
+    projectFor: () => ATTACH_PROJECT
+});
+
+await test('[attachments] policy: defaults, env allow-list and invalid size', () => {
+    const policy = loadAttachmentPolicy({});
+    strictEqual(policy.maxBytes, 20 * 1024 * 1024);
+    ok(policy.extensions.includes('png') && policy.extensions.includes('log'));
+    deepStrictEqual(loadAttachmentPolicy({ ATTACHMENT_EXTENSIONS: ' .PNG, txt ,' }).extensions, ['png', 'txt']);
+    let err;
+    try { loadAttachmentPolicy({ ATTACHMENT_MAX_MB: '1.5' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('ATTACHMENT_MAX_MB'));
+});
+
+await test('[attachments] stored names are timestamped and cannot leave the directory', () => {
+    const now = new Date('2026-03-04T05:06:07Z');
+    strictEqual(storedName('crash report (1).LOG', now), '20260304-050607_crash_report_1_.log');
+    strictEqual(storedName('../../etc/passwd.txt', now), '20260304-050607_etc_passwd.txt');
+    strictEqual(storedName('___.txt', now), '20260304-050607_file.txt');
+});
+
+await test('[attachments] photo is saved to the project and relayed with its caption', async () => {
+    const { ctx, replies } = attachCtx();
+    const msg = { chat: { id: 7 }, caption: 'why is this red?', photo: [
+        { file_id: 'small', file_unique_id: 's', file_size: 100 },
+        { file_id: 'large', file_unique_id: 'L1', file_size: 2048 }
+    ] };
+    const entry = await relayAttachment(voiceBot(), ctx, msg, loadAttachmentPolicy({}));
+    strictEqual(entry.text, 'why is this red?');
+    strictEqual(entry.attachments.length, 1);
+    const [file] = entry.attachments;
+    strictEqual(file.name, 'photo_L1.jpg');
+    strictEqual(file.mimeType, 'image/jpeg');
+    ok(file.path.startsWith(resolve(ATTACH_PROJECT, '.gemini', 'attachments') + '/'));
+    ok(file.path.endsWith('_photo_L1.jpg'));
+    strictEqual(readFileSync(file.path, 'utf8'), 'OggS');
+    deepStrictEqual(replies, ['📎 Saved photo_L1.jpg (2 KB) — sent to the agent.']);
+});
+
+await test('[attachments] disallowed extension or oversized document writes nothing', async () => {
+    const { ctx, replies } = attachCtx();
+    const policy = loadAttachmentPolicy({ ATTACHMENT_MAX_MB: '1' });
+    const doc = (file_name, file_size) => ({ chat: { id: 7 }, document: { file_id: 'd', file_name, file_size } });
+    strictEqual(await relayAttachment(voiceBot(), ctx, doc('setup.exe', 10), policy), null);
+    strictEqual(await relayAttachment(voiceBot(), ctx, doc('Makefile', 10), policy), null);
+    strictEqual(await relayAttachment(voiceBot(), ctx, doc('huge.log', 2 * 1024 * 1024), policy), null);
+    ok(replies[0].startsWith('❌ .exe not accepted. Allowed: png,'));
+    ok(replies[1].startsWith('❌ Files without an extension not accepted.'));
+    strictEqual(replies[2], '❌ huge.log is 2.0 MB — the limit is 1 MB');
+    ok(!existsSync(INBOX));
+});
+
+await test('[attachments] inbox entry carries attachments and the watcher prompt lists them', () => {
+    runConcurrently([nodeWriter(`await h.writeToInbox('see log', {}, [{ path: '/a.log', name: 'a.log', mimeType: 'text/plain', size: 3 }]);
+        await h.writeToInbox('plain text');`, `GEMINI_PROJECT_DIR='${TEST_DIR}'`)]);
+    const [withFile, plain] = readJsonSafe(resolve(TEST_DIR, '.gemini', 'wa_inbox.json'), {}).messages;
+    deepStrictEqual(withFile.attachments, [{ path: '/a.log', name: 'a.log', mimeType: 'text/plain', size: 3 }]);
+    ok(!('attachments' in plain));
+
+    strictEqual(inboxText([
+        { text: '', attachments: [{ path: '/a.png', mimeType: 'image/png' }] },
+        { text: 'hi' }
+    ]), '📎 Attached file: /a.png (image/png)\nhi\n');
+    ok(readFileSync(resolve(SCRIPT_DIR, '..', 'watcher.sh'), 'utf8').includes('map(inbox_text)'));
+    ok(readFileSync(resolve(SCRIPT_DIR, '..', 'hooks', 'before_agent_wa.sh'), 'utf8').includes('| inbox_text'));
+});
+
+await test('[media] relay routes voice and files through the operator guard, ignores text', async () => {
+    const handlers = [];
+    const guarded = [];
+    const bot = { ...voiceBot(), on: (event, fn) => handlers.push({ event, fn }) };
+    const { ctx } = attachCtx();
+    ctx.authorized = (handler, role, what) => { guarded.push({ role, what }); return handler; };
+    let calls = 0;
+    const drafts = createVoiceDrafts(bot, { ...ctx, onCallback: () => { } });
+    startMediaRelay(bot, ctx, {
+        getStt: () => ({ transcribe: async () => { calls++; return 'hello'; } }),
+        policy: loadAttachmentPolicy({}), drafts
+    });
+    strictEqual(handlers.length, 1);
+    strictEqual(handlers[0].event, 'message');
+    deepStrictEqual(guarded, [
+        { role: 'operator', what: 'Relaying voice to the agent' },
+        { role: 'operator', what: 'Relaying files to the agent' }
+    ]);
+    handlers[0].fn({ chat: { id: 1 }, text: 'typed' });
+    handlers[0].fn({ chat: { id: 1 }, voice: { file_id: 'v', file_size: 10 } });
+    handlers[0].fn({ chat: { id: 1 }, document: { file_id: 'doc', file_name: 'notes.md', file_size: 10 } });
+    await new Promise(r => setTimeout(r, 50));
+    strictEqual(calls, 1);
+    const relayed = readJsonSafe(INBOX, {}).messages;
+    deepStrictEqual(relayed.map(m => m.text), [''], 'the transcript waits for ✅ Send');
+    deepStrictEqual([...drafts.drafts.values()].map(d => d.text), ['hello']);
+    strictEqual(relayed.find(m => m.attachments).attachments[0].name, 'notes.md');
+    ok(V3_SRC.includes('startMediaRelay(bot, { ...ctx, edits })'));
+});
+
+// ---- Reply threading (outbox.js messageIds, helpers.js writeToInbox) ----
+console.log('\n── Reply-to threading ──');
+
+await test('[replies] a reply is linked to the outbox entry with its task and session', () => {
+    const central = resolve(TEST_DIR, '.gemini');
+    mkdirSync(central, { recursive: true });
+    writeFileSync(resolve(central, 'wa_outbox.json'), JSON.stringify({ messages: [
+        { id: 'resp_1', text: 'Task 3 done', taskId: 3, sessionId: 'ses_9', messageIds: [40, 41], sent: true },
+        { id: 'resp_2', text: 'elsewhere', chatId: -100, messageIds: [41], sent: true }
+    ] }));
+    runConcurrently([nodeWriter(`await h.writeToInbox('redo this one', { chatId: 100, replyTo: { messageId: 41, text: 'Task 3 done' } });
+        await h.writeToInbox('and this', { chatId: 100, replyTo: { messageId: 999, text: 'old' } });`,
+    `GEMINI_PROJECT_DIR='${TEST_DIR}' TELEGRAM_CHAT_ID=100`)]);
+    const [linked, unknown] = readJsonSafe(resolve(central, 'wa_inbox.json'), {}).messages;
+    deepStrictEqual(linked.replyTo, { messageId: 41, text: 'Task 3 done', outboxId: 'resp_1', taskId: 3, sessionId: 'ses_9' });
+    deepStrictEqual(unknown.replyTo, { messageId: 999, text: 'old' }, 'pruned or foreign messages keep the quote');
+});
+
+await test('[replies] the agent prompt quotes the replied-to message and its task', () => {
+    strictEqual(inboxText([
+        { text: 'redo this one', replyTo: { messageId: 41, text: 'Task 3 done', taskId: 3, sessionId: 'ses_9' } },
+        { text: 'why?', replyTo: { messageId: 7, text: 'x'.repeat(600) } }
+    ]), `↩️ In reply to (task 3, session ses_9): "Task 3 done"\nredo this one\n↩️ In reply to: "${'x'.repeat(500)}"\nwhy?\n`);
+});
+
+await test('[contract] watcher tags outbox entries with the task and session they report on', () => {
+    const w = readFileSync(resolve(SCRIPT_DIR, '..', 'watcher.sh'), 'utf8');
+    ok(w.includes('{"taskId": ($task | tonumber)}') && w.includes('{"sessionId": $session}'));
+    ok(w.includes('REPLY_TASK_ID="$TASK_ID"'), 'dispatch messages carry their task');
+    ok(w.includes('REPLY_SESSION_ID="${KILO_SESSION_ID:-}"'), 'agent replies carry their session');
+});
+
+// ---- Confirmations (confirm.js) ----
+console.log('\n── confirm.js: Are You Sure? ──');
+
+// A bot that records prompts/edits and a router the confirmations register into
+function confirmBot() {
+    const edits = [];
+    const answers = [];
+    const routes = {};
+    const bot = {
+        ...mockBot,
+        editMessageText: async (text, opts) => { edits.push({ text, opts }); },
+        answerCallbackQuery: async (id, opts) => { answers.push({ id, ...opts }); }
+    };
+    const onCallback = (prefix, handler, opts) => { routes[prefix] = { handler, ...opts }; };
+    return { bot, edits, answers, routes, onCallback };
+}
+const tap = (data, userId = 11, id = 'q2') => ({ id, data, from: { id: userId }, message: { chat: { id: 5 }, message_id: 1 } });
+const buttonData = (i) => receivedMessages.at(-1).options.reply_markup.inline_keyboard[0][i].callback_data;
+
+await test('[confirm] timeout defaults to 60s and rejects bad values', () => {
+    strictEqual(loadConfirmTimeout({}), 60000);
+    strictEqual(loadConfirmTimeout({ CONFIRM_TIMEOUT_SECONDS: '5' }), 5000);
+    let err;
+    try { loadConfirmTimeout({ CONFIRM_TIMEOUT_SECONDS: 'soon' }); } catch (e) { err = e; }
+    ok(err && err.message.includes('CONFIRM_TIMEOUT_SECONDS'));
+});
+
+await test('[confirm] a command runs only after its asker taps ✅', async () => {
+    const { bot, edits, answers, routes, onCallback } = confirmBot();
+    const confirm = createConfirmations(bot, onCallback);
+    strictEqual(routes['cf:'].role, 'viewer');
+    let runs = 0;
+    const kill = confirm.command(async () => { runs++; }, 'Force-kill the agent?');
+    await kill({ chat: { id: 5 }, from: { id: 11 }, text: '/kill', is_topic_message: true, message_thread_id: 9 });
+    strictEqual(runs, 0);
+    strictEqual(receivedMessages[0].text, '⚠️ Force-kill the agent?\nAre you sure?');
+    strictEqual(receivedMessages[0].options.message_thread_id, 9, 'asked in the same topic');
+
+    await routes['cf:'].handler(tap(buttonData(0), 99));
+    strictEqual(runs, 0, 'someone else cannot confirm');
+    ok(answers[0].show_alert);
+
+    await routes['cf:'].handler(tap(buttonData(0)));
+    strictEqual(runs, 1);
+    strictEqual(edits[0].text, '✅ Confirmed.\nForce-kill the agent?');
+    strictEqual(confirm.pending.size, 0);
+    await routes['cf:'].handler(tap(buttonData(0)));
+    strictEqual(runs, 1, 'a second tap does nothing');
+    strictEqual(answers.at(-1).text, '⌛ This confirmation has expired.');
+});
+
+await test('[confirm] ❌ or the timeout drops the action', async () => {
+    const { bot, edits, routes, onCallback } = confirmBot();
+    const confirm = createConfirmations(bot, onCallback, { timeoutMs: 20 });
+    let runs = 0;
+    const restart = confirm.command(async () => { runs++; }, true);
+    await restart({ chat: { id: 5 }, from: { id: 11 }, text: '/restart now' });
+    strictEqual(receivedMessages[0].text, '⚠️ Run /restart?\nAre you sure?', 'default prompt names the command');
+    await routes['cf:'].handler(tap(buttonData(1)));
+    ok(edits[0].text.startsWith('❌ Cancelled'));
+
+    await restart({ chat: { id: 5 }, from: { id: 11 }, text: '/restart' });
+    await new Promise(r => setTimeout(r, 60));
+    ok(edits[1].text.startsWith('⌛ Not confirmed in time'));
+    strictEqual(confirm.pending.size, 0);
+    strictEqual(runs, 0);
+});
+
+await test('[confirm] a confirmed callback runs with the original message and the ✅ query ID', async () => {
+    const { bot, answers, routes, onCallback } = confirmBot();
+    const confirm = createConfirmations(bot, onCallback);
+    const seen = [];
+    const replan = confirm.callback(async (query) => { seen.push(query); }, 'Discard this plan?');
+    const original = { id: 'q1', data: 'ep_replan', from: { id: 11 }, message: { chat: { id: 5 }, message_id: 70 } };
+    await replan(original);
+    deepStrictEqual(answers[0], { id: 'q1', text: 'Confirm below' });
+    await routes['cf:'].handler(tap(buttonData(0)));
+    strictEqual(seen.length, 1);
+    strictEqual(seen[0].id, 'q2');
+    strictEqual(seen[0].message.message_id, 70, 'the handler still edits the plan message');
+});
+
+await test('[contract] destructive commands and ep_replan opt in to confirmation', () => {
+    const sources = ['admin', 'diagnose', 'plan'].map(m => readFileSync(resolve(SCRIPT_DIR, 'commands', `${m}.js`), 'utf8')).join('\n');
+    for (const start of ['registerCommand(/^\\/kill/', 'registerCommand(/^\\/restart/', 'registerCommand(/^\\/apply_fix/',
+        'registerCommand(/^\\/discard_fix/', "onCallback('ep_replan'"]) {
+        // The handler's options: "    }, { role: ..., confirm: ... });"
+        const body = sources.slice(sources.indexOf(start));
+        const from = body.indexOf('\n    }, {');
+        const options = body.slice(from, body.indexOf('});', from));
+        ok(options.includes('confirm:'), `${start} should ask for confirmation`);
+    }
+    ok(V3_SRC.includes('createConfirmations(bot, onCallback)'));
+});
+
+// ---- Command registry (command_registry.js) ----
+console.log('\n── command_registry.js: Descriptors, /help, Menu ──');
+
+await test('[registry] registerCommand guards by role, confirms on request and lists each name once', async () => {
+    const patterns = [];
+    const guarded = [];
+    const registry = createCommandRegistry({ ...mockBot, onText: (pattern, fn) => patterns.push({ pattern, fn }) }, {
+        authorized: (handler, role, what) => { guarded.push({ role, what }); return handler; },
+        confirmations: { command: handler => async (...args) => `confirm:${await handler(...args)}` }
+    });
+    registry.registerCommand(/^\/project$/, async () => 'picker', { role: 'operator', category: 'projects', description: 'Switch project' });
+    registry.registerCommand(/^\/project\s+(.+)/, async () => 'switch', { role: 'operator' });
+    registry.registerCommand(/^\/kill/, async () => 'killed', { role: 'admin', category: 'admin', description: 'Kill', confirm: true });
+    deepStrictEqual(registry.BOT_COMMANDS, ['/project', '/kill']);
+    deepStrictEqual(guarded, [
+        { role: 'operator', what: '/project' }, { role: 'operator', what: '/project' }, { role: 'admin', what: '/kill' }
+    ]);
+    ok(patterns[0].pattern.test('/project@wa_bot'), 'group @botname form matches');
+    strictEqual(await patterns[2].fn(), 'confirm:killed');
+    ok(registry.usage('kill').includes('Role: admin · asks for confirmation'));
+});
+
+await test('[registry] descriptors are validated', () => {
+    const bad = [
+        [{ name: 'Kill', description: 'x', category: 'admin', role: 'admin' }, 'lowercase'],
+        [{ name: 'kill', description: '', category: 'admin', role: 'admin' }, 'description'],
+        [{ name: 'kill', description: 'x', category: 'misc', role: 'admin' }, 'unknown category'],
+        [{ name: 'kill', description: 'x', category: 'admin', role: 'root' }, 'unknown role'],
+        [{ name: 'kill', description: 'x'.repeat(257), category: 'admin', role: 'admin' }, 'description']
+    ];
+    for (const [descriptor, expected] of bad) {
+        let err;
+        try { validateDescriptor(descriptor); } catch (e) { err = e; }
+        ok(err && err.message.includes(expected), `${JSON.stringify(descriptor).slice(0, 60)} → ${expected}`);
+    }
+    strictEqual(usageLine({ name: 'history', args: [{ name: 'box', values: ['inbox', 'outbox'], optional: true }, { name: 'page', optional: true }] }),
+        '/history [inbox|outbox] [page]');
+});
+
+await test('[registry] every command module registers a valid, described command set', async () => {
+    const registry = await registeredCommands();
+    const names = registry.list().map(d => d.name);
+    for (const cmd of ['help', 'kill', 'autofix', 'add', 'history', 'deadletters', 'startup', 'plan_feature', 'new']) {
+        ok(names.includes(cmd), `/${cmd} should be described`);
+    }
+    ok(!registry.BOT_COMMANDS.includes('/startup'), 'workflow commands stay relayed to the agent');
+    strictEqual(new Set(names).size, names.length);
+    const readme = readFileSync(resolve(PROJECT_ROOT, 'README.md'), 'utf8');
+    for (const name of names) ok(readme.includes(`\`/${name}`), `README should document /${name}`);
+});
+
+await test('[registry] /help is grouped by category; /help <command> shows usage', async () => {
+    const registry = await registeredCommands();
+    const help = registry.help();
+    const headings = Object.values(CATEGORIES).map(label => help.indexOf(`\n${label}:\n`));
+    ok(headings.every(i => i > 0), 'every category has a section');
+    deepStrictEqual([...headings].sort((a, b) => a - b), headings, 'sections in category order');
+    ok(help.indexOf('/kill — ') > help.indexOf(CATEGORIES.admin), '/kill sits with the admin commands');
+    ok(help.includes('/add <name> <path> — Register a new project'));
+
+    const add = registry.usage('/add');
+    ok(add.startsWith('/add <name> <path>\nRegister a new project'));
+    ok(add.includes('<path> — path to an existing directory (relative to DEFAULT_PROJECT_DIR)'));
+    ok(add.includes('Role: admin'));
+    ok(registry.usage('startup').includes('runs in the agent'));
+    strictEqual(registry.usage('nope'), '❓ Unknown command /nope. Send /help for the list.');
+});
+
+await test('[registry] /help handler answers with the list or one command', async () => {
+    const handlers = [];
+    const bot = { ...mockBot, onText: (pattern, fn) => handlers.push({ pattern, fn }) };
+    const registry = createCommandRegistry(bot, { authorized: h => h, confirmations: {} });
+    (await import('./commands/general.js')).register(bot, {
+        ...registry, commands: registry, reply: (msg, text) => mockBot.sendMessage(msg.chat.id, text)
+    });
+    const help = handlers.find(h => h.pattern.test('/help'));
+    for (const text of ['/help', '/help version', '/help /version']) {
+        await help.fn({ chat: { id: 1 }, text }, text.match(help.pattern));
+    }
+    ok(receivedMessages[0].text.includes('🔧 General:') && receivedMessages[0].text.includes('🎙️ Voice notes'));
+    strictEqual(receivedMessages[1].text, receivedMessages[2].text);
+    ok(receivedMessages[1].text.startsWith('/version\nBot version'));
+});
+
+await test('[registry] publish pushes every described command to setMyCommands', async () => {
+    let menu = null;
+    const registry = await registeredCommands({ ...mockBot, setMyCommands: async (commands) => { menu = commands; } });
+    await registry.publish();
+    strictEqual(menu.length, registry.list().length);
+    ok(menu.some(c => c.command === 'startup'), 'workflow commands autocomplete too');
+    ok(menu.every(c => /^[a-z0-9_]{1,32}$/.test(c.command) && c.description.length <= 256));
+
+    const failing = await registeredCommands({ ...mockBot, setMyCommands: async () => { throw new Error('401'); } });
+    await failing.publish(); // logged, never thrown
+});
+
+// ---- Argument parsing (args.js) ----
+console.log('\n── args.js: Declarative Arguments ──');
+
+await test('[args] tokenize groups quoted words, including phone curly quotes', () => {
+    deepStrictEqual(tokenize(` web  "/srv/my site" 'a b' “c d” x"y z"`), ['web', '/srv/my site', 'a b', 'c d', 'xy z']);
+    deepStrictEqual(tokenize('"say \\"hi\\"" ""'), ['say "hi"', '']);
+    throws(() => tokenize('"open'), /Unterminated quote/);
+});
+
+await test('[args] positionals, rest, enums, ints and flags', () => {
+    const spec = {
+        name: 'demo',
+        args: [{ name: 'mode', values: ['fast', 'slow'], optional: true }, { name: 'count', type: 'int', min: 1 }, { name: 'note', optional: true, rest: true }],
+        flags: [{ name: 'force' }, { name: 'level', values: ['low', 'high'] }, { name: 'limit', type: 'int' }]
+    };
+    deepStrictEqual(parseArgs('/demo@wa_bot fast 3 hello there --force', spec),
+        { args: { mode: 'fast', count: 3, note: 'hello there' }, flags: { force: true, level: undefined, limit: undefined } });
+    deepStrictEqual(parseArgs('/demo --level=high 2 --limit 5 -- --not-a-flag', spec),
+        { args: { count: 2, note: '--not-a-flag' }, flags: { force: false, level: 'high', limit: 5 } });
+
+    const problems = [
+        ['/demo', 'Missing <count>'],
+        ['/demo fast zero', '<count> must be a whole number (got "zero")'],
+        ['/demo 0', '<count> must be at least 1 (got 0)'],
+        ['/demo 1 --level=mid', '--level must be one of: low, high (got "mid")'],
+        ['/demo 1 --limit', '--limit needs a value'],
+        ['/demo 1 --force=yes', '--force takes no value'],
+        ['/demo 1 --verbose', 'Unknown option --verbose'],
+        ['/demo 1 "open', 'Unterminated quote "']
+    ];
+    for (const [text, problem] of problems) {
+        let err;
+        try { parseArgs(text, spec); } catch (e) { err = e; }
+        ok(err instanceof UsageError, text);
+        strictEqual(err.message, `❌ ${problem}\nUsage: /demo [fast|slow] <count> [note] [--force] [--level=<low|high>] [--limit=<n>]`);
+    }
+    throws(() => parseArgs('/pair a b c', { name: 'pair', args: [{ name: 'x' }, { name: 'y' }] }), /Unexpected "c"/);
+});
+
+await test('[args] path arguments resolve against their base and must be directories', () => {
+    const spec = { name: 'add', args: [{ name: 'path', type: 'path', base: TEST_DIR, rest: true }] };
+    mkdirSync(resolve(TEST_DIR, 'my site'), { recursive: true });
+    strictEqual(parseArgs('/add my site', spec).args.path, resolve(TEST_DIR, 'my site'));
+    strictEqual(parseArgs(`/add "${TEST_DIR}"`, spec).args.path, TEST_DIR);
+    throws(() => parseArgs('/add nowhere', spec), new RegExp(`Directory not found: ${resolve(TEST_DIR, 'nowhere')}`));
+    throws(() => parseArgs(`/add ${INBOX}`, spec), /Directory not found/, 'a file is not a project');
+});
+
+await test('[args] the registry answers bad input with a usage error, through the Telegram mock', async () => {
+    const bot = new MockTelegramBot('token');
+    const state = { projects: {}, activeProject: null };
+    const guarded = [];
+    const registry = createCommandRegistry(bot, {
+        authorized: (handler, role) => async (msg, match) => { guarded.push(role); if (msg.from?.id === 1) await handler(msg, match); },
+        confirmations: { command: h => h }
+    });
+    (await import('./commands/project.js')).register(bot, {
+        ...registry, DEFAULT_PROJECT_DIR: TEST_DIR, onCallback: () => { },
+        getState: () => state, updateState: (fn) => fn(state),
+        reply: (msg, text, opts) => bot.sendMessage(msg.chat.id, text, opts)
+    });
+    const send = (text, from = 1) => bot._receiveMessage({ chat: { id: 7 }, from: { id: from }, text });
+    const sent = () => MockTelegramBot.__getReceivedMessages().map(m => m.text);
+
+    await send('/add web');
+    deepStrictEqual(sent(), ['❌ Missing <path>\nUsage: /add <name> <path>\nSend /help add for details.']);
+    mkdirSync(resolve(TEST_DIR, 'my site'), { recursive: true });
+    await send('/add site "my site"');
+    deepStrictEqual(state.projects, { site: resolve(TEST_DIR, 'my site') });
+    await send('/project@wa_bot site');
+    strictEqual(state.activeProject, resolve(TEST_DIR, 'my site'));
+    ok(sent()[2].startsWith('✅ Switched to project: site'));
+
+    await send('/add web', 2);
+    strictEqual(sent().length, 3, 'unauthorized users get no usage hints');
+    strictEqual(await send('/address book'), false, '/address is not /add');
+});
+
+// ---- Scheduler (scheduler.js, commands/schedule.js) ----
+console.log('\n── scheduler.js: /schedule ──');
+
+// Sunday 2026-10-18 12:00, bot-local time
+const SCHED_NOW = new Date(2026, 9, 18, 12, 0).getTime();
+const localTime = (...parts) => new Date(...parts).getTime();
+function schedCtx() {
+    const queued = [];
+    const enqueue = (type) => (text, origin) => queued.push({ type, text, origin });
+    return {
+        queued, CHAT_ID, CENTRAL_DIR: TEST_DIR, LOCK_FILE: LOCK, readJsonSafe, updateJson,
+        inbox: { chat: enqueue('chat'), command: enqueue('command'), system: enqueue('system') }
+    };
+}
+
+await test('[schedule] cron expressions: ranges, steps, names and the day-of-month/weekday rule', () => {
+    const next = (expr, after = SCHED_NOW) => nextCronRun(expr, after)?.getTime();
+    strictEqual(next('0 7 * * 1-5'), localTime(2026, 9, 19, 7, 0), 'weekday 07:00 → Monday');
+    strictEqual(next('0 7 * * 1-5', localTime(2026, 9, 23, 7, 0)), localTime(2026, 9, 26, 7, 0), 'Friday → next Monday');
+    strictEqual(next('*/15 * * * *'), localTime(2026, 9, 18, 12, 15));
+    strictEqual(next('30 9 * jan mon-fri'), localTime(2027, 0, 1, 9, 30));
+    strictEqual(next('0 0 13 * fri'), localTime(2026, 9, 23, 0, 0), 'both day fields: either matches');
+    strictEqual(next('0 12 * * 7'), localTime(2026, 9, 25, 12, 0), 'weekday 7 is Sunday; strictly after now');
+    strictEqual(next('@daily'), localTime(2026, 9, 19, 0, 0));
+    strictEqual(nextCronRun('0 0 31 2 *', SCHED_NOW), null);
+    strictEqual(loadScheduleGrace({}), 15 * 60 * 1000);
+    throws(() => loadScheduleGrace({ SCHEDULE_MISSED_GRACE_MINUTES: 'soon' }), /SCHEDULE_MISSED_GRACE_MINUTES/);
+});
+
+await test('[schedule] parseSchedule: cron, one-shot times and readable errors', () => {
+    deepStrictEqual(parseSchedule('0  7 * *   1-5', SCHED_NOW), { cron: '0 7 * * 1-5' });
+    deepStrictEqual(parseSchedule('23:00', SCHED_NOW), { at: new Date(localTime(2026, 9, 18, 23, 0)).toISOString() });
+    deepStrictEqual(parseSchedule('11:00', SCHED_NOW), { at: new Date(localTime(2026, 9, 19, 11, 0)).toISOString() }, 'passed today → tomorrow');
+    deepStrictEqual(parseSchedule('2026-12-24 18:30', SCHED_NOW), { at: new Date(localTime(2026, 11, 24, 18, 30)).toISOString() });
+    for (const [spec, problem] of [
+        ['61 * * * *', 'Bad minute "61" (expected 0-59)'],
+        ['* * *', 'A cron expression has 5 fields'],
+        ['0 9 * * funday', 'Bad day of week "funday"'],
+        ['25:00', 'Bad time'],
+        ['2026-02-30 10:00', 'Bad date'],
+        ['2020-01-01 10:00', 'is in the past'],
+        ['0 0 31 2 *', 'never runs']
+    ]) {
+        throws(() => parseSchedule(spec, SCHED_NOW), e => e.message.includes(problem), spec);
+    }
+});
+
+await test('[schedule] due jobs fire through the inbox and persist their next run', async () => {
+    const ctx = schedCtx();
+    const origin = { chatId: -100, threadId: 7, project: '/srv/web' };
+    const weekday = await addJob(ctx, { schedule: { cron: '0 7 * * 1-5' }, text: '/pr_check', origin }, SCHED_NOW);
+    const once = await addJob(ctx, { schedule: parseSchedule('23:00', SCHED_NOW), text: '/sprint' }, SCHED_NOW);
+    deepStrictEqual([weekday.id, once.id], [1, 2]);
+
+    const monday = localTime(2026, 9, 19, 7, 0, 20);
+    deepStrictEqual(await runDueJobs(mockBot, ctx, { now: localTime(2026, 9, 18, 22, 59), graceMs: 60000 }), []);
+    const fired = await runDueJobs(mockBot, ctx, { now: localTime(2026, 9, 18, 23, 0, 5), graceMs: 60000 });
+    deepStrictEqual(fired.map(r => [r.job.id, r.status]), [[2, 'fired']]);
+    deepStrictEqual((await runDueJobs(mockBot, ctx, { now: monday, graceMs: 60000 })).map(r => r.status), ['fired']);
+
+    deepStrictEqual(ctx.queued, [
+        { type: 'command', text: '/sprint', origin: { chatId: undefined, threadId: undefined, project: undefined } },
+        { type: 'command', text: '/pr_check', origin }
+    ]);
+    const jobs = listJobs(ctx);
+    strictEqual(jobs.length, 1, 'one-shot jobs are removed after firing');
+    strictEqual(jobs[0].nextRun, new Date(localTime(2026, 9, 20, 7, 0)).toISOString());
+    strictEqual(jobs[0].lastStatus, 'fired');
+    ok(receivedMessages.some(m => m.chatId === -100 && m.options.message_thread_id === 7 && m.text.includes('#1 → sent to the agent')));
+    ok(existsSync(schedulesFileOf(ctx)), 'jobs are stored in wa_schedules.json');
+});
+
+await test('[schedule] a held session lock queues or skips the job; missed runs are reported', async () => {
+    const ctx = schedCtx();
+    await addJob(ctx, { schedule: { cron: '0 7 * * *' }, text: 'queue me' }, SCHED_NOW);
+    await addJob(ctx, { schedule: { cron: '0 7 * * *' }, text: 'skip me', ifBusy: 'skip' }, SCHED_NOW);
+    writeFileSync(LOCK, '4242');
+
+    const due = localTime(2026, 9, 19, 7, 0);
+    const busy = await runDueJobs(mockBot, ctx, { now: due, graceMs: 60000 });
+    deepStrictEqual(busy.map(r => [r.job.text, r.status]), [['queue me', 'queued'], ['skip me', 'skipped']]);
+    deepStrictEqual(await runDueJobs(mockBot, ctx, { now: due + 30 * 60000, graceMs: 60000 }), [], 'queued once, still waiting');
+    strictEqual(ctx.queued.length, 0);
+
+    rmSync(LOCK);
+    const later = due + 45 * 60000;
+    deepStrictEqual((await runDueJobs(mockBot, ctx, { now: later, graceMs: 60000 })).map(r => r.status), ['fired'], 'queued jobs outlive the grace period');
+    deepStrictEqual(ctx.queued.map(e => e.text), ['queue me']);
+    const [queued, skipped] = listJobs(ctx);
+    strictEqual(queued.nextRun, new Date(localTime(2026, 9, 20, 7, 0)).toISOString());
+    strictEqual(skipped.lastStatus, 'skipped');
+
+    // The bot was down through the next 07:00 run
+    const missed = await runDueJobs(mockBot, ctx, { now: localTime(2026, 9, 20, 9, 0), graceMs: 60000 });
+    deepStrictEqual(missed.map(r => r.status), ['missed', 'missed']);
+    strictEqual(ctx.queued.length, 1);
+    ok(receivedMessages.some(m => m.text.includes('was missed while the bot was down')));
+    strictEqual(listJobs(ctx)[0].nextRun, new Date(localTime(2026, 9, 21, 7, 0)).toISOString());
+});
+
+await test('[schedule] /schedule add, list, pause, resume and remove', async () => {
+    const bot = new MockTelegramBot('token');
+    const ctx = schedCtx();
+    const state = { projects: { web: '/srv/web' }, topics: { '-100:7': 'web' } };
+    const registry = createCommandRegistry(bot, { authorized: h => h, confirmations: {} });
+    (await import('./commands/schedule.js')).register(bot, {
+        ...ctx, ...registry, getState: () => state,
+        reply: (msg, text) => bot.sendMessage(msg.chat.id, text)
+    });
+    const send = (text, chat = { id: 5 }, extra = {}) => bot._receiveMessage({ chat, from: { id: 11 }, text, ...extra });
+    const last = () => MockTelegramBot.__getReceivedMessages().at(-1).text;
+
+    await send('/schedule');
+    ok(last().startsWith('⏰ No scheduled jobs.'));
+    await send('/schedule add "0 7 * * 1-5" /pr_check --project web');
+    ok(last().startsWith('⏰ Scheduled job #1: 0 7 * * 1-5\n/pr_check\nNext run: '), last());
+    ok(last().includes('project: web · if busy: queue'));
+    await send('/schedule add “@daily” summarize the logs --if-busy=skip', { id: -100 }, { message_thread_id: 7, is_topic_message: true });
+    const [weekday, daily] = listJobs(ctx);
+    deepStrictEqual([weekday.project, weekday.ifBusy, weekday.createdBy], ['/srv/web', 'queue', 11]);
+    deepStrictEqual([daily.text, daily.chatId, daily.threadId, daily.project, daily.ifBusy],
+        ['summarize the logs', -100, 7, '/srv/web', 'skip'], 'the topic binding picks the project');
+
+    await send('/schedule pause #1');
+    strictEqual(last(), '⏸️ Paused job #1 — /schedule resume 1 to continue.');
+    await send('/schedule list');
+    ok(last().includes('#1 ⏸️ 0 7 * * 1-5 — /pr_check\n   project: web · paused · if busy: queue'), last());
+    await send('/schedule resume 1');
+    ok(last().startsWith('▶️ Resumed job #1 — next run: '));
+    await send('/schedule remove 2');
+    strictEqual(last(), '🗑️ Removed job #2: summarize the logs');
+    deepStrictEqual(listJobs(ctx).map(j => j.id), [1]);
+
+    for (const [text, reply] of [
+        ['/schedule add 25:00 /sprint', '❌ Bad time "25:00"\nUsage: /schedule'],
+        ['/schedule add "0 7 * * *"', '❌ add needs when to run and the message to send'],
+        ['/schedule remove', '❌ Give the job ID'],
+        ['/schedule 3', '❌ Start with add, list, remove, pause, resume'],
+        ['/schedule add 07:00 x --project nope', '❌ Project "nope" not found.'],
+        ['/schedule pause 9', '❌ No scheduled job #9.']
+    ]) {
+        await send(text);
+        ok(last().startsWith(reply), `${text} → ${last()}`);
+    }
+    strictEqual(listJobs(ctx).length, 1);
+    ok((await setPaused(ctx, 1, true)).paused);
+});
+
+// ---- Inbox queue (inbox.js, commands/queue.js, INBOX_QUEUE_JQ) ----
+console.log('\n── inbox.js: Queue ──');
+
+const INBOX_URL = new URL('./inbox.js', import.meta.url).href;
+const queued = (...entries) => entries.map(([id, type, priority, order, extra = {}]) =>
+    ({ id, type, priority, order, text: id, read: false, ...extra }));
+function inboxJq(filter, messages, origin = null) {
+    return JSON.parse(execSync(`bash -c 'source "${resolve(SCRIPT_DIR, '..', 'json_lock.sh')}"; jq -c --argjson origin "$ORIGIN" "$INBOX_QUEUE_JQ $FILTER | map(.id)"'`, {
+        input: JSON.stringify({ messages }), env: { ...process.env, FILTER: filter, ORIGIN: JSON.stringify(origin) }
+    }).toString());
+}
+
+await test('[queue] the typed API stores type, priority, order and target project', async () => {
+    const central = resolve(TEST_DIR, '.gemini');
+    mkdirSync(central, { recursive: true });
+    writeFileSync(resolve(central, 'state.json'), JSON.stringify({ activeProject: '/srv/api' }));
+    runConcurrently([nodeWriter(`const q = await import('${INBOX_URL}');
+        await q.inbox.chat('hello', { chatId: 100 });
+        await q.inbox.command('STOP', { chatId: 100, project: '/srv/web' }, { priority: 'high' });
+        await q.inbox.system('diagnose', {}, { priority: 'low' });`, `GEMINI_PROJECT_DIR='${TEST_DIR}'`)]);
+    const messages = readJsonSafe(resolve(central, 'wa_inbox.json'), {}).messages;
+    deepStrictEqual(messages.map(m => [m.text, m.type, m.priority, m.order, m.project]), [
+        ['hello', 'chat', 'normal', 1, '/srv/api'],
+        ['STOP', 'command', 'high', 2, '/srv/web'],
+        ['diagnose', 'system', 'low', 3, '/srv/api']
+    ]);
+    deepStrictEqual(listQueue(resolve(central, 'wa_inbox.json')).map(m => m.text), ['STOP', 'hello', 'diagnose']);
+    await rejects(enqueue('note', 'x'), /Unknown inbox entry type "note"/);
+    await rejects(enqueue('chat', 'x', {}, { priority: 'urgent' }), /Unknown priority "urgent"/);
+    deepStrictEqual([relayType('/pr_check'), relayType('fix it'), relayType('/ path')], ['command', 'chat', 'chat']);
+});
+
+await test('[queue] moving an entry adopts the priority it passes; cancel takes it off the queue', async () => {
+    writeFileSync(INBOX, JSON.stringify({ messages: [
+        ...queued(['a', 'chat', 'normal', 4], ['b', 'chat', 'normal', 5], ['c', 'chat', 'low', 6], ['s', 'command', 'high', 7]),
+        { id: 'old', text: 'done', read: true, order: 1 }
+    ] }));
+    const ids = () => listQueue(INBOX).map(m => m.id);
+    deepStrictEqual(ids(), ['s', 'a', 'b', 'c']);
+    strictEqual(await moveEntry('c', 'top', INBOX), 0);
+    deepStrictEqual(ids(), ['c', 's', 'a', 'b']);
+    strictEqual(listQueue(INBOX)[0].priority, 'high', 'c takes the priority of the entry it passed');
+    strictEqual(await moveEntry('s', 'down', INBOX), 2);
+    deepStrictEqual(ids(), ['c', 'a', 's', 'b']);
+    strictEqual(await moveEntry('b', 'down', INBOX), 3, 'already last');
+    deepStrictEqual(listQueue(INBOX).map(m => m.order), [4, 5, 6, 7], 'renumbered from the lowest pending order');
+    strictEqual(await moveEntry('old', 'top', INBOX), null, 'read entries cannot move');
+    await rejects(moveEntry('a', 'sideways', INBOX), /Unknown move/);
+
+    strictEqual((await cancelEntry('a', INBOX)).text, 'a');
+    strictEqual(await cancelEntry('a', INBOX), null);
+    deepStrictEqual(ids(), ['c', 's', 'b']);
+    const cancelled = readJsonSafe(INBOX, {}).messages.find(m => m.id === 'a');
+    ok(cancelled.read && cancelled.cancelled && cancelled.cancelledAt);
+});
+
+await test('[queue] watcher batch: commands run alone, chat batches per origin; sessions see chat and high priority from their origin', () => {
+    const messages = queued(
+        ['a', 'chat', 'normal', 1, { chatId: 5 }], ['b', 'chat', 'normal', 2, { chatId: 5 }],
+        ['t', 'chat', 'normal', 3, { chatId: -100, threadId: 7 }], ['c', 'command', 'normal', 4, { chatId: 5 }],
+        ['d', 'chat', 'normal', 5, { chatId: 5 }], ['l', 'system', 'low', 6, { chatId: 5 }]);
+    deepStrictEqual(inboxJq('inbox_batch', messages), ['a', 'b'], 'stops at the first command');
+    deepStrictEqual(inboxJq('inbox_batch', messages.slice(2)), ['t']);
+    deepStrictEqual(inboxJq('inbox_batch', messages.slice(3)), ['c'], 'a command runs on its own');
+    deepStrictEqual(inboxJq('inbox_batch', [...messages, ...queued(['x', 'command', 'high', 9, { chatId: 5, text: 'STOP' }])]), ['x']);
+    deepStrictEqual(inboxJq('inbox_batch', [{ id: 'legacy', text: 'hi', read: false }, { id: 'r', read: true }]), ['legacy'],
+        'entries without type or order are normal chat');
+    const stop = queued(['x', 'command', 'high', 9, { chatId: 5 }]);
+    deepStrictEqual(inboxJq('inbox_live($origin)', [...messages, ...stop], ['5', '', '']), ['x', 'a', 'b', 'd']);
+    deepStrictEqual(inboxJq('inbox_live($origin)', [...messages, ...stop], ['-100', '7', '']), ['t'], 'other chats stay queued');
+    deepStrictEqual(inboxJq('inbox_live($origin)', messages.slice(2)), ['t'], 'no origin: the queue head\'s');
+    deepStrictEqual(inboxJq('inbox_batch', []), []);
+});
+
+// Run the BeforeAgent hook for a batch from chat 5 against these inbox entries
+function beforeAgentHook(messages) {
+    const central = resolve(TEST_DIR, '.gemini');
+    mkdirSync(central, { recursive: true });
+    writeFileSync(resolve(central, 'wa_inbox.json'), JSON.stringify({ messages }));
+    const out = execSync(`bash '${resolve(SCRIPT_DIR, '..', 'hooks', 'before_agent_wa.sh')}'`, {
+        input: '{}', stdio: ['pipe', 'pipe', 'ignore'],
+        env: { ...process.env, HOOK_BRIDGE_DIR: TEST_DIR, HOOK_BATCH_ORIGIN: '["5","",""]' }
+    }).toString();
+    return {
+        context: JSON.parse(out).hookSpecificOutput?.additionalContext || '',
+        stopped: existsSync(resolve(central, 'wa_stop_signal')),
+        pending: readJsonSafe(resolve(central, 'wa_inbox.json'), {}).messages.filter(m => !m.read).map(m => m.id)
+    };
+}
+
+await test('[queue] the BeforeAgent hook injects only the running batch\'s chat', () => {
+    const { context, pending } = beforeAgentHook(queued(
+        ['mine', 'chat', 'normal', 1, { chatId: 5, text: 'also fix the footer' }],
+        ['other', 'chat', 'normal', 2, { chatId: 6, text: 'deploy staging' }],
+        ['topic', 'chat', 'normal', 3, { chatId: 5, threadId: 7, text: 'topic question' }]));
+    ok(context.includes('also fix the footer'));
+    ok(!context.includes('deploy staging') && !context.includes('topic question'), 'other origins are not injected');
+    deepStrictEqual(pending, ['other', 'topic'], 'and stay queued');
+});
+
+await test('[queue] only the /stop command entry halts a session, not text that mentions STOP', () => {
+    const chatty = beforeAgentHook(queued(
+        ['quote', 'chat', 'normal', 1, { chatId: 5, text: 'carry on', replyTo: { messageId: 3, text: 'Reply STOP to halt' } }],
+        ['file', 'chat', 'normal', 2, { chatId: 5, text: 'see log', attachments: [{ path: '/logs/STOP.txt', mimeType: 'text/plain' }] }],
+        ['word', 'chat', 'normal', 3, { chatId: 5, text: "don't stop at the first failure" }]));
+    ok(!chatty.stopped, 'quoted replies, file names and chat text are not a STOP');
+    ok(chatty.context.includes('carry on'));
+    const stop = beforeAgentHook(queued(['s', 'command', 'high', 1, { chatId: 5, text: 'STOP' }]));
+    ok(stop.stopped);
+    ok(stop.context.startsWith('⛔ STOP signal received'));
+});
+
+await test('[queue] /queue lists pending entries and moves or cancels them by number or button', async () => {
+    const bot = new MockTelegramBot('token');
+    const callbacks = {};
+    const registry = createCommandRegistry(bot, { authorized: h => h, confirmations: {} });
+    (await import('./commands/queue.js')).register(bot, {
+        INBOX, ...registry, getState: () => ({ projects: { web: '/srv/web' } }),
+        onCallback: (prefix, handler, opts) => { callbacks[prefix] = { handler, opts }; },
+        reply: (msg, text, opts) => bot.sendMessage(msg.chat.id, text, opts)
+    });
+    const send = (text) => bot._receiveMessage({ chat: { id: 5 }, from: { id: 11 }, text });
+    const sent = () => MockTelegramBot.__getReceivedMessages();
+    const last = () => sent().at(-1).text;
+
+    await send('/queue');
+    strictEqual(last(), '📭 Queue is empty — nothing waiting for the agent.');
+    writeFileSync(INBOX, JSON.stringify({ messages: queued(
+        ['m1', 'chat', 'normal', 1, { project: '/srv/web', text: 'fix   the\nlogin' }],
+        ['m2', 'command', 'normal', 2, { text: '/pr_check' }],
+        ['m3', 'chat', 'low', 3, { project: '/srv/web', text: '', attachments: [{ name: 'a.png' }] }]) }));
+
+    await send('/queue');
+    strictEqual(last(), '📥 Queue — 3 pending, next first\n' +
+        '1. 💬 chat · web\n   fix the login\n' +
+        '2. ⚡ command · active project\n   /pr_check\n' +
+        '3. 💬 chat · low · web\n   📎 a.png');
+    deepStrictEqual(sent().at(-1).options.reply_markup.inline_keyboard[1].map(b => b.callback_data), ['iq:up:m2', 'iq:down:m2', 'iq:cancel:m2']);
+
+    await send('/queue top 3');
+    ok(sent().at(-2).text === '↕️ Moved to position 1' && last().includes('1. 💬 chat · web\n   📎 a.png'), last());
+    await send('/queue cancel 2');
+    strictEqual(sent().at(-2).text, '❌ Cancelled: fix the login');
+    deepStrictEqual(listQueue(INBOX).map(m => m.id), ['m3', 'm2']);
+
+    strictEqual(callbacks['iq:'].opts.role, 'operator');
+    await callbacks['iq:'].handler({ id: 'q1', data: 'iq:up:m2', message: { chat: { id: 5 }, message_id: 77 } });
+    deepStrictEqual(listQueue(INBOX).map(m => m.id), ['m2', 'm3']);
+    ok(sent().at(-1).type === 'editMessageText' && sent().at(-1).options.message_id === 77 && last().includes('1. ⚡ command'));
+    await callbacks['iq:'].handler({ id: 'q2', data: 'iq:cancel:gone', message: { chat: { id: 5 }, message_id: 77 } });
+    strictEqual(sent().at(-2).options.text, '⌛ Already taken by the agent');
+
+    for (const [text, reply] of [
+        ['/queue up', '❌ Give the entry number, e.g. /queue up 2\nUsage: /queue'],
+        ['/queue down 9', '❌ No entry 9 — 2 pending.'],
+        ['/queue sideways 1', '❌ <position> must be a whole number (got "sideways")']
+    ]) {
+        await send(text);
+        ok(last().startsWith(reply), `${text} → ${last()}`);
+    }
+});
+
+// ---- Edit / cancel pending messages (message_edits.js) ----
+console.log('\n── message_edits.js: Edit & Cancel ──');
+
+function editsBot() {
+    const listeners = {};
+    const routes = {};
+    const edited = [];
+    const bot = {
+        ...mockBot, on: (event, handler) => { listeners[event] = handler; },
+        editMessageText: async (text, opts) => { edited.push({ text, opts }); }
+    };
+    const edits = startMessageEdits(bot, {
+        INBOX, authorized: handler => handler,
+        reply: (msg, text, opts) => bot.sendMessage(msg.chat.id, text, opts),
+        onCallback: (prefix, handler, opts) => { routes[prefix] = { handler, ...opts }; }
+    });
+    const press = (data, message = { chat: { id: 5 }, message_id: 30, text: '📨 Queued for the agent.' }) =>
+        routes['im:'].handler({ id: 'q', data, message });
+    return { edits, listeners, routes, edited, press };
+}
+
+await test('[edits] editEntry and entryForMessage only change what the watcher has not read', async () => {
+    writeFileSync(INBOX, JSON.stringify({ messages: [
+        ...queued(['a', 'chat', 'normal', 1, { chatId: 5, messageId: 10 }]),
+        { id: 'r', text: 'old', read: true, chatId: 5, messageId: 11 }
+    ] }));
+    strictEqual((await editEntry('a', 'fixed typo', INBOX)).text, 'fixed typo');
+    ok(readJsonSafe(INBOX, {}).messages[0].editedAt);
+    strictEqual(await editEntry('r', 'too late', INBOX), null);
+    strictEqual(entryForMessage('5', 10, INBOX).id, 'a', 'chat ids compare as strings');
+    strictEqual(entryForMessage(5, 11, INBOX).read, true);
+    strictEqual(entryForMessage(6, 10, INBOX), null);
+});
+
+await test('[edits] relayed messages get ✏️ Edit / 🗑 Cancel; cancel works until the watcher reads it', async () => {
+    const { edits, routes, edited, press } = editsBot();
+    strictEqual(routes['im:'].role, 'operator');
+    writeFileSync(INBOX, JSON.stringify({ messages: queued(['a', 'chat', 'normal', 1, { chatId: 5 }], ['b', 'chat', 'normal', 2]) }));
+    await edits.relayed({ chat: { id: 5 }, message_id: 9 }, { id: 'a', text: 'deploy to prod' });
+    const ack = receivedMessages.at(-1);
+    strictEqual(ack.text, '📨 Queued for the agent.');
+    strictEqual(ack.options.reply_to_message_id, 9);
+    deepStrictEqual(ack.options.reply_markup.inline_keyboard[0].map(b => b.callback_data), ['im:edit:a', 'im:cancel:a']);
+    deepStrictEqual(editKeyboard({ id: 'x' }).inline_keyboard[0].map(b => b.text), ['✏️ Edit', '🗑 Cancel']);
+
+    await press('im:cancel:a');
+    deepStrictEqual(listQueue(INBOX).map(m => m.id), ['b']);
+    deepStrictEqual(edited.at(-1), { text: '📨 Queued for the agent.\n🗑 Cancelled — the agent will not see it.', opts: { chat_id: 5, message_id: 30 } });
+    await press('im:cancel:a');
+    strictEqual(edited.at(-1).text, '📨 Queued for the agent.\n⌛ Picked up by the agent.', 'buttons go once it is no longer pending');
+});
+
+await test('[edits] ✏️ Edit asks for the new text and the reply replaces the queued text', async () => {
+    const { edits, press } = editsBot();
+    writeFileSync(INBOX, JSON.stringify({ messages: queued(['a', 'command', 'normal', 1, { chatId: -100, text: '/pr_chek' }]) }));
+    await press('im:edit:a', { chat: { id: -100 }, message_id: 30, is_topic_message: true, message_thread_id: 7 });
+    const prompt = receivedMessages.at(-1);
+    const promptId = receivedMessages.length; // mockBot's message_id
+    strictEqual(prompt.text, '✏️ Reply to this message with the new text for:\n/pr_chek');
+    deepStrictEqual([prompt.options.message_thread_id, prompt.options.reply_markup.force_reply], [7, true]);
+
+    strictEqual(await edits.applyReply({ chat: { id: -100 }, text: 'unrelated', reply_to_message: { message_id: 999 } }), false);
+    strictEqual(await edits.applyReply({ chat: { id: -100 }, text: '/pr_check', reply_to_message: { message_id: promptId } }), true);
+    deepStrictEqual(listQueue(INBOX).map(m => [m.text, m.type]), [['/pr_check', 'command']]);
+    strictEqual(receivedMessages.at(-1).text, '✏️ Updated — the agent will get:\n/pr_check');
+    strictEqual(edits.prompts.size, 0, 'a prompt is answered once');
+
+    await press('im:edit:a', { chat: { id: -100 }, message_id: 30 });
+    const again = receivedMessages.length;
+    await updateJson(INBOX, { messages: [] }, doc => { doc.messages[0].read = true; });
+    ok(await edits.applyReply({ chat: { id: -100 }, text: 'x', reply_to_message: { message_id: again } }));
+    ok(receivedMessages.at(-1).text.startsWith('⌛ The agent already picked this up'));
+});
+
+await test('[edits] editing the message in Telegram updates the unread entry', async () => {
+    const { listeners } = editsBot();
+    writeFileSync(INBOX, JSON.stringify({ messages: [
+        ...queued(['a', 'chat', 'normal', 1, { chatId: 5, messageId: 10, text: 'fix the lgoin' }]),
+        { id: 'r', text: 'old', read: true, chatId: 5, messageId: 11 }
+    ] }));
+    await listeners.edited_message({ chat: { id: 5 }, message_id: 10, text: 'fix the login' });
+    strictEqual(listQueue(INBOX)[0].text, 'fix the login');
+    await listeners.edited_message({ chat: { id: 5 }, message_id: 11, text: 'new' });
+    ok(receivedMessages.at(-1).text.startsWith('⌛'));
+    const sent = receivedMessages.length;
+    await listeners.edited_message({ chat: { id: 5 }, message_id: 12, text: 'never relayed' });
+    strictEqual(receivedMessages.length, sent, 'messages that were never relayed are ignored');
+    ok(V3_SRC.includes('messageId: msg.message_id') && V3_SRC.includes('edits.applyReply(msg)'));
+});
+
+// ---- HTTP control API (control_api.js) ----
+console.log('\n── control_api.js: HTTP Control API ──');
+
+const API_TOKEN = 'test-token-0123456789';
+
+async function apiServer({ role = 'admin' } = {}) {
+    const bot = { ...mockBot };
+    const state = { activeProject: '/srv/api', projects: { web: '/srv/web', api: '/srv/api' } };
+    const queued = [];
+    const enqueue = (type) => (text, origin, ...rest) => {
+        const entry = { id: `e${queued.length + 1}`, type, text, project: origin.project || state.activeProject, rest };
+        queued.push(entry);
+        return entry;
+    };
+    const registry = createCommandRegistry(bot, {
+        authorized: h => h,
+        confirmations: { command: () => async (msg) => bot.sendMessage(msg.chat.id, 'Are you sure?') }
+    });
+    const callbackRoutes = {};
+    const onCallback = (prefix, handler, { role = 'admin', confirm } = {}) => {
+        callbackRoutes[prefix] = { handler, direct: handler, role, confirm: !!confirm };
+    };
+    const ctx = {
+        ...registry, commands: registry, callbackRoutes, onCallback, OUTBOX, readJsonSafe,
+        getState: () => state, updateState: (fn) => fn(state),
+        inbox: { chat: enqueue('chat'), command: enqueue('command'), system: enqueue('system') },
+        reply: (msg, text, opts) => bot.sendMessage(msg.chat.id, text, opts)
+    };
+    (await import('./commands/project.js')).register(bot, ctx);
+    registry.registerCommand(/^\/wipe$/, async (msg) => ctx.reply(msg, '🧹 Wiped'),
+        { role: 'admin', category: 'admin', description: 'Wipe', confirm: 'Wipe it?' });
+    registry.registerCommand(/^\/bind(?:\s|$)/, async () => { }, { role: 'operator', category: 'projects', description: 'Bind' });
+    registry.describeCommand({ name: 'pr_check', category: 'workflow', description: 'Check PRs' });
+    onCallback('tb:', async (query) => {
+        await bot.answerCallbackQuery(query.id, { text: 'pressed' });
+        await bot.editMessageText(`🔘 ${query.data} in ${query.message.chat.id.split(':')[0]}`, { chat_id: query.message.chat.id, message_id: 1 });
+    }, { role: 'operator' });
+    onCallback('noop:', async () => { }, { role: 'operator' });
+
+    const server = createServer(createControlApi(bot, ctx, { token: API_TOKEN, role }));
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (method, path, body, token = API_TOKEN) => {
+        const res = await fetch(base + path, {
+            method, headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return { status: res.status, ...await res.json() };
+    };
+    return { call, state, queued, close: () => new Promise(done => server.close(done)) };
+}
+
+await test('[api] config: off without a token, defaults to localhost, checks port, token and role', () => {
+    strictEqual(loadControlApiConfig({}), null);
+    deepStrictEqual(loadControlApiConfig({ CONTROL_API_TOKEN: API_TOKEN }), { token: API_TOKEN, host: '127.0.0.1', port: 8787, role: 'admin' });
+    deepStrictEqual(loadControlApiConfig({ CONTROL_API_TOKEN: API_TOKEN, CONTROL_API_PORT: '9000', CONTROL_API_HOST: '0.0.0.0', CONTROL_API_ROLE: 'operator' }),
+        { token: API_TOKEN, host: '0.0.0.0', port: 9000, role: 'operator' });
+    throws(() => loadControlApiConfig({ CONTROL_API_TOKEN: 'short' }), /at least 16 characters/);
+    throws(() => loadControlApiConfig({ CONTROL_API_TOKEN: API_TOKEN, CONTROL_API_PORT: 'http' }), /CONTROL_API_PORT/);
+    throws(() => loadControlApiConfig({ CONTROL_API_TOKEN: API_TOKEN, CONTROL_API_PORT: '70000' }), /CONTROL_API_PORT/);
+    throws(() => loadControlApiConfig({ CONTROL_API_TOKEN: API_TOKEN, CONTROL_API_ROLE: 'root' }), /CONTROL_API_ROLE/);
+});
+
+await test('[api] registry lookup and callback routing serve Telegram and the API alike', async () => {
+    const registry = createCommandRegistry(mockBot, { authorized: h => h, confirmations: {} });
+    registry.registerCommand(/^\/page(?:\s|$)/, async (msg, { args }) => args.n, {
+        role: 'viewer', category: 'general', description: 'Page', args: [{ name: 'n', type: 'int' }] });
+    registry.registerCommand(/^\/ping$/, async (msg, match) => match[0], { role: 'viewer', category: 'general', description: 'Ping' });
+    strictEqual(await registry.lookup('/page 3').run({ text: '/page 3' }), 3);
+    throws(() => registry.lookup('/page x').run({ text: '/page x' }), UsageError, 'usage errors are thrown, not sent');
+    strictEqual(await registry.lookup('/ping').run({ text: '/ping' }), '/ping');
+    strictEqual(registry.lookup('/ping now').run, null, 'no pattern accepts it');
+    strictEqual(registry.lookup('/nope'), null);
+    strictEqual(receivedMessages.length, 0);
+
+    const routes = { 'ep_task:': { role: 'operator' }, 'ep_task_model:': { role: 'admin' }, 'ep_execute': { role: 'operator' } };
+    strictEqual(findCallbackRoute(routes, 'ep_task_model:3:x').prefix, 'ep_task_model:');
+    strictEqual(findCallbackRoute(routes, 'ep_task:3').role, 'operator');
+    strictEqual(findCallbackRoute(routes, 'ep_execute').prefix, 'ep_execute');
+    strictEqual(findCallbackRoute(routes, 'other'), null);
+    strictEqual(findCallbackRoute(routes, undefined), null);
+    ok(V3_SRC.includes('findCallbackRoute(callbackRoutes, query.data)') && V3_SRC.includes('startControlApi(bot, ctx)'));
+});
+
+await test('[api] requests need the bearer token and known endpoints', async () => {
+    const { call, close } = await apiServer();
+    try {
+        deepStrictEqual(await call('GET', '/api/status', undefined, null), { status: 401, ok: false, error: 'Missing or wrong bearer token' });
+        strictEqual((await call('GET', '/api/status', undefined, 'test-token-0123456788')).status, 401);
+        strictEqual((await call('GET', '/api/nothing')).status, 404);
+        deepStrictEqual(await call('POST', '/api/inbox', '[1, 2]'), { status: 400, ok: false, error: 'Request body must be a JSON object' });
+        strictEqual((await call('POST', '/api/inbox', 'x'.repeat(70 * 1024))).status, 413);
+    } finally {
+        await close();
+    }
+});
+
+await test('[api] commands run the Telegram handlers in a loopback chat and answer with their replies', async () => {
+    const { call, state, queued, close } = await apiServer();
+    try {
+        const picker = await call('POST', '/api/commands/project');
+        strictEqual(picker.replies[0].text, '📂 Active: api\nSelect a project:');
+        deepStrictEqual(picker.replies[0].buttons.map(b => b.data), ['project:web', 'project:api']);
+
+        deepStrictEqual(await call('POST', '/api/project', { name: 'web' }), {
+            status: 200, ok: true, replies: [{ text: '✅ Switched to project: web\n/srv/web', buttons: [] }]
+        });
+        strictEqual(state.activeProject, '/srv/web');
+        const pressed = await call('POST', '/api/buttons', { data: 'project:api' });
+        deepStrictEqual([pressed.notice, pressed.replies[0].text, pressed.replies[0].edited], ['Switched to api', '📂 Switched to: api', true]);
+        strictEqual(state.activeProject, '/srv/api');
+        strictEqual((await call('POST', '/api/buttons', { data: 'tb:1' })).replies[0].text, '🔘 tb:1 in api');
+        strictEqual(receivedMessages.length, 0, 'nothing reaches Telegram');
+
+        const usage = await call('POST', '/api/commands/project', { args: '"unterminated' });
+        deepStrictEqual([usage.status, usage.error], [400, 'Unterminated quote "\nUsage: /project [name]']);
+        deepStrictEqual(await call('POST', '/api/commands/pr_check', { args: '--all' }), { status: 200, ok: true, replies: [], queued: 'e1' });
+        deepStrictEqual(queued.map(e => [e.type, e.text]), [['command', '/pr_check --all']]);
+        strictEqual((await call('POST', '/api/commands/bind', { args: 'web' })).status, 400);
+        strictEqual((await call('POST', '/api/commands/unknown')).status, 404);
+        strictEqual((await call('POST', '/api/buttons', { data: 'zz:1' })).status, 404);
+        deepStrictEqual(await call('POST', '/api/buttons', { data: 'noop:1' }), { status: 200, ok: true, replies: [] });
+        strictEqual((await call('POST', '/api/model', { model: 'nope' })).status, 404, 'no model: route in this server');
+
+        const listed = (await call('GET', '/api/commands')).commands;
+        deepStrictEqual(listed.find(c => c.name === 'wipe'), {
+            name: 'wipe', description: 'Wipe', category: 'admin', role: 'admin', usage: '/wipe', confirm: true, relayed: false
+        });
+        ok(listed.find(c => c.name === 'pr_check').relayed);
+    } finally {
+        await close();
+    }
+});
+
+await test('[api] confirmation and role are checked before anything runs', async () => {
+    const admin = await apiServer();
+    try {
+        const refused = await admin.call('POST', '/api/commands/wipe');
+        deepStrictEqual([refused.status, refused.error], [409, '/wipe asks for confirmation — send "confirm": true']);
+        strictEqual((await admin.call('POST', '/api/commands/wipe', { confirm: true })).replies[0].text, '🧹 Wiped');
+    } finally {
+        await admin.close();
+    }
+    const viewer = await apiServer({ role: 'viewer' });
+    try {
+        const denied = await viewer.call('POST', '/api/project', { name: 'web' });
+        deepStrictEqual([denied.status, denied.error], [403, '/project needs the operator role; this token has viewer']);
+        strictEqual(viewer.state.activeProject, '/srv/api');
+        strictEqual((await viewer.call('POST', '/api/inbox', { text: 'hi' })).status, 403);
+        strictEqual((await viewer.call('POST', '/api/buttons', { data: 'tb:1' })).status, 403);
+        strictEqual((await viewer.call('GET', '/api/outbox')).status, 200);
+    } finally {
+        await viewer.close();
+    }
+});
+
+await test('[api] inbox submit queues typed entries; outbox reads pages after an id', async () => {
+    const { call, queued, close } = await apiServer();
+    writeFileSync(OUTBOX, JSON.stringify({ messages: ['r1', 'r2', 'r3'].map(id => ({ id, text: `reply ${id}`, sent: true })) }));
+    try {
+        deepStrictEqual(await call('POST', '/api/inbox', { text: 'run the tests', project: 'web' }),
+            { status: 200, ok: true, queued: 'e1', type: 'chat', priority: 'normal', project: '/srv/web' });
+        deepStrictEqual(queued[0].rest, [[], { priority: 'normal' }]);
+        strictEqual((await call('POST', '/api/inbox', { text: 'STOP', type: 'command', priority: 'high' })).project, '/srv/api');
+        deepStrictEqual(queued[1].rest, [{ priority: 'high' }]);
+        for (const [body, error] of [
+            [{}, '"text" is required'],
+            [{ text: 'x', type: 'note' }, '"type" must be one of: command, chat, system'],
+            [{ text: 'x', priority: 'urgent' }, '"priority" must be one of: high, normal, low'],
+            [{ text: 'x', project: 'nope' }, 'Project "nope" not found']
+        ]) {
+            const res = await call('POST', '/api/inbox', body);
+            ok(res.status >= 400 && res.error.startsWith(error), `${JSON.stringify(body)} → ${res.error}`);
+        }
+
+        deepStrictEqual((await call('GET', '/api/outbox?limit=2')).messages.map(m => m.id), ['r2', 'r3']);
+        const after = await call('GET', '/api/outbox?after=r1');
+        deepStrictEqual([after.messages.map(m => m.id), after.last], [['r2', 'r3'], 'r3']);
+        deepStrictEqual(await call('GET', '/api/outbox?after=r3'), { status: 200, ok: true, messages: [], last: 'r3' });
+    } finally {
+        await close();
+    }
+});
+
+await test('[api] loopback chats stay out of Telegram and have no origin', async () => {
+    const bot = { ...mockBot };
+    const loopback = createLoopback(bot);
+    await bot.sendMessage(5, 'to telegram');
+    const transcript = await loopback.session(async (chatId) => {
+        await bot.sendMessage(chatId, 'captured', { reply_markup: { inline_keyboard: [[{ text: 'Go', callback_data: 'go' }]] } });
+    });
+    deepStrictEqual(transcript, { replies: [{ text: 'captured', buttons: [{ text: 'Go', data: 'go' }] }] });
+    await bot.sendMessage('api:1', 'after the response');
+    deepStrictEqual(receivedMessages.map(m => m.text), ['to telegram'], 'late sends are dropped');
+    deepStrictEqual(originOf({ chat: { id: 'api:4' } }), {}, 'agent replies go to the home chat');
+});
+
+// ============================================================================
+// dispatch.js — Parallel Execution
+// ============================================================================
+
+console.log('\n── dispatch.js: Parallel Execution ──');
+
+// 1 → (2, 3, 4 side by side) → 5 once 2 and 3 are in
+const dagTasks = () => [
+    { id: 1, description: 'Schema', parallel: false, deps: [] },
+    { id: 2, description: 'API', parallel: true, deps: [1] },
+    { id: 3, description: 'UI', parallel: true, deps: [1] },
+    { id: 4, description: 'Docs', parallel: true, deps: [1] },
+    { id: 5, description: 'E2E', parallel: false, deps: [2, 3] }
+];
+const taskIds = tasks => tasks.map(t => t.id);
+const quietGit = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+function gitProject(name = 'repo') {
+    const dir = resolve(TEST_DIR, name);
+    mkdirSync(dir, { recursive: true });
+    for (const args of [['init', '-q', '-b', 'main'], ['config', 'user.email', 'bot@example.com'], ['config', 'user.name', 'Bot']]) quietGit(args, dir);
+    writeFileSync(join(dir, 'README.md'), '# repo\n');
+    quietGit(['add', '-A'], dir);
+    quietGit(['commit', '-q', '-m', 'init'], dir);
+    return dir;
+}
+
+// A parallel dispatch of `tasks` for `project`, approved from chat 7 (plan message 9)
+function dispatchCtx(project, tasks, concurrency = 2) {
+    atomicWrite(STATE, { activeProject: project, projectState: { [project]: { executionPlan: { status: 'approved', tasks } } } });
+    writeDispatch({ tasks }, atomicWrite, DISPATCH, { chatId: 7, project }, { mode: 'parallel', concurrency, messageId: 9 });
+    return {
+        DISPATCH_FILE: DISPATCH, OUTBOX, CENTRAL_DIR: TEST_DIR, DEFAULT_PROJECT_DIR: project, readJsonSafe, updateJson,
+        getState: () => readJsonSafe(STATE, {}), updateState: fn => updateJson(STATE, {}, fn)
+    };
+}
+
+// Agent stand-in: writes task<id>.txt after delayMs(task), notes what it saw and the peak concurrency
+function fakeAgent({ delayMs = () => 20, write = task => [`task${task.id}.txt`, `${task.description}\n`], result = () => ({}) } = {}) {
+    const agent = { peak: 0, inFlight: 0, saw: {} };
+    agent.run = async (task, { cwd }) => {
+        agent.peak = Math.max(agent.peak, ++agent.inFlight);
+        agent.saw[task.id] = readdirSync(cwd).filter(f => f.startsWith('task')).sort();
+        await new Promise(done => setTimeout(done, delayMs(task)));
+        const [file, content] = write(task);
+        writeFileSync(join(cwd, file), content);
+        agent.inFlight--;
+        return { report: `did ${task.id}`, error: '', ...result(task) };
+    };
+    return agent;
+}
+
+await test('[dispatch] nextTasks: deps first, parallel tasks up to the limit, other tasks alone', () => {
+    const tasks = dagTasks();
+    deepStrictEqual([...planDag(tasks).get(1).dependents], [2, 3, 4]);
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 2)), [1]);
+    tasks[0].taskStatus = 'running';
+    deepStrictEqual(nextTasks(tasks, [1], 2), [], 'a task that is not parallel runs alone');
+    tasks[0].taskStatus = 'done';
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 2)), [2, 3], 'limited to 2');
+    tasks[1].taskStatus = 'running';
+    deepStrictEqual(taskIds(nextTasks(tasks, [2], 2)), [3]);
+    tasks[1].taskStatus = tasks[2].taskStatus = 'done';
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 3)), [4], 'task 5 waits until 4 is through');
+    tasks[3].taskStatus = 'running';
+    deepStrictEqual(nextTasks(tasks, [4], 3), []);
+    tasks[3].taskStatus = 'done';
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 3)), [5]);
+    strictEqual(loadConcurrency({}), 2);
+    strictEqual(loadConcurrency({ DISPATCH_CONCURRENCY: '4' }), 4);
+    throws(() => loadConcurrency({ DISPATCH_CONCURRENCY: '0' }), /DISPATCH_CONCURRENCY/);
+});
+
+await test('[dispatch] blockedTasks: a failed task blocks everything downstream of it', () => {
+    const tasks = dagTasks();
+    tasks[0].taskStatus = 'done';
+    tasks[2].taskStatus = 'error';
+    deepStrictEqual([...blockedTasks(tasks).keys()], [5]);
+    ok(blockedTasks(tasks).get(5).includes('task 3'));
+    tasks[0].taskStatus = 'error';
+    deepStrictEqual([...blockedTasks(tasks).keys()].sort(), [2, 4, 5]);
+});
+
+await test('[dispatch] runDispatch runs independent tasks side by side in worktrees and merges them back', async () => {
+    const project = gitProject();
+    const ctx = dispatchCtx(project, dagTasks());
+    const agent = fakeAgent();
+    deepStrictEqual(await runDispatch(ctx, { runTask: agent.run, git: quietGit, log: () => { } }), { done: 5, error: 0, blocked: 0, skipped: 0, total: 5 });
+
+    strictEqual(agent.peak, 2, 'two at once, never more');
+    deepStrictEqual(agent.saw[5], ['task1.txt', 'task2.txt', 'task3.txt', 'task4.txt'], 'task 5 starts from the merged work before it');
+    deepStrictEqual(readdirSync(project).filter(f => f.startsWith('task')).sort(), ['task1.txt', 'task2.txt', 'task3.txt', 'task4.txt', 'task5.txt']);
+    strictEqual(quietGit(['branch', '--list', 'dispatch/*'], project).trim(), '', 'merged branches are deleted');
+    strictEqual(quietGit(['status', '--porcelain'], project).trim(), '');
+    ok(quietGit(['log', '--oneline'], project).includes('dispatch: merge task 3 — UI'));
+    deepStrictEqual(readdirSync(resolve(TEST_DIR, 'worktrees')), [], 'worktrees are removed');
+
+    const dispatch = readJsonSafe(DISPATCH, {});
+    strictEqual(dispatch.status, 'completed');
+    ok(dispatch.tasks.every(t => t.taskStatus === 'done' && t.branch && t.finishedAt));
+    const plan = readJsonSafe(STATE, {}).projectState[project].executionPlan;
+    strictEqual(plan.status, 'completed');
+    ok(plan.tasks.every(t => t.taskStatus === 'done'));
+    const messages = readJsonSafe(OUTBOX, {}).messages;
+    strictEqual(messages.length, 6);
+    ok(messages.every(m => m.chatId === 7));
+    deepStrictEqual(messages.filter(m => m.taskId !== undefined).map(m => m.taskId).sort(), [1, 2, 3, 4, 5]);
+    ok(messages.find(m => m.taskId === 2).text.includes('📋 Report:\ndid 2'));
+    strictEqual(messages.at(-1).text, '✅ All 5 tasks complete!');
+});
+
+await test('[dispatch] runDispatch keeps conflicting or failed work on its branch and blocks dependents', async () => {
+    const project = gitProject();
+    const tasks = [
+        { id: 1, description: 'Left', parallel: true, deps: [] },
+        { id: 2, description: 'Right', parallel: true, deps: [] },
+        { id: 3, description: 'After right', parallel: true, deps: [2] },
+        { id: 4, description: 'Flaky', parallel: true, deps: [] }
+    ];
+    const agent = fakeAgent({
+        delayMs: task => task.id * 20,
+        write: task => task.id <= 2 ? ['shared.txt', `${task.description}\n`] : [`task${task.id}.txt`, 'x\n'],
+        result: task => task.id === 4 ? { error: 'Agent exited with code 1' } : {}
+    });
+    const counts = await runDispatch(dispatchCtx(project, tasks, 3), { runTask: agent.run, git: quietGit, log: () => { } });
+    deepStrictEqual(counts, { done: 1, error: 2, blocked: 1, skipped: 0, total: 4 });
+
+    const byId = new Map(readJsonSafe(DISPATCH, {}).tasks.map(t => [t.id, t]));
+    strictEqual(byId.get(2).taskStatus, 'error');
+    strictEqual(byId.get(2).error, `Merge conflict — work kept on branch ${byId.get(2).branch}`);
+    strictEqual(byId.get(4).error, `Agent exited with code 1 — work kept on branch ${byId.get(4).branch}`);
+    strictEqual(byId.get(3).taskStatus, 'blocked');
+    ok(byId.get(3).error.includes('task 2'));
+    strictEqual(readFileSync(join(project, 'shared.txt'), 'utf8'), 'Left\n');
+    strictEqual(quietGit(['status', '--porcelain'], project).trim(), '', 'the failed merge was aborted');
+    deepStrictEqual(quietGit(['branch', '--list', 'dispatch/*', '--format=%(refname:short)'], project).trim().split('\n'),
+        [byId.get(2).branch, byId.get(4).branch]);
+    strictEqual(readJsonSafe(STATE, {}).projectState[project].executionPlan.tasks[2].taskStatus, 'blocked');
+    strictEqual(readJsonSafe(OUTBOX, {}).messages.at(-1).text, '⚠️ Dispatch finished: 1 done, 2 errors, 1 blocked');
+});
+
+await test('[dispatch] runDispatch: 🛑 Stop lets running tasks finish; plain directories run in place', async () => {
+    const project = gitProject();
+    const tasks = [{ id: 1, description: 'First', parallel: false, deps: [] }, { id: 2, description: 'Second', parallel: true, deps: [] }];
+    const ctx = dispatchCtx(project, tasks);
+    const agent = fakeAgent();
+    const run = agent.run;
+    agent.run = async (task, opts) => { await removeJson(DISPATCH); return run(task, opts); };
+    deepStrictEqual(await runDispatch(ctx, { runTask: agent.run, git: quietGit, log: () => { } }), { done: 0, error: 0, blocked: 0, skipped: 0, total: 2 });
+    ok(existsSync(join(project, 'task1.txt')), 'the running task is still merged');
+    strictEqual(agent.saw[2], undefined, 'nothing new starts');
+    strictEqual(readJsonSafe(DISPATCH, null), null, 'the stopped dispatch is not written back');
+    strictEqual(readJsonSafe(STATE, {}).projectState[project].executionPlan.tasks[0].taskStatus, 'done');
+
+    // git must not find a repo enclosing the temp dir — it would merge into it
+    const plain = mkdtempSync(join(tmpdir(), 'wa-dispatch-'));
+    const ceilingGit = (args, cwd) => execFileSync('git', args, {
+        cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], env: { ...process.env, GIT_CEILING_DIRECTORIES: dirname(plain) }
+    });
+    try {
+        const inPlace = fakeAgent();
+        const counts = await runDispatch(dispatchCtx(plain, dagTasks().slice(1, 4).map(t => ({ ...t, deps: [] }))), { runTask: inPlace.run, git: ceilingGit, log: () => { } });
+        deepStrictEqual(counts, { done: 3, error: 0, blocked: 0, skipped: 0, total: 3 });
+        strictEqual(inPlace.peak, 1, 'one at a time without git');
+        deepStrictEqual(readdirSync(plain).sort(), ['task2.txt', 'task3.txt', 'task4.txt']);
+    } finally {
+        rmSync(plain, { recursive: true, force: true });
+    }
+
+    // A directory inside a repo is not a repo of its own: no branches in the enclosing one
+    const sub = join(project, 'sub');
+    mkdirSync(sub);
+    const nested = fakeAgent();
+    await runDispatch(dispatchCtx(sub, [{ id: 1, description: 'Nested', parallel: true, deps: [] }]), { runTask: nested.run, git: quietGit, log: () => { } });
+    ok(existsSync(join(sub, 'task1.txt')), 'runs in place');
+    strictEqual(quietGit(['branch', '--list', 'dispatch/*'], project).trim(), '');
+});
+
+await test('[dispatch] plan message: ⚡ Execute Parallel button, status icons and live edits', async () => {
+    const tasks = dagTasks();
+    deepStrictEqual(reviewKeyboard({ tasks }).inline_keyboard.map(row => row.map(b => b.callback_data)),
+        [['ep_execute', 'ep_unattended'], ['ep_override', 'ep_parallel'], ['ep_graph', 'ep_edit', 'ep_replan']]);
+    deepStrictEqual(reviewKeyboard({ tasks: [tasks[0]] }).inline_keyboard.flat().map(b => b.callback_data), ['ep_execute', 'ep_unattended', 'ep_override', 'ep_graph', 'ep_edit', 'ep_replan']);
+
+    writeDispatch({ tasks }, atomicWrite, DISPATCH, {}, { mode: 'parallel', concurrency: 3, messageId: 9 });
+    const unrouted = readJsonSafe(DISPATCH, {});
+    deepStrictEqual([unrouted.mode, unrouted.concurrency, unrouted.messageId], ['parallel', 3, undefined], 'no chat, no message to edit');
+
+    const dispatch = { status: 'approved', concurrency: 2, tasks: tasks.map(t => ({ id: t.id })) };
+    Object.assign(dispatch.tasks[0], { taskStatus: 'done' });
+    Object.assign(dispatch.tasks[1], { taskStatus: 'running' });
+    Object.assign(dispatch.tasks[2], { taskStatus: 'error', error: 'Merge conflict — work kept on branch b' });
+    Object.assign(dispatch.tasks[4], { taskStatus: 'blocked' });
+    const text = formatDispatchProgress({ tasks }, dispatch);
+    ok(text.startsWith('⚡ Parallel run — up to 2 at once\n1/5 done · 1 running · 2 failed'));
+    for (const line of ['✅ 1. Schema', '⏳ 2. API', '❌ 3. UI', '   ⚠️ Merge conflict — work kept on branch b', '\n4. Docs', '⛔ 5. E2E']) ok(text.includes(line), line);
+
+    const edited = [];
+    const bot = { editMessageText: async (body, opts) => { edited.push({ body, opts }); } };
+    const ctx = { DISPATCH_FILE: DISPATCH, readJsonSafe, getState: () => ({ projectState: {} }) };
+    const shown = new Map();
+    writeDispatch({ tasks }, atomicWrite, DISPATCH, { chatId: 7 }, { mode: 'parallel', concurrency: 2, messageId: 9 });
+    await showDispatchProgress(bot, ctx, shown);
+    await showDispatchProgress(bot, ctx, shown);
+    strictEqual(edited.length, 1, 'unchanged → not edited again');
+    deepStrictEqual([edited[0].opts.chat_id, edited[0].opts.message_id, edited[0].opts.reply_markup.inline_keyboard[0][0].callback_data], [7, 9, 'ep_stop']);
+    await updateJson(DISPATCH, {}, doc => { doc.status = 'completed'; doc.tasks.forEach(t => { t.taskStatus = 'done'; }); });
+    await showDispatchProgress(bot, ctx, shown);
+    strictEqual(edited.length, 2);
+    ok(edited[1].body.startsWith('✅ Parallel run complete\n5/5 done'));
+    strictEqual(edited[1].opts.reply_markup, undefined, 'no 🛑 Stop once finished');
+});
+
+await test('[dispatch] ep_parallel approves the plan as a parallel dispatch bound to its message', async () => {
+    const state = { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'confirming', tasks: dagTasks() } } } };
+    const routes = {};
+    const edited = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edited.push({ text, opts }); } };
+    registerPlan(bot, {
+        getState: () => state, updateState: fn => fn(state), replaceJson: atomicWrite, DISPATCH_FILE: DISPATCH,
+        registerCommand: () => { }, onCallback: (prefix, handler) => { routes[prefix] = handler; }
+    });
+    await routes.ep_parallel({ id: 'q', data: 'ep_parallel', message: { chat: { id: 7 }, message_id: 9 } });
+
+    const dispatch = readJsonSafe(DISPATCH, {});
+    deepStrictEqual([dispatch.mode, dispatch.concurrency, dispatch.chatId, dispatch.messageId, dispatch.project], ['parallel', 2, 7, 9, '/srv/web']);
+    strictEqual(state.projectState['/srv/web'].executionPlan.status, 'approved');
+    ok(edited[0].text.startsWith('⚡ Plan Approved! (Parallel, up to 2 at once)'));
+    strictEqual(edited[0].opts.reply_markup.inline_keyboard[0][0].callback_data, 'ep_stop');
+});
+
+await test('[contract] watcher hands parallel dispatches to dispatch.js and runs its tasks with --run-task', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    ok(w.includes('[ "$DISPATCH_MODE" = "parallel" ]'));
+    ok(w.includes('node "$SCRIPT_DIR/bot/dispatch.js" "$DISPATCH_FILE"'));
+    ok(w.includes('if [ "${1:-}" = "--run-task" ]; then'));
+    strictEqual(w.split('run_dispatch_task "').length - 1, 2, 'step-through and --run-task share one task runner');
+    ok(w.includes('TASK_ERROR="Agent exited with code $AGENT_EXIT_CODE"'), 'any failed agent run is an error, not only rate limits');
+    ok(readFileSync(resolve(PROJECT_ROOT, '.gitignore'), 'utf8').includes('.gemini/worktrees/'));
+});
+
+console.log('\n── plan_dag.js: Plan Checks & Graph ──');
+
+const brokenTasks = () => [
+    { id: 1, description: 'Schema', deps: [] },
+    { id: 2, description: 'API', deps: [1, 9] },
+    { id: 3, description: 'UI', deps: [4] },
+    { id: 4, description: 'Forms', deps: [3] },
+    { id: 5, description: 'E2E', deps: [2, 3] },
+    { id: 5, description: 'Docs', deps: [] }
+];
+
+await test('[plan_dag] validatePlan reports duplicate ids, dangling deps, cycles and tasks that can never run', () => {
+    deepStrictEqual(validatePlan(dagTasks()), []);
+    deepStrictEqual(validatePlan([]), []);
+    deepStrictEqual(validatePlan(brokenTasks()).map(p => [p.kind, p.ids, p.message]), [
+        ['duplicate', [5], 'Task id 5 is used by 2 tasks'],
+        ['dangling', [2], 'Task 2 depends on task 9, which is not in the plan'],
+        ['cycle', [3, 4], 'Dependency cycle: 3 → 4 → 3']
+    ], 'the later task 5 (no deps) replaces the first, so nothing else is stuck');
+
+    const stuck = [...dagTasks(), { id: 6, description: 'Self', deps: [6] }, { id: 7, description: 'Later', deps: [6, 1] }];
+    deepStrictEqual(validatePlan(stuck).map(p => p.message), [
+        'Dependency cycle: 6 → 6',
+        'Task 7 can never run — it waits on task 6'
+    ]);
+    ok(formatProblems(validatePlan(stuck)).startsWith("⚠️ This plan can't run as it is:\n• Dependency cycle: 6 → 6\n• Task 7"));
+});
+
+await test('[plan_dag] critical path and text tree: deps above dependents, ★ on the longest chain by difficulty', () => {
+    const tasks = dagTasks().map((t, i) => ({ ...t, difficulty: [3, 5, 2, 1, 4][i] }));
+    deepStrictEqual(criticalPath(tasks), { ids: [1, 2, 5], weight: 12 });
+    deepStrictEqual(criticalPath(dagTasks()), { ids: [1, 2, 5], weight: 3 }, 'difficulty 1 when unset; plan order breaks ties');
+    deepStrictEqual(criticalPath([]), { ids: [], weight: 0 });
+    strictEqual(renderTree(tasks), [
+        '🌳 Plan graph (5 tasks)',
+        '★ Critical path: 1 → 2 → 5 (difficulty 12)',
+        '',
+        '1. Schema ★',
+        '├── 2. API ★',
+        '│   └── 5. E2E ★',
+        '├── 3. UI',
+        '│   └── 5. E2E ★ ↑',
+        '└── 4. Docs'
+    ].join('\n'));
+    const broken = renderTree(brokenTasks());
+    ok(broken.endsWith('⚠️ Not reachable from a start task: 3, 4'), broken);
+    ok(broken.includes('1. Schema ★\n└── 2. API\n5. Docs\n'), 'drawn under the deps that exist');
+});
+
+await test('[plan_dag] Mermaid and DOT exports hold every task, edge and missing dep, critical path highlighted', () => {
+    const tasks = [...dagTasks(), { id: 6, description: 'Say "hi"', deps: [5, 8] }];
+    const mermaid = toMermaid(tasks);
+    ok(mermaid.startsWith('flowchart TD\n    t1["1. Schema"]\n'));
+    for (const line of ['t6["6. Say #quot;hi#quot;"]', 't8["8 (missing)"]', 't1 --> t2', 't3 --> t5', 't8 --> t6',
+        'class t1,t2,t5 critical', 'class t8 missing']) ok(mermaid.includes(`    ${line}\n`), `Mermaid: ${line}`);
+
+    const dot = toDot(tasks);
+    ok(dot.startsWith('digraph plan {\n') && dot.endsWith('}\n'));
+    for (const line of ['t1 [label="1. Schema", color="#d33", penwidth=2];', 't4 [label="4. Docs"];', 't6 [label="6. Say \\"hi\\""];',
+        't8 [label="8 (missing)", style=dashed];', 't1 -> t2 [color="#d33", penwidth=2];', 't1 -> t3;', 't8 -> t6;']) {
+        ok(dot.includes(`    ${line}\n`), `DOT: ${line}`);
+    }
+});
+
+await test('[plan_dag] /review_plan shows what is wrong with a plan, and approving it is refused', async () => {
+    const state = { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'pending_review', tasks: brokenTasks() } } } };
+    const routes = {};
+    const handlers = [];
+    const replies = [];
+    const notices = [];
+    const bot = { ...mockBot, answerCallbackQuery: async (id, opts) => { notices.push(opts.text); } };
+    registerPlan(bot, {
+        getState: () => state, updateState: fn => fn(state), replaceJson: atomicWrite, DISPATCH_FILE: DISPATCH,
+        registerCommand: (pattern, handler) => handlers.push(handler), onCallback: (prefix, handler) => { routes[prefix] = handler; },
+        reply: async (msg, text, opts) => { replies.push({ text, opts }); }
+    });
+    await handlers[0]({ chat: { id: 7 }, text: '/review_plan' });
+    ok(replies[0].text.includes("⚠️ This plan can't run as it is:\n• Task id 5 is used by 2 tasks"));
+    ok(!replies[0].text.includes('💡 Suggested by planner'));
+    deepStrictEqual(replies[0].opts.reply_markup.inline_keyboard.map(row => row.map(b => b.callback_data)), [['ep_graph', 'ep_edit', 'ep_replan']]);
+
+    for (const button of ['ep_execute', 'ep_parallel']) {
+        await routes[button]({ id: 'q', data: button, message: { chat: { id: 7 }, message_id: 9 } });
+    }
+    deepStrictEqual(notices, ['⚠️ Task id 5 is used by 2 tasks', '⚠️ Task id 5 is used by 2 tasks']);
+    ok(!existsSync(DISPATCH), 'nothing handed to the watcher');
+    strictEqual(state.projectState['/srv/web'].executionPlan.status, 'confirming');
+});
+
+await test('[plan_dag] /plan_graph and 🌳 Graph send the tree; 📄 buttons send Mermaid or DOT documents', async () => {
+    const state = { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'confirming', tasks: dagTasks() } } } };
+    const routes = {};
+    const handlers = [];
+    const replies = [];
+    const docs = [];
+    const bot = {
+        ...mockBot,
+        sendDocument: async (chatId, file, opts) => { docs.push({ chatId, opts, name: basename(file), body: readFileSync(file, 'utf8') }); }
+    };
+    registerPlanGraph(bot, {
+        getState: () => state, MAX_MSG_LEN: 4096,
+        registerCommand: (pattern, handler) => handlers.push(handler), onCallback: (prefix, handler) => { routes[prefix] = handler; },
+        reply: async (msg, text, opts) => { replies.push({ text, opts }); }
+    });
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_graph' }, { args: {} });
+    ok(replies[0].text.startsWith('🌳 Plan graph (5 tasks)\n★ Critical path: 1 → 2 → 5'));
+    deepStrictEqual(replies[0].opts.reply_markup.inline_keyboard[0].map(b => b.callback_data), ['ep_graph:mermaid', 'ep_graph:dot']);
+
+    const message = { chat: { id: -100 }, message_id: 9, is_topic_message: true, message_thread_id: 4 };
+    await routes.ep_graph({ id: 'q', data: 'ep_graph', message });
+    strictEqual(replies[1].text, replies[0].text);
+    await routes.ep_graph({ id: 'q', data: 'ep_graph:mermaid', message });
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_graph dot' }, { args: { format: 'dot' } });
+    deepStrictEqual(docs.map(d => [d.chatId, d.opts.message_thread_id, extname(d.name)]), [[-100, 4, '.mmd'], [7, undefined, '.dot']]);
+    strictEqual(docs[0].body, toMermaid(dagTasks()));
+    strictEqual(docs[1].opts.caption, '📄 Execution plan graph — DOT (5 tasks)');
+    ok(!existsSync(join(tmpdir(), docs[0].name)), 'temp file removed');
+
+    state.projectState['/srv/web'].executionPlan = { tasks: Array.from({ length: 200 }, (_, i) => ({ id: i + 1, description: 'x'.repeat(40), deps: i ? [i] : [] })) };
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_graph' }, { args: {} });
+    ok(replies[2].text.length <= 4096 && replies[2].text.endsWith('📄 Mermaid or DOT has the whole graph.'));
+    delete state.projectState['/srv/web'].executionPlan;
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_graph' }, { args: {} });
+    ok(replies[3].text.startsWith('📋 No execution plan found.'));
+});
+
+console.log('\n── task_actions.js: Retry, Skip & Re-run ──');
+
+await test('[task_actions] loadSkipPolicy; skipped deps block or release their dependents', () => {
+    strictEqual(loadSkipPolicy({}), 'block');
+    strictEqual(loadSkipPolicy({ DISPATCH_SKIP_POLICY: ' release ' }), 'release');
+    throws(() => loadSkipPolicy({ DISPATCH_SKIP_POLICY: 'ignore' }), /DISPATCH_SKIP_POLICY must be one of block, release \(got "ignore"\)/);
+
+    const tasks = dagTasks();
+    tasks[0].taskStatus = 'done';
+    tasks[1].taskStatus = 'skipped';
+    deepStrictEqual([...blockedTasks(tasks).entries()], [[5, 'Waits on task 2, which was skipped']]);
+    deepStrictEqual([...blockedTasks(tasks, 'release').keys()], []);
+    tasks[2].taskStatus = tasks[3].taskStatus = 'done';
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 2)), []);
+    deepStrictEqual(taskIds(nextTasks(tasks, [], 2, 'release')), [5], 'a skipped dep counts as done');
+});
+
+await test('[task_actions] applyTaskAction: retry releases dependents, skip follows the policy, rerun counts an attempt', () => {
+    const tasks = dagTasks();
+    Object.assign(tasks[0], { taskStatus: 'done' });
+    Object.assign(tasks[1], { taskStatus: 'error', error: 'Rate limit hit' });
+    Object.assign(tasks[4], { taskStatus: 'blocked', error: 'Waits on task 2, which did not complete' });
+    strictEqual(applyTaskAction(tasks, 1, 'retry'), false, 'a done task is re-run, not retried');
+    strictEqual(applyTaskAction(tasks, 9, 'skip'), false);
+
+    ok(applyTaskAction(tasks, 2, 'retry', { model: 'gemini-2.5-pro' }));
+    deepStrictEqual([tasks[1].taskStatus, tasks[1].model, tasks[1].attempt, tasks[1].error], ['pending', 'gemini-2.5-pro', 2, undefined]);
+    deepStrictEqual([tasks[4].taskStatus, tasks[4].error], ['pending', undefined], 'task 5 waits again');
+
+    ok(applyTaskAction(tasks, 2, 'skip'));
+    deepStrictEqual([tasks[4].taskStatus, tasks[4].error], ['blocked', 'Waits on task 2, which was skipped']);
+    ok(applyTaskAction(tasks, 5, 'skip'), 'a blocked task can be skipped');
+    ok(applyTaskAction(tasks, 2, 'rerun', { skipPolicy: 'release' }));
+    strictEqual(tasks[1].attempt, 3);
+    strictEqual(tasks[4].taskStatus, 'skipped');
+
+    const row = status => taskActionRow({ id: 4, taskStatus: status }).map(b => b.callback_data);
+    deepStrictEqual(row('error'), ['ep_retry:4', 'ep_retry_pick:4', 'ep_skip:4']);
+    deepStrictEqual(row('pending'), ['ep_skip:4']);
+    deepStrictEqual(row('skipped'), ['ep_rerun:4']);
+    deepStrictEqual(row('running'), []);
+});
+
+await test('[task_actions] runDispatch: reports carry task buttons; a retried task runs on a new branch', async () => {
+    const project = gitProject();
+    const tasks = [{ id: 1, description: 'Flaky', parallel: true, deps: [] }, { id: 2, description: 'After', parallel: true, deps: [1] }];
+    const agent = fakeAgent({ result: task => task.id === 1 && !task.attempt ? { error: 'Rate limit hit on m' } : {} });
+    const ctx = dispatchCtx(project, tasks);
+    deepStrictEqual(await runDispatch(ctx, { runTask: agent.run, git: quietGit, log: () => { } }), { done: 0, error: 1, blocked: 1, skipped: 0, total: 2 });
+    let messages = readJsonSafe(OUTBOX, {}).messages;
+    deepStrictEqual(messages.find(m => m.taskId === 1).reply_markup.inline_keyboard[0].map(b => b.callback_data), ['ep_retry:1', 'ep_retry_pick:1', 'ep_skip:1']);
+    deepStrictEqual(messages.at(-1).reply_markup, { inline_keyboard: [[{ text: '🔧 Tasks', callback_data: 'ep_tasks' }]] });
+
+    await updateJson(DISPATCH, {}, doc => { applyTaskAction(doc.tasks, 1, 'retry'); doc.status = 'approved'; });
+    deepStrictEqual(await runDispatch(ctx, { runTask: agent.run, git: quietGit, log: () => { } }), { done: 2, error: 0, blocked: 0, skipped: 0, total: 2 });
+    const retried = readJsonSafe(DISPATCH, {}).tasks[0];
+    ok(retried.branch.endsWith('task-1-try2'), retried.branch);
+    ok(existsSync(join(project, 'task2.txt')), 'the task that waited on it ran too');
+    messages = readJsonSafe(OUTBOX, {}).messages;
+    deepStrictEqual(messages.find(m => m.taskId === 2).reply_markup.inline_keyboard[0].map(b => b.callback_data), ['ep_rerun:2']);
+    strictEqual(messages.at(-1).text, '✅ All 2 tasks complete!');
+});
+
+await test('[task_actions] /plan_tasks and task buttons change the dispatch and the plan', async () => {
+    const project = '/srv/web';
+    const tasks = dagTasks().map(t => ({ ...t, platform: 'gemini', model: 'gemini-2.5-flash' }));
+    atomicWrite(STATE, { activeProject: project, projectState: { [project]: { executionPlan: { status: 'approved', tasks } } } });
+    writeDispatch({ tasks }, atomicWrite, DISPATCH, { chatId: 7, project }, { skipPolicy: 'block' });
+    await updateJson(DISPATCH, {}, doc => {
+        Object.assign(doc.tasks[0], { taskStatus: 'done' });
+        Object.assign(doc.tasks[1], { taskStatus: 'error', error: 'Rate limit hit' });
+    });
+    const routes = {};
+    const handlers = [];
+    const replies = [];
+    const notices = [];
+    const edits = [];
+    const bot = {
+        ...mockBot,
+        answerCallbackQuery: async (id, opts) => { notices.push(opts.text); },
+        editMessageText: async (text, opts) => { edits.push({ text, opts }); }
+    };
+    registerPlanTasks(bot, {
+        CENTRAL_DIR: TEST_DIR, DISPATCH_FILE: DISPATCH, readJsonSafe, updateJson, atomicWrite, getState: testGetState, updateState: testUpdateState,
+        registerCommand: (pattern, handler) => handlers.push(handler), onCallback: (prefix, handler) => { routes[prefix] = handler; },
+        reply: async (msg, text, opts) => { replies.push({ text, opts }); }
+    });
+    const message = { chat: { id: 7 }, message_id: 9, text: '❌ Task 2: API failed' };
+
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_tasks' }, { args: {} });
+    ok(replies[0].text.startsWith('🔧 Plan tasks — ⏸ 3 pending · ✅ 1 done · ❌ 1 error\nSkip policy: block'));
+    strictEqual(replies[0].opts.reply_markup.inline_keyboard[1][0].callback_data, 'ep_tasks:2');
+    await routes.ep_tasks({ id: 'q', data: 'ep_tasks:2', message });
+    ok(replies[1].text.includes('Status: error\nModel: ⚡ Flash 2.5'));
+    await routes['ep_retry_pick:']({ id: 'q', data: 'ep_retry_pick:2', message });
+    ok(replies[2].opts.reply_markup.inline_keyboard.some(([b]) => b.text === '⚡ Flash 2.5 (current)'));
+
+    await routes['ep_retry:']({ id: 'q', data: 'ep_retry:2:gemini-2.5-pro', message });
+    strictEqual(notices.at(-1), '🔁 Task 2 will run again on 🧠 Pro 2.5.');
+    strictEqual(edits[0].text, '❌ Task 2: API failed\n\n🔁 Task 2 will run again on 🧠 Pro 2.5.');
+    const dispatch = readJsonSafe(DISPATCH, {});
+    deepStrictEqual([dispatch.status, dispatch.tasks[1].taskStatus, dispatch.tasks[1].model], ['approved', 'pending', 'gemini-2.5-pro']);
+    const planTask = readJsonSafe(STATE, {}).projectState[project].executionPlan.tasks[1];
+    deepStrictEqual([planTask.taskStatus, planTask.model, planTask.error], ['pending', 'gemini-2.5-pro', undefined]);
+    ok(existsSync(resolve(TEST_DIR, 'wa_dispatch_continue.json')), 'the waiting step-through goes on');
+
+    await routes['ep_skip:']({ id: 'q', data: 'ep_skip:2', message });
+    strictEqual(notices.at(-1), '⏭ Task 2 skipped. Tasks depending on it are blocked: 5.');
+    strictEqual(readJsonSafe(DISPATCH, {}).tasks[4].taskStatus, 'blocked');
+    await routes['ep_rerun:']({ id: 'q', data: 'ep_rerun:3', message });
+    strictEqual(notices.at(-1), "⚠️ Task 3 is pending — it can't be re-run.");
+    strictEqual(edits.length, 2, 'refused actions keep the buttons');
+
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_tasks retry 5 nope' }, { args: { action: 'retry', id: 5, model: 'nope' } });
+    ok(replies.at(-1).text.startsWith('❌ Unknown model "nope" for 💻 Gemini CLI.'));
+    await rejects(handlers[0]({ chat: { id: 7 } }, { args: { action: 'skip' } }), UsageError);
+    await removeJson(DISPATCH);
+    await handlers[0]({ chat: { id: 7 }, text: '/plan_tasks' }, { args: {} });
+    ok(replies.at(-1).text.startsWith('📋 No approved plan for this project.'));
+});
+
+await test('[task_actions] watcher steps pick ready tasks by the skip policy and offer task buttons', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    const filter = w.match(/^READY_TASKS_JQ='([^']*)'/m)[1];
+    const ready = (skipPolicy, statuses) => JSON.parse(execFileSync('jq', ['-c', `${filter} | map(.id)`], {
+        input: JSON.stringify({ skipPolicy, tasks: dagTasks().map((t, i) => ({ ...t, taskStatus: statuses[i] })) }), encoding: 'utf8'
+    }));
+    deepStrictEqual(ready(undefined, []), [1]);
+    deepStrictEqual(ready(undefined, ['done', 'skipped', 'done']), [4]);
+    deepStrictEqual(ready('release', ['done', 'skipped', 'done']), [4, 5]);
+    ok(w.includes('"callback_data":"ep_retry:\'"$TASK_ID"\'"'));
+    ok(w.includes('finish_dispatch "'), 'the last step sends the tally');
+    ok(w.includes('[ "$CURRENT_STATUS" != "approved" ]'), '🛑 Stop ends the wait');
+});
+
+console.log('\n── plan_edit.js: Editing the Plan ──');
+
+await test('[plan_edit] editTask and addTask check their input; a new tier brings its model', () => {
+    const plan = { tasks: dagTasks().map(t => ({ ...t, tier: 'mid', platform: 'gemini', model: 'gemini-2.5-flash' })) };
+    const opts = { getState: () => ({ activeProject: '/srv/web', projectState: { '/srv/web': { backend: 'gemini' } } }), project: '/srv/web' };
+    strictEqual(editTask(plan, 3, 'desc', '  Settings   page '), 'Task 3 reworded');
+    strictEqual(plan.tasks[2].description, 'Settings page');
+    strictEqual(editTask(plan, 5, 'deps', '2, 3 2'), 'Task 5 now waits on 2, 3');
+    deepStrictEqual(plan.tasks[4].deps, [2, 3]);
+    strictEqual(editTask(plan, 4, 'deps', 'none'), 'Task 4 waits on nothing');
+    deepStrictEqual(plan.tasks[3].deps, []);
+    strictEqual(editTask(plan, 2, 'tier', 'top', opts), 'Task 2 → 🧠 top');
+    deepStrictEqual([plan.tasks[1].platform, plan.tasks[1].model], ['gemini', 'gemini-2.5-pro']);
+    strictEqual(editTask(plan, 2, 'difficulty', '9'), 'Task 2 → 💀 Expert (9/10)');
+    throws(() => editTask(plan, 9, 'desc', 'x'), /No task 9 in the plan/);
+    throws(() => editTask(plan, 2, 'deps', '2'), /Task 2 can't depend on itself/);
+    throws(() => editTask(plan, 2, 'deps', '1,8'), /No task 8 in the plan/);
+    throws(() => editTask(plan, 2, 'difficulty', '11'), /Difficulty is 1–10/);
+    throws(() => editTask(plan, 2, 'tier', 'huge'), UsageError);
+
+    strictEqual(addTask(plan, 'Release notes', { deps: '4', tier: 'free', difficulty: 2 }, opts), 'Task 6 added');
+    deepStrictEqual(plan.tasks[5], {
+        id: 6, description: 'Release notes', tier: 'free', parallel: false, deps: [4], difficulty: 2, platform: 'gemini', model: 'gemini-2.0-flash-lite'
+    });
+    throws(() => addTask(plan, ' ', {}, opts), /Give the task description/);
+});
+
+await test('[plan_edit] removeTask hands deps on to dependents or merges; moveTask keeps ids', () => {
+    const plan = { tasks: dagTasks().map(t => ({ ...t, difficulty: 3 })) };
+    strictEqual(removeTask(plan, 2), 'Task 2 removed');
+    deepStrictEqual(taskIds(plan.tasks), [1, 3, 4, 5]);
+    deepStrictEqual(plan.tasks.at(-1).deps, [3, 1], 'task 5 waits on what task 2 waited on');
+
+    strictEqual(removeTask(plan, 3, 4), 'Task 3 merged into task 4');
+    deepStrictEqual(plan.tasks.find(t => t.id === 4), { id: 4, description: 'Docs; UI', parallel: true, deps: [1], difficulty: 6 });
+    deepStrictEqual(plan.tasks.at(-1).deps, [1, 4]);
+    deepStrictEqual(validatePlan(plan.tasks), []);
+    throws(() => removeTask(plan, 4, 4), /can't be merged into itself/);
+
+    strictEqual(moveTask(plan, 5, 1), 'Task 5 moved to position 1');
+    strictEqual(moveTask(plan, 1, 99), 'Task 1 moved to position 3');
+    deepStrictEqual(taskIds(plan.tasks), [5, 4, 1]);
+    throws(() => removeTask({ tasks: [{ id: 1, deps: [] }] }, 1), /at least one task/);
+});
+
+await test('[plan_edit] commands and ✏️ Edit Plan buttons save the plan and show it checked again', async () => {
+    const state = { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'confirming', tasks: dagTasks().map(t => ({ ...t, tier: 'mid' })) } } } };
+    const routes = {};
+    const handlers = {};
+    const replies = [];
+    const notices = [];
+    const edits = [];
+    const bot = {
+        ...mockBot,
+        answerCallbackQuery: async (id, opts) => { notices.push(opts.text); },
+        editMessageText: async (text, opts) => { edits.push({ text, opts }); }
+    };
+    registerPlanEdit(bot, {
+        getState: () => state, updateState: fn => fn(state),
+        registerCommand: (pattern, handler) => { handlers[pattern.source.match(/plan_\w+/)[0]] = handler; },
+        onCallback: (prefix, handler) => { routes[prefix] = handler; },
+        reply: async (msg, text, opts) => { replies.push({ text, opts }); }
+    });
+    const plan = () => state.projectState['/srv/web'].executionPlan;
+    const msg = { chat: { id: 7 } };
+
+    await handlers.plan_edit(msg, { args: { id: 5, field: 'deps', value: '5' } }).catch(err => replies.push({ text: err.message }));
+    ok(replies[0].text.startsWith("❌ Task 5 can't depend on itself"));
+    await handlers.plan_edit(msg, { args: { id: 5, field: 'deps', value: '2,9' } }).catch(err => replies.push({ text: err.message }));
+    await handlers.plan_rm(msg, { args: { id: 3 }, flags: {} });
+    ok(replies[2].text.startsWith('✅ Task 3 removed\n\n📋 Execution Plan (4 tasks)'));
+    deepStrictEqual(replies[2].opts.reply_markup, reviewKeyboard(plan()));
+    await handlers.plan_add(msg, { args: { description: 'UI again' }, flags: { deps: '1', parallel: true } });
+    await handlers.plan_move(msg, { args: { id: 6, position: 3 } });
+    deepStrictEqual(taskIds(plan().tasks), [1, 2, 6, 4, 5]);
+    strictEqual(plan().status, 'confirming');
+
+    const message = { chat: { id: 7 }, message_id: 9 };
+    await routes.ep_edit({ id: 'q', data: 'ep_edit', message });
+    deepStrictEqual(edits[0].opts.reply_markup.inline_keyboard.map(([b]) => b.callback_data), ['ep_edit:1', 'ep_edit:2', 'ep_edit:6', 'ep_edit:4', 'ep_edit:5', 'ep_edit_done']);
+    await routes.ep_edit({ id: 'q', data: 'ep_edit:6', message });
+    ok(edits[1].text.startsWith('✏️ Task 6: UI again\nTier: ⚡ mid'));
+    await routes['ep_edit_up:']({ id: 'q', data: 'ep_edit_up:6', message });
+    deepStrictEqual(taskIds(plan().tasks), [1, 6, 2, 4, 5]);
+    strictEqual(notices.at(-1), '✅ Task 6 moved to position 2');
+    strictEqual(edits[2].opts.reply_markup.inline_keyboard[0][0].callback_data, 'ep_edit_up:6', 'the task stays selected');
+    await routes['ep_edit_tier:']({ id: 'q', data: 'ep_edit_tier:6:top', message });
+    strictEqual(plan().tasks[1].tier, 'top');
+    await routes['ep_edit_rm:']({ id: 'q', data: 'ep_edit_rm:6', message });
+    ok(!plan().tasks.some(t => t.id === 6));
+    deepStrictEqual(edits.at(-1).opts.reply_markup, reviewKeyboard(plan()));
+    await routes['ep_edit_rm:']({ id: 'q', data: 'ep_edit_rm:6', message });
+    strictEqual(notices.at(-1), '⚠️ No task 6 in the plan');
+
+    plan().status = 'approved';
+    await handlers.plan_move(msg, { args: { id: 5, position: 1 } });
+    ok(replies.at(-1).text.startsWith('⏳ This plan is approved'));
+    deepStrictEqual(taskIds(plan().tasks), [1, 2, 4, 5], 'nothing changed');
+});
+
+console.log('\n── Unattended plan runs ──');
+
+await test('[unattended] 🤖 Execute Unattended records its mode and test command; 🚀 Execute All records step', async () => {
+    strictEqual(loadTestCommand({}), '');
+    strictEqual(loadTestCommand({ DISPATCH_TEST_CMD: ' npm test ' }), 'npm test');
+    const state = { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'confirming', tasks: dagTasks() } } } };
+    const routes = {};
+    const edited = [];
+    const bot = { ...mockBot, editMessageText: async (text, opts) => { edited.push({ text, opts }); } };
+    registerPlan(bot, {
+        getState: () => state, updateState: fn => fn(state), replaceJson: atomicWrite, DISPATCH_FILE: DISPATCH,
+        registerCommand: () => { }, onCallback: (prefix, handler) => { routes[prefix] = handler; }
+    });
+    const message = { chat: { id: 7 }, message_id: 9 };
+    const saved = process.env.DISPATCH_TEST_CMD;
+    process.env.DISPATCH_TEST_CMD = 'npm test';
+    try {
+        await routes.ep_unattended({ id: 'q', data: 'ep_unattended', message });
+    } finally {
+        if (saved === undefined) delete process.env.DISPATCH_TEST_CMD; else process.env.DISPATCH_TEST_CMD = saved;
+    }
+    const dispatch = readJsonSafe(DISPATCH, {});
+    deepStrictEqual([dispatch.status, dispatch.mode, dispatch.testCommand, dispatch.chatId], ['approved', 'unattended', 'npm test', 7]);
+    deepStrictEqual([state.projectState['/srv/web'].executionPlan.status, state.projectState['/srv/web'].executionPlan.mode], ['approved', 'unattended']);
+    ok(edited[0].text.startsWith('🤖 Plan Approved! (Unattended)'));
+    ok(edited[0].text.endsWith('sends one report at the end.'));
+    strictEqual(edited[0].opts.reply_markup.inline_keyboard[0][0].callback_data, 'ep_stop');
+
+    state.projectState['/srv/web'].executionPlan.status = 'confirming';
+    await routes.ep_execute({ id: 'q', data: 'ep_execute', message });
+    strictEqual(state.projectState['/srv/web'].executionPlan.mode, 'step');
+    strictEqual(readJsonSafe(DISPATCH, {}).mode, undefined, 'the watcher steps through dispatches without a mode');
+    deepStrictEqual(edited[1].opts, { chat_id: 7, message_id: 9 });
+});
+
+await test('[unattended] a retry in an unattended run does not send ▶️ Next Task', async () => {
+    const tasks = dagTasks().map(t => ({ ...t, platform: 'gemini', model: 'gemini-2.5-flash' }));
+    atomicWrite(STATE, { activeProject: '/srv/web', projectState: { '/srv/web': { executionPlan: { status: 'completed', tasks } } } });
+    writeDispatch({ tasks }, atomicWrite, DISPATCH, { chatId: 7, project: '/srv/web' }, { mode: 'unattended' });
+    await updateJson(DISPATCH, {}, doc => { doc.status = 'completed'; Object.assign(doc.tasks[0], { taskStatus: 'error', error: 'Tests failed: npm test' }); });
+    const routes = {};
+    registerPlanTasks({ ...mockBot, answerCallbackQuery: async () => { }, editMessageText: async () => { } }, {
+        CENTRAL_DIR: TEST_DIR, DISPATCH_FILE: DISPATCH, readJsonSafe, updateJson, atomicWrite, getState: testGetState, updateState: testUpdateState,
+        registerCommand: () => { }, onCallback: (prefix, handler) => { routes[prefix] = handler; }, reply: async () => { }
+    });
+    await routes['ep_retry:']({ id: 'q', data: 'ep_retry:1', message: { chat: { id: 7 }, message_id: 9, text: '⚠️ Dispatch finished' } });
+    deepStrictEqual([readJsonSafe(DISPATCH, {}).status, readJsonSafe(DISPATCH, {}).mode], ['approved', 'unattended']);
+    ok(!existsSync(resolve(TEST_DIR, 'wa_dispatch_continue.json')));
+});
+
+await test('[unattended] watcher guardrails: agent failure, files outside the task, failing tests', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    const outOfScope = (files, changed) => JSON.parse(execFileSync('jq', ['-c', w.match(/^OUT_OF_SCOPE_JQ='([^']*)'/m)[1]], {
+        input: JSON.stringify({ files, changed }), encoding: 'utf8'
+    }));
+    deepStrictEqual(outOfScope('`scripts/bot/bot.js` (lines ~525-540, ep_execute handler), docs/', ['scripts/bot/bot.js', 'docs/a.md', '.gemini/reply.txt', 'scripts/watcher.sh']),
+        ['scripts/watcher.sh']);
+    deepStrictEqual(outOfScope('`bot.js`', ['scripts/bot/bot.js']), [], 'a bare file name matches in any directory');
+    deepStrictEqual(outOfScope('', ['anything.js']), [], 'no File(s) list, no check');
+
+    const project = gitProject();
+    const head = quietGit(['rev-parse', 'HEAD'], project).trim();
+    writeFileSync(join(project, 'README.md'), '# repo\nmore\n');
+    writeFileSync(join(project, 'stray.txt'), 'x\n');
+    writeFileSync(DISPATCH, JSON.stringify({ testCommand: 'test -f passed.txt || { echo "1 failing"; exit 1; }' }));
+    const guard = (scope, dirty = '', exitCode = 0) => execFileSync('bash', ['-c', [
+        'set -euo pipefail', 'json_read() { cat "$1"; }',
+        w.match(/^TASK_TEST_TIMEOUT=.*$/m)[0], w.match(/^OUT_OF_SCOPE_JQ='[^']*'/m)[0], w.match(/^check_task_guardrails\(\) \{[\s\S]*?^\}/m)[0],
+        `DISPATCH_FILE='${DISPATCH}'; TASK_ID=2; TASK_REPORT=done; AGENT_EXIT_CODE=${exitCode}; TASK_SCOPE='${scope}'`,
+        `check_task_guardrails '${project}' '${head}' '${dirty}' 2>/dev/null`, 'printf "%s\\n---\\n%s" "$TASK_GUARD_ERROR" "$TASK_REPORT"'
+    ].join('\n')], { encoding: 'utf8' }).split('\n---\n');
+    deepStrictEqual(guard('FILES: README.md'), ['Changed files outside its scope: stray.txt', 'done']);
+    deepStrictEqual(guard('FILES: README.md', 'stray.txt'), ['Tests failed: test -f passed.txt || { echo "1 failing"; exit 1; }',
+        'done\n\n🧪 test -f passed.txt || { echo "1 failing"; exit 1; }:\n1 failing'], 'files changed before the task are not its own');
+    writeFileSync(join(project, 'passed.txt'), '');
+    deepStrictEqual(guard(''), ['', 'done']);
+    strictEqual(guard('', '', 2)[0], 'Agent exited with code 2');
+});
+
+await test('[unattended] watcher runs unattended steps without pausing and sends one report', () => {
+    const w = readFileSync(resolve(PROJECT_ROOT, 'scripts', 'watcher.sh'), 'utf8');
+    const report = execFileSync('jq', ['-r', w.match(/^UNATTENDED_REPORT_JQ='([^']*)'/m)[1]], {
+        input: JSON.stringify({ tasks: [
+            { id: 1, description: 'Schema', taskStatus: 'done', report: 'Added the table\nand a migration' },
+            { id: 2, description: 'API', taskStatus: 'error', error: 'Tests failed: npm test' },
+            { id: 3, description: 'UI', taskStatus: 'blocked', error: 'Not run — the unattended run stopped at task 2' }
+        ] }), encoding: 'utf8'
+    });
+    strictEqual(report, '✅ 1. Schema\n   Added the table\n   and a migration\n❌ 2. API — Tests failed: npm test\n⛔ 3. UI — Not run — the unattended run stopped at task 2\n');
+    ok(w.includes('finish_dispatch "\n\n🤖 Unattended run stopped at task $TASK_ID: $TASK_ERROR\nIts changes are left uncommitted for review." "Not run — the unattended run stopped at task $TASK_ID"'));
+    ok(w.includes('if [ "$DISPATCH_MODE" = "unattended" ] && [ -n "$TASK_ERROR" ]; then\n                        exit 0'), 'a failed task is not committed');
+    ok(w.includes('if .mode == \\"unattended\\" then ($UNATTENDED_REPORT_JQ)'), 'the tally lists every task');
+    ok(w.includes('[ -z "$UNATTENDED_RUN" ]'), 'chat messages wait until the run is over');
+    const unattendedStep = w.slice(w.indexOf('if [ "$DISPATCH_MODE" = "unattended" ]; then\n                    # Only the end report'), w.indexOf('run_dispatch_task "$NEXT_TASK_JSON"'));
+    ok(unattendedStep.includes('else\n                    write_to_outbox "🔨 Task'), 'no per-task message');
+});
+
 // ============================================================================
 // SUMMARY
 // ============================================================================
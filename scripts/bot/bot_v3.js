@@ -13,8 +13,7 @@
 
 import dotenv from 'dotenv';
 import TelegramBot from 'node-telegram-bot-api';
-import { readFileSync, writeFileSync, existsSync, unlinkSync } from 'fs';
-import { resolve, dirname, join } from 'path';
+import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 // --- Config ---
@@ -32,13 +31,23 @@ if (!TOKEN || !CHAT_ID) {
 
 // --- Imports: helpers, health, outbox ---
 import {
-    readJsonSafe, atomicWrite, writeToInbox, getState, updateState, formatUptime,
+    readJsonSafe, atomicWrite, getState, updateState, formatUptime,
+    getProjectState, updateProjectState, migrateStateFile, updateJson, replaceJson, removeJson, getStorage,
     CENTRAL_DIR, INBOX, OUTBOX, STATE_FILE, DISPATCH_FILE, LOCK_FILE,
     DEFAULT_PROJECT_DIR
 } from './helpers.js';
-import { isWatcherRunning, startHealthCheck } from './health.js';
+import { inbox, relayType } from './inbox.js';
+import { isWatcherRunning, startHealthCheck, sendStartupNotice } from './health.js';
 import { startOutboxPoller } from './outbox.js';
-import { PLATFORM_LABELS } from './registries.js';
+import { startMediaRelay } from './media.js';
+import { startMessageEdits } from './message_edits.js';
+import { createConfirmations } from './confirm.js';
+import { createCommandRegistry, findCallbackRoute } from './command_registry.js';
+import { startCompaction } from './retention.js';
+import { startScheduler } from './scheduler.js';
+import { startControlApi } from './control_api.js';
+import { loadAcl, checkMessage, checkCallback } from './auth.js';
+import { inboxOrigin, projectFor, threadOptions, stripBotMention } from './groups.js';
 
 // --- Bot Init ---
 const bot = new TelegramBot(TOKEN, { polling: true });
@@ -47,54 +56,45 @@ const BOT_START_TIME = Date.now();
 console.log(`🤖 wa-bridge v3 started at ${new Date().toISOString()}`);
 console.log(`📂 Project root: ${PROJECT_ROOT}`);
 console.log(`📂 Central dir: ${CENTRAL_DIR}`);
+await migrateStateFile();
 
 // ============================================================================
 // Core Patterns: Auth, Command Registry, Callback Router
 // ============================================================================
 
-// REF-2: Centralized auth guard
-function authorized(handler) {
+// REF-2: Centralized auth guard — role-based via auth.js allow-list
+const ACL = loadAcl();
+function authorized(handler, role = 'admin', what) {
     return async (msg, ...args) => {
-        if (String(msg.chat.id) !== String(CHAT_ID)) return;
+        if (!await checkMessage(bot, ACL, msg, role, what)) return;
         return handler(msg, ...args);
     };
 }
 
-// REF-5: Auto-generated BOT_COMMANDS list
-const BOT_COMMANDS = [];
-function registerCommand(pattern, handler) {
-    const match = pattern.source.match(/\\\/(\w+)/);
-    if (match) BOT_COMMANDS.push('/' + match[1]);
-    bot.onText(pattern, authorized(handler));
-}
-
 // REF-3: Callback query router
 const callbackRoutes = {};
-function onCallback(prefix, handler) {
-    callbackRoutes[prefix] = handler;
+function onCallback(prefix, handler, { role = 'admin', confirm } = {}) {
+    callbackRoutes[prefix] = { handler: confirm ? confirmations.callback(handler, confirm) : handler, direct: handler, role, confirm: !!confirm };
 }
+const confirmations = createConfirmations(bot, onCallback); // { confirm } → "Are you sure?" first
 
 bot.on('callback_query', async (query) => {
-    if (String(query.message?.chat.id) !== String(CHAT_ID)) return;
-    const data = query.data || '';
-
-    // Find longest matching prefix (e.g. "ep_task_model:" before "ep_task:")
-    const sorted = Object.keys(callbackRoutes).sort((a, b) => b.length - a.length);
-    for (const prefix of sorted) {
-        if (data.startsWith(prefix) || data === prefix) {
-            try {
-                await callbackRoutes[prefix](query);
-            } catch (err) {
-                console.error(`Callback error (${prefix}): ${err.message}`);
-                try {
-                    await bot.answerCallbackQuery(query.id, { text: `Error: ${err.message}` });
-                } catch { /* ignore */ }
-            }
-            return;
-        }
+    const route = findCallbackRoute(callbackRoutes, query.data);
+    if (!route || !await checkCallback(bot, ACL, query, route.role, route.prefix)) return;
+    try {
+        await route.handler(query);
+    } catch (err) {
+        console.error(`Callback error (${route.prefix}): ${err.message}`);
+        try {
+            await bot.answerCallbackQuery(query.id, { text: `Error: ${err.message}` });
+        } catch { /* ignore */ }
     }
 });
 
+// REF-5: Command descriptors → BOT_COMMANDS, /help and the Telegram command menu
+const commands = createCommandRegistry(bot, { authorized, confirmations });
+const { registerCommand, describeCommand, BOT_COMMANDS } = commands;
+
 // ============================================================================
 // Shared Context — passed to all command modules
 // ============================================================================
@@ -103,9 +103,12 @@ const ctx = {
     CHAT_ID, SCRIPT_DIR, CENTRAL_DIR,
     INBOX, OUTBOX, STATE_FILE, DISPATCH_FILE, LOCK_FILE,
     DEFAULT_PROJECT_DIR, BOT_START_TIME,
-    readJsonSafe, atomicWrite, writeToInbox, getState, updateState, formatUptime,
+    readJsonSafe, atomicWrite, inbox, getState, updateState, formatUptime,
+    getProjectState, updateProjectState, projectFor, updateJson, replaceJson, removeJson, getStorage,
     isWatcherRunning, resolve,
-    registerCommand, onCallback, authorized,
+    registerCommand, describeCommand, commands, onCallback, callbackRoutes, authorized,
+    reply: (msg, text, opts) => bot.sendMessage(msg.chat.id, text, threadOptions(msg.is_topic_message && msg.message_thread_id, opts)),
+    inboxOrigin,
     POLL_INTERVAL_MS: 2000,
     MAX_MSG_LEN: 4096
 };
@@ -121,47 +124,50 @@ import { register as registerWorkflow } from './commands/workflow.js';
 import { register as registerPlan } from './commands/plan.js';
 import { register as registerAdmin } from './commands/admin.js';
 import { register as registerDiagnose } from './commands/diagnose.js';
+import { register as registerHistory } from './commands/history.js';
+import { register as registerSchedule } from './commands/schedule.js';
+import { register as registerQueue } from './commands/queue.js';
+import { register as registerPlanGraph } from './commands/plan_graph.js';
+import { register as registerPlanTasks } from './commands/plan_tasks.js';
+import { register as registerPlanEdit } from './commands/plan_edit.js';
 
-registerGeneral(bot, ctx);
-registerModel(bot, ctx);
-registerProject(bot, ctx);
-registerWorkflow(bot, ctx);
-registerPlan(bot, ctx);
-registerAdmin(bot, ctx);
-registerDiagnose(bot, ctx);
+for (const register of [registerGeneral, registerModel, registerProject, registerWorkflow, registerPlan, registerPlanGraph,
+    registerPlanTasks, registerPlanEdit, registerAdmin, registerDiagnose, registerHistory, registerSchedule, registerQueue]) register(bot, ctx);
 
 console.log(`📋 Registered ${BOT_COMMANDS.length} commands: ${BOT_COMMANDS.join(', ')}`);
+commands.publish();
 
 // ============================================================================
 // Message Relay — non-command messages go to inbox for watcher
 // ============================================================================
 
 bot.on('message', async (msg) => {
-    if (String(msg.chat.id) !== String(CHAT_ID)) return;
     if (!msg.text) return;
 
-    // Skip if it's a registered bot command
+    // Skip if it's a registered bot command (auth handled by its own guard)
     if (BOT_COMMANDS.some(cmd => msg.text.startsWith(cmd))) return;
+    if (!await checkMessage(bot, ACL, msg, 'operator', 'Relaying to the agent')) return;
 
-    // Workflow commands (e.g. /startup, /shutdown) pass through to inbox
-    writeToInbox(msg.text);
-    console.log(`📥 ${new Date().toISOString()} | Relayed to inbox: ${msg.text.substring(0, 50)}`);
+    if (await edits.applyReply(msg)) return; // the new text for a ✏️ Edit
+    // Workflow commands (e.g. /startup, /shutdown) are queued as commands, the rest as chat
+    const text = stripBotMention(msg.text);
+    await edits.relayed(msg, await inbox[relayType(text)](text, { ...inboxOrigin(msg, getState()), messageId: msg.message_id }));
 });
 
+const edits = startMessageEdits(bot, ctx); // ✏️ Edit / 🗑 Cancel until the watcher reads them
+// Voice notes, audio, photos and documents: transcribed or saved, then relayed
+startMediaRelay(bot, { ...ctx, edits });
+
 // ============================================================================
 // Start Infrastructure
 // ============================================================================
 
 startOutboxPoller(bot, ctx);
 startHealthCheck(bot, ctx);
-
-// Send startup notification to Telegram
-const { version } = JSON.parse(readFileSync(resolve(SCRIPT_DIR, 'package.json'), 'utf8'));
-const state = getState();
-const backendLabel = PLATFORM_LABELS[state.backend || 'gemini'] || state.backend || 'gemini';
-bot.sendMessage(CHAT_ID, `✅ Bot v3 started\n📦 ${version} | ${backendLabel}\n⏰ ${new Date().toLocaleString('de-DE', { timeZone: 'Europe/Berlin' })}`).catch(err => {
-    console.error(`⚠️ Failed to send startup notification: ${err.message}`);
-});
+startCompaction(ctx);
+startScheduler(bot, ctx);
+startControlApi(bot, ctx);
+sendStartupNotice(bot, ctx);
 
 // ============================================================================
 // Error Handling + Graceful Shutdown
@@ -0,0 +1,200 @@
+// ============================================================================
+// command_registry.js — Command descriptors → handlers, /help, command menu
+// ============================================================================
+// Every command is described where it is registered:
+//
+//   registerCommand(/^\/add(?:\s|$)/, handler, { role: 'admin',
+//       category: 'projects', description: 'Register a new project',
+//       args: [{ name: 'name', description: '…' }, { name: 'path', type: 'path', description: '…' }] })
+//
+// The name comes from the pattern; a second pattern for the same name only
+// adds a handler. A command that declares args or flags is parsed by args.js:
+// its handler gets (msg, { args, flags }), and bad input is answered with a
+// usage error before the handler (or its confirmation) runs. A UsageError
+// thrown by the handler itself is answered the same way.
+//
+// Workflow commands the agent runs itself (/startup, /plan_feature, ...) are
+// declared with describeCommand(): they appear in /help and the menu, but
+// the message is relayed to the inbox untouched.
+//
+// /help, /help <command> and Telegram's command menu (setMyCommands) are all
+// generated from these descriptors. lookup() runs the same handlers for the
+// HTTP control API (control_api.js).
+// ============================================================================
+
+import { ROLES } from './auth.js';
+import { withBotMention, threadOptions } from './groups.js';
+import { UsageError, argLabel, flagLabel, usageLine, parseArgs } from './args.js';
+
+// Sections of /help, in display order
+const CATEGORIES = {
+    workflow: '⚡ Workflow (→ agent)',
+    agent: '🤖 Agent',
+    plan: '📋 Execution Plan',
+    projects: '📂 Projects',
+    general: '🔧 General',
+    admin: '🛠️ Admin & Recovery'
+};
+
+const NAME_RE = /^[a-z0-9_]{1,32}$/;
+const MAX_DESCRIPTION = 256;
+
+/**
+ * Check a descriptor; Telegram rejects the whole command menu over one bad entry.
+ *
+ * @param {{ name: string, description: string, category: string, role: string, args?: object[] }} d
+ */
+function validateDescriptor(d) {
+    if (!NAME_RE.test(d.name || '')) {
+        throw new Error(`Command name "${d.name}" must be 1-32 lowercase letters, digits or underscores`);
+    }
+    if (!d.description || d.description.length > MAX_DESCRIPTION) {
+        throw new Error(`/${d.name} needs a description of 1-${MAX_DESCRIPTION} characters`);
+    }
+    if (!CATEGORIES[d.category]) {
+        throw new Error(`/${d.name}: unknown category "${d.category}" (expected: ${Object.keys(CATEGORIES).join(', ')})`);
+    }
+    if (!ROLES.includes(d.role)) {
+        throw new Error(`/${d.name}: unknown role "${d.role}" (expected: ${ROLES.join(', ')})`);
+    }
+    for (const item of [...(d.args || []), ...(d.flags || [])]) {
+        if (!item.name) throw new Error(`/${d.name}: every argument and flag needs a name`);
+    }
+}
+
+/**
+ * @param {object} bot
+ * @param {object} guards
+ * @param {Function} guards.authorized - (handler, role, what) → guarded handler
+ * @param {{ command: Function }} guards.confirmations - see confirm.js
+ */
+function createCommandRegistry(bot, { authorized, confirmations }) {
+    const descriptors = new Map();
+    // Commands the bot answers itself — the text relay skips these
+    const BOT_COMMANDS = [];
+    const handlers = []; // { name, pattern, handler } — unguarded, for lookup()
+
+    function describe(descriptor) {
+        const d = { role: 'admin', args: [], flags: [], ...descriptors.get(descriptor.name), ...descriptor };
+        validateDescriptor(d);
+        descriptors.set(d.name, d);
+        return d;
+    }
+
+    function registerCommand(pattern, handler, { role = 'admin', confirm, ...meta } = {}) {
+        const name = pattern.source.match(/\\\/(\w+)/)?.[1];
+        const d = descriptors.has(name) ? descriptors.get(name) : describe({ name, role, ...meta });
+        if (!BOT_COMMANDS.includes(`/${name}`)) BOT_COMMANDS.push(`/${name}`);
+        handlers.push({ name: d.name, pattern, handler });
+        const guarded = confirm ? confirmations.command(handler, confirm) : handler;
+        const run = d.args.length || d.flags.length ? withParsedArgs(d, guarded) : guarded;
+        bot.onText(withBotMention(pattern), authorized(run, role, `/${d.name}`));
+        if (confirm) d.confirm = true;
+    }
+
+    // Authorized first, then parsed — a confirmation is only asked for valid input
+    function withParsedArgs(d, handler) {
+        return async (msg) => {
+            try {
+                await handler(msg, parseArgs(msg.text, d));
+            } catch (err) {
+                if (!(err instanceof UsageError)) throw err;
+                await bot.sendMessage(msg.chat.id, `❌ ${err.problem}\nUsage: ${usageLine(d)}\nSend /help ${d.name} for details.`,
+                    threadOptions(msg.is_topic_message && msg.message_thread_id));
+            }
+        };
+    }
+
+    /**
+     * A command's descriptor and handler, for callers other than Telegram:
+     * no auth guard and no confirmation prompt (the caller checks role and
+     * confirm), and usage errors are thrown instead of sent.
+     *
+     * @param {string} text - e.g. '/project web'
+     * @returns {{ descriptor: object, run: ((msg) => Promise)|null }|null} run is
+     *   null for relayed commands, or when no pattern accepts the text
+     */
+    function lookup(text) {
+        const d = descriptors.get(text.match(/^\/(\w+)/)?.[1]);
+        if (!d) return null;
+        const entry = handlers.find(h => h.name === d.name && h.pattern.test(text));
+        const parsed = d.args.length || d.flags.length;
+        return {
+            descriptor: d,
+            run: entry ? (msg) => entry.handler(msg, parsed ? parseArgs(msg.text, d) : msg.text.match(entry.pattern)) : null
+        };
+    }
+
+    // Relayed to the agent; listed in /help and the menu only
+    function describeCommand(descriptor) {
+        describe({ role: 'operator', ...descriptor, relayed: true });
+    }
+
+    function list() {
+        const order = Object.keys(CATEGORIES);
+        return [...descriptors.values()].sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+    }
+
+    function help() {
+        const lines = ['🤖 Antigravity Bot Commands'];
+        for (const [category, label] of Object.entries(CATEGORIES)) {
+            const section = list().filter(d => d.category === category);
+            if (section.length === 0) continue;
+            lines.push('', `${label}:`, ...section.map(d => `${usageLine(d)} — ${d.description}`));
+        }
+        lines.push('', 'Send /help <command> for details.');
+        return lines.join('\n');
+    }
+
+    function usage(name) {
+        const d = descriptors.get(String(name).replace(/^\//, '').toLowerCase());
+        if (!d) return `❓ Unknown command /${name}. Send /help for the list.`;
+        const lines = [usageLine(d), d.description];
+        if (d.args.length) {
+            lines.push('', 'Arguments:');
+            for (const arg of d.args) {
+                lines.push(`  ${argLabel(arg)}${arg.description ? ` — ${arg.description}` : ''}`);
+            }
+        }
+        if (d.flags.length) {
+            lines.push('', 'Options:');
+            for (const flag of d.flags) {
+                lines.push(`  ${flagLabel(flag).slice(1, -1)}${flag.description ? ` — ${flag.description}` : ''}`);
+            }
+        }
+        if (d.examples?.length) lines.push('', 'Examples:', ...d.examples.map(e => `  ${e}`));
+        lines.push('', [
+            `Role: ${d.role}`,
+            ...(d.confirm ? ['asks for confirmation'] : []),
+            ...(d.relayed ? ['runs in the agent'] : [])
+        ].join(' · '));
+        return lines.join('\n');
+    }
+
+    // Telegram's "/" autocomplete menu
+    async function publish() {
+        const menu = list().map(d => ({ command: d.name, description: d.description }));
+        try {
+            await bot.setMyCommands(menu);
+            console.log(`📋 Published ${menu.length} commands to the Telegram menu`);
+        } catch (err) {
+            console.error(`⚠️ setMyCommands failed: ${err.message}`);
+        }
+    }
+
+    return { BOT_COMMANDS, registerCommand, describeCommand, lookup, list, help, usage, publish };
+}
+
+/**
+ * The onCallback route for a button's callback data — the longest matching
+ * prefix wins, so "ep_task_model:" is found before "ep_task:".
+ *
+ * @param {Object<string, { handler, role }>} routes - prefix → route
+ * @returns {{ prefix: string, handler: Function, role: string }|null}
+ */
+function findCallbackRoute(routes, data) {
+    const prefix = Object.keys(routes).sort((a, b) => b.length - a.length).find(p => (data || '').startsWith(p));
+    return prefix === undefined ? null : { prefix, ...routes[prefix] };
+}
+
+export { CATEGORIES, validateDescriptor, usageLine, createCommandRegistry, findCallbackRoute };
@@ -9,8 +9,8 @@ import { execSync } from 'child_process';
 import { killAgent } from '../shell.js';
 
 export function register(bot, ctx) {
-    const { CHAT_ID, CENTRAL_DIR, SCRIPT_DIR, LOCK_FILE,
-        registerCommand, isWatcherRunning } = ctx;
+    const { CENTRAL_DIR, SCRIPT_DIR, LOCK_FILE,
+        registerCommand, reply, isWatcherRunning } = ctx;
 
     const WATCHER_PATH = resolve(SCRIPT_DIR, '..', 'watcher.sh');
     const WATCHER_LOG = resolve(CENTRAL_DIR, 'watcher.log');
@@ -22,31 +22,32 @@ export function register(bot, ctx) {
         try {
             killAgent();
             if (existsSync(LOCK_FILE)) unlinkSync(LOCK_FILE);
-            await bot.sendMessage(CHAT_ID, '🛑 Agent force-killed.\nLock cleared. Watcher is idle and ready.');
+            await reply(msg, '🛑 Agent force-killed.\nLock cleared. Watcher is idle and ready.');
             console.log(`🛑 ${new Date().toISOString()} | /kill — agent force-killed`);
         } catch (err) {
-            await bot.sendMessage(CHAT_ID, `❌ Kill failed: ${err.message}`);
+            await reply(msg, `❌ Kill failed: ${err.message}`);
         }
-    });
+    }, { role: 'admin', category: 'admin', description: 'Force-kill the running agent immediately (no wait)',
+        confirm: 'Force-kill the running agent? Its current work is lost.' });
 
     // /clear_lock
     registerCommand(/^\/clear_lock/, async (msg) => {
         if (existsSync(LOCK_FILE)) {
             try {
                 unlinkSync(LOCK_FILE);
-                await bot.sendMessage(CHAT_ID, '✅ Lock file cleared manually.');
+                await reply(msg, '✅ Lock file cleared manually.');
                 console.log('🔓 Lock file cleared manually');
             } catch (err) {
-                await bot.sendMessage(CHAT_ID, `❌ Failed to clear lock: ${err.message}`);
+                await reply(msg, `❌ Failed to clear lock: ${err.message}`);
             }
         } else {
-            await bot.sendMessage(CHAT_ID, 'ℹ️ No lock file found.');
+            await reply(msg, 'ℹ️ No lock file found.');
         }
-    });
+    }, { role: 'admin', category: 'admin', description: 'Clear a stuck session lock' });
 
     // /restart
     registerCommand(/^\/restart/, async (msg) => {
-        await bot.sendMessage(CHAT_ID, '🔄 Restarting watcher...');
+        await reply(msg, '🔄 Restarting watcher...');
         console.log(`🔄 ${new Date().toISOString()} | /restart invoked`);
 
         let oldPid = 'unknown';
@@ -75,7 +76,7 @@ export function register(bot, ctx) {
             watcher.unref();
             newPid = watcher.pid;
         } catch (err) {
-            await bot.sendMessage(CHAT_ID, `❌ Failed to start watcher: ${err.message}`);
+            await reply(msg, `❌ Failed to start watcher: ${err.message}`);
             return;
         }
 
@@ -88,9 +89,10 @@ export function register(bot, ctx) {
             `📋 Last watcher log:`,
             logTail
         ].join('\n');
-        await bot.sendMessage(CHAT_ID, report);
+        await reply(msg, report);
         console.log(`✅ ${new Date().toISOString()} | Watcher restarted (PID ${newPid})`);
-    });
+    }, { role: 'admin', category: 'admin', description: 'Kill + restart the watcher with diagnostics',
+        confirm: 'Restart the watcher? A running agent is stopped.' });
 
     // /watchdog
     registerCommand(/^\/watchdog/, async (msg) => {
@@ -121,6 +123,6 @@ export function register(bot, ctx) {
             '',
             `📂 Log: .gemini/watchdog.log`
         ].join('\n');
-        await bot.sendMessage(CHAT_ID, status);
-    });
+        await reply(msg, status);
+    }, { role: 'viewer', category: 'admin', description: 'Watchdog status and restart history' });
 }
@@ -7,8 +7,8 @@ import { resolve } from 'path';
 import { isValidHotfixBranch, safeGit } from '../shell.js';
 
 export function register(bot, ctx) {
-    const { CHAT_ID, CENTRAL_DIR, DEFAULT_PROJECT_DIR,
-        getState, updateState, writeToInbox, registerCommand } = ctx;
+    const { CENTRAL_DIR, DEFAULT_PROJECT_DIR,
+        getState, updateState, inbox, inboxOrigin, registerCommand, reply } = ctx;
 
     const WATCHER_LOG = resolve(CENTRAL_DIR, 'watcher.log');
 
@@ -36,26 +36,26 @@ export function register(bot, ctx) {
             bLog
         ].join('\n');
 
-        await bot.sendMessage(CHAT_ID, '🔍 Spawning diagnosis agent...');
-        writeToInbox(prompt);
+        await reply(msg, '🔍 Spawning diagnosis agent...');
+        await inbox.system(prompt, inboxOrigin(msg, getState()));
         console.log(`🔍 ${new Date().toISOString()} | /diagnose triggered`);
-    });
+    }, { role: 'operator', category: 'admin', description: 'Trigger an LLM crash diagnosis from the logs' });
 
     // /autofix
     registerCommand(/^\/autofix/, async (msg) => {
         try {
-            const newState = updateState(s => {
+            const newState = await updateState(s => {
                 s.auto_fix_enabled = !s.auto_fix_enabled;
             });
             const status = newState.auto_fix_enabled
                 ? '🔧 Auto-fix ENABLED — bot will attempt to self-repair on CRITICAL/HIGH crashes'
                 : '🔒 Auto-fix DISABLED — diagnosis only (read-only mode)';
-            await bot.sendMessage(CHAT_ID, status);
+            await reply(msg, status);
             console.log(`🔧 ${new Date().toISOString()} | /autofix: ${newState.auto_fix_enabled}`);
         } catch (err) {
-            await bot.sendMessage(CHAT_ID, `❌ Toggle failed: ${err.message}`);
+            await reply(msg, `❌ Toggle failed: ${err.message}`);
         }
-    });
+    }, { role: 'admin', category: 'admin', description: 'Toggle auto-fix mode (prepare a fix, then ask permission)' });
 
     // /apply_fix
     registerCommand(/^\/apply_fix/, async (msg) => {
@@ -63,24 +63,25 @@ export function register(bot, ctx) {
             const branches = safeGit(['branch'], DEFAULT_PROJECT_DIR);
             const match = branches.match(/hotfix\/auto-\d+/);
             if (!match) {
-                await bot.sendMessage(CHAT_ID, '❌ No pending hotfix branch found.');
+                await reply(msg, '❌ No pending hotfix branch found.');
                 return;
             }
             const hotfix = match[0].trim();
             if (!isValidHotfixBranch(hotfix)) {
-                await bot.sendMessage(CHAT_ID, '❌ Invalid hotfix branch name.');
+                await reply(msg, '❌ Invalid hotfix branch name.');
                 return;
             }
             safeGit(['checkout', 'main'], DEFAULT_PROJECT_DIR);
             safeGit(['merge', hotfix, '--no-edit'], DEFAULT_PROJECT_DIR);
             safeGit(['branch', '-d', hotfix], DEFAULT_PROJECT_DIR);
-            await bot.sendMessage(CHAT_ID, `✅ Hotfix merged to main. Restarting bot...`);
+            await reply(msg, `✅ Hotfix merged to main. Restarting bot...`);
             console.log(`✅ ${new Date().toISOString()} | /apply_fix: merged ${hotfix} to main`);
             setTimeout(() => process.exit(0), 500);
         } catch (err) {
-            await bot.sendMessage(CHAT_ID, `❌ Apply failed: ${err.message}`);
+            await reply(msg, `❌ Apply failed: ${err.message}`);
         }
-    });
+    }, { role: 'admin', category: 'admin', description: 'Merge the pending hotfix into main and restart',
+        confirm: 'Merge the pending hotfix into main and restart the bot?' });
 
     // /discard_fix
     registerCommand(/^\/discard_fix/, async (msg) => {
@@ -88,20 +89,21 @@ export function register(bot, ctx) {
             const branches = safeGit(['branch'], DEFAULT_PROJECT_DIR);
             const match = branches.match(/hotfix\/auto-\d+/);
             if (!match) {
-                await bot.sendMessage(CHAT_ID, '❌ No pending hotfix branch found.');
+                await reply(msg, '❌ No pending hotfix branch found.');
                 return;
             }
             const hotfix = match[0].trim();
             if (!isValidHotfixBranch(hotfix)) {
-                await bot.sendMessage(CHAT_ID, '❌ Invalid hotfix branch name.');
+                await reply(msg, '❌ Invalid hotfix branch name.');
                 return;
             }
             safeGit(['checkout', 'main'], DEFAULT_PROJECT_DIR);
             safeGit(['branch', '-D', hotfix], DEFAULT_PROJECT_DIR);
-            await bot.sendMessage(CHAT_ID, `🗑️ Hotfix ${hotfix} discarded.`);
+            await reply(msg, `🗑️ Hotfix ${hotfix} discarded.`);
             console.log(`🗑️ ${new Date().toISOString()} | /discard_fix: deleted ${hotfix}`);
         } catch (err) {
-            await bot.sendMessage(CHAT_ID, `❌ Discard failed: ${err.message}`);
+            await reply(msg, `❌ Discard failed: ${err.message}`);
         }
-    });
+    }, { role: 'admin', category: 'admin', description: 'Discard the pending hotfix branch',
+        confirm: 'Delete the pending hotfix branch?' });
 }
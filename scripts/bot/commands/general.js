@@ -5,57 +5,35 @@
 import { readFileSync, existsSync } from 'fs';
 import { resolve, join } from 'path';
 import { BACKEND_OPTIONS, PLATFORM_MODELS, PLATFORM_LABELS } from '../registries.js';
+import { projectFor } from '../groups.js';
+import { loadRetention } from '../retention.js';
 
 // Read version at module load (ESM-compatible — no require())
 const PKG = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
 
 export function register(bot, ctx) {
-    const { CHAT_ID, SCRIPT_DIR, getState, readJsonSafe, formatUptime,
-        INBOX, OUTBOX, CENTRAL_DIR, DISPATCH_FILE,
-        BOT_START_TIME, authorized, registerCommand } = ctx;
+    const { SCRIPT_DIR, getState, getProjectState, getStorage, formatUptime,
+        CENTRAL_DIR, DISPATCH_FILE,
+        BOT_START_TIME, authorized, registerCommand, commands, reply } = ctx;
 
-    registerCommand(/^\/help/, async (msg) => {
-        const help = [
-            '🤖 Antigravity Bot Commands',
-            '',
-            '⚡ Workflow Commands (→ Gemini CLI):',
-            '/startup — Load project context, fresh branch',
-            '/shutdown — Save state, close session branch',
-            '/plan_feature — Plan a new feature',
-            '/implement_task — Implement an assigned task',
-            '/pr_check — Check and merge PRs',
-            '/update_roadmap — Update roadmap docs',
-            '/new — Archive branch, start fresh',
-            '',
-            '📋 Execution Plan:',
-            '/review_plan — Review & approve execution plan',
+    registerCommand(/^\/help(?:\s|$)/, async (msg, { args }) => {
+        if (args.command) {
+            await reply(msg, commands.usage(args.command));
+            return;
+        }
+        await reply(msg, [
+            commands.help(),
             '',
-            '🔧 Bot Commands (instant):',
-            '/status — System status',
-            '/stop — Halt agent',
-            '/sprint — Sprint mode',
-            '/project <name> — Switch project',
-            '/list — List projects',
-            '/version — Bot version info',
-            '/help — This message',
-            '/model — Switch AI model',
-            '/backend — Switch CLI backend (Gemini/Kilo)',
-            '/clear_lock — Clear stuck session lock',
-            '/restart — Kill + restart watcher with diagnostics',
-            '/watchdog — Watchdog status (restart history)',
-            '/kill — Force-kill running agent immediately (no wait)',
-            '/diagnose — Trigger LLM crash diagnosis from logs',
-            '/autofix — Toggle auto-fix mode (prepare fix + ask permission)',
-            '/apply_fix — Apply pending hotfix to main + restart',
-            '/discard_fix — Discard pending hotfix branch',
-        ].join('\n');
-        await bot.sendMessage(CHAT_ID, help);
-    });
+            '🎙️ Voice notes are transcribed; ✅ Send passes the text to the agent.',
+            '📎 Photos and documents are saved to the project; the caption goes with them.'
+        ].join('\n'));
+    }, { role: 'viewer', category: 'general', description: 'Show all commands, or details for one',
+        args: [{ name: 'command', optional: true, description: 'a command name, e.g. add' }] });
 
     registerCommand(/^\/version/, async (msg) => {
-        const state = getState();
-        const backend = state.backend || 'gemini';
-        const model = state.model || '(default)';
+        const settings = getProjectState(projectFor(getState(), msg));
+        const backend = settings.backend || 'gemini';
+        const model = settings.model || '(default)';
         const backendLabel = BACKEND_OPTIONS.find(b => b.id === backend)?.short || backend;
         const modelEntry = PLATFORM_MODELS[backend]?.find(m => m.id === model);
         const modelLabel = modelEntry ? modelEntry.label : model;
@@ -69,32 +47,44 @@ export function register(bot, ctx) {
             `⏱️ Uptime: ${uptime}`,
             `⏰ ${new Date().toLocaleString('de-DE', { timeZone: 'Europe/Berlin' })}`
         ].join('\n');
-        await bot.sendMessage(CHAT_ID, versionLines);
-    });
+        await reply(msg, versionLines);
+    }, { role: 'viewer', category: 'general', description: 'Bot version, backend, model and uptime' });
 
     registerCommand(/^\/status/, async (msg) => {
-        const inboxData = readJsonSafe(INBOX, { messages: [] });
-        const outboxData = readJsonSafe(OUTBOX, { messages: [] });
-        const unread = inboxData.messages.filter(m => !m.read).length;
-        const unsent = outboxData.messages.filter(m => !m.sent).length;
+        // Counts and tasks come from the storage index (storage/index.js)
+        const store = getStorage();
+        const count = (box, pending) => store.queryMessages({ box, pending }).length;
         const stopFlag = existsSync(resolve(CENTRAL_DIR, 'wa_stop_signal'));
         const state = getState();
-        const plan = state.executionPlan;
+        const project = projectFor(state, msg);
+        const settings = getProjectState(project);
+        const plan = settings.executionPlan;
+        const session = store.querySessions({ project })[0];
+        const retention = loadRetention();
 
         const statusLines = [
             '📊 Bridge Status',
             `📂 Active Project: ${state.activeProject}`,
-            `🔧 Backend: ${BACKEND_OPTIONS.find(b => b.id === (state.backend || 'gemini'))?.label || state.backend || 'Gemini CLI'}`,
-            `🤖 Model: ${state.model || '(default)'}`,
-            `📥 Inbox: ${inboxData.messages.length} total, ${unread} unread`,
-            `📤 Outbox: ${outboxData.messages.length} total, ${unsent} unsent`,
+            ...(project !== state.activeProject ? [`📌 Topic Project: ${project}`] : []),
+            `🔧 Backend: ${BACKEND_OPTIONS.find(b => b.id === (settings.backend || 'gemini'))?.label || settings.backend || 'Gemini CLI'}`,
+            `🤖 Model: ${settings.model || '(default)'}`,
+            ...(session?.sessionId ? [`🧵 Kilo session: ${session.sessionId}`] : []),
+            ...(settings.historyFile && existsSync(settings.historyFile)
+                ? [`📜 History: ${readFileSync(settings.historyFile, 'utf8').split('\n').filter(l => l === '---').length} entries`]
+                : []),
+            `📥 Inbox: ${count('inbox')} total, ${count('inbox', true)} unread`,
+            `📤 Outbox: ${count('outbox')} total, ${count('outbox', true)} unsent`,
+            `🗄️ Retention: last ${retention.keepMessages} handled or ${retention.keepDays}d — older in /history`,
             `${stopFlag ? '🔴' : '🟢'} Stop signal: ${stopFlag ? 'ACTIVE' : 'clear'}`,
             `🤖 Bot: running`
         ];
 
         if (plan && plan.tasks?.length) {
             statusLines.push('');
+            const byStatus = {};
+            for (const { status } of store.queryTasks({ project })) byStatus[status] = (byStatus[status] || 0) + 1;
             statusLines.push(`📋 Execution Plan: ${plan.status} (${plan.tasks.length} tasks)`);
+            statusLines.push(`   Tasks: ${Object.entries(byStatus).map(([status, n]) => `${n} ${status}`).join(', ')}`);
             if (plan.defaultPlatform) {
                 statusLines.push(`   Platform: ${PLATFORM_LABELS[plan.defaultPlatform] || plan.defaultPlatform}`);
             }
@@ -103,6 +93,6 @@ export function register(bot, ctx) {
             }
         }
 
-        await bot.sendMessage(CHAT_ID, statusLines.join('\n'));
-    });
+        await reply(msg, statusLines.join('\n'));
+    }, { role: 'viewer', category: 'general', description: 'Project, inbox/outbox, plan and stop-signal status' });
 }
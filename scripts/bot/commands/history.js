@@ -0,0 +1,164 @@
+// ============================================================================
+// commands/history.js — /history and /deadletters: messages out of the live boxes
+// ============================================================================
+// Archives are written by retention.js, dead letters by delivery.js. Usage:
+//   /history                 — inbox and outbox, newest first
+//   /history inbox|outbox    — one box
+//   /history outbox 3        — jump to page 3
+//   /deadletters             — undeliverable replies, with replay/drop buttons
+// /history only shows the messages of the chat/topic it is asked in. Entries
+// without a chatId belong to the home chat (CHAT_ID), as the outbox treats them.
+// ============================================================================
+
+import { archiveDirOf, readArchivePage } from '../retention.js';
+import { listDeadLetters, messageKey, replayDeadLetters, dropDeadLetters } from '../delivery.js';
+import { originOf, topicKey } from '../groups.js';
+
+const PAGE_SIZE = 10;
+const PREVIEW_LEN = 200;
+const BOX_ICON = { inbox: '📥', outbox: '📤' };
+const DEAD_LETTER_LIMIT = 10;
+
+function formatWhen(ts) {
+    return ts ? ts.replace('T', ' ').slice(0, 16) : '—';
+}
+
+function formatPreview(message) {
+    const body = message.type === 'document'
+        ? `📎 ${message.caption || message.filePath || 'Document'}`
+        : (message.text || '(empty)');
+    return body.length > PREVIEW_LEN ? body.substring(0, PREVIEW_LEN - 3) + '...' : body;
+}
+
+function formatEntry({ box, message }) {
+    return `${BOX_ICON[box]} ${formatWhen(message.timestamp)}\n${formatPreview(message)}`;
+}
+
+/**
+ * Only the messages sent from or to one chat/topic.
+ *
+ * @param {{ chatId?: number, threadId?: number }} origin - groups.js originOf
+ * @param {string|number} homeChat - CHAT_ID, for entries without a chatId
+ */
+function sameChat(origin, homeChat) {
+    const key = topicKey(origin.chatId ?? homeChat, origin.threadId);
+    return message => topicKey(message.chatId ?? homeChat, message.threadId) === key;
+}
+
+/**
+ * Text and pager buttons for one archive page.
+ *
+ * @param {string} archiveDir
+ * @param {'inbox'|'outbox'|undefined} box
+ * @param {number} page
+ * @param {Function} [match] - e.g. sameChat(origin, CHAT_ID)
+ * @returns {{ text: string, reply_markup?: object }}
+ */
+function renderHistoryPage(archiveDir, box, page, maxLen = 4096, match) {
+    const result = readArchivePage(archiveDir, { box, page, pageSize: PAGE_SIZE, match });
+    const scope = box ? `${BOX_ICON[box]} ${box}` : 'inbox + outbox';
+    if (result.entries.length === 0) {
+        return { text: `🗄️ No archived messages (${scope}) yet.` };
+    }
+
+    // The total is only counted once the last archive file was read
+    const header = result.total === undefined
+        ? `🗄️ History (${scope}) — page ${result.page}`
+        : `🗄️ History (${scope}) — page ${result.page}/${result.pages}, ${result.total} messages`;
+    let text = [header, ...result.entries.map(formatEntry)].join('\n\n');
+    if (text.length > maxLen) text = text.substring(0, maxLen - 3) + '...';
+
+    const nav = [];
+    const key = box || 'all';
+    if (result.page > 1) nav.push({ text: '◀️ Newer', callback_data: `hist:${key}:${result.page - 1}` });
+    if (result.more) nav.push({ text: 'Older ▶️', callback_data: `hist:${key}:${result.page + 1}` });
+    return nav.length ? { text, reply_markup: { inline_keyboard: [nav] } } : { text };
+}
+
+/**
+ * Text and buttons for the dead-letter list, oldest first. Each shown entry
+ * gets a replay button; replay-all and drop-all cover the rest.
+ *
+ * @returns {{ text: string, reply_markup?: object }}
+ */
+function renderDeadLetters(ctx, maxLen = 4096) {
+    const messages = listDeadLetters(ctx);
+    if (messages.length === 0) {
+        return { text: '☠️ No dead letters — every reply was delivered.' };
+    }
+
+    const shown = messages.slice(0, DEAD_LETTER_LIMIT);
+    const more = messages.length - shown.length;
+    const lines = shown.map((m, i) =>
+        `${i + 1}. ${formatWhen(m.deadAt)} — ${m.delivery?.attempts ?? 0} attempt(s)\n` +
+        `❌ ${m.delivery?.lastError || 'unknown error'}\n${formatPreview(m)}`);
+    let text = [`☠️ Dead letters: ${messages.length}`, ...lines, ...(more > 0 ? [`…and ${more} more`] : [])].join('\n\n');
+    if (text.length > maxLen) text = text.substring(0, maxLen - 3) + '...';
+
+    // callback_data is capped at 64 bytes; ids longer than that only get replay-all
+    const replayOne = shown
+        .map((m, i) => ({ text: `🔁 ${i + 1}`, callback_data: `dl_replay:${messageKey(m)}` }))
+        .filter(b => Buffer.byteLength(b.callback_data) <= 64);
+    const rows = [];
+    for (let i = 0; i < replayOne.length; i += 5) rows.push(replayOne.slice(i, i + 5));
+    rows.push([
+        { text: '🔁 Replay all', callback_data: 'dl_replay:all' },
+        { text: '🗑️ Drop all', callback_data: 'dl_drop:all' }
+    ]);
+    return { text, reply_markup: { inline_keyboard: rows } };
+}
+
+export function register(bot, ctx) {
+    const { registerCommand, onCallback, reply, MAX_MSG_LEN, CHAT_ID } = ctx;
+    const archiveDir = archiveDirOf(ctx);
+
+    registerCommand(/^\/history(?:\s|$)/, async (msg, { args }) => {
+        const { text, reply_markup } = renderHistoryPage(archiveDir, args.box, args.page ?? 1, MAX_MSG_LEN, sameChat(originOf(msg), CHAT_ID));
+        await reply(msg, text, reply_markup ? { reply_markup } : {});
+    }, { role: 'operator', category: 'general', description: 'Browse archived inbox/outbox messages',
+        args: [{ name: 'box', values: ['inbox', 'outbox'], optional: true }, { name: 'page', type: 'int', min: 1, optional: true, description: 'page number, newest first' }] });
+
+    // --- Callback: hist:<inbox|outbox|all>:<page> — the pager's own chat/topic ---
+    onCallback('hist:', async (query) => {
+        const [, key, page] = query.data.split(':');
+        const box = key === 'all' ? undefined : key;
+        const match = sameChat(originOf(query.message), CHAT_ID);
+        const { text, reply_markup } = renderHistoryPage(archiveDir, box, parseInt(page, 10) || 1, MAX_MSG_LEN, match);
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            ...(reply_markup ? { reply_markup } : {})
+        });
+    }, { role: 'operator' });
+
+    registerCommand(/^\/deadletters\s*$/, async (msg) => {
+        const { text, reply_markup } = renderDeadLetters(ctx, MAX_MSG_LEN);
+        await reply(msg, text, reply_markup ? { reply_markup } : {});
+    }, { role: 'operator', category: 'general', description: 'Undeliverable replies (replay/drop)' });
+
+    async function refreshDeadLetters(query, notice) {
+        const { text, reply_markup } = renderDeadLetters(ctx, MAX_MSG_LEN);
+        await bot.answerCallbackQuery(query.id, { text: notice });
+        await bot.editMessageText(text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            ...(reply_markup ? { reply_markup } : {})
+        });
+    }
+
+    // --- Callback: dl_replay:<key|all> — back into the outbox ---
+    onCallback('dl_replay:', async (query) => {
+        const key = query.data.substring('dl_replay:'.length);
+        const count = await replayDeadLetters(ctx, key === 'all' ? null : [key]);
+        await refreshDeadLetters(query, `🔁 ${count} message(s) queued for delivery`);
+    }, { role: 'operator' });
+
+    // --- Callback: dl_drop:all — delete for good ---
+    onCallback('dl_drop:', async (query) => {
+        const count = await dropDeadLetters(ctx);
+        await refreshDeadLetters(query, `🗑️ ${count} message(s) dropped`);
+    }, { role: 'admin' });
+}
+
+export { sameChat, renderHistoryPage, renderDeadLetters };
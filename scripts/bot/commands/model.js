@@ -3,19 +3,23 @@
 // ============================================================================
 
 import { PLATFORM_MODELS, BACKEND_OPTIONS } from '../registries.js';
+import { projectFor } from '../groups.js';
+
+// Model and backend are per-project settings: a command or button in a
+// topic bound to a project changes that project, anywhere else the active one.
 
 export function register(bot, ctx) {
-    const { CHAT_ID, getState, updateState, registerCommand, onCallback } = ctx;
+    const { getState, getProjectState, updateProjectState, registerCommand, onCallback, reply } = ctx;
 
     registerCommand(/^\/model$/, async (msg) => {
-        const state = getState();
+        const state = getProjectState(projectFor(getState(), msg));
         const backend = state.backend || 'gemini';
         const current = state.model || 'gemini-3-pro-preview';
         const models = PLATFORM_MODELS[backend] || PLATFORM_MODELS['gemini'];
         const currentLabel = models.find(m => m.id === current)?.label || current;
         const backendLabel = BACKEND_OPTIONS.find(b => b.id === backend)?.short || backend;
 
-        await bot.sendMessage(CHAT_ID, `🤖 Backend: ${backendLabel}\nCurrent model: ${currentLabel}${!state.model ? ' (default)' : ''}\nSelect a model:`, {
+        await reply(msg, `🤖 Backend: ${backendLabel}\nCurrent model: ${currentLabel}${!state.model ? ' (default)' : ''}\nSelect a model:`, {
             reply_markup: {
                 inline_keyboard: [models.map(m => ({
                     text: m.id === current ? `✅ ${m.label}` : m.label,
@@ -23,13 +27,13 @@ export function register(bot, ctx) {
                 }))]
             }
         });
-    });
+    }, { role: 'operator', category: 'agent', description: 'Switch the AI model (inline buttons)' });
 
     registerCommand(/^\/backend$/, async (msg) => {
-        const state = getState();
+        const state = getProjectState(projectFor(getState(), msg));
         const current = state.backend || 'gemini';
 
-        await bot.sendMessage(CHAT_ID, `🔧 Active backend: ${BACKEND_OPTIONS.find(b => b.id === current)?.label || current}\nSelect backend:`, {
+        await reply(msg, `🔧 Active backend: ${BACKEND_OPTIONS.find(b => b.id === current)?.label || current}\nSelect backend:`, {
             reply_markup: {
                 inline_keyboard: [BACKEND_OPTIONS.map(b => ({
                     text: b.id === current ? `✅ ${b.label}` : b.label,
@@ -37,24 +41,25 @@ export function register(bot, ctx) {
                 }))]
             }
         });
-    });
+    }, { role: 'operator', category: 'agent', description: 'Switch the CLI backend (Gemini/Kilo)' });
 
     // Callback: model:<id>
     onCallback('model:', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
         const modelId = query.data.replace('model:', '');
-        const state = getState();
+        const project = projectFor(getState(), query.message);
+        const state = getProjectState(project);
         const backend = state.backend || 'gemini';
         const models = PLATFORM_MODELS[backend] || PLATFORM_MODELS['gemini'];
         const modelInfo = models.find(m => m.id === modelId);
         if (!modelInfo) return;
 
-        updateState(s => s.model = modelId);
+        await updateProjectState(s => s.model = modelId, project);
         await bot.answerCallbackQuery(query.id, { text: `Switched to ${modelInfo.label}` });
         await bot.editMessageText(`🤖 Model switched to: ${modelInfo.label}`, { chat_id: chatId, message_id: msgId });
-        console.log(`🤖 ${new Date().toISOString()} | Model → ${modelId}`);
-    });
+        console.log(`🤖 ${new Date().toISOString()} | Model → ${modelId} (${project})`);
+    }, { role: 'operator' });
 
     // Callback: backend:<id>
     onCallback('backend:', async (query) => {
@@ -66,14 +71,15 @@ export function register(bot, ctx) {
 
         const models = PLATFORM_MODELS[backendId] || [];
         const defaultModel = models.length > 0 ? models[0].id : null;
-        updateState(s => {
+        const project = projectFor(getState(), query.message);
+        await updateProjectState(s => {
             s.backend = backendId;
             s.model = defaultModel;
-        });
+        }, project);
 
         const modelLabel = models.find(m => m.id === defaultModel)?.label || defaultModel || 'none';
         await bot.answerCallbackQuery(query.id, { text: `Switched to ${backendInfo.short}` });
         await bot.editMessageText(`🔧 Backend: ${backendInfo.label}\n🤖 Model: ${modelLabel}`, { chat_id: chatId, message_id: msgId });
-        console.log(`🔧 ${new Date().toISOString()} | Backend → ${backendId}, Model → ${defaultModel}`);
-    });
+        console.log(`🔧 ${new Date().toISOString()} | Backend → ${backendId}, Model → ${defaultModel} (${project})`);
+    }, { role: 'operator' });
 }
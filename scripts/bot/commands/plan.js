@@ -2,43 +2,72 @@
 // commands/plan.js — /review_plan + all ep_* callback handlers
 // ============================================================================
 
-import { existsSync, unlinkSync } from 'fs';
 import { resolve } from 'path';
 import {
     PLATFORM_MODELS, PLATFORM_LABELS, TIER_EMOJI,
     TIER_DEFAULTS, DIFFICULTY_LABEL
 } from '../registries.js';
+import { projectSlice, ensureProjectSlice } from '../helpers.js';
+import { originOf, projectFor, threadOptions } from '../groups.js';
+import { loadConcurrency, loadTestCommand } from '../dispatch.js';
+import { loadSkipPolicy, TASKS_BUTTON } from '../task_actions.js';
+import { validatePlan, formatProblems } from '../plan_dag.js';
+
+// Shown once a task has left "pending" (dispatch.js and the watcher set them)
+const TASK_STATUS_ICON = { running: '⏳', done: '✅', error: '❌', blocked: '⛔' };
 
 // --- Plan Helpers ---
+// Plans live in the per-project state slice; `project` defaults to the
+// active project (see helpers.js).
 
-function loadExecutionPlan(getState) {
-    const state = getState();
-    return state.executionPlan || null;
+function loadExecutionPlan(getState, project) {
+    return projectSlice(getState(), project).executionPlan || null;
 }
 
-function saveExecutionPlan(plan, updateState) {
-    updateState(s => s.executionPlan = plan);
+function saveExecutionPlan(plan, updateState, project) {
+    return updateState(s => { ensureProjectSlice(s, project).executionPlan = plan; });
 }
 
 function formatExecutionPlan(plan) {
     const lines = [`📋 Execution Plan (${plan.tasks.length} tasks)\n`];
     for (const t of plan.tasks) {
+        const status = TASK_STATUS_ICON[t.taskStatus] ? `${TASK_STATUS_ICON[t.taskStatus]} ` : '';
         const tierEmoji = TIER_EMOJI[t.tier] || '❓';
         const modelEntry = PLATFORM_MODELS[t.platform]?.find(m => m.id === t.model);
         const modelLabel = modelEntry ? modelEntry.label : (t.model || (t.platform === 'jules' ? 'GitHub' : '—'));
         const diff = t.difficulty ? `  ${DIFFICULTY_LABEL(t.difficulty)} (${t.difficulty}/10)` : '';
         const deps = t.deps?.length ? `  deps: ${t.deps.join(', ')}` : '';
-        lines.push(`${t.id}. ${t.description}  ${tierEmoji} ${modelLabel}${diff}${deps}`);
+        lines.push(`${status}${t.id}. ${t.description}  ${tierEmoji} ${modelLabel}${diff}${deps}`);
         if (t.summary) {
             lines.push(`   → ${t.summary}`);
         }
+        if (t.error) {
+            lines.push(`   ⚠️ ${t.error}`);
+        }
     }
     return lines.join('\n');
 }
 
-function applyTierDefaults(plan, getState) {
-    const state = getState();
-    const backend = state.backend || 'gemini';
+// Plan under review, followed by whatever keeps it from running (../plan_dag.js)
+function reviewText(plan) {
+    const problems = validatePlan(plan.tasks);
+    return formatExecutionPlan(plan) + '\n\n' + (problems.length ? formatProblems(problems) : '💡 Suggested by planner based on task tier.');
+}
+
+// ⚡ Execute Parallel only shows when some task may run side by side. A plan
+// that can't run only gets 🌳 Graph, ✏️ Edit Plan and 🔄 Re-plan
+function reviewKeyboard(plan) {
+    const valid = validatePlan(plan.tasks).length === 0;
+    const rows = valid ? [[{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '🤖 Execute Unattended', callback_data: 'ep_unattended' }],
+        [{ text: '✏️ Override Task', callback_data: 'ep_override' }]] : [];
+    if (valid && plan.tasks.some(t => t.parallel)) rows[1].push({ text: '⚡ Execute Parallel', callback_data: 'ep_parallel' });
+    rows.push([{ text: '🌳 Graph', callback_data: 'ep_graph' }, { text: '✏️ Edit Plan', callback_data: 'ep_edit' }, { text: '🔄 Re-plan', callback_data: 'ep_replan' }]);
+    return { inline_keyboard: rows };
+}
+
+function applyTierDefaults(plan, getState, project) {
+    const settings = projectSlice(getState(), project);
+    const backend = settings.backend || 'gemini';
     const tierMap = TIER_DEFAULTS[backend] || TIER_DEFAULTS['gemini'];
     let applied = false;
     for (const t of plan.tasks) {
@@ -48,7 +77,7 @@ function applyTierDefaults(plan, getState) {
             applied = true;
         } else if (!t.platform) {
             t.platform = backend;
-            t.model = (PLATFORM_MODELS[backend] || [])[0]?.id || state.model;
+            t.model = (PLATFORM_MODELS[backend] || [])[0]?.id || settings.model;
             applied = true;
         }
     }
@@ -58,7 +87,14 @@ function applyTierDefaults(plan, getState) {
     return applied;
 }
 
-function writeDispatch(plan, atomicWrite, DISPATCH_FILE) {
+// origin: chat/topic the plan was approved from — the watcher sends task
+// progress back there (see groups.js) — and the project whose plan it is.
+// run: { mode: 'parallel', concurrency, messageId } hands the plan to
+// dispatch.js, which keeps the plan message (messageId) up to date;
+// { mode: 'unattended', testCommand } has the watcher run it without pausing;
+// skipPolicy is what ⏭ Skip does to dependents (../task_actions.js).
+// write: replaceJson in the bot (locked, revisioned — see helpers.js)
+function writeDispatch(plan, write, DISPATCH_FILE, origin = {}, run = {}) {
     const dispatch = {
         timestamp: new Date().toISOString(),
         status: 'approved',
@@ -68,57 +104,122 @@ function writeDispatch(plan, atomicWrite, DISPATCH_FILE) {
             parallel: t.parallel, deps: t.deps
         }))
     };
-    atomicWrite(DISPATCH_FILE, dispatch);
+    if (origin.chatId !== undefined) dispatch.chatId = origin.chatId;
+    if (origin.threadId) dispatch.threadId = origin.threadId;
+    if (origin.project) dispatch.project = origin.project;
+    if (run.skipPolicy) dispatch.skipPolicy = run.skipPolicy;
+    if (run.mode === 'unattended') {
+        dispatch.mode = 'unattended';
+        if (run.testCommand) dispatch.testCommand = run.testCommand;
+    }
+    if (run.mode === 'parallel') {
+        dispatch.mode = 'parallel';
+        dispatch.concurrency = run.concurrency;
+        if (run.messageId && dispatch.chatId !== undefined) dispatch.messageId = run.messageId;
+    }
+    return write(DISPATCH_FILE, dispatch);
+}
+
+// --- Auto-trigger ---
+
+/**
+ * Projects whose new plans get announced, and where. Topic-bound projects
+ * are announced in their topic; the active project, if unbound, in the home
+ * chat. Plans of other projects wait until they are switched to or bound, so
+ * the ep_* buttons always resolve to the project they were shown for.
+ *
+ * @returns {Map<string, { chatId: number|string, threadId?: number }>}
+ */
+function planTargets(state, homeChatId) {
+    const targets = new Map();
+    for (const [key, name] of Object.entries(state.topics || {})) {
+        const path = state.projects?.[name];
+        if (!path || targets.has(path)) continue;
+        const [chatId, threadId] = key.split(':').map(Number);
+        targets.set(path, { chatId, threadId });
+    }
+    if (state.activeProject && !targets.has(state.activeProject)) {
+        targets.set(state.activeProject, { chatId: homeChatId });
+    }
+    return targets;
+}
+
+/**
+ * Post the review keyboard for plans the watcher just saved.
+ *
+ * @param {Map<string, string>} announced - project → last announced status,
+ *   owned by the caller so each poller only announces a plan once
+ * @param {string[]} statuses - plan statuses that trigger an announcement
+ */
+async function announcePendingPlans(bot, ctx, announced, statuses) {
+    const { CHAT_ID, getState, updateState } = ctx;
+    for (const [project, target] of planTargets(getState(), CHAT_ID)) {
+        const plan = loadExecutionPlan(getState, project);
+        if (!plan || !plan.tasks?.length) {
+            announced.delete(project);
+            continue;
+        }
+        if (!statuses.includes(plan.status) || announced.get(project) === plan.status) continue;
+
+        announced.set(project, plan.status);
+        applyTierDefaults(plan, getState, project);
+        plan.status = 'confirming';
+        await saveExecutionPlan(plan, updateState, project);
+
+        await bot.sendMessage(target.chatId,
+            '📋 New execution plan ready!\n\n' + reviewText(plan),
+            threadOptions(target.threadId, { reply_markup: reviewKeyboard(plan) })
+        );
+        console.log(`📋 ${new Date().toISOString()} | Auto-triggered execution plan review (${project})`);
+    }
 }
 
+// Buttons two to a row
+const pairs = buttons => buttons.flatMap((b, i) => (i % 2 ? [] : [buttons.slice(i, i + 2)]));
+
+// 🛑 Stop under a running parallel (see ../dispatch_progress.js) or unattended plan
+const STOP_KEYBOARD = { inline_keyboard: [[{ text: '🛑 Stop', callback_data: 'ep_stop' }]] };
+
 // --- Registration ---
 
 export function register(bot, ctx) {
-    const { CHAT_ID, getState, updateState, atomicWrite,
-        CENTRAL_DIR, DISPATCH_FILE, registerCommand, onCallback } = ctx;
+    const { getState, updateState, updateProjectState, atomicWrite, replaceJson, removeJson,
+        CENTRAL_DIR, DISPATCH_FILE, registerCommand, onCallback, reply } = ctx;
 
     registerCommand(/^\/review_plan$/, async (msg) => {
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), msg);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan || !plan.tasks?.length) {
-            await bot.sendMessage(CHAT_ID, '📋 No execution plan found.\n\nRun /plan_feature first — the architect will generate a plan and save it to state.json.\nThe plan will appear here automatically when ready.');
+            await reply(msg, '📋 No execution plan found.\n\nRun /plan_feature first — the architect will generate a plan and save it to state.json.\nThe plan will appear here automatically when ready.');
             return;
         }
 
         if (plan.status === 'approved') {
-            await bot.sendMessage(CHAT_ID, `✅ Plan already approved.\n\n${formatExecutionPlan(plan)}\n\nThe watcher will dispatch automatically.`, {
-                reply_markup: { inline_keyboard: [[{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]] }
+            await reply(msg, `✅ Plan already approved${plan.mode ? ` (${plan.mode})` : ''}.\n\n${formatExecutionPlan(plan)}\n\nThe watcher will dispatch automatically.`, {
+                reply_markup: { inline_keyboard: [[TASKS_BUTTON, { text: '🔄 Re-plan', callback_data: 'ep_replan' }]] }
             });
             return;
         }
 
         if (plan.status === 'executing') {
-            await bot.sendMessage(CHAT_ID, `⏳ Plan is executing...\n\n${formatExecutionPlan(plan)}`);
+            await reply(msg, `⏳ Plan is executing...\n\n${formatExecutionPlan(plan)}`);
             return;
         }
 
-        applyTierDefaults(plan, getState);
+        applyTierDefaults(plan, getState, project);
         plan.status = 'confirming';
-        saveExecutionPlan(plan, updateState);
-
-        await bot.sendMessage(CHAT_ID,
-            formatExecutionPlan(plan) + '\n\n💡 Suggested by planner based on task tier.',
-            {
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                        [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                    ]
-                }
-            }
-        );
-    });
+        await saveExecutionPlan(plan, updateState, project);
+
+        await reply(msg, reviewText(plan), { reply_markup: reviewKeyboard(plan) });
+    }, { role: 'operator', category: 'plan', description: 'Review and approve the execution plan' });
 
     // --- Callback: ep_platform:<id> ---
     onCallback('ep_platform:', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
         const platform = query.data.replace('ep_platform:', '');
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         plan.defaultPlatform = platform;
@@ -127,96 +228,103 @@ export function register(bot, ctx) {
             plan.defaultModel = null;
             plan.tasks.forEach(t => { t.platform = 'jules'; t.model = null; });
             plan.status = 'confirming';
-            saveExecutionPlan(plan, updateState);
+            await saveExecutionPlan(plan, updateState, project);
 
             await bot.answerCallbackQuery(query.id, { text: 'Jules selected' });
             await bot.editMessageText(
                 formatExecutionPlan(plan) + '\n\nAll tasks → Jules (GitHub)',
-                {
-                    chat_id: chatId, message_id: msgId,
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                            [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                        ]
-                    }
-                }
+                { chat_id: chatId, message_id: msgId, reply_markup: reviewKeyboard(plan) }
             );
             return;
         }
 
         plan.status = 'selecting_model';
-        saveExecutionPlan(plan, updateState);
+        await saveExecutionPlan(plan, updateState, project);
 
         const models = PLATFORM_MODELS[platform] || [];
-        const modelButtons = models.map(m => ({ text: m.label, callback_data: `ep_model:${m.id}` }));
-        const rows = [];
-        for (let i = 0; i < modelButtons.length; i += 2) {
-            rows.push(modelButtons.slice(i, i + 2));
-        }
+        const rows = pairs(models.map(m => ({ text: m.label, callback_data: `ep_model:${m.id}` })));
 
         await bot.answerCallbackQuery(query.id, { text: `${PLATFORM_LABELS[platform]}` });
         await bot.editMessageText(
             `📋 Default model for ${PLATFORM_LABELS[platform]}:`,
             { chat_id: chatId, message_id: msgId, reply_markup: { inline_keyboard: rows } }
         );
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_model:<id> ---
     onCallback('ep_model:', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
         const modelId = query.data.replace('ep_model:', '');
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         plan.defaultModel = modelId;
         plan.tasks.forEach(t => { t.platform = plan.defaultPlatform; t.model = modelId; });
         plan.status = 'confirming';
-        saveExecutionPlan(plan, updateState);
+        await saveExecutionPlan(plan, updateState, project);
 
         const modelLabel = PLATFORM_MODELS[plan.defaultPlatform]?.find(m => m.id === modelId)?.label || modelId;
 
         await bot.answerCallbackQuery(query.id, { text: modelLabel });
         await bot.editMessageText(
             formatExecutionPlan(plan) + `\n\n✅ All tasks → ${PLATFORM_LABELS[plan.defaultPlatform]}: ${modelLabel}`,
-            {
-                chat_id: chatId, message_id: msgId,
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                        [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                    ]
-                }
-            }
+            { chat_id: chatId, message_id: msgId, reply_markup: reviewKeyboard(plan) }
         );
-    });
-
-    // --- Callback: ep_execute ---
-    onCallback('ep_execute', async (query) => {
-        const chatId = query.message.chat.id;
-        const msgId = query.message.message_id;
-        const plan = loadExecutionPlan(getState);
-        if (!plan) return;
+    }, { role: 'operator' });
+
+    // Approve the plan and hand it to the watcher; null if there is none or it can't run
+    async function approve(query, run = {}) {
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
+        if (!plan) return null;
+        const problems = validatePlan(plan.tasks);
+        if (problems.length) {
+            await bot.answerCallbackQuery(query.id, { text: `⚠️ ${problems[0].message}`.substring(0, 200) });
+            return null;
+        }
 
         plan.status = 'approved';
+        plan.mode = run.mode || 'step';
         plan.tasks.forEach(t => { if (!t.taskStatus) t.taskStatus = 'pending'; });
-        saveExecutionPlan(plan, updateState);
-        writeDispatch(plan, atomicWrite, DISPATCH_FILE);
+        await saveExecutionPlan(plan, updateState, project);
+        await writeDispatch(plan, replaceJson, DISPATCH_FILE, { ...originOf(query.message), project }, { skipPolicy: loadSkipPolicy(), ...run });
+        return plan;
+    }
 
-        await bot.answerCallbackQuery(query.id, { text: '🚀 Plan approved!' });
-        await bot.editMessageText(
-            `🚀 Plan Approved! (Step-through mode)\n\n${formatExecutionPlan(plan)}\n\n⏳ Watcher will run Task 1, then pause for your review.`,
-            { chat_id: chatId, message_id: msgId }
-        );
-        console.log(`🚀 ${new Date().toISOString()} | Execution plan approved (${plan.tasks.length} tasks, step-through)`);
-    });
+    // --- Callbacks: ep_execute, ep_unattended, ep_parallel — how the plan runs ---
+    // run.mode is recorded in the plan; 🚀 Execute All steps through it
+    const APPROVALS = {
+        ep_execute: () => ({ run: { mode: 'step' }, title: '🚀 Plan Approved! (Step-through mode)',
+            next: '⏳ Watcher will run Task 1, then pause for your review.' }),
+        ep_unattended: () => ({ run: { mode: 'unattended', testCommand: loadTestCommand() }, title: '🤖 Plan Approved! (Unattended)', keyboard: STOP_KEYBOARD,
+            next: "⏳ Watcher will run every task without pausing. It stops at the first error, failed test or change outside a task's files, and sends one report at the end." }),
+        ep_parallel: (msgId, concurrency = loadConcurrency()) => ({ run: { mode: 'parallel', concurrency, messageId: msgId },
+            title: `⚡ Plan Approved! (Parallel, up to ${concurrency} at once)`, keyboard: STOP_KEYBOARD,
+            next: '⏳ Watcher will run independent tasks side by side — their status shows here.' })
+    };
+    for (const [button, approval] of Object.entries(APPROVALS)) {
+        onCallback(button, async (query) => {
+            const msgId = query.message.message_id;
+            const { run, title, next, keyboard } = approval(msgId);
+            const plan = await approve(query, run);
+            if (!plan) return;
+
+            const icon = title.split(' ')[0];
+            await bot.answerCallbackQuery(query.id, { text: `${icon} Plan approved!` });
+            await bot.editMessageText(`${title}\n\n${formatExecutionPlan(plan)}\n\n${next}`,
+                { chat_id: query.message.chat.id, message_id: msgId, ...(keyboard ? { reply_markup: keyboard } : {}) });
+            console.log(`${icon} ${new Date().toISOString()} | Execution plan approved (${plan.tasks.length} tasks, ${run.mode}${run.concurrency ? ` ×${run.concurrency}` : ''})`);
+        }, { role: 'operator' });
+    }
 
     // --- Callback: ep_continue ---
     onCallback('ep_continue', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         const continueFile = resolve(CENTRAL_DIR, 'wa_dispatch_continue.json');
@@ -228,37 +336,34 @@ export function register(bot, ctx) {
             { chat_id: chatId, message_id: msgId }
         );
         console.log(`▶️ ${new Date().toISOString()} | Step-through: continue to next task`);
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_stop ---
     onCallback('ep_stop', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         plan.status = 'stopped';
-        saveExecutionPlan(plan, updateState);
-        if (existsSync(DISPATCH_FILE)) {
-            try { unlinkSync(DISPATCH_FILE); } catch { /* ignore */ }
-        }
+        await saveExecutionPlan(plan, updateState, project);
+        await removeJson(DISPATCH_FILE);
 
         await bot.answerCallbackQuery(query.id, { text: '🛑 Stopped' });
         await bot.editMessageText(
             `🛑 Execution stopped.\n\n${formatExecutionPlan(plan)}\n\nUse /review_plan to restart or 🔄 Re-plan.`,
-            {
-                chat_id: chatId, message_id: msgId,
-                reply_markup: { inline_keyboard: [[{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]] }
-            }
+            { chat_id: chatId, message_id: msgId, reply_markup: { inline_keyboard: [[{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]] } }
         );
         console.log(`🛑 ${new Date().toISOString()} | Execution stopped`);
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_override ---
     onCallback('ep_override', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         const taskButtons = plan.tasks.map(t => ({
@@ -272,20 +377,21 @@ export function register(bot, ctx) {
             chat_id: chatId, message_id: msgId,
             reply_markup: { inline_keyboard: rows }
         });
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_task:<id> ---
     onCallback('ep_task:', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
         const taskId = parseInt(query.data.replace('ep_task:', ''), 10);
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         const task = plan.tasks.find(t => t.id === taskId);
         if (!task) return;
 
-        const activeBackend = (getState().backend) || 'gemini';
+        const activeBackend = projectSlice(getState(), project).backend || 'gemini';
         const platformButtons = [activeBackend].map(p => ({
             text: PLATFORM_LABELS[p] || p,
             callback_data: `ep_task_plat:${taskId}:${p}`
@@ -296,7 +402,7 @@ export function register(bot, ctx) {
             `✏️ Task ${taskId}: ${task.description}\n\nPlatform:`,
             { chat_id: chatId, message_id: msgId, reply_markup: { inline_keyboard: [platformButtons] } }
         );
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_task_plat:<taskId>:<platform> ---
     onCallback('ep_task_plat:', async (query) => {
@@ -304,7 +410,8 @@ export function register(bot, ctx) {
         const msgId = query.message.message_id;
         const [, taskIdStr, platform] = query.data.split(':');
         const taskId = parseInt(taskIdStr, 10);
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         const task = plan.tasks.find(t => t.id === taskId);
@@ -315,39 +422,27 @@ export function register(bot, ctx) {
         if (platform === 'jules') {
             task.model = null;
             plan.status = 'confirming';
-            saveExecutionPlan(plan, updateState);
+            await saveExecutionPlan(plan, updateState, project);
 
             await bot.answerCallbackQuery(query.id, { text: 'Jules' });
             await bot.editMessageText(
                 `✅ Updated:\n\n${formatExecutionPlan(plan)}`,
-                {
-                    chat_id: chatId, message_id: msgId,
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                            [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                        ]
-                    }
-                }
+                { chat_id: chatId, message_id: msgId, reply_markup: reviewKeyboard(plan) }
             );
             return;
         }
 
-        saveExecutionPlan(plan, updateState);
+        await saveExecutionPlan(plan, updateState, project);
 
         const models = PLATFORM_MODELS[platform] || [];
-        const modelButtons = models.map(m => ({ text: m.label, callback_data: `ep_task_model:${taskId}:${m.id}` }));
-        const rows = [];
-        for (let i = 0; i < modelButtons.length; i += 2) {
-            rows.push(modelButtons.slice(i, i + 2));
-        }
+        const rows = pairs(models.map(m => ({ text: m.label, callback_data: `ep_task_model:${taskId}:${m.id}` })));
 
         await bot.answerCallbackQuery(query.id, { text: PLATFORM_LABELS[platform] });
         await bot.editMessageText(
             `✏️ Task ${taskId} — Model for ${PLATFORM_LABELS[platform]}:`,
             { chat_id: chatId, message_id: msgId, reply_markup: { inline_keyboard: rows } }
         );
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_task_model:<taskId>:<modelId> ---
     onCallback('ep_task_model:', async (query) => {
@@ -355,7 +450,8 @@ export function register(bot, ctx) {
         const msgId = query.message.message_id;
         const [, taskIdStr, modelId] = query.data.split(':');
         const taskId = parseInt(taskIdStr, 10);
-        const plan = loadExecutionPlan(getState);
+        const project = projectFor(getState(), query.message);
+        const plan = loadExecutionPlan(getState, project);
         if (!plan) return;
 
         const task = plan.tasks.find(t => t.id === taskId);
@@ -363,33 +459,23 @@ export function register(bot, ctx) {
 
         task.model = modelId;
         plan.status = 'confirming';
-        saveExecutionPlan(plan, updateState);
+        await saveExecutionPlan(plan, updateState, project);
 
         const modelLabel = PLATFORM_MODELS[task.platform]?.find(m => m.id === modelId)?.label || modelId;
 
         await bot.answerCallbackQuery(query.id, { text: modelLabel });
         await bot.editMessageText(
             `✅ Updated:\n\n${formatExecutionPlan(plan)}`,
-            {
-                chat_id: chatId, message_id: msgId,
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                        [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                    ]
-                }
-            }
+            { chat_id: chatId, message_id: msgId, reply_markup: reviewKeyboard(plan) }
         );
-    });
+    }, { role: 'operator' });
 
     // --- Callback: ep_replan ---
     onCallback('ep_replan', async (query) => {
         const chatId = query.message.chat.id;
         const msgId = query.message.message_id;
-        updateState(s => { delete s.executionPlan; });
-        if (existsSync(DISPATCH_FILE)) {
-            try { unlinkSync(DISPATCH_FILE); } catch { /* ignore */ }
-        }
+        await updateProjectState(p => { delete p.executionPlan; }, projectFor(getState(), query.message));
+        await removeJson(DISPATCH_FILE);
 
         await bot.answerCallbackQuery(query.id, { text: 'Plan cleared' });
         await bot.editMessageText(
@@ -397,8 +483,11 @@ export function register(bot, ctx) {
             { chat_id: chatId, message_id: msgId }
         );
         console.log(`🔄 ${new Date().toISOString()} | Execution plan cleared`);
-    });
+    }, { role: 'operator', confirm: 'Discard this execution plan and re-plan?' });
 }
 
 // Export helpers for testing
-export { loadExecutionPlan, saveExecutionPlan, formatExecutionPlan, applyTierDefaults, writeDispatch };
+export {
+    loadExecutionPlan, saveExecutionPlan, formatExecutionPlan, applyTierDefaults, writeDispatch,
+    planTargets, announcePendingPlans, reviewText, reviewKeyboard, STOP_KEYBOARD
+};
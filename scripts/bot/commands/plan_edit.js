@@ -0,0 +1,331 @@
+// ============================================================================
+// commands/plan_edit.js — /plan_edit, /plan_add, /plan_rm, /plan_move:
+// change the execution plan before it is approved
+// ============================================================================
+// Edits the plan of the chat's project while it is under review. Usage:
+//   /plan_edit 3 desc Add the settings page     — reword a task
+//   /plan_edit 3 deps 1,2                       — what it waits on (none: no deps)
+//   /plan_edit 3 tier top                       — tier; picks the tier's model
+//   /plan_edit 3 difficulty 6                   — 1–10
+//   /plan_add Write the docs --deps=2 --tier=free
+//   /plan_rm 4 [--into=2]                       — drop a task, or merge it into another
+//   /plan_move 4 1                              — put task 4 first
+// Task ids stay as they are, so one edit doesn't renumber the next. After
+// each change the plan is checked again (../plan_dag.js) and shown with the
+// review buttons. ✏️ Edit Plan under a review does the same with buttons.
+// ============================================================================
+
+import { UsageError } from '../args.js';
+import { TIER_EMOJI, DIFFICULTY_LABEL } from '../registries.js';
+import { projectFor } from '../groups.js';
+import { loadExecutionPlan, saveExecutionPlan, applyTierDefaults, reviewText, reviewKeyboard } from './plan.js';
+
+const FIELDS = ['desc', 'deps', 'tier', 'difficulty'];
+const LABEL_LEN = 40;
+
+function findTask(plan, id) {
+    const task = plan.tasks.find(t => t.id === id);
+    if (!task) throw new UsageError(`No task ${id} in the plan`);
+    return task;
+}
+
+/**
+ * "1,2", "1 2" or "none" → task ids, each of which must be in the plan.
+ *
+ * @returns {number[]}
+ * @throws {UsageError}
+ */
+function parseDeps(plan, value, id) {
+    const text = (value || '').trim();
+    if (!text || text === 'none') return [];
+    const deps = [];
+    for (const word of text.split(/[\s,]+/).filter(Boolean)) {
+        if (!/^\d+$/.test(word)) throw new UsageError(`Deps are task ids, e.g. 1,2 (got "${word}")`);
+        const dep = parseInt(word, 10);
+        if (dep === id) throw new UsageError(`Task ${id} can't depend on itself`);
+        findTask(plan, dep);
+        if (!deps.includes(dep)) deps.push(dep);
+    }
+    return deps;
+}
+
+function parseDifficulty(value) {
+    const text = String(value).trim();
+    const n = parseInt(text, 10);
+    if (!/^\d+$/.test(text) || n < 1 || n > 10) throw new UsageError(`Difficulty is 1–10 (got "${text}")`);
+    return n;
+}
+
+function parseTier(value) {
+    if (!TIER_EMOJI[value]) throw new UsageError(`Tier must be one of: ${Object.keys(TIER_EMOJI).join(', ')} (got "${value}")`);
+    return value;
+}
+
+// A new tier means the tier's model (see applyTierDefaults in plan.js)
+function setTier(plan, task, tier, getState, project) {
+    task.tier = tier;
+    delete task.platform;
+    delete task.model;
+    applyTierDefaults(plan, getState, project);
+}
+
+/**
+ * Change one field of a task.
+ *
+ * @param {'desc'|'deps'|'tier'|'difficulty'} field
+ * @returns {string} what changed
+ * @throws {UsageError}
+ */
+function editTask(plan, id, field, value, { getState, project } = {}) {
+    const task = findTask(plan, id);
+    if (field === 'desc') {
+        const description = (value || '').replace(/\s+/g, ' ').trim();
+        if (!description) throw new UsageError('Give the new description');
+        task.description = description;
+        return `Task ${id} reworded`;
+    }
+    if (field === 'deps') {
+        task.deps = parseDeps(plan, value, id);
+        return task.deps.length ? `Task ${id} now waits on ${task.deps.join(', ')}` : `Task ${id} waits on nothing`;
+    }
+    if (field === 'tier') {
+        setTier(plan, task, parseTier(value), getState, project);
+        return `Task ${id} → ${TIER_EMOJI[task.tier]} ${task.tier}`;
+    }
+    if (field === 'difficulty') {
+        task.difficulty = parseDifficulty(value);
+        return `Task ${id} → ${DIFFICULTY_LABEL(task.difficulty)} (${task.difficulty}/10)`;
+    }
+    throw new UsageError(`Field must be one of: ${FIELDS.join(', ')} (got "${field}")`);
+}
+
+/**
+ * Append a task; it gets the next free id and its tier's model.
+ *
+ * @param {{ deps?: string, tier?: string, difficulty?: number, parallel?: boolean }} [opts]
+ * @returns {string} what changed
+ * @throws {UsageError}
+ */
+function addTask(plan, description, { deps, tier = 'mid', difficulty, parallel = false } = {}, { getState, project } = {}) {
+    const text = (description || '').replace(/\s+/g, ' ').trim();
+    if (!text) throw new UsageError('Give the task description');
+    const id = Math.max(0, ...plan.tasks.map(t => t.id)) + 1;
+    const task = { id, description: text, tier: parseTier(tier), parallel, deps: parseDeps(plan, deps, id) };
+    if (difficulty !== undefined) task.difficulty = parseDifficulty(difficulty);
+    plan.tasks.push(task);
+    applyTierDefaults(plan, getState, project);
+    return `Task ${id} added`;
+}
+
+/**
+ * Drop a task. Tasks that waited on it wait on its deps instead — or, when
+ * it is merged into another task, on that task, which takes over its
+ * description and deps.
+ *
+ * @param {number} [into] - id of the task to merge it into
+ * @returns {string} what changed
+ * @throws {UsageError}
+ */
+function removeTask(plan, id, into) {
+    const task = findTask(plan, id);
+    const target = into === undefined ? null : findTask(plan, into);
+    if (target === task) throw new UsageError(`Task ${id} can't be merged into itself`);
+    if (plan.tasks.length === 1) throw new UsageError('A plan needs at least one task — 🔄 Re-plan instead');
+
+    const merged = (...lists) => [...new Set(lists.flat())].filter(dep => dep !== id);
+    if (target) {
+        target.description = `${target.description}; ${task.description}`;
+        target.deps = merged(target.deps || [], task.deps || []).filter(dep => dep !== target.id);
+        if (task.difficulty || target.difficulty) target.difficulty = Math.min(10, (task.difficulty || 0) + (target.difficulty || 0));
+    }
+    plan.tasks = plan.tasks.filter(t => t !== task);
+    for (const t of plan.tasks) {
+        if (t === target || !t.deps?.includes(id)) continue;
+        t.deps = merged(t.deps, target ? [target.id] : task.deps || []).filter(dep => dep !== t.id);
+    }
+    return target ? `Task ${id} merged into task ${target.id}` : `Task ${id} removed`;
+}
+
+/**
+ * Put a task at a position of the plan (1 = first). Deps are unchanged; the
+ * order decides which of the ready tasks runs first.
+ *
+ * @returns {string} what changed
+ * @throws {UsageError}
+ */
+function moveTask(plan, id, position) {
+    const task = findTask(plan, id);
+    const to = Math.min(Math.max(position, 1), plan.tasks.length) - 1;
+    plan.tasks = plan.tasks.filter(t => t !== task);
+    plan.tasks.splice(to, 0, task);
+    return `Task ${id} moved to position ${to + 1}`;
+}
+
+function taskButtonText(task) {
+    const text = `${task.id}. ${task.description}`;
+    return text.length > LABEL_LEN ? text.substring(0, LABEL_LEN - 1) + '…' : text;
+}
+
+// ✏️ Which task — one button per task, « Done back to the review buttons
+function taskListKeyboard(plan) {
+    return { inline_keyboard: [...plan.tasks.map(t => [{ text: taskButtonText(t), callback_data: `ep_edit:${t.id}` }]),
+        [{ text: '« Done', callback_data: 'ep_edit_done' }]] };
+}
+
+// What the buttons can change about one task; words go through /plan_edit
+function taskEditKeyboard(task) {
+    const tiers = Object.entries(TIER_EMOJI).map(([tier, emoji]) => ({
+        text: `${emoji} ${tier}${task.tier === tier ? ' ✓' : ''}`, callback_data: `ep_edit_tier:${task.id}:${tier}`
+    }));
+    return { inline_keyboard: [
+        [{ text: '⬆️ Up', callback_data: `ep_edit_up:${task.id}` }, { text: '⬇️ Down', callback_data: `ep_edit_down:${task.id}` },
+            { text: '🗑 Remove', callback_data: `ep_edit_rm:${task.id}` }],
+        tiers,
+        [{ text: '« Tasks', callback_data: 'ep_edit' }, { text: '« Done', callback_data: 'ep_edit_done' }]
+    ] };
+}
+
+function taskEditText(task) {
+    return [`✏️ Task ${task.id}: ${task.description}`,
+        `Tier: ${TIER_EMOJI[task.tier] || '❓'} ${task.tier || '—'}` + (task.difficulty ? `  ${DIFFICULTY_LABEL(task.difficulty)} (${task.difficulty}/10)` : ''),
+        `Deps: ${task.deps?.length ? task.deps.join(', ') : 'none'}`,
+        '',
+        `Reword it: /plan_edit ${task.id} desc <text>`,
+        `Deps: /plan_edit ${task.id} deps 1,2 (or none)`,
+        `Difficulty: /plan_edit ${task.id} difficulty 1–10`].join('\n');
+}
+
+export function register(bot, ctx) {
+    const { getState, updateState, registerCommand, onCallback, reply } = ctx;
+
+    /**
+     * Load the chat's plan, make a change, save it and return the re-rendered
+     * plan; a plan that is running or gone is not touched.
+     *
+     * @param {Function} change - (plan, project) → what changed; may throw a UsageError
+     * @returns {Promise<{ ok: boolean, text: string, plan?: object }>}
+     */
+    async function changePlan(message, change) {
+        const project = projectFor(getState(), message);
+        const plan = loadExecutionPlan(getState, project);
+        if (!plan || !plan.tasks?.length) {
+            return { ok: false, text: '📋 No execution plan found.\n\nRun /plan_feature first — edits apply to the plan it saves.' };
+        }
+        if (['approved', 'executing'].includes(plan.status)) {
+            return { ok: false, text: '⏳ This plan is approved — 🛑 Stop it before editing, or change single tasks with /plan_tasks.' };
+        }
+        const done = change(plan, project);
+        plan.status = 'confirming';
+        await saveExecutionPlan(plan, updateState, project);
+        console.log(`✏️ ${new Date().toISOString()} | Plan edit: ${done} (${project})`);
+        return { ok: true, text: `✅ ${done}\n\n${reviewText(plan)}`, plan };
+    }
+
+    async function replyChange(msg, change) {
+        const result = await changePlan(msg, change);
+        await reply(msg, result.text, result.ok ? { reply_markup: reviewKeyboard(result.plan) } : {});
+    }
+
+    registerCommand(/^\/plan_edit(?:\s|$)/, async (msg, { args }) => {
+        await replyChange(msg, (plan, project) => editTask(plan, args.id, args.field, args.value, { getState, project }));
+    }, { role: 'operator', category: 'plan', description: 'Reword a plan task, or change its deps, tier or difficulty',
+        args: [
+            { name: 'id', type: 'int', min: 1, description: 'task id' },
+            { name: 'field', values: FIELDS },
+            { name: 'value', rest: true }
+        ],
+        examples: ['/plan_edit 3 desc Add the settings page', '/plan_edit 3 deps 1,2', '/plan_edit 3 tier top', '/plan_edit 3 difficulty 6'] });
+
+    registerCommand(/^\/plan_add(?:\s|$)/, async (msg, { args, flags }) => {
+        await replyChange(msg, (plan, project) => addTask(plan, args.description, flags, { getState, project }));
+    }, { role: 'operator', category: 'plan', description: 'Add a task to the execution plan',
+        args: [{ name: 'description', rest: true }],
+        flags: [
+            { name: 'deps', type: 'string', description: 'task ids it waits on, e.g. 1,2' },
+            { name: 'tier', values: Object.keys(TIER_EMOJI) },
+            { name: 'difficulty', type: 'int' },
+            { name: 'parallel', description: 'may run side by side with other tasks' }
+        ],
+        examples: ['/plan_add Write the docs', '/plan_add "E2E tests" --deps=2,3 --tier=top --difficulty=6'] });
+
+    registerCommand(/^\/plan_rm(?:\s|$)/, async (msg, { args, flags }) => {
+        await replyChange(msg, plan => removeTask(plan, args.id, flags.into));
+    }, { role: 'operator', category: 'plan', description: 'Remove a task from the execution plan, or merge it into another',
+        args: [{ name: 'id', type: 'int', min: 1, description: 'task id' }],
+        flags: [{ name: 'into', type: 'int', description: 'merge it into this task' }],
+        examples: ['/plan_rm 4', '/plan_rm 4 --into=2'] });
+
+    registerCommand(/^\/plan_move(?:\s|$)/, async (msg, { args }) => {
+        await replyChange(msg, plan => moveTask(plan, args.id, args.position));
+    }, { role: 'operator', category: 'plan', description: 'Move a task to another position in the execution plan',
+        args: [
+            { name: 'id', type: 'int', min: 1, description: 'task id' },
+            { name: 'position', type: 'int', min: 1, description: '1 = first' }
+        ],
+        examples: ['/plan_move 4 1'] });
+
+    // --- Callback: ep_edit (✏️ Edit Plan: which task), ep_edit:<id> (one task) ---
+    onCallback('ep_edit', async (query) => {
+        const plan = loadExecutionPlan(getState, projectFor(getState(), query.message));
+        if (!plan || !plan.tasks?.length) {
+            await bot.answerCallbackQuery(query.id, { text: '📋 No execution plan' });
+            return;
+        }
+        const task = plan.tasks.find(t => t.id === parseInt(query.data.split(':')[1], 10));
+        await bot.answerCallbackQuery(query.id, { text: task ? `Task ${task.id}` : '✏️ Edit Plan' });
+        await bot.editMessageText(task ? taskEditText(task) : '✏️ Which task to edit?\n\nTo add one: /plan_add <description> [--deps=1,2]', {
+            chat_id: query.message.chat.id, message_id: query.message.message_id,
+            reply_markup: task ? taskEditKeyboard(task) : taskListKeyboard(plan)
+        });
+    }, { role: 'operator' });
+
+    // --- Callback: ep_edit_done — back to the plan and its review buttons ---
+    onCallback('ep_edit_done', async (query) => {
+        const plan = loadExecutionPlan(getState, projectFor(getState(), query.message));
+        await bot.answerCallbackQuery(query.id, { text: plan ? '📋 Plan' : '📋 No execution plan' });
+        if (!plan?.tasks?.length) return;
+        await bot.editMessageText(reviewText(plan), {
+            chat_id: query.message.chat.id, message_id: query.message.message_id, reply_markup: reviewKeyboard(plan)
+        });
+    }, { role: 'operator' });
+
+    // Run a button's change; the plan shows with the task's buttons, or the review buttons once it is gone
+    async function editByButton(query, change) {
+        const [, idStr, value] = query.data.split(':');
+        const id = parseInt(idStr, 10);
+        let result;
+        try {
+            result = await changePlan(query.message, plan => change(plan, id, value));
+        } catch (err) {
+            if (!(err instanceof UsageError)) throw err;
+            result = { ok: false, text: `⚠️ ${err.problem}` };
+        }
+        await bot.answerCallbackQuery(query.id, { text: result.text.split('\n')[0].substring(0, 200) });
+        if (!result.ok) return;
+        const task = result.plan.tasks.find(t => t.id === id);
+        await bot.editMessageText(result.text, {
+            chat_id: query.message.chat.id, message_id: query.message.message_id,
+            reply_markup: task ? taskEditKeyboard(task) : reviewKeyboard(result.plan)
+        });
+    }
+
+    // --- Callbacks: ep_edit_up:<id>, ep_edit_down:<id>, ep_edit_tier:<id>:<tier> ---
+    onCallback('ep_edit_up:', async (query) => {
+        await editByButton(query, (plan, id) => moveTask(plan, id, plan.tasks.findIndex(t => t.id === id)));
+    }, { role: 'operator' });
+    onCallback('ep_edit_down:', async (query) => {
+        await editByButton(query, (plan, id) => moveTask(plan, id, plan.tasks.findIndex(t => t.id === id) + 2));
+    }, { role: 'operator' });
+    onCallback('ep_edit_tier:', async (query) => {
+        await editByButton(query, (plan, id, tier) => editTask(plan, id, 'tier', tier, {
+            getState, project: projectFor(getState(), query.message)
+        }));
+    }, { role: 'operator' });
+
+    // --- Callback: ep_edit_rm:<id> — 🗑 Remove, after ✅ Yes (confirm.js) ---
+    onCallback('ep_edit_rm:', async (query) => {
+        await editByButton(query, (plan, id) => removeTask(plan, id));
+    }, { role: 'operator', confirm: 'Remove this task from the execution plan?' });
+}
+
+export { editTask, addTask, removeTask, moveTask, taskEditKeyboard };
@@ -0,0 +1,85 @@
+// ============================================================================
+// commands/plan_graph.js — /plan_graph: the execution plan's dependency graph
+// ============================================================================
+// Draws the plan of the chat's project (see plan_dag.js). Usage:
+//   /plan_graph          — text tree, ★ on the critical path, 📄 export buttons
+//   /plan_graph mermaid  — Mermaid flowchart as a .mmd document
+//   /plan_graph dot      — Graphviz source as a .dot document
+// 🌳 Graph under a plan review (commands/plan.js) shows the same tree.
+// ============================================================================
+
+import { writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { projectFor, threadOptions } from '../groups.js';
+import { validatePlan, formatProblems, renderTree, toMermaid, toDot } from '../plan_dag.js';
+import { loadExecutionPlan } from './plan.js';
+
+const EXPORTS = {
+    mermaid: { ext: 'mmd', label: 'Mermaid', render: toMermaid },
+    dot: { ext: 'dot', label: 'DOT', render: toDot }
+};
+const EXPORT_KEYBOARD = {
+    inline_keyboard: [Object.entries(EXPORTS).map(([format, { label }]) => ({ text: `📄 ${label}`, callback_data: `ep_graph:${format}` }))]
+};
+const CUT_NOTE = '\n…\n✂️ Cut short — 📄 Mermaid or DOT has the whole graph.';
+
+/**
+ * Text tree of the plan, followed by what keeps it from running, if
+ * anything does. Cut to maxLen; the exports always hold the whole graph.
+ *
+ * @returns {string}
+ */
+function renderGraph(plan, maxLen) {
+    const problems = validatePlan(plan.tasks);
+    const text = renderTree(plan.tasks) + (problems.length ? `\n\n${formatProblems(problems)}` : '');
+    return text.length > maxLen ? text.substring(0, maxLen - CUT_NOTE.length) + CUT_NOTE : text;
+}
+
+// Sent like outbox.js sends long replies: a temp file, removed afterwards
+async function sendExport(bot, message, plan, format) {
+    const { ext, label, render } = EXPORTS[format];
+    const ts = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+    const tmpFile = join(tmpdir(), `execution_plan_${ts}.${ext}`);
+    writeFileSync(tmpFile, render(plan.tasks), 'utf8');
+    try {
+        return await bot.sendDocument(message.chat.id, tmpFile, threadOptions(message.is_topic_message && message.message_thread_id, {
+            caption: `📄 Execution plan graph — ${label} (${plan.tasks.length} tasks)`
+        }));
+    } finally {
+        try { unlinkSync(tmpFile); } catch { /* ignore */ }
+    }
+}
+
+export function register(bot, ctx) {
+    const { getState, registerCommand, onCallback, reply, MAX_MSG_LEN = 4096 } = ctx;
+
+    // format: 'text' or a key of EXPORTS; message: the command, or the message under a button
+    async function showGraph(message, format) {
+        const plan = loadExecutionPlan(getState, projectFor(getState(), message));
+        if (!plan || !plan.tasks?.length) {
+            await reply(message, '📋 No execution plan found.\n\nRun /plan_feature first — the graph is drawn from the plan it saves.');
+            return;
+        }
+        if (EXPORTS[format]) {
+            await sendExport(bot, message, plan, format);
+            return;
+        }
+        await reply(message, renderGraph(plan, MAX_MSG_LEN), { reply_markup: EXPORT_KEYBOARD });
+    }
+
+    registerCommand(/^\/plan_graph(?:\s|$)/, async (msg, { args }) => {
+        await showGraph(msg, args.format || 'text');
+    }, { role: 'operator', category: 'plan', description: 'Dependency graph of the execution plan, or export it',
+        args: [{ name: 'format', values: ['text', ...Object.keys(EXPORTS)], optional: true }],
+        examples: ['/plan_graph', '/plan_graph mermaid', '/plan_graph dot'] });
+
+    // --- Callback: ep_graph (🌳 Graph), ep_graph:<mermaid|dot> (📄 exports) ---
+    onCallback('ep_graph', async (query) => {
+        const format = query.data.split(':')[1] || 'text';
+        await bot.answerCallbackQuery(query.id, { text: EXPORTS[format] ? `📄 ${EXPORTS[format].label}` : '🌳 Graph' });
+        await showGraph(query.message, format);
+    }, { role: 'operator' });
+}
+
+export { renderGraph };
@@ -0,0 +1,204 @@
+// ============================================================================
+// commands/plan_tasks.js — /plan_tasks: retry, skip or re-run single tasks
+// ============================================================================
+// Acts on the approved plan of the chat's project while it runs, or after it
+// finished (see task_actions.js). Usage:
+//   /plan_tasks                     — every task; tap one for its actions
+//   /plan_tasks retry 3 [model]     — run a failed or blocked task again
+//   /plan_tasks skip 3              — don't run it; dependents per skip policy
+//   /plan_tasks rerun 3             — run a done or skipped task again
+// The watcher's task reports carry the same buttons (ep_retry, ep_skip, ...).
+// ============================================================================
+
+import { resolve } from 'path';
+import { UsageError } from '../args.js';
+import { PLATFORM_MODELS, PLATFORM_LABELS } from '../registries.js';
+import { projectSlice } from '../helpers.js';
+import { projectFor } from '../groups.js';
+import { planDag } from '../plan_dag.js';
+import { TASK_ACTIONS, TASKS_BUTTON, applyTaskAction, taskActionRow } from '../task_actions.js';
+
+const STATUS_ICON = { pending: '⏸', running: '⏳', done: '✅', error: '❌', blocked: '⛔', skipped: '⏭' };
+const LABEL_LEN = 40;
+
+function modelLabel(task) {
+    return PLATFORM_MODELS[task.platform]?.find(m => m.id === task.model)?.label || task.model || '—';
+}
+
+function taskButtonText(task) {
+    const text = `${STATUS_ICON[task.taskStatus || 'pending']} ${task.id}. ${task.description}`;
+    return text.length > LABEL_LEN ? text.substring(0, LABEL_LEN - 1) + '…' : text;
+}
+
+/**
+ * Every task with its status, one button each.
+ *
+ * @returns {{ text: string, reply_markup: object }}
+ */
+function renderTaskList(dispatch) {
+    const count = status => dispatch.tasks.filter(t => (t.taskStatus || 'pending') === status).length;
+    const tally = Object.keys(STATUS_ICON).filter(count).map(status => `${STATUS_ICON[status]} ${count(status)} ${status}`);
+    return {
+        text: `🔧 Plan tasks — ${tally.join(' · ')}\nSkip policy: ${dispatch.skipPolicy || 'block'}\n\nTap a task to retry, skip or re-run it.`,
+        reply_markup: { inline_keyboard: dispatch.tasks.map(t => [{ text: taskButtonText(t), callback_data: `ep_tasks:${t.id}` }]) }
+    };
+}
+
+/**
+ * One task with the actions its status allows.
+ *
+ * @returns {{ text: string, reply_markup: object }}
+ */
+function renderTask(task) {
+    const status = task.taskStatus || 'pending';
+    const lines = [`${STATUS_ICON[status]} Task ${task.id}: ${task.description}`, `Status: ${status}`, `Model: ${modelLabel(task)}`];
+    if (task.deps?.length) lines.push(`Deps: ${task.deps.join(', ')}`);
+    if (task.error) lines.push(`⚠️ ${task.error}`);
+    const row = taskActionRow(task);
+    return {
+        text: lines.join('\n'),
+        reply_markup: { inline_keyboard: [...(row.length ? [row] : []), [{ text: '« All tasks', callback_data: 'ep_tasks' }]] }
+    };
+}
+
+export function register(bot, ctx) {
+    const { CENTRAL_DIR, DISPATCH_FILE, readJsonSafe, updateJson, atomicWrite, getState, updateState,
+        registerCommand, onCallback, reply } = ctx;
+
+    // The dispatch of the project's approved plan, or null if it has none
+    function dispatchOf(message) {
+        const dispatch = readJsonSafe(DISPATCH_FILE, null);
+        if (!Array.isArray(dispatch?.tasks)) return null;
+        const state = getState();
+        return (dispatch.project || state.activeProject) === projectFor(state, message) ? dispatch : null;
+    }
+
+    /**
+     * Apply an action to a task in wa_dispatch.json, then mirror the tasks
+     * into the project's plan. A finished dispatch runs again; a step-through
+     * waiting for ▶️ Next Task goes on.
+     *
+     * @returns {Promise<{ ok: boolean, text: string }>}
+     */
+    async function runAction(dispatch, id, action, model) {
+        const task = dispatch.tasks.find(t => t.id === id);
+        if (!task) return { ok: false, text: `❌ No task ${id} in this plan.` };
+        if (!TASK_ACTIONS[action].from.includes(task.taskStatus || 'pending')) {
+            return { ok: false, text: `⚠️ Task ${id} is ${task.taskStatus || 'pending'} — it can't be ${TASK_ACTIONS[action].done}.` };
+        }
+        const skipPolicy = dispatch.skipPolicy || 'block';
+        let waiting = false;
+        let applied = false;
+        const updated = await updateJson(DISPATCH_FILE, {}, doc => {
+            waiting = doc.status === 'approved' && !doc.mode && !(doc.tasks || []).some(t => t.taskStatus === 'running');
+            applied = applyTaskAction(doc.tasks || [], id, action, { model, skipPolicy });
+            if (applied) doc.status = 'approved';
+        });
+        if (!applied) return { ok: false, text: `⚠️ Task ${id} just changed — see /plan_tasks.` };
+        await updateState(s => {
+            const plan = projectSlice(s, dispatch.project).executionPlan;
+            if (!plan?.tasks) return;
+            plan.status = 'approved';
+            for (const t of plan.tasks) {
+                const current = updated.tasks.find(d => d.id === t.id);
+                if (!current) continue;
+                t.taskStatus = current.taskStatus;
+                t.model = current.model;
+                if (current.error) t.error = current.error; else delete t.error;
+            }
+        });
+        if (waiting) atomicWrite(resolve(CENTRAL_DIR, 'wa_dispatch_continue.json'), { timestamp: new Date().toISOString(), action: 'continue' });
+        console.log(`🔧 ${new Date().toISOString()} | Plan task ${id}: ${action}${model ? ` on ${model}` : ''}`);
+
+        if (action !== 'skip') {
+            return { ok: true, text: `${action === 'retry' ? '🔁' : '↩️'} Task ${id} will run again${model ? ` on ${modelLabel({ ...task, model })}` : ''}.` };
+        }
+        const dag = planDag(updated.tasks);
+        const dependents = [];
+        const visit = next => dag.get(next)?.dependents.forEach(d => { if (!dependents.includes(d)) { dependents.push(d); visit(d); } });
+        visit(id);
+        const after = !dependents.length ? ''
+            : skipPolicy === 'release' ? ` Tasks depending on it run without it: ${dependents.join(', ')}.`
+                : ` Tasks depending on it are blocked: ${dependents.join(', ')}.`;
+        return { ok: true, text: `⏭ Task ${id} skipped.${after}` };
+    }
+
+    registerCommand(/^\/plan_tasks(?:\s|$)/, async (msg, { args }) => {
+        const { action = 'list', id, model } = args;
+        const dispatch = dispatchOf(msg);
+        if (!dispatch) {
+            await reply(msg, '📋 No approved plan for this project.\n\nApprove one from /review_plan first.');
+            return;
+        }
+        if (action === 'list') {
+            const { text, reply_markup } = renderTaskList(dispatch);
+            await reply(msg, text, { reply_markup });
+            return;
+        }
+        if (!id) throw new UsageError(`Give the task id, e.g. /plan_tasks ${action} 2`);
+        const task = dispatch.tasks.find(t => t.id === id);
+        if (model && action !== 'retry') throw new UsageError('Only retry takes a model');
+        if (model && task && !PLATFORM_MODELS[task.platform]?.some(m => m.id === model)) {
+            const models = (PLATFORM_MODELS[task.platform] || []).map(m => m.id).join(', ') || 'none';
+            await reply(msg, `❌ Unknown model "${model}" for ${PLATFORM_LABELS[task.platform] || task.platform}.\nModels: ${models}`);
+            return;
+        }
+        await reply(msg, (await runAction(dispatch, id, action, model)).text);
+    }, { role: 'operator', category: 'plan', description: 'Retry, skip or re-run single tasks of the approved plan',
+        args: [
+            { name: 'action', values: ['list', ...Object.keys(TASK_ACTIONS)], optional: true },
+            { name: 'id', type: 'int', min: 1, optional: true, description: 'task id' },
+            { name: 'model', optional: true, description: 'retry on this model' }
+        ],
+        examples: ['/plan_tasks', '/plan_tasks retry 3', '/plan_tasks retry 3 gemini-2.5-pro', '/plan_tasks skip 4'] });
+
+    // --- Callback: ep_tasks (list), ep_tasks:<id> (one task) ---
+    onCallback('ep_tasks', async (query) => {
+        const dispatch = dispatchOf(query.message);
+        if (!dispatch) {
+            await bot.answerCallbackQuery(query.id, { text: '📋 No approved plan' });
+            return;
+        }
+        const id = parseInt(query.data.split(':')[1], 10);
+        const task = dispatch.tasks.find(t => t.id === id);
+        await bot.answerCallbackQuery(query.id, { text: task ? `Task ${id}` : '🔧 Tasks' });
+        const { text, reply_markup } = task ? renderTask(task) : renderTaskList(dispatch);
+        await reply(query.message, text, { reply_markup });
+    }, { role: 'operator' });
+
+    // --- Callbacks: ep_retry:<id>[:<model>], ep_skip:<id>, ep_rerun:<id> ---
+    for (const action of Object.keys(TASK_ACTIONS)) {
+        onCallback(`ep_${action}:`, async (query) => {
+            const [, idStr, ...modelParts] = query.data.split(':');
+            const dispatch = dispatchOf(query.message);
+            const result = dispatch
+                ? await runAction(dispatch, parseInt(idStr, 10), action, modelParts.join(':') || undefined)
+                : { ok: false, text: '📋 This plan is no longer running.' };
+            await bot.answerCallbackQuery(query.id, { text: result.text.substring(0, 200) });
+            if (!result.ok) return;
+            // The buttons are spent: keep the message, note what was done
+            await bot.editMessageText(`${query.message.text || ''}\n\n${result.text}`.trim(), {
+                chat_id: query.message.chat.id, message_id: query.message.message_id
+            });
+        }, { role: 'operator' });
+    }
+
+    // --- Callback: ep_retry_pick:<id> — 🔀 models of the task's platform ---
+    onCallback('ep_retry_pick:', async (query) => {
+        const id = parseInt(query.data.split(':')[1], 10);
+        const task = dispatchOf(query.message)?.tasks.find(t => t.id === id);
+        const models = (PLATFORM_MODELS[task?.platform] || [])
+            .map(m => ({ text: m.id === task.model ? `${m.label} (current)` : m.label, callback_data: `ep_retry:${id}:${m.id}` }))
+            .filter(b => Buffer.byteLength(b.callback_data) <= 64);
+        if (!models.length) {
+            await bot.answerCallbackQuery(query.id, { text: task ? 'No other models for this platform' : '📋 This plan is no longer running.' });
+            return;
+        }
+        await bot.answerCallbackQuery(query.id, { text: `Task ${id}` });
+        await reply(query.message, `🔀 Retry task ${id} (${task.description}) on:`, {
+            reply_markup: { inline_keyboard: [...models.map(b => [b]), [TASKS_BUTTON]] }
+        });
+    }, { role: 'operator' });
+}
+
+export { renderTaskList, renderTask };
@@ -1,66 +1,71 @@
 // ============================================================================
-// commands/project.js — /project, /add, /list + callback
+// commands/project.js — /project, /add, /list, /bind, /unbind + callback
 // ============================================================================
 
-import { existsSync } from 'fs';
-import { resolve, isAbsolute } from 'path';
+import { projectSlice, ensureProjectSlice } from '../helpers.js';
+import { originOf, topicKey, boundProject } from '../groups.js';
+
+// Switch the activeProject pointer. A project without its own settings yet
+// starts with the current project's backend/model rather than falling back
+// to the Gemini defaults mid-session.
+function activateProject(state, path) {
+    if (!state.projectState?.[path]) {
+        const current = projectSlice(state);
+        const slice = ensureProjectSlice(state, path);
+        if (current.backend) slice.backend = current.backend;
+        if (current.model) slice.model = current.model;
+    }
+    state.activeProject = path;
+}
 
 export function register(bot, ctx) {
-    const { CHAT_ID, getState, updateState, DEFAULT_PROJECT_DIR, registerCommand, onCallback } = ctx;
+    const { getState, updateState, DEFAULT_PROJECT_DIR, registerCommand, onCallback, reply } = ctx;
 
-    // /project (no args) — show picker
-    registerCommand(/^\/project$/, async (msg) => {
+    // /project [name] — direct switch, or a picker without a name
+    registerCommand(/^\/project(?:\s|$)/, async (msg, { args }) => {
         const state = getState();
         const projects = state.projects || {};
-        const active = state.activeProject;
-
-        const buttons = Object.entries(projects).map(([name, path]) => ({
-            text: path === active ? `✅ ${name}` : name,
-            callback_data: `project:${name}`
-        }));
-        const rows = [];
-        for (let i = 0; i < buttons.length; i += 2) {
-            rows.push(buttons.slice(i, i + 2));
-        }
-
-        await bot.sendMessage(CHAT_ID, `📂 Active: ${Object.entries(projects).find(([, p]) => p === active)?.[0] || 'unknown'}\nSelect a project:`, {
-            reply_markup: { inline_keyboard: rows }
-        });
-    });
-
-    // /project <name> — direct switch
-    registerCommand(/^\/project\s+(.+)/, async (msg, match) => {
-        const name = match[1].trim();
-        const state = getState();
-
-        if (!state.projects[name]) {
-            await bot.sendMessage(CHAT_ID, `❌ Project "${name}" not found.\nUse /project to see available or /add to register.`);
+        const name = args.name;
+
+        if (!name) {
+            const active = state.activeProject;
+            const buttons = Object.entries(projects).map(([name, path]) => ({
+                text: path === active ? `✅ ${name}` : name,
+                callback_data: `project:${name}`
+            }));
+            const rows = [];
+            for (let i = 0; i < buttons.length; i += 2) {
+                rows.push(buttons.slice(i, i + 2));
+            }
+
+            await reply(msg, `📂 Active: ${Object.entries(projects).find(([, p]) => p === active)?.[0] || 'unknown'}\nSelect a project:`, {
+                reply_markup: { inline_keyboard: rows }
+            });
             return;
         }
 
-        updateState(s => s.activeProject = state.projects[name]);
-        await bot.sendMessage(CHAT_ID, `✅ Switched to project: ${name}\n${state.projects[name]}`);
-        console.log(`📂 Switched to project: ${name} (${state.projects[name]})`);
-    });
-
-    // /add <name> <path>
-    registerCommand(/^\/add\s+(\S+)\s+(.+)/, async (msg, match) => {
-        const name = match[1].trim();
-        let path = match[2].trim();
-
-        if (!isAbsolute(path)) {
-            path = resolve(DEFAULT_PROJECT_DIR, path);
-        }
-
-        if (!existsSync(path)) {
-            await bot.sendMessage(CHAT_ID, `❌ Directory not found:\n${path}`);
+        if (!projects[name]) {
+            await reply(msg, `❌ Project "${name}" not found.\nUse /project to see available or /add to register.`);
             return;
         }
 
-        updateState(s => s.projects[name] = path);
-        await bot.sendMessage(CHAT_ID, `✅ Added project: ${name}\n${path}`);
+        await updateState(s => activateProject(s, projects[name]));
+        await reply(msg, `✅ Switched to project: ${name}\n${projects[name]}`);
+        console.log(`📂 Switched to project: ${name} (${projects[name]})`);
+    }, { role: 'operator', category: 'projects', description: 'Switch the active project',
+        args: [{ name: 'name', optional: true, rest: true, description: 'registered project; omit for a picker' }] });
+
+    // /add <name> <path> — relative paths are under DEFAULT_PROJECT_DIR
+    registerCommand(/^\/add(?:\s|$)/, async (msg, { args: { name, path } }) => {
+        await updateState(s => s.projects[name] = path);
+        await reply(msg, `✅ Added project: ${name}\n${path}`);
         console.log(`➕ Added project: ${name} -> ${path}`);
-    });
+    }, { role: 'admin', category: 'projects', description: 'Register a new project',
+        args: [
+            { name: 'name', description: 'short name for /project' },
+            { name: 'path', type: 'path', base: DEFAULT_PROJECT_DIR, rest: true, description: 'path to an existing directory (relative to DEFAULT_PROJECT_DIR)' }
+        ],
+        examples: ['/add web /srv/web', '/add docs "~/My Docs"'] });
 
     // /list
     registerCommand(/^\/list/, async (msg) => {
@@ -69,8 +74,50 @@ export function register(bot, ctx) {
             .map(([name, path]) => `- ${name}: ${path} ${state.activeProject === path ? '(ACTIVE)' : ''}`)
             .join('\n');
 
-        await bot.sendMessage(CHAT_ID, `📂 Available Projects:\n${list}`);
-    });
+        await reply(msg, `📂 Available Projects:\n${list}`);
+    }, { role: 'viewer', category: 'projects', description: 'List registered projects' });
+
+    // /bind [name] — bind this chat/forum topic to a project (no arg: show binding)
+    registerCommand(/^\/bind(?:\s|$)/, async (msg, { args }) => {
+        const origin = originOf(msg);
+        const state = getState();
+
+        if (!args.name) {
+            const bound = boundProject(state, origin);
+            await reply(msg, bound
+                ? `📌 This ${origin.threadId ? 'topic' : 'chat'} is bound to: ${bound.name}\n${bound.path}`
+                : `📌 Not bound. Use /bind <name> to route messages here to a project.`);
+            return;
+        }
+
+        const name = args.name;
+        if (!state.projects[name]) {
+            await reply(msg, `❌ Project "${name}" not found.\nUse /list to see registered projects.`);
+            return;
+        }
+
+        const key = topicKey(origin.chatId, origin.threadId);
+        await updateState(s => {
+            s.topics = s.topics || {};
+            s.topics[key] = name;
+        });
+        await reply(msg, `📌 Bound ${origin.threadId ? 'topic' : 'chat'} to project: ${name}\nMessages sent here run in ${state.projects[name]}`);
+        console.log(`📌 ${new Date().toISOString()} | Bound ${key} → ${name}`);
+    }, { role: 'operator', category: 'projects', description: 'Bind this group/topic to a project',
+        args: [{ name: 'name', optional: true, rest: true, description: 'registered project; omit to show the binding' }] });
+
+    // /unbind — remove this chat/topic's project binding
+    registerCommand(/^\/unbind$/, async (msg) => {
+        const origin = originOf(msg);
+        const key = topicKey(origin.chatId, origin.threadId);
+        if (!getState().topics?.[key]) {
+            await reply(msg, 'ℹ️ No binding here.');
+            return;
+        }
+        await updateState(s => { delete s.topics[key]; });
+        await reply(msg, '📌 Binding removed — messages here follow the active project again.');
+        console.log(`📌 ${new Date().toISOString()} | Unbound ${key}`);
+    }, { role: 'operator', category: 'projects', description: 'Remove this group/topic binding' });
 
     // Callback: project:<name>
     onCallback('project:', async (query) => {
@@ -80,9 +127,9 @@ export function register(bot, ctx) {
         const state = getState();
         if (!state.projects[name]) return;
 
-        updateState(s => s.activeProject = state.projects[name]);
+        await updateState(s => activateProject(s, state.projects[name]));
         await bot.answerCallbackQuery(query.id, { text: `Switched to ${name}` });
         await bot.editMessageText(`📂 Switched to: ${name}`, { chat_id: chatId, message_id: msgId });
         console.log(`📂 ${new Date().toISOString()} | Project → ${name}`);
-    });
+    }, { role: 'operator' });
 }
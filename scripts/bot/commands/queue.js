@@ -0,0 +1,100 @@
+// ============================================================================
+// commands/queue.js — /queue: pending inbox entries, reorder, cancel
+// ============================================================================
+// The queue order is the order the watcher runs entries in (inbox.js). Usage:
+//   /queue                      — list, with ⬆️ ⬇️ ❌ buttons per entry
+//   /queue top|up|down|bottom 3 — move entry 3
+//   /queue cancel 3             — drop entry 3 before it runs
+// ============================================================================
+
+import { UsageError } from '../args.js';
+import { MOVES, listQueue, moveEntry, cancelEntry } from '../inbox.js';
+
+const SHOWN = 20;
+const WITH_BUTTONS = 8;
+const PREVIEW_LEN = 80;
+const TYPE_ICON = { command: '⚡', chat: '💬', system: '⚙️' };
+
+function projectName(state, path) {
+    if (!path) return 'active project';
+    return Object.entries(state.projects || {}).find(([, p]) => p === path)?.[0] || path;
+}
+
+function preview(entry) {
+    const text = (entry.text || '').replace(/\s+/g, ' ').trim()
+        || (entry.attachments?.length ? `📎 ${entry.attachments.map(a => a.name).join(', ')}` : '(empty)');
+    return text.length > PREVIEW_LEN ? text.substring(0, PREVIEW_LEN - 3) + '...' : text;
+}
+
+/**
+ * Text and buttons for the pending queue, next entry first.
+ *
+ * @param {object[]} queue - from listQueue()
+ * @returns {{ text: string, reply_markup?: object }}
+ */
+function renderQueue(queue, state) {
+    if (queue.length === 0) return { text: '📭 Queue is empty — nothing waiting for the agent.' };
+    const lines = queue.slice(0, SHOWN).map((entry, i) => {
+        const type = entry.type || 'chat';
+        const priority = entry.priority && entry.priority !== 'normal' ? ` · ${entry.priority}` : '';
+        return `${i + 1}. ${TYPE_ICON[type] || '💬'} ${type}${priority} · ${projectName(state, entry.project)}\n   ${preview(entry)}`;
+    });
+    const more = queue.length - SHOWN;
+    const text = [`📥 Queue — ${queue.length} pending, next first`, ...lines, ...(more > 0 ? [`…and ${more} more`] : [])].join('\n');
+    const rows = queue.slice(0, WITH_BUTTONS).map((entry, i) => [
+        { text: `${i + 1} ⬆️`, callback_data: `iq:up:${entry.id}` },
+        { text: '⬇️', callback_data: `iq:down:${entry.id}` },
+        { text: '❌', callback_data: `iq:cancel:${entry.id}` }
+    ]).filter(row => row.every(b => Buffer.byteLength(b.callback_data) <= 64));
+    return rows.length ? { text, reply_markup: { inline_keyboard: rows } } : { text };
+}
+
+// Move or cancel; returns a one-line notice, or null if the entry is gone
+async function applyAction(action, id, inboxFile) {
+    if (action === 'cancel') {
+        const entry = await cancelEntry(id, inboxFile);
+        return entry && `❌ Cancelled: ${preview(entry)}`;
+    }
+    const position = await moveEntry(id, action, inboxFile);
+    return position === null ? null : `↕️ Moved to position ${position + 1}`;
+}
+
+export function register(bot, ctx) {
+    const { INBOX, getState, registerCommand, onCallback, reply } = ctx;
+
+    registerCommand(/^\/queue(?:\s|$)/, async (msg, { args }) => {
+        const { action = 'list', position } = args;
+        if (action !== 'list') {
+            if (!position) throw new UsageError(`Give the entry number, e.g. /queue ${action} 2`);
+            const queue = listQueue(INBOX);
+            const entry = queue[position - 1];
+            if (!entry) {
+                await reply(msg, `❌ No entry ${position} — ${queue.length} pending.\nUse /queue to see them.`);
+                return;
+            }
+            await reply(msg, await applyAction(action, entry.id, INBOX) || '⌛ That entry was just taken by the agent.');
+        }
+        const { text, reply_markup } = renderQueue(listQueue(INBOX), getState());
+        await reply(msg, text, reply_markup ? { reply_markup } : {});
+    }, { role: 'operator', category: 'agent', description: 'Pending messages for the agent: reorder or cancel',
+        args: [
+            { name: 'action', values: ['list', ...MOVES, 'cancel'], optional: true },
+            { name: 'position', type: 'int', min: 1, optional: true, description: 'entry number from /queue' }
+        ],
+        examples: ['/queue', '/queue top 3', '/queue cancel 2'] });
+
+    // --- Callback: iq:<up|down|cancel>:<entry id> ---
+    onCallback('iq:', async (query) => {
+        const [, action, id] = query.data.split(':');
+        const notice = await applyAction(action, id, INBOX);
+        await bot.answerCallbackQuery(query.id, { text: notice || '⌛ Already taken by the agent' });
+        const { text, reply_markup } = renderQueue(listQueue(INBOX), getState());
+        await bot.editMessageText(text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            ...(reply_markup ? { reply_markup } : {})
+        });
+    }, { role: 'operator' });
+}
+
+export { renderQueue };
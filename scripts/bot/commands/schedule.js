@@ -0,0 +1,107 @@
+// ============================================================================
+// commands/schedule.js — /schedule: scheduled and recurring agent jobs
+// ============================================================================
+// Jobs fire through scheduler.js. Usage:
+//   /schedule                                        — list jobs
+//   /schedule add "0 7 * * 1-5" /pr_check --project web
+//   /schedule add 23:00 /sprint --if-busy skip
+//   /schedule remove|pause|resume <id>
+// ============================================================================
+
+import { UsageError } from '../args.js';
+import { originOf, boundProject } from '../groups.js';
+import {
+    IF_BUSY, parseSchedule, describeSchedule, formatLocal,
+    listJobs, addJob, removeJob, setPaused
+} from '../scheduler.js';
+
+const ACTIONS = ['add', 'list', 'remove', 'pause', 'resume'];
+const STATUS_ICON = { fired: '✅', queued: '⏳', skipped: '⏭️', missed: '💤' };
+
+function projectName(state, path) {
+    return Object.entries(state.projects || {}).find(([, p]) => p === path)?.[0] || path;
+}
+
+/** One block per job for /schedule list. */
+function renderJobs(jobs, state) {
+    if (jobs.length === 0) return '⏰ No scheduled jobs.\nAdd one with /schedule add <when> <message>.';
+    const blocks = jobs.map(job => {
+        const details = [
+            job.project ? `project: ${projectName(state, job.project)}` : 'project: active',
+            job.paused ? 'paused' : `next: ${formatLocal(job.nextRun)}`,
+            `if busy: ${job.ifBusy}`,
+            ...(job.lastRun ? [`last: ${STATUS_ICON[job.lastStatus] || ''} ${formatLocal(job.lastRun)}`] : [])
+        ];
+        return `#${job.id} ${job.paused ? '⏸️' : '▶️'} ${describeSchedule(job.schedule)} — ${job.text}\n   ${details.join(' · ')}`;
+    });
+    return [`⏰ Scheduled jobs (${jobs.length}):`, ...blocks].join('\n\n');
+}
+
+function jobId(target) {
+    const id = parseInt(String(target ?? '').replace(/^#/, ''), 10);
+    if (!(id > 0)) throw new UsageError('Give the job ID, e.g. 3 (see /schedule list)');
+    return id;
+}
+
+export function register(bot, ctx) {
+    const { getState, registerCommand, reply } = ctx;
+
+    registerCommand(/^\/schedule(?:\s|$)/, async (msg, { args, flags }) => {
+        const { action = 'list', target, message: text } = args;
+        if (!args.action && target) throw new UsageError(`Start with ${ACTIONS.join(', ')}`);
+        const state = getState();
+
+        if (action === 'list') {
+            await reply(msg, renderJobs(listJobs(ctx), state));
+            return;
+        }
+
+        if (action === 'add') {
+            if (!target || !text) throw new UsageError('add needs when to run and the message to send');
+            let schedule;
+            try {
+                schedule = parseSchedule(target);
+            } catch (err) {
+                throw new UsageError(err.message);
+            }
+            const origin = originOf(msg);
+            const project = flags.project ? state.projects?.[flags.project] : boundProject(state, origin)?.path;
+            if (flags.project && !project) {
+                await reply(msg, `❌ Project "${flags.project}" not found.\nUse /list to see registered projects.`);
+                return;
+            }
+            const job = await addJob(ctx, {
+                schedule, text, ifBusy: flags['if-busy'] || 'queue', createdBy: msg.from?.id,
+                origin: { ...origin, project }
+            });
+            await reply(msg, `⏰ Scheduled job #${job.id}: ${describeSchedule(schedule)}\n${text}\n` +
+                `Next run: ${formatLocal(job.nextRun)} · project: ${project ? projectName(state, project) : 'active'} · if busy: ${job.ifBusy}`);
+            console.log(`⏰ ${new Date().toISOString()} | Schedule #${job.id} added: ${describeSchedule(schedule)} → ${text.substring(0, 50)}`);
+            return;
+        }
+
+        const id = jobId(target);
+        const job = await (action === 'remove' ? removeJob(ctx, id) : setPaused(ctx, id, action === 'pause'));
+        if (!job) {
+            await reply(msg, `❌ No scheduled job #${id}.\nUse /schedule list to see them.`);
+            return;
+        }
+        await reply(msg, {
+            remove: `🗑️ Removed job #${id}: ${job.text}`,
+            pause: `⏸️ Paused job #${id} — /schedule resume ${id} to continue.`,
+            resume: `▶️ Resumed job #${id} — next run: ${formatLocal(job.nextRun)}`
+        }[action]);
+    }, { role: 'operator', category: 'agent', description: 'Schedule one-off or recurring messages to the agent',
+        args: [
+            { name: 'action', values: ACTIONS, optional: true },
+            { name: 'target', optional: true, description: 'add: cron "m h dom mon dow", @daily, HH:MM or YYYY-MM-DD HH:MM; others: job ID' },
+            { name: 'message', optional: true, rest: true, description: 'add: what to send to the agent' }
+        ],
+        flags: [
+            { name: 'project', type: 'string', description: 'run in this registered project (default: this topic\'s or the active one)' },
+            { name: 'if-busy', values: IF_BUSY, description: 'when the agent is busy: queue until it is free (default) or skip' }
+        ],
+        examples: ['/schedule add "0 7 * * 1-5" /pr_check --project web', '/schedule add 23:00 /sprint', '/schedule pause 2'] });
+}
+
+export { renderJobs };
@@ -1,19 +1,32 @@
 // ============================================================================
-// commands/workflow.js — /sprint, /stop
+// commands/workflow.js — /sprint, /stop + the agent's own workflow commands
 // ============================================================================
 
+// Handled by the agent, not the bot: the message goes to the inbox as typed
+const AGENT_WORKFLOWS = [
+    { name: 'startup', description: 'Load project context, fresh branch' },
+    { name: 'shutdown', description: 'Save state, close the session branch' },
+    { name: 'plan_feature', description: 'Plan a new feature', args: [{ name: 'feature', optional: true }] },
+    { name: 'implement_task', description: 'Implement an assigned task', args: [{ name: 'task', optional: true }] },
+    { name: 'pr_check', description: 'Check and merge PRs' },
+    { name: 'update_roadmap', description: 'Update roadmap docs' },
+    { name: 'new', description: 'Archive the branch, start fresh', args: [{ name: 'message', optional: true }] }
+];
+
 export function register(bot, ctx) {
-    const { CHAT_ID, writeToInbox, registerCommand } = ctx;
+    const { inbox, getState, inboxOrigin, registerCommand, describeCommand, reply } = ctx;
+
+    for (const workflow of AGENT_WORKFLOWS) describeCommand({ ...workflow, category: 'workflow' });
 
     registerCommand(/^\/sprint/, async (msg) => {
-        writeToInbox('🏃 Sprint Mode activated. Check your task list and process the highest priority task.');
-        await bot.sendMessage(CHAT_ID, '🟢 Sprint Mode activated.\nSend messages anytime — they\'ll be picked up between turns.\nSend /stop to halt.');
+        await inbox.command('🏃 Sprint Mode activated. Check your task list and process the highest priority task.', inboxOrigin(msg, getState()));
+        await reply(msg, '🟢 Sprint Mode activated.\nSend messages anytime — they\'ll be picked up between turns.\nSend /stop to halt.');
         console.log(`🏃 ${new Date().toISOString()} | Sprint Mode activated`);
-    });
+    }, { role: 'operator', category: 'agent', description: 'Sprint mode: work through the task list autonomously' });
 
     registerCommand(/^\/stop/, async (msg) => {
-        writeToInbox('STOP');
-        await bot.sendMessage(CHAT_ID, '🔴 STOP signal sent.\nAgent will halt after completing current action.\nUse /kill to force-stop immediately.');
+        await inbox.command('STOP', inboxOrigin(msg, getState()), { priority: 'high' });
+        await reply(msg, '🔴 STOP signal sent.\nAgent will halt after completing current action.\nUse /kill to force-stop immediately.');
         console.log(`🛑 ${new Date().toISOString()} | STOP signal sent`);
-    });
+    }, { role: 'operator', category: 'agent', description: 'Halt the agent after its current action' });
 }
@@ -0,0 +1,111 @@
+// ============================================================================
+// confirm.js — "Are you sure?" buttons for destructive commands
+// ============================================================================
+// Commands and callbacks opt in through their registration metadata:
+//
+//   registerCommand(/^\/kill/, handler, { role: 'admin', confirm: 'Force-kill the agent?' })
+//   onCallback('ep_replan', handler, { role: 'operator', confirm: true })
+//
+// Instead of running, the handler is parked and a prompt with ✅/❌ buttons
+// is sent. Only the person who asked can answer it: ✅ runs the handler,
+// ❌ or CONFIRM_TIMEOUT_SECONDS without an answer (default 60) drops it.
+// Pending confirmations live in memory — a restart drops them too.
+// ============================================================================
+
+import { randomBytes } from 'crypto';
+import { threadOptions } from './groups.js';
+
+const TIMEOUT_SECONDS_DEFAULT = 60;
+
+/**
+ * How long a confirmation prompt stays answerable.
+ *
+ * @returns {number} milliseconds
+ */
+function loadConfirmTimeout(env = process.env) {
+    const raw = env.CONFIRM_TIMEOUT_SECONDS;
+    if (raw === undefined || raw === '') return TIMEOUT_SECONDS_DEFAULT * 1000;
+    if (!/^[1-9]\d*$/.test(String(raw).trim())) {
+        throw new Error(`CONFIRM_TIMEOUT_SECONDS must be a positive integer (got "${raw}")`);
+    }
+    return parseInt(raw, 10) * 1000;
+}
+
+/**
+ * Build the confirmation guard and register its cf: callback route.
+ *
+ * @param {Function} onCallback - the bot's callback router registration
+ * @returns {{ command: Function, callback: Function, pending: Map }}
+ */
+function createConfirmations(bot, onCallback, { timeoutMs = loadConfirmTimeout() } = {}) {
+    const pending = new Map();
+
+    // chatMsg decides where the prompt goes (same chat and topic)
+    async function ask(chatMsg, userId, prompt, run) {
+        const token = randomBytes(4).toString('hex');
+        const sent = await bot.sendMessage(chatMsg.chat.id, `⚠️ ${prompt}\nAre you sure?`, threadOptions(
+            chatMsg.is_topic_message && chatMsg.message_thread_id,
+            { reply_markup: { inline_keyboard: [[
+                { text: '✅ Yes', callback_data: `cf:yes:${token}` },
+                { text: '❌ No', callback_data: `cf:no:${token}` }
+            ]] } }
+        ));
+        const timer = setTimeout(() => {
+            if (!pending.delete(token)) return;
+            bot.editMessageText(`⌛ Not confirmed in time — nothing was done.\n${prompt}`, {
+                chat_id: chatMsg.chat.id, message_id: sent.message_id
+            }).catch(() => { /* message may be gone */ });
+        }, timeoutMs);
+        timer.unref?.();
+        pending.set(token, { userId, prompt, run, timer });
+    }
+
+    onCallback('cf:', async (query) => {
+        const [, answer, token] = query.data.split(':');
+        const entry = pending.get(token);
+        const where = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+        if (!entry) {
+            await bot.answerCallbackQuery(query.id, { text: '⌛ This confirmation has expired.' });
+            return;
+        }
+        if (entry.userId && query.from?.id !== entry.userId) {
+            await bot.answerCallbackQuery(query.id, { text: 'Only the person who asked can answer this.', show_alert: true });
+            return;
+        }
+        clearTimeout(entry.timer);
+        pending.delete(token);
+
+        if (answer !== 'yes') {
+            await bot.answerCallbackQuery(query.id, { text: 'Cancelled' });
+            await bot.editMessageText(`❌ Cancelled — nothing was done.\n${entry.prompt}`, where);
+            return;
+        }
+        await bot.editMessageText(`✅ Confirmed.\n${entry.prompt}`, where);
+        await entry.run(query);
+    }, { role: 'viewer' });
+
+    const promptFor = (confirm, fallback) => (typeof confirm === 'string' ? confirm : fallback);
+
+    return {
+        pending,
+
+        /** Wrap a registerCommand handler; the answer's callback query is acknowledged here. */
+        command(handler, confirm) {
+            return async (msg, match) => ask(msg, msg.from?.id, promptFor(confirm, `Run ${msg.text.split(/\s/)[0]}?`), async (query) => {
+                await bot.answerCallbackQuery(query.id);
+                await handler(msg, match);
+            });
+        },
+
+        /** Wrap an onCallback handler; it later runs with the ✅ tap's query ID to answer. */
+        callback(handler, confirm) {
+            return async (query) => {
+                await bot.answerCallbackQuery(query.id, { text: 'Confirm below' });
+                await ask(query.message, query.from?.id, promptFor(confirm, 'Run this action?'),
+                    (answer) => handler({ ...query, id: answer.id }));
+            };
+        }
+    };
+}
+
+export { loadConfirmTimeout, createConfirmations };
@@ -0,0 +1,292 @@
+// ============================================================================
+// control_api.js — Local HTTP/JSON API mirroring the Telegram commands
+// ============================================================================
+// Lets scripts, IDE tasks and CI drive the bridge without Telegram. Off
+// unless CONTROL_API_TOKEN is set; listens on 127.0.0.1:8787 by default
+// (CONTROL_API_HOST, CONTROL_API_PORT). Every request needs
+//
+//   Authorization: Bearer <CONTROL_API_TOKEN>
+//
+// Requests run the same command handlers and inline-button callbacks as
+// Telegram, in a loopback chat ("api:<n>", groups.js): whatever a handler
+// would send or edit in Telegram comes back in the response instead:
+//
+//   { "ok": true, "replies": [{ "text": "…", "buttons": [{ "text": "🚀 Execute All", "data": "ep_execute" }] }],
+//     "notice": "…" }        — notice: the toast a pressed button shows
+//
+// The token acts with CONTROL_API_ROLE (default admin). Commands and buttons
+// that ask "Are you sure?" in Telegram need "confirm": true in the body.
+//
+//   GET  /api/status                        /status
+//   GET  /api/commands                      every command: usage, role, confirm
+//   POST /api/commands/<name>   { args }    any command; workflow commands are queued
+//   POST /api/buttons           { data }    press an inline button by its callback data
+//   POST /api/inbox             { text, type?, priority?, project? }  queue a message
+//   GET  /api/outbox?after=<id>&limit=<n>   agent replies, oldest first
+//   GET  /api/plan                          /review_plan
+//   POST /api/plan/approve      { parallel?, unattended? }
+//                               🚀 Execute All, ⚡ Execute Parallel or 🤖 Execute Unattended
+//   POST /api/project           { name }    /project <name>
+//   POST /api/model             { model }   the /model buttons
+//   POST /api/backend           { backend } the /backend buttons
+//   POST /api/kill, /api/restart            /kill, /restart (need "confirm": true)
+// ============================================================================
+
+import { createServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { ROLES, hasRole } from './auth.js';
+import { UsageError, usageLine } from './args.js';
+import { findCallbackRoute } from './command_registry.js';
+import { LOOPBACK_PREFIX, isLoopbackChat } from './groups.js';
+import { ENTRY_TYPES, PRIORITIES } from './inbox.js';
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8787;
+const MIN_TOKEN_LENGTH = 16;
+const MAX_BODY_BYTES = 64 * 1024;
+const OUTBOX_LIMIT = 50;
+const OUTBOX_LIMIT_MAX = 500;
+// Bound to the chat or topic they are sent from — nothing to bind over HTTP
+const CHAT_ONLY = ['bind', 'unbind'];
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * @returns {{ token: string, host: string, port: number, role: string }|null}
+ *   null when CONTROL_API_TOKEN is not set
+ */
+function loadControlApiConfig(env = process.env) {
+    const token = (env.CONTROL_API_TOKEN || '').trim();
+    if (!token) return null;
+    if (token.length < MIN_TOKEN_LENGTH) {
+        throw new Error(`CONTROL_API_TOKEN must be at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    const rawPort = String(env.CONTROL_API_PORT ?? '').trim();
+    const port = rawPort ? parseInt(rawPort, 10) : DEFAULT_PORT;
+    if (rawPort && (!/^\d+$/.test(rawPort) || port > 65535)) {
+        throw new Error(`CONTROL_API_PORT must be a port number (got "${rawPort}")`);
+    }
+    const role = (env.CONTROL_API_ROLE || 'admin').trim();
+    if (!ROLES.includes(role)) {
+        throw new Error(`CONTROL_API_ROLE must be one of: ${ROLES.join(', ')} (got "${role}")`);
+    }
+    return { token, host: (env.CONTROL_API_HOST || '').trim() || DEFAULT_HOST, port, role };
+}
+
+const buttonsOf = (opts) => (opts?.reply_markup?.inline_keyboard || []).flat()
+    .map(b => ({ text: b.text, data: b.callback_data }));
+
+/**
+ * Keep the bot's sends to loopback chats out of Telegram: each request gets
+ * its own chat, and what is sent there is collected for the response.
+ * Anything sent after the request has been answered is dropped.
+ *
+ * @returns {{ session: (work: (chatId: string) => Promise) => Promise<{ replies: object[], notice?: string }> }}
+ */
+function createLoopback(bot) {
+    const transcripts = new Map();
+    let seq = 0;
+
+    function intercept(method, chatOf, record) {
+        if (!bot[method]) return;
+        const original = bot[method].bind(bot);
+        bot[method] = async (...params) => {
+            const chatId = chatOf(...params);
+            if (!isLoopbackChat(chatId ?? '')) return original(...params);
+            const transcript = transcripts.get(String(chatId));
+            if (transcript) record(transcript, ...params);
+            return { message_id: transcript?.replies.length || 0, chat: { id: chatId } };
+        };
+    }
+    intercept('sendMessage', chatId => chatId, (t, chatId, text, opts) => t.replies.push({ text, buttons: buttonsOf(opts) }));
+    intercept('sendDocument', chatId => chatId, (t, chatId, file, opts) => t.replies.push({ text: opts?.caption || '', document: String(file) }));
+    intercept('editMessageText', (text, opts) => opts?.chat_id, (t, text, opts) => t.replies.push({ text, buttons: buttonsOf(opts), edited: true }));
+    intercept('answerCallbackQuery', queryId => queryId, (t, queryId, opts) => { if (opts?.text) t.notice = opts.text; });
+
+    return {
+        async session(work) {
+            const chatId = `${LOOPBACK_PREFIX}${++seq}`;
+            const transcript = { replies: [] };
+            transcripts.set(chatId, transcript);
+            try {
+                await work(chatId);
+            } finally {
+                transcripts.delete(chatId);
+            }
+            return transcript;
+        }
+    };
+}
+
+// What a handler sees as the Telegram message it answers
+const loopbackMessage = (chatId, text) => ({
+    chat: { id: chatId, type: 'private' }, from: { id: chatId }, message_id: 0, date: Math.floor(Date.now() / 1000), text
+});
+
+/**
+ * The request handler, without the HTTP server (tests call it through one on port 0).
+ *
+ * @param {object} bot
+ * @param {object} ctx - the shared context: commands, callbackRoutes, inbox, getState, OUTBOX, readJsonSafe
+ * @param {{ token: string, role: string }} config
+ */
+function createControlApi(bot, ctx, config) {
+    const { commands, callbackRoutes, getState, readJsonSafe, OUTBOX } = ctx;
+    const loopback = createLoopback(bot);
+    const tokenDigest = createHash('sha256').update(config.token).digest();
+
+    function permitted(role, what) {
+        if (!hasRole(config.role, role)) throw new ApiError(403, `${what} needs the ${role} role; this token has ${config.role}`);
+    }
+
+    async function runCommand(text, { confirm } = {}) {
+        const found = commands.lookup(text);
+        if (!found) throw new ApiError(404, `Unknown command ${text.split(/\s/)[0]} — GET /api/commands lists them`);
+        const { descriptor: d, run } = found;
+        permitted(d.role, `/${d.name}`);
+        if (d.relayed) {
+            const entry = await ctx.inbox.command(text, {});
+            return { replies: [], queued: entry.id };
+        }
+        if (CHAT_ONLY.includes(d.name)) throw new ApiError(400, `/${d.name} only works in a Telegram chat`);
+        if (!run) throw new UsageError(`/${d.name} does not take these arguments`, usageLine(d));
+        if (d.confirm && !confirm) throw new ApiError(409, `/${d.name} asks for confirmation — send "confirm": true`);
+        return loopback.session(chatId => run(loopbackMessage(chatId, text)));
+    }
+
+    async function pressButton(data, { confirm } = {}) {
+        const route = typeof data === 'string' && findCallbackRoute(callbackRoutes, data);
+        if (!route) throw new ApiError(404, `No button handles "${data}"`);
+        permitted(route.role, `The ${route.prefix} button`);
+        if (route.confirm && !confirm) throw new ApiError(409, `${route.prefix} asks for confirmation — send "confirm": true`);
+        return loopback.session(chatId => route.direct({ id: chatId, data, from: { id: chatId }, message: loopbackMessage(chatId, '') }));
+    }
+
+    // A button handler that finds nothing to do answers nothing at all
+    const answered = (problem) => (result) => {
+        if (!result.replies.length && !result.notice) throw new ApiError(400, problem);
+        return result;
+    };
+
+    async function queueMessage({ text, type = 'chat', priority = 'normal', project }) {
+        permitted('operator', 'Queueing a message');
+        if (typeof text !== 'string' || !text.trim()) throw new ApiError(400, '"text" is required');
+        if (!ENTRY_TYPES.includes(type)) throw new ApiError(400, `"type" must be one of: ${ENTRY_TYPES.join(', ')}`);
+        if (!PRIORITIES.includes(priority)) throw new ApiError(400, `"priority" must be one of: ${PRIORITIES.join(', ')}`);
+        const path = project === undefined ? undefined : getState().projects?.[project];
+        if (project !== undefined && !path) throw new ApiError(404, `Project "${project}" not found — POST /api/commands/list`);
+        const origin = path ? { project: path } : {};
+        const entry = await (type === 'chat' ? ctx.inbox.chat(text, origin, [], { priority }) : ctx.inbox[type](text, origin, { priority }));
+        return { queued: entry.id, type, priority, project: entry.project };
+    }
+
+    function readOutbox(query) {
+        permitted('viewer', 'Reading the outbox');
+        const limit = Math.min(parseInt(query.get('limit'), 10) || OUTBOX_LIMIT, OUTBOX_LIMIT_MAX);
+        const messages = readJsonSafe(OUTBOX, { messages: [] }).messages || [];
+        const after = query.get('after');
+        const start = after ? messages.findIndex(m => m.id === after) + 1 : Math.max(messages.length - limit, 0);
+        const page = messages.slice(start, start + limit);
+        return { messages: page, last: page.at(-1)?.id ?? after ?? null };
+    }
+
+    const listCommands = () => ({
+        commands: commands.list().map(d => ({
+            name: d.name, description: d.description, category: d.category, role: d.role,
+            usage: usageLine(d), confirm: !!d.confirm, relayed: !!d.relayed
+        }))
+    });
+
+    const ROUTES = {
+        'GET /api/status': () => runCommand('/status'),
+        'GET /api/commands': listCommands,
+        'POST /api/buttons': (body) => pressButton(body.data, body),
+        'POST /api/inbox': queueMessage,
+        'GET /api/outbox': (body, query) => readOutbox(query),
+        'GET /api/plan': () => runCommand('/review_plan'),
+        'POST /api/plan/approve': (body) => pressButton(body.parallel ? 'ep_parallel' : body.unattended ? 'ep_unattended' : 'ep_execute', body)
+            .then(answered('No execution plan to approve — GET /api/plan')),
+        'POST /api/project': (body) => runCommand(`/project ${body.name ?? ''}`.trim(), body),
+        'POST /api/model': (body) => pressButton(`model:${body.model ?? ''}`, body)
+            .then(answered(`"${body.model}" is not a model of the current backend — see /model`)),
+        'POST /api/backend': (body) => pressButton(`backend:${body.backend ?? ''}`, body)
+            .then(answered(`"${body.backend}" is not a backend — see /backend`)),
+        'POST /api/kill': (body) => runCommand('/kill', body),
+        'POST /api/restart': (body) => runCommand('/restart', body)
+    };
+
+    function route(method, path) {
+        const name = path.match(/^\/api\/commands\/(\w+)$/)?.[1];
+        if (name && method === 'POST') return (body) => runCommand(`/${name} ${body.args ?? ''}`.trim(), body);
+        return ROUTES[`${method} ${path}`] || null;
+    }
+
+    function authenticated(req) {
+        const presented = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1] || '';
+        return timingSafeEqual(createHash('sha256').update(presented.trim()).digest(), tokenDigest);
+    }
+
+    async function readBody(req) {
+        let size = 0;
+        const chunks = [];
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw new ApiError(413, `Request body over ${MAX_BODY_BYTES / 1024} KB`);
+            chunks.push(chunk);
+        }
+        const raw = Buffer.concat(chunks).toString('utf8').trim();
+        if (!raw) return {};
+        try {
+            const body = JSON.parse(raw);
+            if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+        } catch { /* reported below */ }
+        throw new ApiError(400, 'Request body must be a JSON object');
+    }
+
+    return async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let status = 200;
+        let payload;
+        try {
+            if (!authenticated(req)) throw new ApiError(401, 'Missing or wrong bearer token');
+            const handler = route(req.method, url.pathname);
+            if (!handler) throw new ApiError(404, `No endpoint ${req.method} ${url.pathname}`);
+            payload = { ok: true, ...await handler(await readBody(req), url.searchParams) };
+        } catch (err) {
+            status = err instanceof ApiError ? err.status : err instanceof UsageError ? 400 : 500;
+            const error = err instanceof UsageError ? [err.problem, ...(err.usage ? [`Usage: ${err.usage}`] : [])].join('\n') : err.message;
+            payload = { ok: false, error };
+            if (status === 500) console.error(`❌ Control API ${req.method} ${url.pathname}: ${err.stack || err.message}`);
+        }
+        console.log(`🔌 ${new Date().toISOString()} | API ${req.method} ${url.pathname} → ${status}`);
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...(status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}) });
+        res.end(JSON.stringify(payload));
+    };
+}
+
+/**
+ * Serve the control API if CONTROL_API_TOKEN is set.
+ *
+ * @returns {import('http').Server|null}
+ */
+function startControlApi(bot, ctx, { config = loadControlApiConfig() } = {}) {
+    if (!config) {
+        console.log('🔌 Control API off (set CONTROL_API_TOKEN to enable)');
+        return null;
+    }
+    const server = createServer(createControlApi(bot, ctx, config));
+    server.on('error', err => console.error(`❌ Control API: ${err.message}`));
+    server.listen(config.port, config.host, () => {
+        const { address, port } = server.address();
+        console.log(`🔌 Control API on http://${address}:${port} (role: ${config.role})`);
+    });
+    return server;
+}
+
+export { loadControlApiConfig, createLoopback, createControlApi, startControlApi };
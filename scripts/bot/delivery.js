@@ -0,0 +1,153 @@
+// ============================================================================
+// delivery.js — Outbox delivery attempts, backoff and dead letters
+// ============================================================================
+// Each outbox message carries its own delivery record while it is unsent:
+//
+//   msg.delivery = { attempts, nextAttemptAt, lastError }
+//
+// A failed send is retried with exponential backoff (BASE_DELAY_MS doubling
+// up to MAX_DELAY_MS). A Telegram 429 is not the message's fault: it waits
+// for retry_after without using up an attempt, and pauses the whole outbox.
+// Permanent failures (bot blocked, chat not found, document missing) and
+// messages that run out of attempts move to wa_deadletters.json, where
+// /deadletters (commands/history.js) can inspect, replay or drop them.
+// ============================================================================
+
+import { resolve } from 'path';
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+// 4xx answers that will never succeed on retry. 401 (bad token) and 429
+// (flood control) are deliberately not here.
+const PERMANENT_TELEGRAM_CODES = [400, 403, 404];
+
+class DocumentMissingError extends Error {
+    constructor(filePath) {
+        super(`Document not found: ${filePath}`);
+        this.name = 'DocumentMissingError';
+        this.filePath = filePath;
+    }
+}
+
+/**
+ * Classify a send error from node-telegram-bot-api.
+ *
+ * @returns {{ permanent: boolean, retryAfterMs?: number, reason: string }}
+ */
+function classifyError(err) {
+    if (err instanceof DocumentMissingError) {
+        return { permanent: true, reason: err.message };
+    }
+    const body = err.response?.body;
+    const code = body?.error_code;
+    const reason = body?.description || err.message;
+    if (code === 429) {
+        const seconds = body.parameters?.retry_after ?? 1;
+        return { permanent: false, retryAfterMs: seconds * 1000, reason };
+    }
+    return { permanent: PERMANENT_TELEGRAM_CODES.includes(code), reason };
+}
+
+function backoffDelay(attempts) {
+    return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+}
+
+/** Whether an unsent message may be tried now. */
+function isDue(msg, now = Date.now()) {
+    const next = msg.delivery?.nextAttemptAt;
+    return !next || Date.parse(next) <= now;
+}
+
+/**
+ * Record a failed attempt on the message.
+ *
+ * @returns {{ dead: boolean, retryAfterMs?: number }}
+ */
+function recordFailure(msg, err, now = Date.now()) {
+    const { permanent, retryAfterMs, reason } = classifyError(err);
+    const attempts = (msg.delivery?.attempts || 0) + (retryAfterMs ? 0 : 1);
+    const dead = permanent || attempts >= MAX_ATTEMPTS;
+    const delay = retryAfterMs ?? backoffDelay(attempts);
+    msg.delivery = {
+        attempts,
+        nextAttemptAt: dead ? null : new Date(now + delay).toISOString(),
+        lastError: reason
+    };
+    return { dead, retryAfterMs };
+}
+
+// Outbox entries written by old watchers may lack an id
+function messageKey(msg) {
+    return msg.id ?? `${msg.timestamp}|${(msg.text || msg.filePath || '').substring(0, 50)}`;
+}
+
+function deadLetterFile(ctx) {
+    return resolve(ctx.CENTRAL_DIR, 'wa_deadletters.json');
+}
+
+/**
+ * Move messages out of the outbox into the dead-letter list. Both writes go
+ * through updateJson; the dead-letter copy is written first so a crash in
+ * between duplicates a message rather than losing it.
+ */
+async function moveToDeadLetters(ctx, messages, now = Date.now()) {
+    if (messages.length === 0) return;
+    const keys = new Set(messages.map(messageKey));
+    await ctx.updateJson(deadLetterFile(ctx), { messages: [] }, doc => {
+        doc.messages = doc.messages || [];
+        for (const msg of messages) doc.messages.push({ ...msg, deadAt: new Date(now).toISOString() });
+    });
+    await ctx.updateJson(ctx.OUTBOX, { messages: [] }, doc => {
+        doc.messages = (doc.messages || []).filter(m => !keys.has(messageKey(m)));
+    });
+}
+
+function listDeadLetters(ctx) {
+    return ctx.readJsonSafe(deadLetterFile(ctx), { messages: [] }).messages || [];
+}
+
+/**
+ * Put dead letters back in the outbox with a fresh delivery record.
+ *
+ * @param {string[]|null} keys - messageKey()s to replay, or null for all
+ * @returns {Promise<number>} messages replayed
+ */
+async function replayDeadLetters(ctx, keys = null) {
+    let replay = [];
+    await ctx.updateJson(deadLetterFile(ctx), { messages: [] }, doc => {
+        const wanted = m => keys === null || keys.includes(messageKey(m));
+        replay = (doc.messages || []).filter(wanted);
+        doc.messages = (doc.messages || []).filter(m => !wanted(m));
+    });
+    if (replay.length === 0) return 0;
+    await ctx.updateJson(ctx.OUTBOX, { messages: [] }, doc => {
+        doc.messages = doc.messages || [];
+        for (const { deadAt, delivery, ...msg } of replay) {
+            doc.messages.push({ ...msg, sent: false });
+        }
+    });
+    return replay.length;
+}
+
+/**
+ * Delete dead letters for good.
+ *
+ * @returns {Promise<number>} messages dropped
+ */
+async function dropDeadLetters(ctx, keys = null) {
+    let dropped = 0;
+    await ctx.updateJson(deadLetterFile(ctx), { messages: [] }, doc => {
+        const before = (doc.messages || []).length;
+        doc.messages = (doc.messages || []).filter(m => keys !== null && !keys.includes(messageKey(m)));
+        dropped = before - doc.messages.length;
+    });
+    return dropped;
+}
+
+export {
+    MAX_ATTEMPTS, BASE_DELAY_MS, MAX_DELAY_MS, DocumentMissingError,
+    classifyError, backoffDelay, isDue, recordFailure, messageKey,
+    deadLetterFile, moveToDeadLetters, listDeadLetters, replayDeadLetters, dropDeadLetters
+};
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// ============================================================================
+// dispatch.js — Parallel plan execution in git worktrees
+// ============================================================================
+// ⚡ Execute Parallel (commands/plan.js) writes a dispatch with mode
+// "parallel"; the watcher hands it to this engine instead of stepping through
+// it one task at a time:
+//
+//   node dispatch.js [wa_dispatch.json]
+//
+// The tasks form a DAG over their deps (plan_dag.js). A task starts once
+// all of its deps are done — `parallel: true` tasks side by side, up to the
+// dispatch's concurrency (DISPATCH_CONCURRENCY when the plan was approved),
+// any other task on its own. Each task runs in its own worktree on a
+// dispatch/<run>/task-<id> branch cut from the project's HEAD, so it sees
+// the merged work of its deps. When the agent is done its changes are
+// committed there and merged back into the project's checked-out branch,
+// one merge at a time. A conflicting merge is aborted and the branch kept;
+// the task is marked error and the tasks depending on it blocked. Skipped
+// tasks follow the dispatch's skip policy, and a 🔁 retried task gets a new
+// branch (task_actions.js).
+//
+// Every status change goes to the dispatch file and the project's plan —
+// the bot edits the plan message from them (dispatch_progress.js).
+// Projects that are not the root of a git repository run one task at a time
+// in place.
+// ============================================================================
+
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, realpathSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { safeGit } from './shell.js';
+import { projectSlice } from './helpers.js';
+import { planDag } from './plan_dag.js';
+import { TASKS_BUTTON, depDone, blockedTasks, taskActionRow } from './task_actions.js';
+
+const SCRIPT_DIR = dirname(fileURLToPath(import.meta.url));
+const WATCHER_SH = resolve(SCRIPT_DIR, '..', 'watcher.sh');
+const CONCURRENCY_DEFAULT = 2;
+
+/**
+ * Shell command the watcher runs in the project after each task of a 🤖
+ * unattended run (commands/plan.js); a failing run stops it. Empty: none.
+ *
+ * @returns {string}
+ */
+function loadTestCommand(env = process.env) {
+    return (env.DISPATCH_TEST_CMD || '').trim();
+}
+
+/**
+ * How many parallel tasks may run at once.
+ *
+ * @returns {number}
+ */
+function loadConcurrency(env = process.env) {
+    const value = env.DISPATCH_CONCURRENCY;
+    if (value === undefined || value === '') return CONCURRENCY_DEFAULT;
+    if (!/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+        throw new Error(`DISPATCH_CONCURRENCY must be a positive integer (got "${value}")`);
+    }
+    return parseInt(value, 10);
+}
+
+function taskStatus(task) {
+    return task.taskStatus || 'pending';
+}
+
+/**
+ * Tasks to start now, in plan order. A task is ready when all its deps are
+ * done (or skipped, under the "release" skip policy — see task_actions.js).
+ * Ready parallel tasks fill the free slots; a ready task that is not
+ * parallel waits until nothing runs and then runs alone, and no later task
+ * starts ahead of it.
+ *
+ * @param {object[]} tasks
+ * @param {number[]} running - ids of the tasks in flight
+ * @param {number} limit - concurrency
+ * @param {string} [skipPolicy]
+ * @returns {object[]}
+ */
+function nextTasks(tasks, running, limit, skipPolicy) {
+    const dag = planDag(tasks);
+    if (running.some(id => !dag.get(id)?.task.parallel)) return [];
+    const picked = [];
+    for (const task of tasks) {
+        if (taskStatus(task) !== 'pending') continue;
+        if (!dag.get(task.id).deps.every(dep => depDone(dag.get(dep)?.task, skipPolicy))) continue;
+        if (!task.parallel) return running.length + picked.length === 0 ? [task] : picked;
+        if (running.length + picked.length >= limit) break;
+        picked.push(task);
+    }
+    return picked;
+}
+
+// --- Agent runs ---
+
+/**
+ * Run one task through the watcher's agent backends (watcher.sh --run-task).
+ *
+ * @returns {Promise<{ report: string, error: string }>}
+ */
+function runTaskInWatcher(task, { cwd, project }) {
+    const resultFile = join(tmpdir(), `wa_task_${process.pid}_${task.id}_${Date.now()}.json`);
+    const env = { ...process.env, ACTIVE_PROJECT: project };
+    return new Promise((done) => {
+        const child = spawn('bash', [WATCHER_SH, '--run-task', JSON.stringify(task), cwd, resultFile], { env, stdio: 'inherit' });
+        child.on('error', err => done({ report: '', error: `Could not start the agent: ${err.message}` }));
+        child.on('close', (code) => {
+            try {
+                done(JSON.parse(readFileSync(resultFile, 'utf8')));
+            } catch {
+                done({ report: '', error: `Agent run exited with code ${code} and no result` });
+            } finally {
+                rmSync(resultFile, { force: true });
+            }
+        });
+    });
+}
+
+// --- Worktrees ---
+
+// Only a project that is itself the root of its repository: a plain
+// directory inside some other repo (a home directory under dotfiles, a temp
+// dir) would otherwise branch and merge in that repo.
+function isGitRepo(dir, git) {
+    try {
+        return realpathSync(git(['rev-parse', '--show-toplevel'], dir).trim()) === realpathSync(dir);
+    } catch {
+        return false;
+    }
+}
+
+// .gemini/ is usually ignored, so the worktree has none until it is made here.
+function openWorktree(ctx, project, runId, task, git) {
+    const name = `task-${task.id}${task.attempt ? `-try${task.attempt}` : ''}`; // a retry's branch is new
+    const branch = `dispatch/${runId}/${name}`;
+    const dir = resolve(ctx.CENTRAL_DIR, 'worktrees', `${runId}-${name}`);
+    mkdirSync(dirname(dir), { recursive: true });
+    rmSync(dir, { recursive: true, force: true });
+    const base = git(['rev-parse', 'HEAD'], project).trim();
+    git(['worktree', 'add', '-b', branch, dir, base], project);
+    mkdirSync(join(dir, '.gemini'), { recursive: true });
+    return { branch, dir, base, cwd: dir };
+}
+
+/**
+ * Commit what the agent left in the worktree and, if the task succeeded,
+ * merge its branch into the project. The branch is deleted once merged or
+ * empty, kept otherwise.
+ *
+ * @returns {string} the error to record, '' when merged
+ */
+function closeWorktree(project, worktree, task, error, git) {
+    const { branch, dir, base } = worktree;
+    try {
+        if (git(['status', '--porcelain'], dir).trim()) {
+            git(['add', '-A'], dir);
+            git(['commit', '-m', `dispatch: task ${task.id} — ${task.description}`], dir);
+        }
+    } finally {
+        git(['worktree', 'remove', '--force', dir], project);
+    }
+    const ahead = parseInt(git(['rev-list', '--count', `${base}..${branch}`], project), 10) > 0;
+    if (ahead && error) return `${error} — work kept on branch ${branch}`;
+    if (ahead) {
+        try {
+            git(['merge', '--no-ff', '--no-edit', '-m', `dispatch: merge task ${task.id} — ${task.description}`, branch], project);
+        } catch {
+            try { git(['merge', '--abort'], project); } catch { /* nothing to abort */ }
+            return `Merge conflict — work kept on branch ${branch}`;
+        }
+    }
+    git(['branch', '-D', branch], project);
+    return error;
+}
+
+// --- Status ---
+
+function summarize(tasks) {
+    const count = status => tasks.filter(t => taskStatus(t) === status).length;
+    return { done: count('done'), error: count('error'), blocked: count('blocked'), skipped: count('skipped'), total: tasks.length };
+}
+
+/**
+ * Run a parallel dispatch to the end, or until it is stopped — tasks in
+ * flight then still finish and merge, but nothing new starts.
+ *
+ * @param {object} ctx - DISPATCH_FILE, OUTBOX, CENTRAL_DIR, DEFAULT_PROJECT_DIR,
+ *   readJsonSafe, updateJson, getState, updateState (see helpers.js)
+ * @param {object} [opts]
+ * @param {Function} [opts.runTask] - (task, { cwd, project, dispatch }) → Promise<{ report, error }>
+ * @param {Function} [opts.git] - (args, cwd) → stdout, throws on failure
+ * @returns {Promise<object|null>} counts of done/error/blocked/skipped tasks, null if there was nothing to run
+ */
+async function runDispatch(ctx, { runTask = runTaskInWatcher, git = safeGit, log = console.log } = {}) {
+    const { DISPATCH_FILE, OUTBOX, readJsonSafe, updateJson, getState, updateState } = ctx;
+    const dispatch = readJsonSafe(DISPATCH_FILE, null);
+    if (!dispatch?.tasks?.length || dispatch.status !== 'approved') return null;
+
+    let project = dispatch.project || getState().activeProject;
+    if (!project || !existsSync(project)) project = ctx.DEFAULT_PROJECT_DIR;
+    const inGit = isGitRepo(project, git);
+    const limit = inGit ? dispatch.concurrency || CONCURRENCY_DEFAULT : 1;
+    const runId = (dispatch.timestamp || new Date().toISOString()).replace(/\D/g, '').substring(0, 14);
+    const skipPolicy = dispatch.skipPolicy || 'block';
+    const route = {
+        ...(dispatch.chatId !== undefined ? { chatId: dispatch.chatId } : {}),
+        ...(dispatch.threadId ? { threadId: dispatch.threadId } : {})
+    };
+
+    // Writes stop once the dispatch is gone (🛑 Stop removes it)
+    const current = () => readJsonSafe(DISPATCH_FILE, null);
+    async function setStatus(id, fields) {
+        if (current()) {
+            await updateJson(DISPATCH_FILE, {}, doc => {
+                const task = doc.tasks?.find(t => t.id === id);
+                if (task) Object.assign(task, fields);
+            });
+        }
+        await updateState(s => {
+            const task = projectSlice(s, dispatch.project).executionPlan?.tasks?.find(t => t.id === id);
+            if (!task) return;
+            task.taskStatus = fields.taskStatus;
+            if (fields.error) task.error = fields.error; else delete task.error;
+        });
+    }
+    // buttons: one keyboard row, e.g. the task's 🔁 Retry / ↩️ Re-run (task_actions.js)
+    function report(text, taskId, buttons = []) {
+        return updateJson(OUTBOX, { messages: [] }, doc => {
+            doc.messages = doc.messages || [];
+            doc.messages.push({
+                id: `dispatch_${Date.now()}_${taskId ?? 'all'}`, timestamp: new Date().toISOString(),
+                from: 'agent', text, sent: false, ...route, ...(taskId !== undefined ? { taskId } : {}),
+                ...(buttons.length ? { reply_markup: { inline_keyboard: [buttons] } } : {})
+            });
+        });
+    }
+
+    // A run cut short (watcher restart) starts its unfinished tasks over
+    for (const task of dispatch.tasks) {
+        if (taskStatus(task) === 'running') await setStatus(task.id, { taskStatus: 'pending' });
+    }
+    log(`⚡ ${new Date().toISOString()} | Parallel dispatch: ${dispatch.tasks.length} tasks, up to ${limit} at once${inGit ? '' : ' (not a git repo — in place)'}`);
+
+    const running = new Map(); // task id → promise
+    async function start(task) {
+        let worktree = null;
+        try {
+            if (inGit) worktree = openWorktree(ctx, project, runId, task, git);
+        } catch (err) {
+            await setStatus(task.id, { taskStatus: 'error', error: `Could not create its worktree: ${err.message.split('\n')[0]}` });
+            return;
+        }
+        await setStatus(task.id, { taskStatus: 'running', startedAt: new Date().toISOString(), ...(worktree ? { branch: worktree.branch } : {}) });
+        log(`🔨 ${new Date().toISOString()} | Dispatch: task ${task.id} — ${task.description}`);
+        const run = runTask(task, { cwd: worktree ? worktree.cwd : project, project, dispatch })
+            .catch(err => ({ report: '', error: err.message }))
+            .then(async ({ report: text = '', error = '' }) => {
+                try {
+                    if (worktree) error = closeWorktree(project, worktree, task, error, git);
+                } catch (err) {
+                    error = `Could not merge: ${err.message.split('\n')[0]}`;
+                }
+                await setStatus(task.id, { taskStatus: error ? 'error' : 'done', finishedAt: new Date().toISOString(), error: error || undefined });
+                const { done, total } = summarize(current()?.tasks || dispatch.tasks);
+                await report(`${error ? `❌ Task ${task.id} error: ${error}` : `✅ Task ${task.id} done`} (${done}/${total})\n\n📋 Report:\n${text.trim() || '(none)'}`,
+                    task.id, taskActionRow({ id: task.id, taskStatus: error ? 'error' : 'done' }));
+            })
+            .finally(() => running.delete(task.id));
+        running.set(task.id, run);
+    }
+
+    for (;;) {
+        const doc = current();
+        if (doc?.status !== 'approved') break;
+        for (const [id, reason] of blockedTasks(doc.tasks, skipPolicy)) await setStatus(id, { taskStatus: 'blocked', error: reason });
+        const tasks = current().tasks;
+        const ready = nextTasks(tasks, [...running.keys()], limit, skipPolicy);
+        for (const task of ready) await start(task);
+        if (running.size === 0) {
+            if (ready.length) continue; // none of them could start — block what waits on them
+            // Nothing runs and nothing can start: what is left waits on itself or on unknown tasks
+            for (const task of tasks.filter(t => taskStatus(t) === 'pending')) {
+                await setStatus(task.id, { taskStatus: 'blocked', error: 'Its deps can never complete' });
+            }
+            break;
+        }
+        await Promise.race(running.values());
+    }
+    await Promise.all(running.values());
+
+    const finished = current();
+    const counts = summarize(finished?.tasks || dispatch.tasks);
+    if (finished) {
+        await updateJson(DISPATCH_FILE, {}, doc => { doc.status = 'completed'; });
+        await updateState(s => {
+            const plan = projectSlice(s, dispatch.project).executionPlan;
+            if (plan) plan.status = 'completed';
+        });
+        const failed = counts.error + counts.blocked;
+        const skipped = counts.skipped ? `, ${counts.skipped} skipped` : '';
+        if (failed) await report(`⚠️ Dispatch finished: ${counts.done} done, ${counts.error} errors, ${counts.blocked} blocked${skipped}`, undefined, [TASKS_BUTTON]);
+        else await report(skipped ? `✅ Dispatch finished: ${counts.done} done${skipped}` : `✅ All ${counts.total} tasks complete!`);
+    }
+    log(`✅ ${new Date().toISOString()} | Parallel dispatch ${finished ? 'finished' : 'stopped'}: ${counts.done}/${counts.total} done`);
+    return counts;
+}
+
+export {
+    loadConcurrency, loadTestCommand, nextTasks,
+    runTaskInWatcher, runDispatch
+};
+
+// --- CLI (watcher.sh) ---
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const helpers = await import('./helpers.js');
+    const ctx = { ...helpers, DISPATCH_FILE: process.argv[2] ? resolve(process.argv[2]) : helpers.DISPATCH_FILE };
+    runDispatch(ctx).then(() => process.exit(0), (err) => {
+        console.error(`❌ Parallel dispatch failed: ${err.message}`);
+        process.exit(1);
+    });
+}
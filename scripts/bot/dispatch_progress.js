@@ -0,0 +1,62 @@
+// ============================================================================
+// dispatch_progress.js — Live plan message for ⚡ Execute Parallel runs
+// ============================================================================
+// dispatch.js writes every task status into wa_dispatch.json; the outbox
+// poller calls showDispatchProgress, which edits the plan message the run was
+// approved from (dispatch.messageId) whenever the rendered text changes:
+//
+//   ⚡ Parallel run — up to 2 at once
+//   1/4 done · 2 running
+//
+//   📋 Execution Plan (4 tasks)
+//   ✅ 1. Add schema  ...
+//   ⏳ 2. API routes  ...
+// ============================================================================
+
+import { formatExecutionPlan, loadExecutionPlan, STOP_KEYBOARD } from './commands/plan.js';
+
+/**
+ * The plan with the dispatch's task statuses, under a one-line run summary.
+ *
+ * @param {{ tasks: object[] }} plan - descriptions, tiers and models
+ * @param {object} dispatch - wa_dispatch.json
+ * @returns {string}
+ */
+function formatDispatchProgress(plan, dispatch) {
+    const statuses = new Map(dispatch.tasks.map(t => [t.id, t]));
+    const tasks = plan.tasks.map(t => ({
+        ...t, taskStatus: statuses.get(t.id)?.taskStatus, error: statuses.get(t.id)?.error
+    }));
+    const count = status => tasks.filter(t => (t.taskStatus || 'pending') === status).length;
+    const failed = count('error') + count('blocked');
+    const head = dispatch.status !== 'completed'
+        ? `⚡ Parallel run — up to ${dispatch.concurrency} at once`
+        : failed ? '⚠️ Parallel run finished' : '✅ Parallel run complete';
+    const tally = [`${count('done')}/${tasks.length} done`, `${count('running')} running`,
+        ...(failed ? [`${failed} failed`] : [])].join(' · ');
+    return `${head}\n${tally}\n\n${formatExecutionPlan({ ...plan, tasks })}`;
+}
+
+/**
+ * Edit the plan message of a parallel run if its text changed.
+ *
+ * @param {Map<string, string>} shown - text last shown, owned by the caller
+ */
+async function showDispatchProgress(bot, ctx, shown) {
+    const { DISPATCH_FILE, readJsonSafe, getState } = ctx;
+    const dispatch = readJsonSafe(DISPATCH_FILE, null);
+    if (dispatch?.mode !== 'parallel' || !dispatch.messageId || !Array.isArray(dispatch.tasks)) return;
+
+    const plan = loadExecutionPlan(getState, dispatch.project) || { tasks: dispatch.tasks };
+    const text = formatDispatchProgress(plan, dispatch);
+    const key = `${dispatch.chatId}:${dispatch.messageId}`;
+    if (shown.get(key) === text) return;
+    shown.clear();
+    shown.set(key, text);
+    await bot.editMessageText(text, {
+        chat_id: dispatch.chatId, message_id: dispatch.messageId,
+        ...(dispatch.status === 'approved' ? { reply_markup: STOP_KEYBOARD } : {})
+    });
+}
+
+export { formatDispatchProgress, showDispatchProgress };
@@ -0,0 +1,122 @@
+// ============================================================================
+// filelock.js — Advisory locks shared with watcher.sh
+// ============================================================================
+// state.json, wa_inbox.json, wa_outbox.json and wa_dispatch.json are written
+// by both the bot and watcher.sh. Every writer takes the same advisory lock
+// before its read-modify-write:
+//
+//   <file>.lock/        — directory; mkdir is atomic on Linux and macOS
+//   <file>.lock/owner   — PID of the holder
+//
+// The shell side is json_lock/json_unlock in ../json_lock.sh. A lock whose owner
+// process is gone is broken, as is an owner-less lock older than 30 seconds
+// (writer died between mkdir and writing its PID) — STALE_LOCK_MS here,
+// JSON_LOCK_STALE_SECS there; keep the two equal. Breaking one renames it to
+// a tombstone first (breakStaleLock), so only one waiter can break it.
+// Revision counters on top of the lock live in helpers.js (updateJson).
+// ============================================================================
+
+import { mkdirSync, writeFileSync, readFileSync, renameSync, rmSync, statSync } from 'fs';
+import { dirname } from 'path';
+import { setTimeout as delay } from 'timers/promises';
+
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+const RETRY_DELAY_MS = 10;
+
+class LockTimeoutError extends Error {
+    constructor(filePath, timeoutMs) {
+        super(`Timed out after ${timeoutMs}ms waiting for lock on ${filePath}`);
+        this.name = 'LockTimeoutError';
+        this.filePath = filePath;
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+function isStale(lockDir) {
+    try {
+        const pid = parseInt(readFileSync(`${lockDir}/owner`, 'utf8'), 10);
+        if (!isNaN(pid)) return !isProcessAlive(pid);
+    } catch { /* owner not written yet */ }
+    try {
+        return Date.now() - statSync(lockDir).mtimeMs > STALE_LOCK_MS;
+    } catch {
+        return false; // released meanwhile
+    }
+}
+
+let tombstones = 0;
+
+/**
+ * Break a stale lock. Two waiters can both see the same dead owner, so the
+ * lock is first renamed to a tombstone only one of them gets, and checked
+ * again there: if a live writer took the lock in between, it is put back.
+ *
+ * @returns {boolean} true if the stale lock was removed
+ */
+function breakStaleLock(lockDir) {
+    const tombstone = `${lockDir}.stale.${process.pid}.${++tombstones}`;
+    try {
+        renameSync(lockDir, tombstone);
+    } catch {
+        return false; // another waiter broke it, or it was released
+    }
+    if (!isStale(tombstone)) {
+        try { renameSync(tombstone, lockDir); } catch { /* a new lock is in place; the old owner lost it */ }
+        return false;
+    }
+    console.log(`🔓 Breaking stale lock ${lockDir}`);
+    rmSync(tombstone, { recursive: true, force: true });
+    return true;
+}
+
+/**
+ * Acquire the advisory lock for a file, waiting up to timeoutMs. The wait
+ * yields to the event loop, so the bot keeps serving while the watcher
+ * holds a lock.
+ *
+ * @returns {Promise<Function>} release — call exactly once
+ * @throws {LockTimeoutError}
+ */
+async function acquireLock(filePath, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+    const lockDir = `${filePath}.lock`;
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            mkdirSync(lockDir);
+            writeFileSync(`${lockDir}/owner`, String(process.pid));
+            return () => rmSync(lockDir, { recursive: true, force: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                mkdirSync(dirname(lockDir), { recursive: true });
+                continue;
+            }
+            if (err.code !== 'EEXIST') throw err;
+        }
+        if (isStale(lockDir) && breakStaleLock(lockDir)) continue;
+        if (Date.now() >= deadline) throw new LockTimeoutError(filePath, timeoutMs);
+        await delay(RETRY_DELAY_MS);
+    }
+}
+
+/**
+ * Run fn while holding the file's lock.
+ */
+async function withFileLock(filePath, fn, opts) {
+    const release = await acquireLock(filePath, opts);
+    try {
+        return await fn();
+    } finally {
+        release();
+    }
+}
+
+export { LockTimeoutError, LOCK_TIMEOUT_MS, STALE_LOCK_MS, acquireLock, withFileLock, breakStaleLock };
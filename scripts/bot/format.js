@@ -0,0 +1,168 @@
+// ============================================================================
+// format.js — Render agent Markdown as Telegram HTML or MarkdownV2
+// ============================================================================
+// Agent replies are Markdown. Telegram only understands its own two markup
+// dialects, both of which reject unescaped special characters, so replies are
+// re-rendered before sending:
+//
+//   ```lang … ```        → <pre><code class="language-lang">   (```lang)
+//   `code`               → <code>                             (`code`)
+//   **bold**, __bold__   → <b>                                (*bold*)
+//   *italic*, _italic_   → <i>                                (_italic_)
+//   ~~strike~~           → <s>                                (~strike~)
+//   [text](https://…)    → <a href>                           ([text](url))
+//   # Heading            → bold line
+//   - item / * item      → • item
+//   > quote              → <blockquote>                       (>quote)
+//
+// Anything else is escaped and passed through. REPLY_FORMAT picks the dialect:
+// html (default), markdownv2 or plain. If Telegram still rejects the markup,
+// the outbox resends the original text without parse_mode (see outbox.js).
+// ============================================================================
+
+const REPLY_FORMATS = ['html', 'markdownv2', 'plain'];
+const PARSE_MODE = { html: 'HTML', markdownv2: 'MarkdownV2' };
+
+// Italic needs a non-word character on both sides, so snake_case names and
+// globs like *.js stay literal
+const INLINE_RE = new RegExp([
+    '(`+)([^`]+?)\\1',                                          // 1,2  code
+    '\\*\\*(?=\\S)(.+?)(?<=\\S)\\*\\*',                         // 3    bold
+    '__(?=\\S)(.+?)(?<=\\S)__',                                 // 4    bold
+    '~~(?=\\S)(.+?)(?<=\\S)~~',                                 // 5    strike
+    '\\[([^\\]\\n]+)\\]\\((https?:\\/\\/(?:[^\\s()]|\\([^\\s()]*\\))+)\\)', // 6,7 link
+    '(?<![\\w*\\\\])\\*(?=[^\\s*])(.+?)(?<=[^\\s*])\\*(?![\\w*])', // 8 italic
+    '(?<![\\w\\\\])_(?=[^\\s_])(.+?)(?<=[^\\s_])_(?!\\w)'       // 9    italic
+].join('|'), 'g');
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+
+// --- Dialects ---
+
+const escapeHtml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const html = {
+    text: escapeHtml,
+    code: s => `<code>${escapeHtml(s)}</code>`,
+    pre: (code, lang) => lang
+        ? `<pre><code class="language-${escapeHtml(lang)}">${escapeHtml(code)}</code></pre>`
+        : `<pre>${escapeHtml(code)}</pre>`,
+    bold: s => `<b>${s}</b>`,
+    italic: s => `<i>${s}</i>`,
+    strike: s => `<s>${s}</s>`,
+    link: (label, url) => `<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${label}</a>`,
+    quote: lines => `<blockquote>${lines.join('\n')}</blockquote>`
+};
+
+const escapeMdV2 = s => s.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+const escapeMdV2Code = s => s.replace(/[`\\]/g, '\\$&');
+
+const markdownv2 = {
+    text: escapeMdV2,
+    code: s => `\`${escapeMdV2Code(s)}\``,
+    pre: (code, lang) => `\`\`\`${lang}\n${escapeMdV2Code(code)}\n\`\`\``,
+    bold: s => `*${s}*`,
+    italic: s => `_${s}_`,
+    strike: s => `~${s}~`,
+    link: (label, url) => `[${label}](${url.replace(/[)\\]/g, '\\$&')})`,
+    quote: lines => lines.map(l => `>${l}`).join('\n')
+};
+
+const DIALECTS = { html, markdownv2 };
+
+// --- Renderer ---
+
+function renderInline(text, d) {
+    let out = '';
+    let last = 0;
+    for (const m of text.matchAll(INLINE_RE)) {
+        out += d.text(text.slice(last, m.index));
+        if (m[2] !== undefined) out += d.code(m[2]);
+        else if (m[3] !== undefined) out += d.bold(renderInline(m[3], d));
+        else if (m[4] !== undefined) out += d.bold(renderInline(m[4], d));
+        else if (m[5] !== undefined) out += d.strike(renderInline(m[5], d));
+        else if (m[6] !== undefined) out += d.link(renderInline(m[6], d), m[7]);
+        else out += d.italic(renderInline(m[8] ?? m[9], d));
+        last = m.index + m[0].length;
+    }
+    return out + d.text(text.slice(last));
+}
+
+function renderLine(line, d) {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) return d.bold(renderInline(heading[1], d));
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return d.text('──────────');
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (bullet) return `${bullet[1]}• ${renderInline(bullet[2], d)}`;
+    return renderInline(line, d);
+}
+
+/**
+ * Render Markdown in one of the Telegram dialects. An unterminated code
+ * fence runs to the end of the text.
+ *
+ * @param {string} markdown
+ * @param {'html'|'markdownv2'} dialect
+ * @returns {string}
+ */
+function renderMarkdown(markdown, dialect) {
+    const d = DIALECTS[dialect];
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        const fence = lines[i].match(FENCE_RE);
+        if (fence) {
+            const code = [];
+            let j = i + 1;
+            while (j < lines.length && !lines[j].trim().startsWith(fence[1])) code.push(lines[j++]);
+            out.push(d.pre(code.join('\n'), fence[2]));
+            i = j;
+            continue;
+        }
+        if (/^\s*>/.test(lines[i])) {
+            const quoted = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) {
+                quoted.push(renderLine(lines[i].replace(/^\s*>\s?/, ''), d));
+            }
+            i--;
+            out.push(d.quote(quoted));
+            continue;
+        }
+        out.push(renderLine(lines[i], d));
+    }
+    return out.join('\n');
+}
+
+/**
+ * Reply format from the environment.
+ *
+ * @returns {'html'|'markdownv2'|'plain'}
+ */
+function loadReplyFormat(env = process.env) {
+    const format = (env.REPLY_FORMAT || 'html').trim().toLowerCase();
+    if (!REPLY_FORMATS.includes(format)) {
+        throw new Error(`REPLY_FORMAT must be one of: ${REPLY_FORMATS.join(', ')} (got "${env.REPLY_FORMAT}")`);
+    }
+    return format;
+}
+
+/**
+ * Text and send options for one reply.
+ *
+ * @returns {{ text: string, parse_mode?: string }}
+ */
+function formatReply(text, format) {
+    if (!PARSE_MODE[format]) return { text };
+    return { text: renderMarkdown(text, format), parse_mode: PARSE_MODE[format] };
+}
+
+/** Whether a send error is Telegram refusing the markup. */
+function isParseError(err) {
+    const body = err.response?.body;
+    return body?.error_code === 400 && /can't parse entities|unsupported start tag|can't find end/i.test(body.description || '');
+}
+
+export {
+    REPLY_FORMATS, loadReplyFormat, renderMarkdown, formatReply, isParseError,
+    escapeHtml, escapeMdV2
+};
@@ -0,0 +1,109 @@
+// ============================================================================
+// groups.js — Group chats, forum topics, and per-topic project binding
+// ============================================================================
+// A supergroup with forum topics can host one topic per project. Each topic
+// (or a whole non-forum group) is bound to a project from state.projects via
+// /bind, stored in state.topics as "<chatId>:<threadId>" → project name.
+//
+// Inbox entries carry their origin (chatId, threadId, project) so the watcher
+// can run them in the bound project and stamp its outbox replies with the
+// same chat/topic. The outbox poller then delivers each reply back there.
+//
+// The HTTP control API (control_api.js) runs commands in loopback chats
+// ("api:<n>"). They are not Telegram chats, so they have no origin: the
+// agent's replies to them go to the home chat.
+// ============================================================================
+
+const LOOPBACK_PREFIX = 'api:';
+
+const isLoopbackChat = (chatId) => String(chatId).startsWith(LOOPBACK_PREFIX);
+
+/**
+ * Key for state.topics. Plain groups and private chats use the chat ID alone;
+ * forum topics append the thread ID.
+ */
+function topicKey(chatId, threadId) {
+    return threadId ? `${chatId}:${threadId}` : String(chatId);
+}
+
+/**
+ * Where a message came from. Only forum topic messages carry a thread ID —
+ * reply threads in ordinary groups must not be addressed as topics.
+ *
+ * @param {object} msg - Telegram message
+ * @returns {{ chatId?: number, threadId?: number }} empty for loopback chats
+ */
+function originOf(msg) {
+    if (isLoopbackChat(msg.chat.id)) return {};
+    const origin = { chatId: msg.chat.id };
+    if (msg.is_topic_message && msg.message_thread_id) {
+        origin.threadId = msg.message_thread_id;
+    }
+    return origin;
+}
+
+/**
+ * Project bound to the message's chat/topic, if any.
+ *
+ * @returns {{ name: string, path: string }|null}
+ */
+function boundProject(state, origin) {
+    const name = state.topics?.[topicKey(origin.chatId, origin.threadId)];
+    if (!name || !state.projects?.[name]) return null;
+    return { name, path: state.projects[name] };
+}
+
+/**
+ * Project a command from this message acts on: the chat/topic's bound
+ * project, otherwise the globally active one (see helpers.js projectState).
+ *
+ * @returns {string} project path
+ */
+function projectFor(state, msg) {
+    return boundProject(state, originOf(msg))?.path || state.activeProject;
+}
+
+/**
+ * Full origin for an inbox entry: chat, topic, bound project path, and the
+ * message it replies to, if any.
+ */
+function inboxOrigin(msg, state) {
+    const origin = originOf(msg);
+    const bound = boundProject(state, origin);
+    if (bound) origin.project = bound.path;
+    // Topic messages quote the topic's opening message — not a real reply
+    const quoted = msg.reply_to_message;
+    if (quoted && quoted.message_id !== msg.message_thread_id) {
+        origin.replyTo = { messageId: quoted.message_id, text: quoted.text || quoted.caption || '' };
+    }
+    return origin;
+}
+
+/**
+ * Add message_thread_id to send options so replies land in the same topic.
+ */
+function threadOptions(threadId, opts = {}) {
+    return threadId ? { ...opts, message_thread_id: threadId } : opts;
+}
+
+/**
+ * Strip the "@botname" suffix Telegram clients add to commands in groups,
+ * e.g. "/startup@wa_bridge_bot quick" → "/startup quick".
+ */
+function stripBotMention(text) {
+    return text.replace(/^(\/\w+)@\w+/, '$1');
+}
+
+/**
+ * Let a command pattern also match its "@botname" form in groups.
+ * /^\/model$/ becomes /^\/model(?:@\w+)?$/.
+ */
+function withBotMention(pattern) {
+    const source = pattern.source.replace(/^\^\\\/(\w+)/, '^\\/$1(?:@\\w+)?');
+    return new RegExp(source, pattern.flags);
+}
+
+export {
+    LOOPBACK_PREFIX, isLoopbackChat, topicKey, originOf, boundProject, projectFor, inboxOrigin, threadOptions,
+    stripBotMention, withBotMention
+};
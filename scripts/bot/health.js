@@ -5,9 +5,8 @@
 import { existsSync, readFileSync, statSync, unlinkSync } from 'fs';
 import { join } from 'path';
 import { execSync } from 'child_process';
-import {
-    loadExecutionPlan, saveExecutionPlan, formatExecutionPlan, applyTierDefaults
-} from './commands/plan.js';
+import { announcePendingPlans } from './commands/plan.js';
+import { PLATFORM_LABELS } from './registries.js';
 
 export function isWatcherRunning() {
     try {
@@ -19,37 +18,14 @@ export function isWatcherRunning() {
 }
 
 export function startHealthCheck(bot, ctx) {
-    const { CHAT_ID, CENTRAL_DIR, LOCK_FILE, readJsonSafe, getState, updateState } = ctx;
+    const { CHAT_ID, LOCK_FILE, DISPATCH_FILE, readJsonSafe } = ctx;
     let watcherWasAlive = true;
-    let lastAutoTriggerPlanStatus = null;
+    const announcedPlans = new Map();
 
     setInterval(async () => {
         try {
             // --- Auto-trigger: check for pending execution plans ---
-            const plan = loadExecutionPlan(getState);
-            if (plan && (plan.status === 'pending_approval' || plan.status === 'pending_review')
-                && plan.tasks?.length && lastAutoTriggerPlanStatus !== plan.status) {
-                lastAutoTriggerPlanStatus = plan.status;
-                applyTierDefaults(plan, getState);
-                plan.status = 'confirming';
-                saveExecutionPlan(plan, updateState);
-
-                await bot.sendMessage(CHAT_ID,
-                    '📋 New execution plan ready!\n\n' +
-                    formatExecutionPlan(plan) + '\n\n💡 Suggested by planner based on task tier.',
-                    {
-                        reply_markup: {
-                            inline_keyboard: [
-                                [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                                [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                            ]
-                        }
-                    }
-                );
-                console.log(`📋 ${new Date().toISOString()} | Auto-triggered execution plan review`);
-            } else if (!plan || !plan.tasks?.length) {
-                lastAutoTriggerPlanStatus = null;
-            }
+            await announcePendingPlans(bot, ctx, announcedPlans, ['pending_approval', 'pending_review']);
             // --- Check 1: Lock file health ---
             if (existsSync(LOCK_FILE)) {
                 const stats = statSync(LOCK_FILE);
@@ -58,16 +34,11 @@ export function startHealthCheck(bot, ctx) {
 
                 // Check if watcher is in step-through dispatch wait (valid idle)
                 let inDispatchWait = false;
-                const dispatchFile = join(CENTRAL_DIR, 'wa_dispatch.json');
-                if (existsSync(dispatchFile)) {
-                    try {
-                        const dispatch = JSON.parse(readFileSync(dispatchFile, 'utf8'));
-                        if (dispatch.status === 'approved' && Array.isArray(dispatch.tasks)) {
-                            const hasDone = dispatch.tasks.some(t => t.taskStatus === 'done');
-                            const hasPending = dispatch.tasks.some(t => !t.taskStatus || t.taskStatus === 'pending' || t.taskStatus === null);
-                            inDispatchWait = hasDone && hasPending;
-                        }
-                    } catch { /* ignore parse errors */ }
+                const dispatch = readJsonSafe(DISPATCH_FILE, null);
+                if (dispatch?.status === 'approved' && Array.isArray(dispatch.tasks)) {
+                    const hasDone = dispatch.tasks.some(t => t.taskStatus === 'done');
+                    const hasPending = dispatch.tasks.some(t => !t.taskStatus || t.taskStatus === 'pending' || t.taskStatus === null);
+                    inDispatchWait = hasDone && hasPending;
                 }
 
                 if (ageMin > 10 && ageMin % 5 === 0 && !inDispatchWait) {
@@ -116,3 +87,14 @@ export function startHealthCheck(bot, ctx) {
         }
     }, 60000);
 }
+
+// Startup notification — shows the active project's backend
+export function sendStartupNotice(bot, ctx) {
+    const { CHAT_ID, SCRIPT_DIR, getProjectState } = ctx;
+    const { version } = JSON.parse(readFileSync(join(SCRIPT_DIR, 'package.json'), 'utf8'));
+    const backend = getProjectState().backend || 'gemini';
+    const backendLabel = PLATFORM_LABELS[backend] || backend;
+    return bot.sendMessage(CHAT_ID, `✅ Bot v3 started\n📦 ${version} | ${backendLabel}\n⏰ ${new Date().toLocaleString('de-DE', { timeZone: 'Europe/Berlin' })}`).catch(err => {
+        console.error(`⚠️ Failed to send startup notification: ${err.message}`);
+    });
+}
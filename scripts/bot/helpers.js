@@ -5,10 +5,12 @@
 // Fixes MAINT-3 (inconsistent state access) by providing a single getState().
 // ============================================================================
 
-import { readFileSync, writeFileSync, existsSync, renameSync, mkdirSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
 import dotenv from 'dotenv';
+import { withFileLock } from './filelock.js';
+import { openStorage } from './storage/index.js';
 
 // --- Path Resolution ---
 const SCRIPT_DIR = dirname(fileURLToPath(import.meta.url));
@@ -29,53 +31,231 @@ const STATE_FILE = resolve(CENTRAL_DIR, 'state.json');
 const DISPATCH_FILE = resolve(CENTRAL_DIR, 'wa_dispatch.json');
 const LOCK_FILE = resolve(CENTRAL_DIR, 'wa_session.lock');
 
+// --- Storage backend: json (default) | sqlite ---
+const STORAGE_KIND = process.env.WA_STORAGE || 'json';
+
 // --- Constants ---
 const POLL_INTERVAL_MS = 2000;
 const MAX_MSG_LEN = 4096;
 
 // --- Helpers ---
 
+// Shared documents go through the configured backend (storage/index.js);
+// any other path is a plain JSON file on every backend.
+let storage = null;
+
+function getStorage() {
+    if (!storage) storage = openStorage(STORAGE_KIND, CENTRAL_DIR);
+    return storage;
+}
+
 function readJsonSafe(filePath, fallback) {
-    try {
-        return JSON.parse(readFileSync(filePath, 'utf8'));
-    } catch {
-        return fallback;
-    }
+    return getStorage().read(filePath, fallback);
 }
 
 function atomicWrite(filePath, data) {
-    const dir = dirname(filePath);
-    if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+    getStorage().write(filePath, data);
+}
+
+// --- Revisioned JSON (shared files) ---
+// Shared files carry a "_rev" counter that every writer — bot or watcher —
+// bumps under the file's advisory lock (filelock.js). A write prepared
+// against an older revision than the file now has is stale.
+
+class StaleRevisionError extends Error {
+    constructor(filePath, expected, actual) {
+        super(`Stale write to ${filePath}: based on _rev ${expected}, file is at _rev ${actual}`);
+        this.name = 'StaleRevisionError';
+        this.filePath = filePath;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+function readRevision(filePath) {
+    return readJsonSafe(filePath, {})._rev || 0;
+}
+
+/**
+ * Locked read-modify-write. The updater gets a fresh copy of the document
+ * and may mutate it. If the file changed underneath (a writer that skipped
+ * the lock), the update is retried on the new content, then rejected.
+ *
+ * @param {string} filePath
+ * @param {object} fallback - Document to start from if the file is missing
+ * @param {Function} updater - (doc) => void
+ * @returns {Promise<object>} the written document
+ * @throws {StaleRevisionError|LockTimeoutError}
+ */
+async function updateJson(filePath, fallback, updater, { retries = 3, timeoutMs } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await withFileLock(filePath, () => {
+                const doc = readJsonSafe(filePath, JSON.parse(JSON.stringify(fallback)));
+                const base = doc._rev || 0;
+                updater(doc);
+                const current = readRevision(filePath);
+                if (current !== base) throw new StaleRevisionError(filePath, base, current);
+                doc._rev = base + 1;
+                atomicWrite(filePath, doc);
+                return doc;
+            }, { timeoutMs });
+        } catch (err) {
+            if (!(err instanceof StaleRevisionError) || attempt >= retries) throw err;
+        }
+    }
+}
+
+/**
+ * Compare-and-swap write for documents read earlier without the lock:
+ * doc._rev must still match the file, otherwise nothing is written.
+ *
+ * @throws {StaleRevisionError|LockTimeoutError}
+ */
+async function writeJson(filePath, doc, { timeoutMs } = {}) {
+    return withFileLock(filePath, () => {
+        const base = doc._rev || 0;
+        const current = readRevision(filePath);
+        if (current !== base) throw new StaleRevisionError(filePath, base, current);
+        const next = { ...doc, _rev: base + 1 };
+        atomicWrite(filePath, next);
+        return next;
+    }, { timeoutMs });
+}
+
+/**
+ * Replace a shared file wholesale (e.g. a new dispatch), continuing its
+ * revision sequence so concurrent readers see a newer _rev.
+ */
+async function replaceJson(filePath, data, { timeoutMs } = {}) {
+    return withFileLock(filePath, () => {
+        const next = { ...data, _rev: readRevision(filePath) + 1 };
+        atomicWrite(filePath, next);
+        return next;
+    }, { timeoutMs });
+}
+
+async function removeJson(filePath, { timeoutMs } = {}) {
+    await withFileLock(filePath, () => {
+        getStorage().remove(filePath);
+    }, { timeoutMs });
+}
+
+// A reply to an agent message: the quoted text, plus the outbox entry it was
+// delivered from (outbox.js records messageIds) with its task and session
+function replyContext(replyTo, chatId) {
+    const context = { messageId: replyTo.messageId, text: replyTo.text };
+    const chat = String(chatId ?? CHAT_ID);
+    const source = (readJsonSafe(OUTBOX, { messages: [] }).messages || []).find(m =>
+        String(m.chatId ?? CHAT_ID) === chat && (m.messageIds || []).includes(replyTo.messageId));
+    if (source) {
+        if (source.id) context.outboxId = source.id;
+        if (source.taskId !== undefined) context.taskId = source.taskId;
+        if (source.sessionId) context.sessionId = source.sessionId;
     }
-    const tmp = `${filePath}.tmp`;
-    writeFileSync(tmp, JSON.stringify(data, null, 2));
-    renameSync(tmp, filePath);
+    return context;
 }
 
-function writeToInbox(text) {
-    const inbox = readJsonSafe(INBOX, { messages: [] });
+// origin: { chatId, threadId, project, replyTo } — where the message came from,
+// so the watcher can run it in the topic's project and route replies back (groups.js).
+// origin.messageId — the relayed Telegram message, so edits to it update the entry
+// attachments: [{ path, name, mimeType, size }] — files saved by attachments.js
+// type/priority: the queue entry kind — callers use the typed API in inbox.js
+async function writeToInbox(text, origin = {}, attachments = [], { type = 'chat', priority = 'normal' } = {}) {
     const entry = {
-        id: `msg_${Date.now()}`,
+        id: `msg_${Date.now()}_${randomBytes(3).toString('hex')}`,
         timestamp: new Date().toISOString(),
         from: 'user',
+        type, priority,
         text: text,
         read: false
     };
-    inbox.messages.push(entry);
-    atomicWrite(INBOX, inbox);
+    if (origin.chatId !== undefined) entry.chatId = origin.chatId;
+    if (origin.threadId) entry.threadId = origin.threadId;
+    if (origin.project) entry.project = origin.project;
+    if (origin.messageId) entry.messageId = origin.messageId;
+    if (origin.replyTo) entry.replyTo = replyContext(origin.replyTo, origin.chatId);
+    if (attachments.length) entry.attachments = attachments;
+    await updateJson(INBOX, { messages: [] }, inbox => {
+        inbox.messages = inbox.messages || [];
+        // Queue position: after everything written so far (inbox.js reorders)
+        entry.order = inbox.messages.reduce((max, m) => Math.max(max, m.order || 0), 0) + 1;
+        inbox.messages.push(entry);
+    });
     return entry;
 }
 
+const DEFAULT_STATE = { activeProject: DEFAULT_PROJECT_DIR, projects: { "main": DEFAULT_PROJECT_DIR } };
+
 function getState() {
-    return readJsonSafe(STATE_FILE, { activeProject: DEFAULT_PROJECT_DIR, projects: { "main": DEFAULT_PROJECT_DIR } });
+    return readJsonSafe(STATE_FILE, JSON.parse(JSON.stringify(DEFAULT_STATE)));
 }
 
 function updateState(updater) {
-    const state = getState();
-    updater(state);
-    atomicWrite(STATE_FILE, state);
-    return state;
+    return updateJson(STATE_FILE, DEFAULT_STATE, updater);
+}
+
+// --- Per-Project State ---
+// state.json keeps global settings (activeProject, projects, topics,
+// auto_fix_enabled) at the top level. Everything tied to one project's run
+// lives in projectState["<project path>"], so switching /project while a plan
+// is executing can't leak its plan, model or Kilo session into another project.
+// activeProject is only a pointer into that map.
+
+const PROJECT_STATE_KEYS = [
+    'model', 'backend', 'executionPlan',
+    'kiloSessionId', 'kiloSessionStartedAt', 'lastCommand', 'historyFile'
+];
+
+function projectKey(state, projectPath) {
+    return projectPath || state.activeProject || DEFAULT_PROJECT_DIR;
+}
+
+// Read-only view of a project's settings ({} if it has none yet)
+function projectSlice(state, projectPath) {
+    return state.projectState?.[projectKey(state, projectPath)] || {};
+}
+
+// Mutable slice for use inside updateState()
+function ensureProjectSlice(state, projectPath) {
+    const key = projectKey(state, projectPath);
+    state.projectState = state.projectState || {};
+    state.projectState[key] = state.projectState[key] || {};
+    return state.projectState[key];
+}
+
+function getProjectState(projectPath) {
+    return projectSlice(getState(), projectPath);
+}
+
+function updateProjectState(updater, projectPath) {
+    return updateState(state => updater(ensureProjectSlice(state, projectPath), state));
+}
+
+/**
+ * Move legacy top-level fields (single global state.json) into the active
+ * project's slice. Values already present in the slice win.
+ *
+ * @returns {boolean} true if the state was changed
+ */
+function migrateState(state) {
+    const legacy = PROJECT_STATE_KEYS.filter(key => key in state);
+    if (legacy.length === 0) return false;
+    const slice = ensureProjectSlice(state);
+    for (const key of legacy) {
+        if (!(key in slice)) slice[key] = state[key];
+        delete state[key];
+    }
+    return true;
+}
+
+// Run once on bot startup
+async function migrateStateFile() {
+    const state = readJsonSafe(STATE_FILE, null);
+    if (!state || !migrateState(state)) return false;
+    await updateJson(STATE_FILE, DEFAULT_STATE, migrateState);
+    console.log(`🗂️ Migrated state.json to per-project state (${projectKey(state)})`);
+    return true;
 }
 
 function formatUptime(ms) {
@@ -112,11 +292,30 @@ export {
     POLL_INTERVAL_MS,
     MAX_MSG_LEN,
 
+    // Storage
+    STORAGE_KIND,
+    getStorage,
+
     // Functions
     readJsonSafe,
     atomicWrite,
+    StaleRevisionError,
+    readRevision,
+    updateJson,
+    writeJson,
+    replaceJson,
+    removeJson,
     writeToInbox,
     getState,
     updateState,
     formatUptime,
+
+    // Per-project state
+    PROJECT_STATE_KEYS,
+    projectSlice,
+    ensureProjectSlice,
+    getProjectState,
+    updateProjectState,
+    migrateState,
+    migrateStateFile,
 };
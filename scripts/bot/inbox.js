@@ -0,0 +1,156 @@
+// ============================================================================
+// inbox.js — The inbox as a queue: typed entries, priorities, ordering
+// ============================================================================
+// Everything the bot hands to the agent goes through one of these:
+//
+//   inbox.chat(text, origin, attachments)      — something the user said
+//   inbox.command('/pr_check', origin)         — a command the agent runs
+//   inbox.system(prompt, origin)               — a prompt the bot wrote (/diagnose)
+//   inbox.command('STOP', origin, { priority: 'high' })
+//
+// Each entry has a type, a priority (high | normal | low), an order and a
+// target project: the topic's bound project, else the project active when
+// it was queued. The watcher takes the head of the queue — priority first,
+// then order — and runs a command or system entry on its own; only chat
+// entries from the same chat/topic/project are sent together. A running
+// session picks up chat and high-priority entries between turns (hooks).
+// The same rules are in INBOX_QUEUE_JQ (json_lock.sh) for the shell side.
+//
+// /queue (commands/queue.js) lists, reorders and cancels pending entries;
+// the ✏️ Edit / 🗑 Cancel buttons on relayed messages use message_edits.js.
+// ============================================================================
+
+import { INBOX, readJsonSafe, updateJson, writeToInbox, getState } from './helpers.js';
+
+const ENTRY_TYPES = ['command', 'chat', 'system'];
+const PRIORITIES = ['high', 'normal', 'low'];
+const MOVES = ['top', 'up', 'down', 'bottom'];
+
+const rank = (entry) => {
+    const i = PRIORITIES.indexOf(entry.priority || 'normal');
+    return i < 0 ? 1 : i;
+};
+
+/**
+ * Pending entries in the order the watcher takes them. Array.sort is
+ * stable, so entries without an order keep their arrival order.
+ *
+ * @param {object[]} messages - inbox messages
+ */
+function queueOrder(messages) {
+    return (messages || [])
+        .filter(m => m.read === false)
+        .sort((a, b) => rank(a) - rank(b) || (a.order || 0) - (b.order || 0));
+}
+
+/** The kind used for batching; entries from older writers are chat. */
+function entryType(entry) {
+    return entry.type || 'chat';
+}
+
+/**
+ * @param {'command'|'chat'|'system'} type
+ * @param {string} text
+ * @param {{ chatId?, threadId?, project?, replyTo? }} origin - see groups.js inboxOrigin
+ * @param {{ priority?: 'high'|'normal'|'low', attachments?: object[] }} [opts]
+ * @returns {Promise<object>} the stored entry
+ */
+async function enqueue(type, text, origin = {}, { priority = 'normal', attachments = [] } = {}) {
+    if (!ENTRY_TYPES.includes(type)) throw new Error(`Unknown inbox entry type "${type}"`);
+    if (!PRIORITIES.includes(priority)) throw new Error(`Unknown priority "${priority}" (expected: ${PRIORITIES.join(', ')})`);
+    const project = origin.project || getState().activeProject;
+    return writeToInbox(text, { ...origin, project }, attachments, { type, priority });
+}
+
+const inbox = {
+    chat: (text, origin, attachments = [], opts = {}) => enqueue('chat', text, origin, { ...opts, attachments }),
+    command: (text, origin, opts) => enqueue('command', text, origin, opts),
+    system: (text, origin, opts) => enqueue('system', text, origin, opts)
+};
+
+/** Workflow commands typed in Telegram are commands; anything else is chat. */
+function relayType(text) {
+    return /^\/\w/.test(text) ? 'command' : 'chat';
+}
+
+function listQueue(inboxFile = INBOX) {
+    return queueOrder(readJsonSafe(inboxFile, { messages: [] }).messages);
+}
+
+/**
+ * Move a pending entry. It takes the priority of the entry it passes, so
+ * priority-then-order still yields the new sequence; every pending entry
+ * is renumbered.
+ *
+ * @param {string} id
+ * @param {'top'|'up'|'down'|'bottom'} where
+ * @returns {Promise<number|null>} new 0-based position, or null if the entry is not pending
+ */
+async function moveEntry(id, where, inboxFile = INBOX) {
+    if (!MOVES.includes(where)) throw new Error(`Unknown move "${where}"`);
+    let position = null;
+    await updateJson(inboxFile, { messages: [] }, doc => {
+        position = null;
+        const queue = queueOrder(doc.messages);
+        const from = queue.findIndex(m => m.id === id);
+        if (from < 0) return;
+        const to = { top: 0, up: Math.max(from - 1, 0), down: Math.min(from + 1, queue.length - 1), bottom: queue.length - 1 }[where];
+        const [entry] = queue.splice(from, 1);
+        if (to !== from) entry.priority = queue[to < from ? to : to - 1].priority || 'normal';
+        queue.splice(to, 0, entry);
+        const base = queue.reduce((min, m) => Math.min(min, m.order || 0), Infinity);
+        queue.forEach((m, i) => { m.order = (Number.isFinite(base) ? base : 0) + i; });
+        position = to;
+    });
+    return position;
+}
+
+/**
+ * Take a pending entry off the queue. It is marked read (so retention
+ * archives it) and cancelled.
+ *
+ * @returns {Promise<object|null>} the cancelled entry
+ */
+async function cancelEntry(id, inboxFile = INBOX) {
+    let cancelled = null;
+    await updateJson(inboxFile, { messages: [] }, doc => {
+        cancelled = null;
+        const entry = (doc.messages || []).find(m => m.id === id && m.read === false);
+        if (!entry) return;
+        entry.read = true;
+        entry.cancelled = true;
+        entry.cancelledAt = new Date().toISOString();
+        cancelled = entry;
+    });
+    return cancelled;
+}
+
+/**
+ * Replace the text of a pending entry (✏️ Edit, or an edited Telegram
+ * message — message_edits.js).
+ *
+ * @returns {Promise<object|null>} the updated entry, or null once the watcher has it
+ */
+async function editEntry(id, text, inboxFile = INBOX) {
+    let edited = null;
+    await updateJson(inboxFile, { messages: [] }, doc => {
+        edited = null;
+        const entry = (doc.messages || []).find(m => m.id === id && m.read === false);
+        if (!entry) return;
+        entry.text = text;
+        entry.editedAt = new Date().toISOString();
+        edited = entry;
+    });
+    return edited;
+}
+
+/** The entry a Telegram message was relayed as (entry.messageId), read or not. */
+function entryForMessage(chatId, messageId, inboxFile = INBOX) {
+    return (readJsonSafe(inboxFile, { messages: [] }).messages || [])
+        .find(m => m.messageId === messageId && String(m.chatId) === String(chatId)) || null;
+}
+
+export {
+    ENTRY_TYPES, PRIORITIES, MOVES, inbox, enqueue, relayType, entryType,
+    queueOrder, listQueue, moveEntry, cancelEntry, editEntry, entryForMessage
+};
@@ -0,0 +1,36 @@
+// ============================================================================
+// media.js — Relay for non-text messages
+// ============================================================================
+// One message listener for everything that isn't typed text, each kind behind
+// the operator guard:
+//
+//   voice, audio       → transcribed, then relayed once confirmed (voice.js)
+//   photo, document    → saved to the project and relayed (attachments.js)
+//
+// Typed text stays with the relay in bot_v3.js.
+// ============================================================================
+
+import { openStt } from './stt/index.js';
+import { createVoiceDrafts, relayVoice } from './voice.js';
+import { relayAttachment, loadAttachmentPolicy } from './attachments.js';
+
+/**
+ * The speech-to-text provider is opened on first use, so a misconfigured
+ * STT_PROVIDER is reported in chat rather than stopping the bot.
+ */
+function startMediaRelay(bot, ctx, { getStt = lazyStt(), policy = loadAttachmentPolicy(), drafts = createVoiceDrafts(bot, ctx) } = {}) {
+    const voice = ctx.authorized(msg => relayVoice(bot, ctx, msg, getStt, drafts), 'operator', 'Relaying voice to the agent');
+    const files = ctx.authorized(msg => relayAttachment(bot, ctx, msg, policy), 'operator', 'Relaying files to the agent');
+    bot.on('message', (msg) => {
+        const relay = msg.voice || msg.audio ? voice : msg.photo || msg.document ? files : null;
+        if (!relay) return;
+        relay(msg).catch(err => console.error(`Media relay error: ${err.message}`));
+    });
+}
+
+function lazyStt() {
+    let stt = null;
+    return () => (stt ??= openStt());
+}
+
+export { startMediaRelay };
@@ -0,0 +1,117 @@
+// ============================================================================
+// message_edits.js — ✏️ Edit / 🗑 Cancel for relayed messages
+// ============================================================================
+// Every relayed message is acknowledged with two buttons that work until the
+// watcher marks its inbox entry read:
+//
+//   ✏️ Edit   — asks for the new text; the reply replaces the queued text
+//               instead of being relayed itself
+//   🗑 Cancel — takes the entry off the queue (inbox.js cancelEntry)
+//
+// Editing the message in Telegram does the same as ✏️ Edit: `edited_message`
+// updates the unread entry the message was relayed as (entry.messageId).
+// Once the agent has the entry, a press removes the buttons and edits are refused.
+// Open ✏️ Edit prompts live in memory — a restart drops them. voice.js asks
+// through the same prompts (ask) to correct a transcript before it is queued.
+// ============================================================================
+
+import { threadOptions, stripBotMention } from './groups.js';
+import { listQueue, cancelEntry, editEntry, entryForMessage } from './inbox.js';
+
+const MAX_PROMPTS = 100;
+const PREVIEW_LEN = 200;
+const TOO_LATE = '⌛ The agent already picked this up — send a new message if it still applies.';
+
+function editKeyboard(entry) {
+    return { inline_keyboard: [[
+        { text: '✏️ Edit', callback_data: `im:edit:${entry.id}` },
+        { text: '🗑 Cancel', callback_data: `im:cancel:${entry.id}` }
+    ]] };
+}
+
+function preview(text) {
+    return text.length > PREVIEW_LEN ? text.substring(0, PREVIEW_LEN - 3) + '...' : text;
+}
+
+/**
+ * Register the im: buttons and the edited_message listener.
+ *
+ * @param {{ INBOX: string, reply: Function, onCallback: Function, authorized: Function }} ctx
+ * @returns {{ relayed: Function, applyReply: Function, ask: Function, prompts: Map }}
+ */
+function startMessageEdits(bot, ctx, { inboxFile = ctx.INBOX } = {}) {
+    const { reply, onCallback, authorized } = ctx;
+    const prompts = new Map(); // "chatId:promptMessageId" → entry id, or a handler for the reply
+
+    // Send a force-reply prompt; the reply goes to target instead of the relay
+    async function ask(chatId, threadId, question, target) {
+        const prompt = await bot.sendMessage(chatId, question,
+            threadOptions(threadId, { reply_markup: { force_reply: true, input_field_placeholder: 'New text' } }));
+        prompts.set(`${chatId}:${prompt.message_id}`, target);
+        if (prompts.size > MAX_PROMPTS) prompts.delete(prompts.keys().next().value);
+    }
+
+    async function update(msg, id, text) {
+        const entry = await editEntry(id, text, inboxFile);
+        await reply(msg, entry ? `✏️ Updated — the agent will get:\n${preview(text)}` : TOO_LATE);
+        if (entry) console.log(`✏️ ${new Date().toISOString()} | Edited inbox entry ${id}: ${text.substring(0, 50)}`);
+        return entry;
+    }
+
+    // --- Callback: im:<edit|cancel>:<entry id> ---
+    onCallback('im:', async (query) => {
+        const [, action, id] = query.data.split(':');
+        const { chat, message_id: messageId, text: ackText = '' } = query.message;
+        const entry = listQueue(inboxFile).find(m => m.id === id);
+        if (!entry) {
+            await bot.answerCallbackQuery(query.id, { text: '⌛ Already picked up by the agent' });
+            await bot.editMessageText(`${ackText}\n⌛ Picked up by the agent.`, { chat_id: chat.id, message_id: messageId });
+            return;
+        }
+        if (action === 'cancel') {
+            await cancelEntry(id, inboxFile);
+            await bot.answerCallbackQuery(query.id, { text: '🗑 Cancelled' });
+            await bot.editMessageText(`${ackText}\n🗑 Cancelled — the agent will not see it.`, { chat_id: chat.id, message_id: messageId });
+            console.log(`🗑 ${new Date().toISOString()} | Cancelled inbox entry ${id}`);
+            return;
+        }
+        const threadId = query.message.is_topic_message && query.message.message_thread_id;
+        await ask(chat.id, threadId, `✏️ Reply to this message with the new text for:\n${preview(entry.text || '(no text)')}`, id);
+        await bot.answerCallbackQuery(query.id, { text: '✏️ Send the new text' });
+    }, { role: 'operator' });
+
+    // Editing the original message in Telegram
+    bot.on('edited_message', authorized(async (msg) => {
+        const entry = entryForMessage(msg.chat.id, msg.message_id, inboxFile);
+        if (!entry) return;
+        await update(msg, entry.id, stripBotMention(msg.text ?? msg.caption ?? ''));
+    }, 'operator', 'Editing a message sent to the agent'));
+
+    return {
+        prompts,
+        ask,
+
+        /** Log a typed message's relay and tell the sender it is queued, with ✏️ Edit / 🗑 Cancel. */
+        relayed(msg, entry) {
+            console.log(`📥 ${new Date().toISOString()} | Relayed to inbox: ${entry.text.substring(0, 50)}`);
+            return reply(msg, '📨 Queued for the agent.', { reply_to_message_id: msg.message_id, reply_markup: editKeyboard(entry) });
+        },
+
+        /**
+         * A reply to a ✏️ Edit prompt replaces the queued text.
+         *
+         * @returns {Promise<boolean>} true if the message was an edit, not something to relay
+         */
+        async applyReply(msg) {
+            const key = `${msg.chat.id}:${msg.reply_to_message?.message_id}`;
+            if (!prompts.has(key)) return false;
+            const target = prompts.get(key);
+            prompts.delete(key);
+            if (typeof target === 'function') await target(msg, stripBotMention(msg.text));
+            else await update(msg, target, stripBotMention(msg.text));
+            return true;
+        }
+    };
+}
+
+export { editKeyboard, startMessageEdits };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// ============================================================================
+// migrate_storage.js — Move the shared documents between storage backends
+// ============================================================================
+// Copies state, inbox, outbox, dispatch, dead letters and schedules (SHARED_DOCS
+// in storage/documents.js) from one backend to the other, verifies each copy,
+// then sets the source aside:
+//
+//   json → sqlite   *.json files are renamed to *.json.migrated
+//   sqlite → json   wa_bridge.db is renamed to wa_bridge.db.migrated
+//
+// Stop the bot and watcher first, then set WA_STORAGE in .env to the new
+// backend before starting them again.
+//
+//   node migrate_storage.js --to sqlite [--dir .gemini] [--dry-run]
+//   node migrate_storage.js --to json
+// ============================================================================
+
+import { existsSync, renameSync, rmSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { CENTRAL_DIR } from './helpers.js';
+import { withFileLock } from './filelock.js';
+import { STORAGE_KINDS, DB_FILENAME, SHARED_DOCS, openStorage } from './storage/index.js';
+
+// Key order differs between backends (inbox/outbox envelopes), so compare
+// documents with sorted keys
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+    }
+    return value;
+}
+
+function sameDocument(a, b) {
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.to       - target backend
+ * @param {string} [opts.from]   - source backend (default: the other one)
+ * @param {string} [opts.dir]    - .gemini directory
+ * @param {boolean} [opts.dryRun]
+ * @returns {Promise<{ from: string, to: string, migrated: Array<{ file: string, messages?: number }> }>}
+ */
+async function migrateStorage({ to, from, dir = CENTRAL_DIR, dryRun = false }) {
+    if (!STORAGE_KINDS.includes(to)) {
+        throw new Error(`--to must be one of: ${STORAGE_KINDS.join(', ')}`);
+    }
+    from = from || STORAGE_KINDS.find(k => k !== to);
+    if (from === to) throw new Error(`Source and target are both ${to}`);
+    if (existsSync(resolve(dir, 'wa_session.lock'))) {
+        throw new Error('An agent session is running (wa_session.lock) — stop the watcher first');
+    }
+
+    const source = openStorage(from, dir);
+    const target = dryRun ? null : openStorage(to, dir);
+    const migrated = [];
+    try {
+        for (const file of Object.keys(SHARED_DOCS)) {
+            const path = resolve(dir, file);
+            await withFileLock(path, () => {
+                const doc = source.read(path, null);
+                if (doc === null) return;
+                migrated.push({ file, ...(doc.messages ? { messages: doc.messages.length } : {}) });
+                if (dryRun) return;
+                target.write(path, doc);
+                if (!sameDocument(target.read(path, null), doc)) {
+                    throw new Error(`Verification failed for ${file} — source left in place`);
+                }
+            });
+        }
+    } finally {
+        source.close();
+        target?.close();
+    }
+
+    if (!dryRun) {
+        if (from === 'json') {
+            for (const { file } of migrated) {
+                renameSync(resolve(dir, file), resolve(dir, `${file}.migrated`));
+            }
+        } else {
+            const db = resolve(dir, DB_FILENAME);
+            renameSync(db, `${db}.migrated`);
+            // close() checkpoints the WAL; drop the emptied side files
+            rmSync(`${db}-wal`, { force: true });
+            rmSync(`${db}-shm`, { force: true });
+        }
+    }
+    return { from, to, migrated };
+}
+
+function parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--to') opts.to = argv[++i];
+        else if (argv[i] === '--from') opts.from = argv[++i];
+        else if (argv[i] === '--dir') opts.dir = resolve(argv[++i]);
+        else if (argv[i] === '--dry-run') opts.dryRun = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return opts;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        const opts = parseArgs(process.argv.slice(2));
+        const { from, to, migrated } = await migrateStorage(opts);
+        const verb = opts.dryRun ? 'Would migrate' : 'Migrated';
+        for (const m of migrated) {
+            console.log(`  ${m.file}${m.messages !== undefined ? ` (${m.messages} messages)` : ''}`);
+        }
+        console.log(`🗄️ ${verb} ${migrated.length} document(s) from ${from} to ${to}`);
+        if (!opts.dryRun) console.log(`   Set WA_STORAGE=${to} in scripts/bot/.env, then start the bot and watcher.`);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        console.error('Usage: node migrate_storage.js --to json|sqlite [--from json|sqlite] [--dir .gemini] [--dry-run]');
+        process.exitCode = 1;
+    }
+}
+
+export { migrateStorage, sameDocument };
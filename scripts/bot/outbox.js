@@ -1,28 +1,41 @@
 // ============================================================================
 // outbox.js — Outbox polling + sendAsFile + auto-trigger plan check
 // ============================================================================
+// Delivery retries, 429 handling and dead letters: see delivery.js.
+// Markdown → Telegram HTML/MarkdownV2 rendering: see format.js.
+// Long replies are split into numbered messages: see split.js.
+// The live agent status message is started from here too: see progress.js.
+// So are the plan message edits of a parallel run: see dispatch_progress.js.
+// ============================================================================
 
 import { existsSync, writeFileSync, unlinkSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
-
-export function startOutboxPoller(bot, ctx) {
-    const { CHAT_ID, OUTBOX, CENTRAL_DIR, DISPATCH_FILE,
-        readJsonSafe, atomicWrite, getState, updateState,
-        POLL_INTERVAL_MS, MAX_MSG_LEN } = ctx;
-
-    // Import plan helpers lazily to avoid circular deps
-    let formatExecutionPlan, applyTierDefaults, saveExecutionPlan, loadExecutionPlan;
-    import('./commands/plan.js').then(mod => {
-        formatExecutionPlan = mod.formatExecutionPlan;
-        applyTierDefaults = mod.applyTierDefaults;
-        saveExecutionPlan = mod.saveExecutionPlan;
-        loadExecutionPlan = mod.loadExecutionPlan;
-    });
-
-    const FILE_SEND_THRESHOLD = MAX_MSG_LEN;
-
-    async function sendAsFile(text) {
+import { threadOptions } from './groups.js';
+import { loadReplyFormat, formatReply, isParseError } from './format.js';
+import { splitMessage, loadFileThreshold } from './split.js';
+import { startProgressRelay } from './progress.js';
+import {
+    DocumentMissingError, isDue, recordFailure, messageKey, moveToDeadLetters
+} from './delivery.js';
+
+/**
+ * Build the outbox relay: each call sends every due message once and
+ * merges the outcomes into the outbox. Calls never overlap, and a 429
+ * pauses the relay for retry_after.
+ *
+ * @param {object} [opts]
+ * @param {'html'|'markdownv2'|'plain'} [opts.format] - how agent Markdown is sent
+ * @param {number} [opts.fileThreshold] - longer replies go out as a .txt file (0 = never)
+ * @returns {() => Promise<void>}
+ */
+export function createOutboxRelay(bot, ctx, { format = loadReplyFormat(), fileThreshold = loadFileThreshold() } = {}) {
+    const { CHAT_ID, OUTBOX, getStorage, updateJson, MAX_MSG_LEN } = ctx;
+
+    let relaying = false;
+    let pausedUntil = 0;
+
+    async function sendAsFile(chatId, text, threadOpts) {
         const ts = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
         const tmpFile = join(tmpdir(), `gemini_reply_${ts}.txt`);
         writeFileSync(tmpFile, text, 'utf8');
@@ -30,7 +43,8 @@ export function startOutboxPoller(bot, ctx) {
         const caption = `📄 Full reply (${text.length} chars):\n${preview}`;
 
         try {
-            await bot.sendDocument(CHAT_ID, tmpFile, {
+            return await bot.sendDocument(chatId, tmpFile, {
+                ...threadOpts,
                 caption: caption.substring(0, 1024)
             });
         } finally {
@@ -38,96 +52,174 @@ export function startOutboxPoller(bot, ctx) {
         }
     }
 
-    let lastAutoTriggerPlanStatus = null;
-
-    setInterval(async () => {
-        // --- Auto-trigger: check for pending execution plans ---
+    // Telegram rejects the whole message on a markup error — resend as typed
+    async function sendFormatted(chatId, text, opts) {
+        const formatted = formatReply(text, format);
+        if (!formatted.parse_mode) return bot.sendMessage(chatId, text, opts);
         try {
-            if (loadExecutionPlan && formatExecutionPlan) {
-                const plan = loadExecutionPlan(getState);
-                if (plan && plan.status === 'pending_approval' && plan.tasks?.length && lastAutoTriggerPlanStatus !== 'pending_approval') {
-                    lastAutoTriggerPlanStatus = 'pending_approval';
-                    applyTierDefaults(plan, getState);
-                    plan.status = 'confirming';
-                    saveExecutionPlan(plan, updateState);
-
-                    await bot.sendMessage(CHAT_ID,
-                        '📋 New execution plan ready!\n\n' +
-                        formatExecutionPlan(plan) + '\n\n💡 Suggested by planner based on task tier.',
-                        {
-                            reply_markup: {
-                                inline_keyboard: [
-                                    [{ text: '🚀 Execute All', callback_data: 'ep_execute' }, { text: '✏️ Override Task', callback_data: 'ep_override' }],
-                                    [{ text: '🔄 Re-plan', callback_data: 'ep_replan' }]
-                                ]
-                            }
-                        }
-                    );
-                    console.log(`📋 ${new Date().toISOString()} | Auto-triggered execution plan review`);
-                } else if (!plan || !plan.tasks?.length) {
-                    lastAutoTriggerPlanStatus = null;
-                }
-            }
+            return await bot.sendMessage(chatId, formatted.text, { ...opts, parse_mode: formatted.parse_mode });
         } catch (err) {
-            console.error(`Auto-trigger check error: ${err.message}`);
+            if (!isParseError(err)) throw err;
+            console.error(`⚠️ ${formatted.parse_mode} rejected (${err.response.body.description}), sending plain text`);
+            return bot.sendMessage(chatId, text, opts);
         }
+    }
 
-        // --- Outbox relay ---
-        if (!existsSync(OUTBOX)) return;
+    // Telegram message IDs the entry went out as, so a reply to any of them
+    // can be traced back to it (writeToInbox in helpers.js)
+    function recordSent(msg, sent) {
+        if (sent?.message_id) msg.messageIds = [...(msg.messageIds || []), sent.message_id];
+    }
+
+    async function deliver(msg, chatId, threadOpts) {
+        if (msg.type === 'document' && msg.filePath) {
+            if (!existsSync(msg.filePath)) throw new DocumentMissingError(msg.filePath);
+            recordSent(msg, await bot.sendDocument(chatId, msg.filePath, {
+                ...threadOpts,
+                caption: (msg.caption || '📎 Document').substring(0, 1024)
+            }));
+            console.log(`📤 ${new Date().toISOString()} | 📎 DOC | ${msg.filePath}`);
+            return;
+        }
+
+        const text = msg.text || '(empty response)';
+        const opts = { ...threadOpts };
+        if (msg.reply_markup) opts.reply_markup = msg.reply_markup;
+
+        const asFile = fileThreshold > 0 && text.length > fileThreshold;
+        let chunks = 1;
+        if (asFile) {
+            recordSent(msg, await sendAsFile(chatId, text, threadOpts));
+            if (msg.reply_markup) {
+                recordSent(msg, await bot.sendMessage(chatId, '👆 Full report attached above.', opts));
+            }
+        } else {
+            // Buttons ride on the last chunk. chunksSent survives a failed
+            // attempt, so a retry resumes instead of repeating chunks.
+            const parts = splitMessage(text, MAX_MSG_LEN, chunk => formatReply(chunk, format).text.length);
+            chunks = parts.length;
+            for (let i = msg.chunksSent || 0; i < parts.length; i++) {
+                recordSent(msg, await sendFormatted(chatId, parts[i], i === parts.length - 1 ? opts : threadOpts));
+                if (parts.length > 1) msg.chunksSent = i + 1;
+            }
+        }
 
-        const outbox = readJsonSafe(OUTBOX, { messages: [] });
-        const unsent = outbox.messages.filter(m => !m.sent);
+        const preview = text.length > 80 ? text.substring(0, 77) + '...' : text;
+        const typeLabel = asFile ? '📄 FILE' : chunks > 1 ? `✂️ ${chunks} PARTS` : (msg.reply_markup ? '🔘 BTN' : '💬 TEXT');
+        console.log(`📤 ${new Date().toISOString()} | ${typeLabel} | ${preview}`);
+    }
+
+    async function relayOutbox() {
+        // An indexed lookup on the sqlite backend (storage/index.js)
+        const unsent = getStorage().queryMessages({ box: 'outbox', pending: true }).map(r => r.message);
         if (unsent.length === 0) return;
 
-        let dirty = false;
+        const outcomes = new Map();
+        const dead = [];
+        // A chat/topic waiting on a retry holds its later messages back, so
+        // replies never arrive out of order
+        const held = new Set();
         for (const msg of unsent) {
+            // Route back to the originating chat/topic (groups.js), else the home chat
+            const chatId = msg.chatId ?? CHAT_ID;
+            const route = `${chatId}:${msg.threadId ?? ''}`;
+            if (held.has(route)) continue;
+            if (!isDue(msg)) {
+                held.add(route);
+                continue;
+            }
             try {
-                if (msg.type === 'document' && msg.filePath) {
-                    if (existsSync(msg.filePath)) {
-                        await bot.sendDocument(CHAT_ID, msg.filePath, {
-                            caption: (msg.caption || '📎 Document').substring(0, 1024)
-                        });
-                        console.log(`📤 ${new Date().toISOString()} | 📎 DOC | ${msg.filePath}`);
-                    } else {
-                        console.error(`❌ Document not found: ${msg.filePath}`);
-                    }
-                    msg.sent = true;
-                    dirty = true;
+                await deliver(msg, chatId, threadOptions(msg.threadId));
+                outcomes.set(messageKey(msg), { sent: true, messageIds: msg.messageIds });
+            } catch (err) {
+                const { dead: isDead, retryAfterMs } = recordFailure(msg, err);
+                if (isDead) {
+                    console.error(`☠️ Dead letter after ${msg.delivery.attempts} attempt(s): ${msg.delivery.lastError}`);
+                    dead.push(msg);
                     continue;
                 }
+                outcomes.set(messageKey(msg), { delivery: msg.delivery, chunksSent: msg.chunksSent, messageIds: msg.messageIds });
+                held.add(route);
+                if (retryAfterMs) {
+                    // Flood control applies to the whole bot — stop this pass
+                    console.error(`⏳ Rate limited by Telegram, pausing outbox for ${retryAfterMs / 1000}s`);
+                    pausedUntil = Date.now() + retryAfterMs;
+                    break;
+                }
+                console.error(`❌ Send failed (attempt ${msg.delivery.attempts}, retry at ${msg.delivery.nextAttemptAt}): ${msg.delivery.lastError}`);
+            }
+        }
 
-                const text = msg.text || '(empty response)';
-                const opts = {};
-                if (msg.reply_markup) opts.reply_markup = msg.reply_markup;
-
-                if (text.length > FILE_SEND_THRESHOLD) {
-                    await sendAsFile(text);
-                    if (msg.reply_markup) {
-                        await bot.sendMessage(CHAT_ID, '👆 Full report attached above.', opts);
+        if (outcomes.size > 0) {
+            await updateJson(OUTBOX, { messages: [] }, fresh => {
+                for (const m of fresh.messages || []) {
+                    const outcome = outcomes.get(messageKey(m));
+                    if (!outcome) continue;
+                    if (outcome.messageIds) m.messageIds = outcome.messageIds;
+                    if (outcome.sent) {
+                        m.sent = true;
+                        delete m.delivery;
+                        delete m.chunksSent;
+                    } else {
+                        m.delivery = outcome.delivery;
+                        if (outcome.chunksSent) m.chunksSent = outcome.chunksSent;
                     }
-                } else {
-                    await bot.sendMessage(CHAT_ID, text, opts);
                 }
+            });
+        }
+        await moveToDeadLetters(ctx, dead);
+    }
+
+    return async function relay() {
+        if (relaying || Date.now() < pausedUntil) return;
+        relaying = true;
+        try {
+            await relayOutbox();
+        } finally {
+            relaying = false;
+        }
+    };
+}
 
-                msg.sent = true;
-                dirty = true;
+export function startOutboxPoller(bot, ctx) {
+    const { POLL_INTERVAL_MS } = ctx;
 
-                const preview = text.length > 80 ? text.substring(0, 77) + '...' : text;
-                const typeLabel = text.length > FILE_SEND_THRESHOLD ? '📄 FILE' : (msg.reply_markup ? '🔘 BTN' : '💬 TEXT');
-                console.log(`📤 ${new Date().toISOString()} | ${typeLabel} | ${preview}`);
-            } catch (err) {
-                console.error(`❌ Send failed: ${err.message}`);
-                break;
+    // Import plan helpers lazily to avoid circular deps
+    let announcePendingPlans, showDispatchProgress;
+    import('./commands/plan.js').then(mod => {
+        announcePendingPlans = mod.announcePendingPlans;
+    });
+    import('./dispatch_progress.js').then(mod => {
+        showDispatchProgress = mod.showDispatchProgress;
+    });
+
+    const relay = createOutboxRelay(bot, ctx);
+    startProgressRelay(bot, ctx);
+    const announcedPlans = new Map();
+    const shownDispatch = new Map();
+
+    setInterval(async () => {
+        // --- Auto-trigger: check for pending execution plans ---
+        try {
+            if (announcePendingPlans) {
+                await announcePendingPlans(bot, ctx, announcedPlans, ['pending_approval']);
             }
+        } catch (err) {
+            console.error(`Auto-trigger check error: ${err.message}`);
         }
 
-        if (dirty) {
-            const fresh = readJsonSafe(OUTBOX, { messages: [] });
-            const sentIds = new Set(unsent.filter(m => m.sent).map(m => m.id));
-            for (const m of fresh.messages) {
-                if (sentIds.has(m.id)) m.sent = true;
-            }
-            atomicWrite(OUTBOX, fresh);
+        // --- Parallel run: task statuses into the plan message ---
+        try {
+            if (showDispatchProgress) await showDispatchProgress(bot, ctx, shownDispatch);
+        } catch (err) {
+            console.error(`Dispatch progress error: ${err.message}`);
+        }
+
+        // --- Outbox relay ---
+        try {
+            await relay();
+        } catch (err) {
+            console.error(`Outbox relay error: ${err.message}`);
         }
     }, POLL_INTERVAL_MS);
 }
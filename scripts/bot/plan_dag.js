@@ -0,0 +1,238 @@
+// ============================================================================
+// plan_dag.js — Execution plan dependency graph: checks and rendering
+// ============================================================================
+// The watcher and dispatch.js run a task once all of its deps are done. A dep
+// on an id that is not in the plan, a cycle or a duplicate id means some tasks
+// never become ready, so /review_plan runs validatePlan first and only offers
+// 🚀 Execute All / ⚡ Execute Parallel for plans without problems.
+//
+// The graph renders as a text tree for Telegram (/plan_graph), or as Mermaid
+// or Graphviz DOT source to open elsewhere. All three mark the critical path:
+// the longest chain of deps, counting each task's difficulty (1 if unset).
+//
+//   1. Add schema ★
+//   ├── 2. API routes ★
+//   │   └── 4. E2E tests ★
+//   └── 3. Settings page
+//       └── 4. E2E tests ★ ↑
+// ============================================================================
+
+const LABEL_LEN = 48;
+
+/**
+ * Dependency graph of a plan: every task with the ids it waits on and the
+ * ids waiting on it. Deps on unknown ids are kept — they never complete.
+ *
+ * @returns {Map<number, { task: object, deps: number[], dependents: number[] }>}
+ */
+function planDag(tasks) {
+    const dag = new Map(tasks.map(task => [task.id, { task, deps: [...(task.deps || [])], dependents: [] }]));
+    for (const node of dag.values()) {
+        for (const dep of node.deps) dag.get(dep)?.dependents.push(node.task.id);
+    }
+    return dag;
+}
+
+// Ids of the tasks that can ever become ready, each after all of its deps
+function runOrder(dag) {
+    const order = [];
+    const ready = new Set();
+    for (let grew = true; grew;) {
+        grew = false;
+        for (const { task, deps } of dag.values()) {
+            if (ready.has(task.id) || !deps.every(dep => ready.has(dep))) continue;
+            ready.add(task.id);
+            order.push(task.id);
+            grew = true;
+        }
+    }
+    return order;
+}
+
+// One cycle per back edge, in run order (a → b: b depends on a), smallest id first
+function findCycles(dag) {
+    const open = new Set();
+    const closed = new Set();
+    const stack = [];
+    const cycles = new Map();
+    const visit = (id) => {
+        open.add(id);
+        stack.push(id);
+        for (const next of dag.get(id).dependents) {
+            if (open.has(next)) {
+                const cycle = stack.slice(stack.indexOf(next));
+                const start = cycle.indexOf(Math.min(...cycle));
+                const key = [...cycle].sort((a, b) => a - b).join(',');
+                if (!cycles.has(key)) cycles.set(key, [...cycle.slice(start), ...cycle.slice(0, start)]);
+            } else if (!closed.has(next)) {
+                visit(next);
+            }
+        }
+        stack.pop();
+        open.delete(id);
+        closed.add(id);
+    };
+    for (const id of dag.keys()) if (!closed.has(id)) visit(id);
+    return [...cycles.values()];
+}
+
+/**
+ * Everything that keeps tasks of a plan from ever running.
+ *
+ * @param {object[]} tasks
+ * @returns {{ kind: 'duplicate'|'dangling'|'cycle'|'unreachable', ids: number[], message: string }[]}
+ *   empty for a plan that can run to the end
+ */
+function validatePlan(tasks) {
+    const problems = [];
+    const counts = new Map();
+    for (const task of tasks) counts.set(task.id, (counts.get(task.id) || 0) + 1);
+    for (const [id, count] of counts) {
+        if (count > 1) problems.push({ kind: 'duplicate', ids: [id], message: `Task id ${id} is used by ${count} tasks` });
+    }
+
+    const dag = planDag(tasks);
+    for (const { task, deps } of dag.values()) {
+        for (const dep of deps.filter(dep => !dag.has(dep))) {
+            problems.push({ kind: 'dangling', ids: [task.id], message: `Task ${task.id} depends on task ${dep}, which is not in the plan` });
+        }
+    }
+
+    const cycles = findCycles(dag);
+    for (const cycle of cycles) {
+        problems.push({ kind: 'cycle', ids: cycle, message: `Dependency cycle: ${[...cycle, cycle[0]].join(' → ')}` });
+    }
+
+    const ready = new Set(runOrder(dag));
+    const inCycle = new Set(cycles.flat());
+    for (const { task, deps } of dag.values()) {
+        if (ready.has(task.id) || inCycle.has(task.id) || deps.some(dep => !dag.has(dep))) continue;
+        const waitsOn = deps.find(dep => !ready.has(dep));
+        problems.push({ kind: 'unreachable', ids: [task.id], message: `Task ${task.id} can never run — it waits on task ${waitsOn}` });
+    }
+    return problems;
+}
+
+function formatProblems(problems) {
+    return [`⚠️ This plan can't run as it is:`, ...problems.map(p => `• ${p.message}`),
+        '', 'Fix it with ✏️ Edit Plan (/plan_edit, /plan_rm), or 🔄 Re-plan.'].join('\n');
+}
+
+/**
+ * The longest chain of deps among the tasks that can run, by difficulty.
+ *
+ * @returns {{ ids: number[], weight: number }} ids in run order
+ */
+function criticalPath(tasks) {
+    const dag = planDag(tasks);
+    const best = new Map();
+    for (const id of runOrder(dag)) {
+        const { task, deps } = dag.get(id);
+        let prev;
+        for (const dep of deps) if (prev === undefined || best.get(dep).weight > best.get(prev).weight) prev = dep;
+        best.set(id, { prev, weight: (task.difficulty || 1) + (prev === undefined ? 0 : best.get(prev).weight) });
+    }
+    let end;
+    for (const [id, { weight }] of best) if (end === undefined || weight > best.get(end).weight) end = id;
+    const ids = [];
+    for (let id = end; id !== undefined; id = best.get(id).prev) ids.unshift(id);
+    return { ids, weight: end === undefined ? 0 : best.get(end).weight };
+}
+
+function label(task) {
+    const text = `${task.id}. ${(task.description || '').replace(/\s+/g, ' ').trim()}`;
+    return text.length > LABEL_LEN ? text.substring(0, LABEL_LEN - 1) + '…' : text;
+}
+
+/**
+ * Text tree of the plan: start tasks at the top, each task under the tasks it
+ * depends on. A task with several deps is drawn in full under the first and
+ * marked ↑ under the others; ★ marks the critical path.
+ *
+ * @returns {string}
+ */
+function renderTree(tasks) {
+    const dag = planDag(tasks);
+    const path = criticalPath(tasks);
+    const onPath = new Set(path.ids);
+    const lines = [`🌳 Plan graph (${tasks.length} tasks)`];
+    if (path.ids.length) lines.push(`★ Critical path: ${path.ids.join(' → ')} (difficulty ${path.weight})`);
+    lines.push('');
+
+    const drawn = new Set();
+    const draw = (id, indent, branch) => {
+        const again = drawn.has(id);
+        lines.push(`${indent}${branch}${label(dag.get(id).task)}${onPath.has(id) ? ' ★' : ''}${again ? ' ↑' : ''}`);
+        if (again) return;
+        drawn.add(id);
+        const below = indent + (branch === '├── ' ? '│   ' : branch ? '    ' : '');
+        const { dependents } = dag.get(id);
+        dependents.forEach((next, i) => draw(next, below, i === dependents.length - 1 ? '└── ' : '├── '));
+    };
+    for (const { task, deps } of dag.values()) if (!deps.length) draw(task.id, '', '');
+
+    const rest = [...dag.keys()].filter(id => !drawn.has(id));
+    if (rest.length) lines.push('', `⚠️ Not reachable from a start task: ${rest.join(', ')}`);
+    return lines.join('\n');
+}
+
+function nodeId(id) {
+    return `t${String(id).replace(/\W/g, '_')}`;
+}
+
+// Deps on ids that are not in the plan, drawn as dashed placeholder nodes
+function missingDeps(dag) {
+    return [...new Set([...dag.values()].flatMap(({ deps }) => deps.filter(dep => !dag.has(dep))))];
+}
+
+/**
+ * Mermaid flowchart source; critical path tasks get the "critical" class.
+ *
+ * @returns {string}
+ */
+function toMermaid(tasks) {
+    const dag = planDag(tasks);
+    const onPath = criticalPath(tasks).ids;
+    const missing = missingDeps(dag);
+    const text = s => s.replace(/"/g, '#quot;');
+    const lines = ['flowchart TD'];
+    for (const { task } of dag.values()) lines.push(`    ${nodeId(task.id)}["${text(label(task))}"]`);
+    for (const id of missing) lines.push(`    ${nodeId(id)}["${text(`${id} (missing)`)}"]`);
+    for (const { task, deps } of dag.values()) {
+        for (const dep of deps) lines.push(`    ${nodeId(dep)} --> ${nodeId(task.id)}`);
+    }
+    if (onPath.length) {
+        lines.push('    classDef critical stroke:#d33,stroke-width:3px', `    class ${onPath.map(nodeId).join(',')} critical`);
+    }
+    if (missing.length) {
+        lines.push('    classDef missing stroke-dasharray:5 5', `    class ${missing.map(nodeId).join(',')} missing`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Graphviz DOT source; the critical path is drawn red.
+ *
+ * @returns {string}
+ */
+function toDot(tasks) {
+    const dag = planDag(tasks);
+    const onPath = criticalPath(tasks).ids;
+    const pathEdges = new Set(onPath.slice(1).map((id, i) => `${onPath[i]}>${id}`));
+    const text = s => `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const critical = ', color="#d33", penwidth=2';
+    const lines = ['digraph plan {', '    rankdir=TB;', '    node [shape=box];'];
+    for (const { task } of dag.values()) {
+        lines.push(`    ${nodeId(task.id)} [label=${text(label(task))}${onPath.includes(task.id) ? critical : ''}];`);
+    }
+    for (const id of missingDeps(dag)) lines.push(`    ${nodeId(id)} [label=${text(`${id} (missing)`)}, style=dashed];`);
+    for (const { task, deps } of dag.values()) {
+        for (const dep of deps) {
+            lines.push(`    ${nodeId(dep)} -> ${nodeId(task.id)}${pathEdges.has(`${dep}>${task.id}`) ? ` [${critical.substring(2)}]` : ''};`);
+        }
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+export { planDag, validatePlan, formatProblems, criticalPath, renderTree, toMermaid, toDot };
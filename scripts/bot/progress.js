@@ -0,0 +1,221 @@
+// ============================================================================
+// progress.js — Live agent progress as one continuously edited message
+// ============================================================================
+// The watcher appends run events to .gemini/wa_progress.jsonl (see
+// ../progress.sh). For every run the bot posts one status message on "start"
+// and keeps editing it with editMessageText:
+//
+//   🧠 Running Kilo CLI (minimax-m2.5)...
+//   ⏱️ 2m 13s
+//   🔧 bash: npm test
+//   💬 All 42 tests passed
+//
+// Edits are throttled to one per PROGRESS_EDIT_SECONDS per run (elapsed time
+// alone refreshes every 15s), and a Telegram 429 pauses all edits for
+// retry_after. The bot only reads events appended after it started.
+// ============================================================================
+
+import { closeSync, existsSync, openSync, readSync, statSync } from 'fs';
+import { resolve } from 'path';
+import { threadOptions } from './groups.js';
+import { classifyError } from './delivery.js';
+
+const PROGRESS_FILENAME = 'wa_progress.jsonl';
+const EDIT_SECONDS_DEFAULT = 3;
+const HEARTBEAT_MS = 15 * 1000;
+// A run with no events for this long lost its watcher — close it out
+const STALE_MS = 30 * 60 * 1000;
+const TEXT_LEN = 200;
+
+function progressFile(ctx) {
+    return resolve(ctx.CENTRAL_DIR, PROGRESS_FILENAME);
+}
+
+/**
+ * Minimum time between two edits of the same status message.
+ *
+ * @returns {number} milliseconds
+ */
+function loadEditInterval(env = process.env) {
+    const value = env.PROGRESS_EDIT_SECONDS;
+    if (value === undefined || value === '') return EDIT_SECONDS_DEFAULT * 1000;
+    if (!/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+        throw new Error(`PROGRESS_EDIT_SECONDS must be a positive integer (got "${value}")`);
+    }
+    return parseInt(value, 10) * 1000;
+}
+
+/**
+ * Complete event lines appended since offset. A partly written last line is
+ * left for the next read; a file that shrank was emptied and is read from 0.
+ *
+ * @returns {{ events: object[], offset: number }}
+ */
+function readProgressEvents(file, offset) {
+    if (!existsSync(file)) return { events: [], offset: 0 };
+    const size = statSync(file).size;
+    if (size < offset) offset = 0;
+    if (size === offset) return { events: [], offset };
+
+    const buf = Buffer.alloc(size - offset);
+    const fd = openSync(file, 'r');
+    try {
+        readSync(fd, buf, 0, buf.length, offset);
+    } finally {
+        closeSync(fd);
+    }
+    const end = buf.lastIndexOf(0x0a);
+    if (end === -1) return { events: [], offset };
+
+    const events = [];
+    for (const line of buf.subarray(0, end).toString('utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            events.push(JSON.parse(line));
+        } catch { /* skip a garbled line */ }
+    }
+    return { events, offset: offset + end + 1 };
+}
+
+/**
+ * Fold one event into the run table. Events for runs whose start we never
+ * saw (the bot started mid-run) are ignored.
+ */
+function applyProgressEvent(runs, event, now = Date.now()) {
+    if (!event.run) return;
+    if (event.type === 'start') {
+        runs.set(event.run, {
+            label: event.label || '🧠 Agent running...',
+            chatId: event.chatId, threadId: event.threadId,
+            startedAt: Date.parse(event.ts) || now,
+            tool: null, output: null, exitCode: null, stale: false,
+            messageId: null, lastEditAt: 0, lastEventAt: now, dirty: true
+        });
+        return;
+    }
+    const run = runs.get(event.run);
+    if (!run) return;
+    if (event.type === 'tool') run.tool = event.text;
+    else if (event.type === 'output') run.output = event.text;
+    else if (event.type === 'end') run.exitCode = event.exitCode ?? 0;
+    run.lastEventAt = now;
+    run.dirty = true;
+}
+
+function formatElapsed(ms) {
+    const s = Math.max(0, Math.floor(ms / 1000));
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`;
+}
+
+const clip = text => text.length > TEXT_LEN ? text.substring(0, TEXT_LEN - 1) + '…' : text;
+
+function renderProgress(run, now = Date.now()) {
+    const elapsed = formatElapsed(now - run.startedAt);
+    let status;
+    if (run.stale) status = `⚠️ No progress for ${STALE_MS / 60000}m — the watcher may have stopped`;
+    else if (run.exitCode === null) status = `⏱️ ${elapsed}`;
+    else if (run.exitCode === 0) status = `✅ Finished in ${elapsed}`;
+    else status = `❌ Exited with code ${run.exitCode} after ${elapsed}`;
+    return [
+        run.label,
+        status,
+        ...(run.tool ? [`🔧 ${clip(run.tool)}`] : []),
+        ...(run.output ? [`💬 ${clip(run.output)}`] : [])
+    ].join('\n');
+}
+
+/**
+ * Build the progress relay: each call reads new events and sends or edits
+ * the status messages that are due. Calls never overlap.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.editMs] - minimum gap between edits of one message
+ * @param {number} [opts.offset] - where to start reading (default: end of file)
+ * @returns {(now?: number) => Promise<void>}
+ */
+function createProgressRelay(bot, ctx, { editMs = loadEditInterval(), offset } = {}) {
+    const file = progressFile(ctx);
+    const runs = new Map();
+    let position = offset ?? (existsSync(file) ? statSync(file).size : 0);
+    let busy = false;
+    let pausedUntil = 0;
+
+    async function show(run, now) {
+        const text = renderProgress(run, now);
+        const chatId = run.chatId ?? ctx.CHAT_ID;
+        try {
+            if (run.messageId === null) {
+                const sent = await bot.sendMessage(chatId, text, threadOptions(run.threadId));
+                run.messageId = sent.message_id;
+            } else {
+                await bot.editMessageText(text, { chat_id: chatId, message_id: run.messageId });
+            }
+        } catch (err) {
+            const { retryAfterMs, reason } = classifyError(err);
+            if (retryAfterMs) {
+                // Keep the update pending until the pause is over
+                pausedUntil = now + retryAfterMs;
+                return;
+            }
+            if (!/message is not modified/.test(reason)) console.error(`Progress update failed: ${reason}`);
+            if (run.messageId === null) run.messageId = -1;
+        }
+        run.lastEditAt = now;
+        run.dirty = false;
+    }
+
+    async function tick(now) {
+        const read = readProgressEvents(file, position);
+        position = read.offset;
+        for (const event of read.events) applyProgressEvent(runs, event, now);
+
+        for (const [id, run] of runs) {
+            if (run.exitCode === null && !run.stale && now - run.lastEventAt > STALE_MS) {
+                run.stale = true;
+                run.dirty = true;
+            }
+            if (now < pausedUntil) break;
+            const finished = run.exitCode !== null || run.stale;
+            // A failed first send gets no message id — drop the run quietly
+            if (run.messageId === -1) {
+                if (finished) runs.delete(id);
+                continue;
+            }
+            const gap = now - run.lastEditAt;
+            const due = run.messageId === null
+                || (gap >= editMs && (run.dirty || gap >= HEARTBEAT_MS));
+            if (!due) continue;
+            await show(run, now);
+            if (finished && !run.dirty) runs.delete(id);
+        }
+    }
+
+    return async function relay(now = Date.now()) {
+        if (busy) return;
+        busy = true;
+        try {
+            await tick(now);
+        } finally {
+            busy = false;
+        }
+    };
+}
+
+/**
+ * Follow the progress stream for the bot's lifetime.
+ */
+function startProgressRelay(bot, ctx) {
+    const relay = createProgressRelay(bot, ctx);
+    setInterval(() => {
+        relay().catch(err => console.error(`Progress relay error: ${err.message}`));
+    }, 1000);
+}
+
+export {
+    PROGRESS_FILENAME, progressFile, loadEditInterval, readProgressEvents,
+    applyProgressEvent, formatElapsed, renderProgress,
+    createProgressRelay, startProgressRelay
+};
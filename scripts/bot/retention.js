@@ -0,0 +1,213 @@
+// ============================================================================
+// retention.js — Inbox/outbox retention, compaction and archival
+// ============================================================================
+// Handled messages (inbox: read, outbox: sent) are moved out of the live
+// documents into dated JSON-lines files:
+//
+//   .gemini/archive/inbox-2026-03-11.jsonl
+//   .gemini/archive/outbox-2026-03-11.jsonl
+//
+// A handled message stays live while it is among the newest
+// RETENTION_KEEP_MESSAGES handled ones OR younger than RETENTION_KEEP_DAYS.
+// Pending messages are never archived. Compaction runs at startup and every
+// RETENTION_COMPACT_MINUTES; /history (commands/history.js) pages through
+// the archive files. Archives are plain files on every storage backend.
+// ============================================================================
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { MESSAGE_BOXES } from './storage/documents.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_FILE_RE = /^(inbox|outbox)-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const RETENTION_DEFAULTS = { keepMessages: 200, keepDays: 7, compactMinutes: 60 };
+
+function parseCount(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new Error(`${name} must be a non-negative integer (got "${value}")`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Retention policy from environment variables. 0 disables a rule; with both
+ * rules at 0 every handled message is archived at the next compaction.
+ *
+ * @returns {{ keepMessages: number, keepDays: number, compactMinutes: number }}
+ */
+function loadRetention(env = process.env) {
+    return {
+        keepMessages: parseCount(env.RETENTION_KEEP_MESSAGES, 'RETENTION_KEEP_MESSAGES', RETENTION_DEFAULTS.keepMessages),
+        keepDays: parseCount(env.RETENTION_KEEP_DAYS, 'RETENTION_KEEP_DAYS', RETENTION_DEFAULTS.keepDays),
+        compactMinutes: parseCount(env.RETENTION_COMPACT_MINUTES, 'RETENTION_COMPACT_MINUTES', RETENTION_DEFAULTS.compactMinutes)
+    };
+}
+
+/**
+ * Split a box's messages into the ones that stay live and the ones to
+ * archive. Order is preserved in both lists.
+ *
+ * @param {object[]} messages
+ * @param {'inbox'|'outbox'} box
+ * @param {{ keepMessages: number, keepDays: number }} policy
+ */
+function splitForArchive(messages, box, policy, now = Date.now()) {
+    const flag = MESSAGE_BOXES[box];
+    const handled = messages.filter(m => m[flag]);
+    const newest = new Set(policy.keepMessages > 0 ? handled.slice(-policy.keepMessages) : []);
+    const cutoff = now - policy.keepDays * DAY_MS;
+
+    const keep = [];
+    const archive = [];
+    for (const msg of messages) {
+        const recent = policy.keepDays > 0 && Date.parse(msg.timestamp) > cutoff;
+        if (!msg[flag] || newest.has(msg) || recent) keep.push(msg);
+        else archive.push(msg);
+    }
+    return { keep, archive };
+}
+
+function archiveDate(msg) {
+    const ts = Date.parse(msg.timestamp);
+    return new Date(isNaN(ts) ? Date.now() : ts).toISOString().slice(0, 10);
+}
+
+function appendToArchive(archiveDir, box, messages) {
+    mkdirSync(archiveDir, { recursive: true });
+    const byDate = new Map();
+    for (const msg of messages) {
+        const date = archiveDate(msg);
+        byDate.set(date, (byDate.get(date) || '') + JSON.stringify(msg) + '\n');
+    }
+    for (const [date, lines] of byDate) {
+        appendFileSync(resolve(archiveDir, `${box}-${date}.jsonl`), lines);
+    }
+}
+
+/**
+ * Archive one box. The document is rewritten under its lock (updateJson);
+ * the archive is appended once the write succeeded, so a retried update
+ * can't archive a message twice.
+ *
+ * @returns {Promise<number>} messages archived
+ */
+async function compactBox(file, box, policy, { archiveDir, updateJson, readJsonSafe, now = Date.now() }) {
+    const current = readJsonSafe(file, { messages: [] }).messages || [];
+    if (splitForArchive(current, box, policy, now).archive.length === 0) return 0;
+
+    let archived = [];
+    await updateJson(file, { messages: [] }, doc => {
+        const { keep, archive } = splitForArchive(doc.messages || [], box, policy, now);
+        doc.messages = keep;
+        archived = archive;
+    });
+    if (archived.length) appendToArchive(archiveDir, box, archived);
+    return archived.length;
+}
+
+/**
+ * Compact inbox and outbox.
+ *
+ * @returns {Promise<{ inbox: number, outbox: number }>} messages archived per box
+ */
+async function compactMessages(ctx, policy = loadRetention(), now = Date.now()) {
+    const opts = { archiveDir: archiveDirOf(ctx), updateJson: ctx.updateJson, readJsonSafe: ctx.readJsonSafe, now };
+    return {
+        inbox: await compactBox(ctx.INBOX, 'inbox', policy, opts),
+        outbox: await compactBox(ctx.OUTBOX, 'outbox', policy, opts)
+    };
+}
+
+function archiveDirOf(ctx) {
+    return resolve(ctx.CENTRAL_DIR, 'archive');
+}
+
+/**
+ * Run compaction now and on the configured schedule.
+ */
+function startCompaction(ctx, policy = loadRetention()) {
+    const run = async () => {
+        try {
+            const { inbox, outbox } = await compactMessages(ctx, policy);
+            if (inbox || outbox) {
+                console.log(`🗜️ ${new Date().toISOString()} | Archived ${inbox} inbox, ${outbox} outbox message(s)`);
+            }
+        } catch (err) {
+            console.error(`Compaction error: ${err.message}`);
+        }
+    };
+    run();
+    if (policy.compactMinutes > 0) {
+        setInterval(run, policy.compactMinutes * 60 * 1000);
+    }
+}
+
+/**
+ * Archive files, newest day first.
+ *
+ * @param {'inbox'|'outbox'} [box] - only this box
+ * @returns {Array<{ box: string, date: string, file: string }>}
+ */
+function listArchives(archiveDir, box) {
+    if (!existsSync(archiveDir)) return [];
+    return readdirSync(archiveDir)
+        .map(name => ({ name, match: name.match(ARCHIVE_FILE_RE) }))
+        .filter(({ match }) => match && (!box || match[1] === box))
+        .map(({ name, match }) => ({ box: match[1], date: match[2], file: resolve(archiveDir, name) }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.box.localeCompare(b.box));
+}
+
+/**
+ * One page of archived messages, newest first. Without a box, inbox and
+ * outbox are merged by timestamp.
+ *
+ * A file holds one day of messages, so days are read newest first and
+ * reading stops once the page and one entry past it are in. The total is
+ * only known when every file was read — on the last page, or when the page
+ * asked for is past the end and is clamped to it. `match` keeps only the
+ * messages it accepts (e.g. one chat's) before paging.
+ *
+ * @returns {{ entries: Array<{ box: string, message: object }>, page: number, more: boolean, pages?: number, total?: number }}
+ */
+function readArchivePage(archiveDir, { box, page = 1, pageSize = 10, match = () => true } = {}) {
+    const wanted = Math.max(1, page) * pageSize;
+    const byTime = (a, b) => String(b.message.timestamp || '').localeCompare(String(a.message.timestamp || ''));
+    const archives = listArchives(archiveDir, box);
+    const entries = [];
+    let i = 0;
+    while (i < archives.length && entries.length <= wanted) {
+        const day = [];
+        const date = archives[i].date;
+        for (; i < archives.length && archives[i].date === date; i++) {
+            for (const line of readFileSync(archives[i].file, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch {
+                    continue; // skip a torn line
+                }
+                if (match(message)) day.push({ box: archives[i].box, message });
+            }
+        }
+        entries.push(...day.sort(byTime));
+    }
+
+    const complete = i === archives.length;
+    const pages = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = complete ? Math.min(Math.max(1, page), pages) : Math.max(1, page);
+    return {
+        entries: entries.slice((current - 1) * pageSize, current * pageSize),
+        page: current,
+        more: entries.length > current * pageSize,
+        ...(complete ? { pages, total: entries.length } : {})
+    };
+}
+
+export {
+    RETENTION_DEFAULTS, loadRetention, splitForArchive, appendToArchive,
+    compactBox, compactMessages, startCompaction, archiveDirOf,
+    listArchives, readArchivePage
+};
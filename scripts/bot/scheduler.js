@@ -0,0 +1,313 @@
+// ============================================================================
+// scheduler.js — Scheduled and recurring agent jobs (/schedule)
+// ============================================================================
+// A job is a message queued in the inbox (inbox.js) when it is due, exactly
+// as if it had been sent from Telegram:
+//
+//   /schedule add "0 7 * * 1-5" /pr_check --project web   — every weekday 07:00
+//   /schedule add 23:00 /sprint                           — once, tonight
+//
+// Schedules are five-field cron expressions (minute hour day month weekday,
+// with *, lists, ranges, steps and jan/mon names), @hourly/@daily/@weekly/
+// @monthly, or a one-shot HH:MM / YYYY-MM-DD HH:MM in the bot's local time.
+// Jobs live in .gemini/wa_schedules.json, so they survive restarts.
+//
+// When a job is due while the session lock is held, it is skipped or queued
+// until the lock is released (ifBusy). A job found more than
+// SCHEDULE_MISSED_GRACE_MINUTES overdue (the bot was down) is reported as
+// missed and moves on to its next run instead of firing late.
+// ============================================================================
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { threadOptions } from './groups.js';
+import { relayType } from './inbox.js';
+
+const TICK_MS = 30 * 1000;
+const GRACE_MINUTES_DEFAULT = 15;
+// nextCronRun gives up after this long ("0 0 31 2 *" never fires)
+const SEARCH_YEARS = 5;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTHS },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAYS }
+];
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+const IF_BUSY = ['queue', 'skip'];
+
+/**
+ * Minutes a due job may be late and still fire.
+ *
+ * @returns {number} milliseconds
+ */
+function loadScheduleGrace(env = process.env) {
+    const raw = env.SCHEDULE_MISSED_GRACE_MINUTES;
+    if (raw === undefined || raw === '') return GRACE_MINUTES_DEFAULT * 60 * 1000;
+    if (!/^\d+$/.test(String(raw).trim())) {
+        throw new Error(`SCHEDULE_MISSED_GRACE_MINUTES must be a non-negative integer (got "${raw}")`);
+    }
+    return parseInt(raw, 10) * 60 * 1000;
+}
+
+function cronValue(text, field) {
+    const named = field.names?.indexOf(text) ?? -1;
+    const value = named >= 0 ? named + field.min : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+    if (!(value >= field.min && value <= field.max)) {
+        throw new Error(`Bad ${field.name} "${text}" (expected ${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.toLowerCase().split(',')) {
+        const m = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/);
+        if (!m) throw new Error(`Bad ${field.name} "${part}"`);
+        const lo = m[1] === '*' ? field.min : cronValue(m[1], field);
+        // "5/15" runs from 5 to the end of the range
+        const hi = m[2] ? cronValue(m[2], field) : (m[1] === '*' || m[3] ? field.max : lo);
+        const step = m[3] ? parseInt(m[3], 10) : 1;
+        if (step < 1 || lo > hi) throw new Error(`Bad ${field.name} "${part}"`);
+        for (let v = lo; v <= hi; v += step) values.add(field.max === 7 && v === 7 ? 0 : v);
+    }
+    return values;
+}
+
+/**
+ * @param {string} expr - "m h dom mon dow" or an @alias
+ * @returns {{ minute: Set, hour: Set, dom: Set, month: Set, dow: Set, domAny: boolean, dowAny: boolean }}
+ * @throws {Error} naming the bad field
+ */
+function parseCron(expr) {
+    const fields = (CRON_ALIASES[expr.trim().toLowerCase()] || expr).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`A cron expression has 5 fields: minute hour day month weekday (got "${expr}")`);
+    }
+    const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    return { minute, hour, dom, month, dow, domAny: fields[2].startsWith('*'), dowAny: fields[4].startsWith('*') };
+}
+
+// Cron rule: with both day fields restricted, either one matching is enough
+function cronDayMatches(cron, t) {
+    const dom = cron.dom.has(t.getDate());
+    const dow = cron.dow.has(t.getDay());
+    if (!cron.domAny && !cron.dowAny) return dom || dow;
+    return dom && dow;
+}
+
+/**
+ * First minute after `after` (local time) matching the expression.
+ *
+ * @returns {Date|null} null if it never matches
+ */
+function nextCronRun(expr, after = Date.now()) {
+    const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+    const t = new Date(after);
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+    const limit = new Date(t).setFullYear(t.getFullYear() + SEARCH_YEARS);
+    while (t.getTime() < limit) {
+        if (!cron.month.has(t.getMonth() + 1)) {
+            t.setMonth(t.getMonth() + 1, 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, t)) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1, 0, 0);
+        } else {
+            return t;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse what a user typed after /schedule add.
+ *
+ * @returns {{ cron: string } | { at: string }} at: ISO timestamp of a one-shot job
+ * @throws {Error} with a message fit for the user
+ */
+function parseSchedule(spec, now = Date.now()) {
+    const text = spec.trim();
+    const time = text.match(/^(?:(\d{4})-(\d{2})-(\d{2})[ T])?(\d{1,2}):(\d{2})$/);
+    if (time) {
+        const [, year, month, day, hour, minute] = time.map(v => (v === undefined ? v : parseInt(v, 10)));
+        if (hour > 23 || minute > 59) throw new Error(`Bad time "${text}"`);
+        const at = new Date(now);
+        if (year) at.setFullYear(year, month - 1, day);
+        at.setHours(hour, minute, 0, 0);
+        if (year && (at.getMonth() !== month - 1 || at.getDate() !== day)) throw new Error(`Bad date "${text}"`);
+        if (at.getTime() <= now) {
+            if (year) throw new Error(`${text} is in the past`);
+            at.setDate(at.getDate() + 1); // HH:MM already passed today → tomorrow
+        }
+        return { at: at.toISOString() };
+    }
+    const cron = text.toLowerCase() in CRON_ALIASES ? text.toLowerCase() : text.split(/\s+/).join(' ');
+    if (!nextCronRun(cron, now)) throw new Error(`"${text}" never runs`);
+    return { cron };
+}
+
+function nextRunOf(schedule, now) {
+    return schedule.at || nextCronRun(schedule.cron, now).toISOString();
+}
+
+function formatLocal(iso) {
+    const d = new Date(iso);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${WEEKDAYS[d.getDay()][0].toUpperCase()}${WEEKDAYS[d.getDay()].slice(1)} ` +
+        `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function describeSchedule(schedule) {
+    return schedule.at ? `once at ${formatLocal(schedule.at)}` : schedule.cron;
+}
+
+function schedulesFileOf(ctx) {
+    return resolve(ctx.CENTRAL_DIR, 'wa_schedules.json');
+}
+
+function listJobs(ctx) {
+    return ctx.readJsonSafe(schedulesFileOf(ctx), { jobs: [] }).jobs || [];
+}
+
+/**
+ * @param {object} job
+ * @param {{ cron: string } | { at: string }} job.schedule - from parseSchedule
+ * @param {string} job.text - written to the inbox when the job fires
+ * @param {{ chatId?, threadId?, project? }} [job.origin] - as for inbox.js
+ * @param {'queue'|'skip'} [job.ifBusy]
+ * @returns {Promise<object>} the stored job
+ */
+async function addJob(ctx, { schedule, text, origin = {}, ifBusy = 'queue', createdBy }, now = Date.now()) {
+    if (!IF_BUSY.includes(ifBusy)) throw new Error(`ifBusy must be one of: ${IF_BUSY.join(', ')}`);
+    let job;
+    await ctx.updateJson(schedulesFileOf(ctx), { jobs: [], nextId: 1 }, doc => {
+        doc.jobs = doc.jobs || [];
+        doc.nextId = doc.nextId || 1;
+        job = {
+            id: doc.nextId++,
+            schedule, text, ifBusy,
+            paused: false,
+            nextRun: nextRunOf(schedule, now),
+            createdAt: new Date(now).toISOString()
+        };
+        if (createdBy !== undefined) job.createdBy = createdBy;
+        for (const key of ['chatId', 'threadId', 'project']) {
+            if (origin[key] !== undefined && origin[key] !== null) job[key] = origin[key];
+        }
+        doc.jobs.push(job);
+    });
+    return job;
+}
+
+// Apply fn to job #id; returns the updated job, or null if there is none
+async function updateJob(ctx, id, fn) {
+    let found = null;
+    await ctx.updateJson(schedulesFileOf(ctx), { jobs: [] }, doc => {
+        found = null;
+        doc.jobs = (doc.jobs || []).filter(job => {
+            if (job.id !== id) return true;
+            found = job;
+            return fn(job) !== false;
+        });
+    });
+    return found;
+}
+
+function removeJob(ctx, id) {
+    return updateJob(ctx, id, () => false);
+}
+
+/** Pause or resume; a resumed job continues from its next run after now. */
+function setPaused(ctx, id, paused, now = Date.now()) {
+    return updateJob(ctx, id, job => {
+        job.paused = paused;
+        delete job.queuedSince;
+        if (!paused && !job.schedule.at) job.nextRun = nextRunOf(job.schedule, now);
+    });
+}
+
+const NOTICES = {
+    fired: (job) => `⏰ Scheduled job #${job.id} → sent to the agent:\n${job.text}`,
+    queued: (job) => `⏳ Scheduled job #${job.id} is due, but the agent is busy — it runs when the current session ends.`,
+    skipped: (job) => `⏭️ Scheduled job #${job.id} skipped — the agent was busy.`,
+    missed: (job) => `💤 Scheduled job #${job.id} was missed while the bot was down (due ${formatLocal(job.nextRun)}).`
+};
+
+/**
+ * Fire, queue, skip or report every due job. One-shot jobs are removed once
+ * they fired, were skipped or were missed.
+ *
+ * @returns {Promise<Array<{ job: object, status: 'fired'|'queued'|'skipped'|'missed' }>>}
+ */
+async function runDueJobs(bot, ctx, { now = Date.now(), graceMs = loadScheduleGrace() } = {}) {
+    const busy = existsSync(ctx.LOCK_FILE);
+    let results = [];
+    await ctx.updateJson(schedulesFileOf(ctx), { jobs: [] }, doc => {
+        results = [];
+        doc.jobs = (doc.jobs || []).filter(job => {
+            if (job.paused || Date.parse(job.nextRun) > now) return true;
+            let status;
+            if (!job.queuedSince && now - Date.parse(job.nextRun) > graceMs) {
+                status = 'missed';
+            } else if (busy && job.ifBusy === 'queue') {
+                if (!job.queuedSince) {
+                    job.queuedSince = new Date(now).toISOString();
+                    results.push({ job: { ...job }, status: 'queued' });
+                }
+                return true;
+            } else {
+                status = busy ? 'skipped' : 'fired';
+            }
+            results.push({ job: { ...job }, status });
+            delete job.queuedSince;
+            job.lastRun = new Date(now).toISOString();
+            job.lastStatus = status;
+            if (job.schedule.at) return false;
+            job.nextRun = nextRunOf(job.schedule, now);
+            return true;
+        });
+    });
+
+    for (const { job, status } of results) {
+        if (status === 'fired') {
+            await ctx.inbox[relayType(job.text)](job.text, { chatId: job.chatId, threadId: job.threadId, project: job.project });
+        }
+        console.log(`⏰ ${new Date(now).toISOString()} | Schedule #${job.id} ${status}: ${job.text.substring(0, 50)}`);
+        bot.sendMessage(job.chatId ?? ctx.CHAT_ID, NOTICES[status](job), threadOptions(job.threadId))
+            .catch(err => console.error(`Schedule notice failed: ${err.message}`));
+    }
+    return results;
+}
+
+function startScheduler(bot, ctx, { tickMs = TICK_MS, graceMs = loadScheduleGrace() } = {}) {
+    const run = async () => {
+        try {
+            await runDueJobs(bot, ctx, { graceMs });
+        } catch (err) {
+            console.error(`Scheduler error: ${err.message}`);
+        }
+    };
+    run();
+    setInterval(run, tickMs);
+}
+
+export {
+    IF_BUSY, loadScheduleGrace, parseCron, nextCronRun, parseSchedule, describeSchedule, formatLocal,
+    schedulesFileOf, listJobs, addJob, removeJob, setPaused, runDueJobs, startScheduler
+};
@@ -0,0 +1,157 @@
+// ============================================================================
+// split.js — Split long agent replies into numbered Telegram messages
+// ============================================================================
+// Replies are split on the Markdown source, before format.js renders them, so
+// every chunk is valid markup on its own; each chunk must fit once rendered:
+//
+//   - chunks break between paragraphs, then between lines, then between words
+//   - a code fence is kept whole when it fits; otherwise it is cut between
+//     lines and each piece is re-fenced with the same language
+//   - chunks are numbered "1/3", "2/3", … on their first line
+//
+// Only replies longer than REPLY_FILE_THRESHOLD characters are still sent as
+// a .txt attachment (outbox.js).
+// ============================================================================
+
+const FILE_THRESHOLD_DEFAULT = 16000;
+
+// Room for the "12/12\n" chunk counter
+const COUNTER_RESERVE = 8;
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+
+/**
+ * Paragraphs and whole code fences, in order.
+ *
+ * @returns {Array<{ lines: string[], fence?: { open: string, close: string } }>}
+ */
+function toBlocks(markdown) {
+    const blocks = [];
+    let para = [];
+    const flush = () => {
+        if (para.length) blocks.push({ lines: para });
+        para = [];
+    };
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const fence = lines[i].match(FENCE_RE);
+        if (fence) {
+            flush();
+            const code = [];
+            let j = i + 1;
+            while (j < lines.length && !lines[j].trim().startsWith(fence[1])) code.push(lines[j++]);
+            blocks.push({ lines: code, fence: { open: lines[i].trim(), close: fence[1] } });
+            i = j;
+        } else if (lines[i].trim() === '') {
+            flush();
+        } else {
+            para.push(lines[i]);
+        }
+    }
+    flush();
+    return blocks;
+}
+
+// Hard-wrap one line at the last space before maxLen
+function wrapLine(line, maxLen) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > maxLen) {
+        let cut = rest.lastIndexOf(' ', maxLen);
+        if (cut < maxLen / 2) cut = maxLen;
+        parts.push(rest.slice(0, cut).trimEnd());
+        rest = rest.slice(cut).trimStart();
+    }
+    parts.push(rest);
+    return parts;
+}
+
+// Greedily join lines into pieces of at most maxLen (newline-separated)
+function packLines(lines, maxLen) {
+    const pieces = [];
+    let current = null;
+    for (const line of lines.flatMap(l => wrapLine(l, maxLen))) {
+        if (current !== null && current.length + 1 + line.length <= maxLen) {
+            current += '\n' + line;
+        } else {
+            if (current !== null) pieces.push(current);
+            current = line;
+        }
+    }
+    if (current !== null) pieces.push(current);
+    return pieces;
+}
+
+// A block as one or more strings, each at most maxLen
+function blockPieces(block, maxLen) {
+    if (!block.fence) return packLines(block.lines, maxLen);
+    const { open, close } = block.fence;
+    const whole = [open, ...block.lines, close].join('\n');
+    if (whole.length <= maxLen) return [whole];
+    const room = maxLen - open.length - close.length - 2;
+    return packLines(block.lines, room).map(code => `${open}\n${code}\n${close}`);
+}
+
+// Greedily join blocks into chunks of at most limit source characters
+function packChunks(markdown, limit) {
+    const chunks = [];
+    let current = '';
+    for (const piece of toBlocks(markdown).flatMap(b => blockPieces(b, limit))) {
+        if (current && current.length + 2 + piece.length <= limit) {
+            current += '\n\n' + piece;
+        } else {
+            if (current) chunks.push(current);
+            current = piece;
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+// A chunk that renders past target is split again, with the source limit
+// shrunk by how far over it went, until every piece fits
+function fitChunks(markdown, limit, target, measure) {
+    return packChunks(markdown, limit).flatMap(chunk => {
+        const size = measure(chunk);
+        const smaller = Math.min(Math.floor(limit * target / size), chunk.length - 1);
+        if (size <= target || smaller < 1) return [chunk];
+        return fitChunks(chunk, smaller, target, measure);
+    });
+}
+
+/**
+ * Split Markdown into chunks that each fit one Telegram message, counter
+ * included. Text that already fits comes back unchanged as a single chunk.
+ *
+ * Telegram's limit applies to the text as sent, so sizes are measured on the
+ * rendered chunk: escapes and tags make HTML or MarkdownV2 longer than the
+ * Markdown it came from.
+ *
+ * @param {string} markdown
+ * @param {number} maxLen - Telegram's limit (MAX_MSG_LEN)
+ * @param {(chunk: string) => number} [measure] - length of a chunk once rendered
+ * @returns {string[]}
+ */
+function splitMessage(markdown, maxLen, measure = chunk => chunk.length) {
+    if (measure(markdown) <= maxLen) return [markdown];
+
+    const limit = maxLen - COUNTER_RESERVE;
+    const chunks = fitChunks(markdown, limit, limit, measure);
+    return chunks.map((chunk, i) => `${i + 1}/${chunks.length}\n${chunk}`);
+}
+
+/**
+ * Replies longer than this go out as a .txt attachment instead of messages.
+ *
+ * @returns {number}
+ */
+function loadFileThreshold(env = process.env) {
+    const value = env.REPLY_FILE_THRESHOLD;
+    if (value === undefined || value === '') return FILE_THRESHOLD_DEFAULT;
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new Error(`REPLY_FILE_THRESHOLD must be a non-negative integer (got "${value}")`);
+    }
+    return parseInt(value, 10);
+}
+
+export { FILE_THRESHOLD_DEFAULT, splitMessage, loadFileThreshold };
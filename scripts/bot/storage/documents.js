@@ -0,0 +1,121 @@
+// ============================================================================
+// storage/documents.js — Shared document names, file IO and index rows
+// ============================================================================
+// Used by both backends. Index rows are what queryMessages / queryTasks /
+// querySessions return: the json backend derives them on every query, the
+// sqlite backend stores them in indexed tables on every write.
+// ============================================================================
+
+import { readFileSync, writeFileSync, existsSync, renameSync, mkdirSync } from 'fs';
+import { basename, dirname, resolve } from 'path';
+
+// File name → document name. Only these, inside the storage directory, are
+// managed by a non-json backend; every other path stays a plain file.
+const SHARED_DOCS = {
+    'state.json': 'state',
+    'wa_inbox.json': 'inbox',
+    'wa_outbox.json': 'outbox',
+    'wa_dispatch.json': 'dispatch',
+    'wa_deadletters.json': 'deadletters',
+    'wa_schedules.json': 'schedules'
+};
+
+// Message documents: the flag that marks a message as handled
+const MESSAGE_BOXES = { inbox: 'read', outbox: 'sent' };
+
+/** Document name for a shared file inside dir, or null. */
+function sharedDocName(filePath, dir) {
+    if (dirname(resolve(filePath)) !== resolve(dir)) return null;
+    return SHARED_DOCS[basename(filePath)] || null;
+}
+
+function docFile(dir, name) {
+    return resolve(dir, Object.keys(SHARED_DOCS).find(f => SHARED_DOCS[f] === name));
+}
+
+function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch {
+        return fallback;
+    }
+}
+
+function writeJsonFile(filePath, data) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+    const tmp = `${filePath}.tmp.${process.pid}`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2));
+    renameSync(tmp, filePath);
+}
+
+// --- Index rows ---
+
+function messageRow(box, msg, seq) {
+    return {
+        box, seq,
+        id: msg.id ?? null,
+        chatId: msg.chatId != null ? String(msg.chatId) : null,
+        threadId: msg.threadId ?? null,
+        project: msg.project ?? null,
+        timestamp: msg.timestamp ?? null,
+        done: Boolean(msg[MESSAGE_BOXES[box]]),
+        text: msg.text ?? null,
+        message: msg
+    };
+}
+
+function taskRows(state) {
+    const rows = [];
+    for (const [project, slice] of Object.entries(state.projectState || {})) {
+        for (const t of slice.executionPlan?.tasks || []) {
+            rows.push({
+                project,
+                taskId: String(t.id),
+                description: t.description ?? null,
+                status: t.taskStatus || 'pending',
+                platform: t.platform ?? null,
+                task: t
+            });
+        }
+    }
+    return rows;
+}
+
+function sessionRows(state) {
+    return Object.entries(state.projectState || {}).map(([project, slice]) => ({
+        project,
+        backend: slice.backend ?? null,
+        model: slice.model ?? null,
+        sessionId: slice.kiloSessionId ?? null,
+        startedAt: slice.kiloSessionStartedAt ?? null,
+        historyFile: slice.historyFile ?? null
+    }));
+}
+
+/**
+ * @typedef {object} MessageQuery
+ * @property {'inbox'|'outbox'} box
+ * @property {boolean} [pending]  - only unread (inbox) / unsent (outbox)
+ * @property {number|string} [chatId]
+ * @property {number} [threadId]
+ * @property {string} [project]
+ * @property {string} [since]     - ISO timestamp, inclusive
+ * @property {number} [limit]     - newest N, still returned oldest first
+ */
+function matchesMessage(row, q) {
+    if (q.pending !== undefined && row.done === q.pending) return false;
+    if (q.chatId !== undefined && row.chatId !== String(q.chatId)) return false;
+    if (q.threadId !== undefined && row.threadId !== q.threadId) return false;
+    if (q.project !== undefined && row.project !== q.project) return false;
+    if (q.since !== undefined && !(row.timestamp >= q.since)) return false;
+    return true;
+}
+
+export {
+    SHARED_DOCS, MESSAGE_BOXES, sharedDocName, docFile,
+    readJsonFile, writeJsonFile,
+    messageRow, taskRows, sessionRows, matchesMessage
+};
@@ -0,0 +1,58 @@
+// ============================================================================
+// storage/index.js — Pluggable storage for the shared .gemini documents
+// ============================================================================
+// The bot, watcher and hooks share four documents: state.json, wa_inbox.json,
+// wa_outbox.json and wa_dispatch.json. Storage keeps addressing them by file
+// path, so readJsonSafe/atomicWrite/updateJson in helpers.js keep their
+// signatures while the bytes can live elsewhere:
+//
+//   json   — the files themselves (default; what the watcher reads with jq)
+//   sqlite — .gemini/wa_bridge.db with indexed messages, tasks and sessions
+//
+// Choose with WA_STORAGE in .env. Shell scripts go through json_lock.sh,
+// which calls store_cli.js when the backend is not json. Locks and _rev
+// counters (filelock.js, helpers.js) work the same on both backends.
+// Switch an existing install with migrate_storage.js.
+//
+// Backend interface:
+//   read(file, fallback)  write(file, doc)  exists(file)  remove(file)
+//   queryMessages({ box, pending, chatId, threadId, project, since, limit })
+//   queryTasks({ project, status })  querySessions({ project, backend })
+//   close()
+// ============================================================================
+
+import { createRequire } from 'module';
+import { JsonStorage } from './json.js';
+import { SqliteStorage, DB_FILENAME } from './sqlite.js';
+import { SHARED_DOCS, sharedDocName, readJsonFile, writeJsonFile } from './documents.js';
+
+const STORAGE_KINDS = ['json', 'sqlite'];
+
+/**
+ * Open a storage backend over a .gemini directory. better-sqlite3 is an
+ * optional dependency and is only loaded for the sqlite backend.
+ *
+ * @param {string} kind - 'json' | 'sqlite'
+ * @param {string} dir  - directory holding the shared documents
+ */
+function openStorage(kind, dir) {
+    if (!STORAGE_KINDS.includes(kind)) {
+        throw new Error(`Unknown WA_STORAGE "${kind}" (expected: ${STORAGE_KINDS.join(', ')})`);
+    }
+    const files = new JsonStorage(dir);
+    if (kind === 'json') return files;
+
+    let Database;
+    try {
+        Database = createRequire(import.meta.url)('better-sqlite3');
+    } catch {
+        throw new Error('WA_STORAGE=sqlite needs better-sqlite3 — run "npm install" in scripts/bot');
+    }
+    return new SqliteStorage(Database, dir, files);
+}
+
+export {
+    STORAGE_KINDS, DB_FILENAME, SHARED_DOCS,
+    openStorage, sharedDocName, readJsonFile, writeJsonFile,
+    JsonStorage, SqliteStorage
+};
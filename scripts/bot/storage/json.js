@@ -0,0 +1,52 @@
+// ============================================================================
+// storage/json.js — JSON file backend (default)
+// ============================================================================
+// Every document is its own file, exactly the format the watcher and hooks
+// read with jq. Queries scan the file; there is no index.
+// ============================================================================
+
+import { existsSync, unlinkSync } from 'fs';
+import { resolve } from 'path';
+import {
+    docFile, readJsonFile, writeJsonFile,
+    messageRow, taskRows, sessionRows, matchesMessage
+} from './documents.js';
+
+class JsonStorage {
+    constructor(dir) {
+        this.kind = 'json';
+        this.dir = resolve(dir);
+    }
+
+    read(filePath, fallback) { return readJsonFile(filePath, fallback); }
+    write(filePath, data) { writeJsonFile(filePath, data); }
+    exists(filePath) { return existsSync(filePath); }
+
+    remove(filePath) {
+        try { unlinkSync(filePath); } catch { /* already gone */ }
+    }
+
+    /** @param {import('./documents.js').MessageQuery} q */
+    queryMessages(q) {
+        const rows = (readJsonFile(docFile(this.dir, q.box), {}).messages || [])
+            .map((m, i) => messageRow(q.box, m, i))
+            .filter(r => matchesMessage(r, q));
+        return q.limit ? rows.slice(-q.limit) : rows;
+    }
+
+    queryTasks({ project, status } = {}) {
+        return taskRows(readJsonFile(docFile(this.dir, 'state'), {}))
+            .filter(r => (project === undefined || r.project === project)
+                && (status === undefined || r.status === status));
+    }
+
+    querySessions({ project, backend } = {}) {
+        return sessionRows(readJsonFile(docFile(this.dir, 'state'), {}))
+            .filter(r => (project === undefined || r.project === project)
+                && (backend === undefined || r.backend === backend));
+    }
+
+    close() { }
+}
+
+export { JsonStorage };
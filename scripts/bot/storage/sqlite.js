@@ -0,0 +1,241 @@
+// ============================================================================
+// storage/sqlite.js — SQLite backend (.gemini/wa_bridge.db)
+// ============================================================================
+// Documents are stored as JSON in `documents`, except that inbox and outbox
+// messages live one row each in `messages`, and state.json is additionally
+// indexed into `tasks` (execution plan tasks per project) and `sessions`
+// (backend/model/Kilo session per project). A document write runs in one
+// transaction, so readers never see half of it. Message rows are keyed by
+// position and only the ones that changed are written: appending a reply or
+// marking one read touches a single row, not the whole box.
+//
+// better-sqlite3 is passed in by openStorage() — this module itself has no
+// dependency on it. WAL mode lets the watcher's store_cli.js read while the
+// bot writes; writers are still serialised by the file locks in filelock.js.
+// ============================================================================
+
+import { mkdirSync } from 'fs';
+import { resolve } from 'path';
+import {
+    MESSAGE_BOXES, sharedDocName, messageRow, taskRows, sessionRows
+} from './documents.js';
+
+const DB_FILENAME = 'wa_bridge.db';
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS documents (
+    name        TEXT PRIMARY KEY,
+    body        TEXT NOT NULL,
+    updated_at  TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS messages (
+    box         TEXT NOT NULL,
+    seq         INTEGER NOT NULL,
+    id          TEXT,
+    chat_id     TEXT,
+    thread_id   INTEGER,
+    project     TEXT,
+    timestamp   TEXT,
+    done        INTEGER NOT NULL,
+    body        TEXT NOT NULL,
+    PRIMARY KEY (box, seq)
+);
+CREATE INDEX IF NOT EXISTS messages_pending ON messages (box, done);
+CREATE INDEX IF NOT EXISTS messages_origin ON messages (chat_id, thread_id);
+CREATE INDEX IF NOT EXISTS messages_project ON messages (project);
+CREATE INDEX IF NOT EXISTS messages_time ON messages (timestamp);
+CREATE TABLE IF NOT EXISTS tasks (
+    project     TEXT NOT NULL,
+    seq         INTEGER NOT NULL,
+    task_id     TEXT NOT NULL,
+    description TEXT,
+    status      TEXT NOT NULL,
+    platform    TEXT,
+    body        TEXT NOT NULL,
+    PRIMARY KEY (project, seq)
+);
+CREATE INDEX IF NOT EXISTS tasks_status ON tasks (status);
+CREATE TABLE IF NOT EXISTS sessions (
+    project      TEXT PRIMARY KEY,
+    backend      TEXT,
+    model        TEXT,
+    session_id   TEXT,
+    started_at   TEXT,
+    history_file TEXT
+);
+CREATE INDEX IF NOT EXISTS sessions_backend ON sessions (backend);
+`;
+
+class SqliteStorage {
+    #db;
+    #files;
+    #sql;
+    #readDoc;
+    #writeDoc;
+
+    /**
+     * @param {Function} Database - better-sqlite3 constructor
+     * @param {string} dir        - .gemini directory; the database lives here
+     * @param {object} files      - JsonStorage for paths that are not shared docs
+     */
+    constructor(Database, dir, files) {
+        this.kind = 'sqlite';
+        this.dir = resolve(dir);
+        this.path = resolve(this.dir, DB_FILENAME);
+        mkdirSync(this.dir, { recursive: true });
+
+        this.#files = files;
+        this.#db = new Database(this.path, { timeout: 5000 });
+        this.#db.pragma('journal_mode = WAL');
+        // Version 1 keyed tasks by (project, task_id), so duplicate ids
+        // replaced each other; the table is rebuilt from state below
+        const version = this.#db.pragma('user_version', { simple: true });
+        if (version < 2) this.#db.exec('DROP TABLE IF EXISTS tasks');
+        this.#db.exec(SCHEMA);
+        this.#db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+        const db = this.#db;
+        this.#sql = {
+            getDoc: db.prepare('SELECT body FROM documents WHERE name = ?'),
+            putDoc: db.prepare(`INSERT INTO documents (name, body, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`),
+            delDoc: db.prepare('DELETE FROM documents WHERE name = ?'),
+            getMessages: db.prepare('SELECT seq, body FROM messages WHERE box = ? ORDER BY seq'),
+            delMessages: db.prepare('DELETE FROM messages WHERE box = ?'),
+            trimMessages: db.prepare('DELETE FROM messages WHERE box = ? AND seq >= ?'),
+            putMessage: db.prepare(`INSERT INTO messages
+                (box, seq, id, chat_id, thread_id, project, timestamp, done, body)
+                VALUES (@box, @seq, @id, @chatId, @threadId, @project, @timestamp, @done, @body)
+                ON CONFLICT(box, seq) DO UPDATE SET id = excluded.id, chat_id = excluded.chat_id,
+                    thread_id = excluded.thread_id, project = excluded.project, timestamp = excluded.timestamp,
+                    done = excluded.done, body = excluded.body`),
+            delTasks: db.prepare('DELETE FROM tasks'),
+            putTask: db.prepare(`INSERT INTO tasks
+                (project, seq, task_id, description, status, platform, body)
+                VALUES (@project, @seq, @taskId, @description, @status, @platform, @body)`),
+            delSessions: db.prepare('DELETE FROM sessions'),
+            putSession: db.prepare(`INSERT INTO sessions
+                (project, backend, model, session_id, started_at, history_file)
+                VALUES (@project, @backend, @model, @sessionId, @startedAt, @historyFile)`)
+        };
+
+        // Transactions give readers a consistent envelope + messages snapshot
+        this.#readDoc = db.transaction(name => this.#load(name));
+        this.#writeDoc = db.transaction((name, data) => this.#store(name, data));
+        if (version === 1) db.transaction(() => this.#indexTasks(this.#load('state') || {}))();
+    }
+
+    // One row per plan task, in plan order — ids are not unique
+    #indexTasks(state) {
+        this.#sql.delTasks.run();
+        const seqs = {};
+        for (const { task, ...row } of taskRows(state)) {
+            seqs[row.project] = (seqs[row.project] ?? -1) + 1;
+            this.#sql.putTask.run({ ...row, seq: seqs[row.project], body: JSON.stringify(task) });
+        }
+    }
+
+    #load(name) {
+        const row = this.#sql.getDoc.get(name);
+        if (!row) return undefined;
+        const doc = JSON.parse(row.body);
+        if (MESSAGE_BOXES[name]) {
+            doc.messages = this.#sql.getMessages.all(name).map(m => JSON.parse(m.body));
+        }
+        return doc;
+    }
+
+    #store(name, data) {
+        let envelope = data;
+        if (MESSAGE_BOXES[name]) {
+            const { messages = [], ...rest } = data;
+            envelope = rest;
+            const stored = new Map(this.#sql.getMessages.all(name).map(r => [r.seq, r.body]));
+            messages.forEach((msg, seq) => {
+                const body = JSON.stringify(msg);
+                if (stored.get(seq) === body) return;
+                const row = messageRow(name, msg, seq);
+                this.#sql.putMessage.run({ ...row, done: row.done ? 1 : 0, body });
+            });
+            this.#sql.trimMessages.run(name, messages.length);
+        }
+        if (name === 'state') {
+            this.#indexTasks(data);
+            this.#sql.delSessions.run();
+            for (const row of sessionRows(data)) this.#sql.putSession.run(row);
+        }
+        this.#sql.putDoc.run(name, JSON.stringify(envelope), new Date().toISOString());
+    }
+
+    read(filePath, fallback) {
+        const name = sharedDocName(filePath, this.dir);
+        if (!name) return this.#files.read(filePath, fallback);
+        return this.#readDoc(name) ?? fallback;
+    }
+
+    write(filePath, data) {
+        const name = sharedDocName(filePath, this.dir);
+        if (!name) return this.#files.write(filePath, data);
+        this.#writeDoc(name, data);
+    }
+
+    exists(filePath) {
+        const name = sharedDocName(filePath, this.dir);
+        if (!name) return this.#files.exists(filePath);
+        return Boolean(this.#sql.getDoc.get(name));
+    }
+
+    remove(filePath) {
+        const name = sharedDocName(filePath, this.dir);
+        if (!name) return this.#files.remove(filePath);
+        this.#db.transaction(() => {
+            this.#sql.delDoc.run(name);
+            if (MESSAGE_BOXES[name]) this.#sql.delMessages.run(name);
+        })();
+    }
+
+    /** @param {import('./documents.js').MessageQuery} q */
+    queryMessages(q) {
+        const where = ['box = @box'];
+        const params = { box: q.box };
+        if (q.pending !== undefined) { where.push('done = @done'); params.done = q.pending ? 0 : 1; }
+        if (q.chatId !== undefined) { where.push('chat_id = @chatId'); params.chatId = String(q.chatId); }
+        if (q.threadId !== undefined) { where.push('thread_id = @threadId'); params.threadId = q.threadId; }
+        if (q.project !== undefined) { where.push('project = @project'); params.project = q.project; }
+        if (q.since !== undefined) { where.push('timestamp >= @since'); params.since = q.since; }
+        const limit = q.limit ? ` LIMIT ${Number(q.limit)}` : '';
+        return this.#db
+            .prepare(`SELECT seq, body FROM messages WHERE ${where.join(' AND ')} ORDER BY seq DESC${limit}`)
+            .all(params)
+            .reverse()
+            .map(r => messageRow(q.box, JSON.parse(r.body), r.seq));
+    }
+
+    queryTasks({ project, status } = {}) {
+        const where = ['1 = 1'];
+        if (project !== undefined) where.push('project = @project');
+        if (status !== undefined) where.push('status = @status');
+        return this.#db
+            .prepare(`SELECT project, task_id AS taskId, description, status, platform, body FROM tasks
+                WHERE ${where.join(' AND ')} ORDER BY project, seq`)
+            .all({ project, status })
+            .map(({ body, ...row }) => ({ ...row, task: JSON.parse(body) }));
+    }
+
+    querySessions({ project, backend } = {}) {
+        const where = ['1 = 1'];
+        if (project !== undefined) where.push('project = @project');
+        if (backend !== undefined) where.push('backend = @backend');
+        return this.#db
+            .prepare(`SELECT project, backend, model, session_id AS sessionId, started_at AS startedAt,
+                history_file AS historyFile FROM sessions WHERE ${where.join(' AND ')} ORDER BY rowid`)
+            .all({ project, backend });
+    }
+
+    close() {
+        this.#db.close();
+    }
+}
+
+export { SqliteStorage, DB_FILENAME, SCHEMA_VERSION };
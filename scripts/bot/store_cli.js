@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// ============================================================================
+// store_cli.js — Shell access to the shared documents on any storage backend
+// ============================================================================
+// json_lock.sh calls this when WA_STORAGE is not json, so watcher.sh,
+// watchdog.sh and the hooks keep piping JSON through jq:
+//
+//   node store_cli.js read   <file>   — print the document (exit 1 if missing)
+//   node store_cli.js write  <file>   — replace it with JSON from stdin
+//   node store_cli.js exists <file>   — exit 0 if present, 1 if not
+//   node store_cli.js remove <file>
+//
+// <file> is the usual .gemini/*.json path; the backend is opened over its
+// directory. Callers hold the file lock (json_lock) around read → write.
+// ============================================================================
+
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { openStorage } from './storage/index.js';
+
+const USAGE = 'Usage: store_cli.js read|write|exists|remove <file>';
+
+function main([command, file]) {
+    if (!command || !file) {
+        console.error(USAGE);
+        return 2;
+    }
+    const filePath = resolve(file);
+    const storage = openStorage(process.env.WA_STORAGE || 'json', dirname(filePath));
+    try {
+        switch (command) {
+            case 'read': {
+                const doc = storage.read(filePath, null);
+                if (doc === null) return 1;
+                process.stdout.write(JSON.stringify(doc, null, 2) + '\n');
+                return 0;
+            }
+            case 'write':
+                storage.write(filePath, JSON.parse(readFileSync(0, 'utf8')));
+                return 0;
+            case 'exists':
+                return storage.exists(filePath) ? 0 : 1;
+            case 'remove':
+                storage.remove(filePath);
+                return 0;
+            default:
+                console.error(USAGE);
+                return 2;
+        }
+    } finally {
+        storage.close();
+    }
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    console.error(`store_cli: ${err.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,65 @@
+// ============================================================================
+// stt/index.js — Pluggable speech-to-text for voice notes (voice.js)
+// ============================================================================
+// Providers turn an audio file into text:
+//
+//   whisper — a local whisper-style binary (default; see stt/whisper.js)
+//   openai  — an OpenAI-compatible /audio/transcriptions API (stt/openai.js)
+//
+// Choose with STT_PROVIDER in .env. Another provider is one class with a
+// name and transcribe(), added with registerSttProvider().
+//
+// Provider interface:
+//   name                      — shown in logs and errors
+//   transcribe(file) → text   — Promise; rejects with a readable Error
+// ============================================================================
+
+import { WhisperCliProvider, DEFAULT_COMMAND } from './whisper.js';
+import { OpenAiProvider } from './openai.js';
+
+const STT_PROVIDERS = {
+    whisper: config => new WhisperCliProvider(config),
+    openai: config => new OpenAiProvider(config)
+};
+
+const TIMEOUT_SECONDS_DEFAULT = 120;
+
+/**
+ * @param {string} name
+ * @param {(config: object) => { name: string, transcribe: (file: string) => Promise<string> }} factory
+ */
+function registerSttProvider(name, factory) {
+    STT_PROVIDERS[name] = factory;
+}
+
+/**
+ * Speech-to-text settings from the environment.
+ */
+function loadSttConfig(env = process.env) {
+    const timeout = env.STT_TIMEOUT_SECONDS;
+    if (timeout !== undefined && timeout !== '' && !/^[1-9]\d*$/.test(String(timeout).trim())) {
+        throw new Error(`STT_TIMEOUT_SECONDS must be a positive integer (got "${timeout}")`);
+    }
+    return {
+        provider: (env.STT_PROVIDER || 'whisper').trim(),
+        command: env.STT_COMMAND || undefined,
+        language: env.STT_LANGUAGE || undefined,
+        apiUrl: env.STT_API_URL || undefined,
+        apiKey: env.STT_API_KEY || env.OPENAI_API_KEY || undefined,
+        model: env.STT_MODEL || undefined,
+        timeoutMs: (timeout ? parseInt(timeout, 10) : TIMEOUT_SECONDS_DEFAULT) * 1000
+    };
+}
+
+function openStt(config = loadSttConfig()) {
+    const factory = STT_PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown STT_PROVIDER "${config.provider}" (expected: ${Object.keys(STT_PROVIDERS).join(', ')})`);
+    }
+    return factory(config);
+}
+
+export {
+    STT_PROVIDERS, DEFAULT_COMMAND, registerSttProvider, loadSttConfig, openStt,
+    WhisperCliProvider, OpenAiProvider
+};
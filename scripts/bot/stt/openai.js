@@ -0,0 +1,48 @@
+// ============================================================================
+// stt/openai.js — Speech-to-text through an OpenAI-compatible HTTP API
+// ============================================================================
+// POSTs the audio to <STT_API_URL>/audio/transcriptions (default: OpenAI)
+// with STT_API_KEY, falling back to OPENAI_API_KEY. Works with any server
+// that speaks the same API, e.g. a self-hosted faster-whisper.
+// ============================================================================
+
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'whisper-1';
+
+class OpenAiProvider {
+    /**
+     * @param {{ apiUrl?: string, apiKey?: string, model?: string, language?: string, timeoutMs: number }} config
+     */
+    constructor({ apiUrl, apiKey, model, language, timeoutMs }) {
+        this.name = 'openai';
+        this.url = `${(apiUrl || DEFAULT_API_URL).replace(/\/+$/, '')}/audio/transcriptions`;
+        this.apiKey = apiKey;
+        this.model = model || DEFAULT_MODEL;
+        this.language = language;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async transcribe(file) {
+        if (!this.apiKey) throw new Error('STT_PROVIDER=openai needs STT_API_KEY or OPENAI_API_KEY');
+        const form = new FormData();
+        form.append('file', new Blob([readFileSync(file)]), basename(file));
+        form.append('model', this.model);
+        form.append('response_format', 'text');
+        if (this.language) form.append('language', this.language);
+
+        const res = await fetch(this.url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${this.apiKey}` },
+            body: form,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        const body = await res.text();
+        if (!res.ok) throw new Error(`HTTP ${res.status}: ${body.substring(0, 200)}`);
+        return body.trim();
+    }
+}
+
+export { OpenAiProvider };
@@ -0,0 +1,76 @@
+// ============================================================================
+// stt/whisper.js — Speech-to-text through a local whisper-style binary
+// ============================================================================
+// STT_COMMAND is a command template, split on spaces and run without a shell.
+// Placeholders are replaced per argument:
+//
+//   {file}      the downloaded audio file
+//   {outdir}    an empty scratch directory
+//   {language}  STT_LANGUAGE (arguments that use it are dropped when unset)
+//
+// When the template uses {outdir}, the transcript is the .txt file the
+// binary wrote there (openai-whisper, whisper.cpp -otxt). Otherwise it is
+// the binary's stdout.
+// ============================================================================
+
+import { execFile } from 'child_process';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const DEFAULT_COMMAND = 'whisper {file} --model base --output_format txt --output_dir {outdir} --language {language}';
+
+function runBinary(argv, timeoutMs) {
+    return new Promise((resolvePromise, reject) => {
+        execFile(argv[0], argv.slice(1), { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+                const detail = err.code === 'ENOENT'
+                    ? `${argv[0]} not found — install it or set STT_COMMAND`
+                    : err.killed ? `timed out after ${timeoutMs / 1000}s` : (stderr.trim().split('\n').pop() || err.message);
+                reject(new Error(detail));
+            } else {
+                resolvePromise(stdout);
+            }
+        });
+    });
+}
+
+class WhisperCliProvider {
+    /**
+     * @param {{ command?: string, language?: string, timeoutMs: number }} config
+     */
+    constructor({ command, language, timeoutMs }) {
+        this.name = 'whisper';
+        this.template = (command || DEFAULT_COMMAND).trim().split(/\s+/);
+        this.language = language || '';
+        this.timeoutMs = timeoutMs;
+    }
+
+    /** Arguments for one run; a {language} option and its flag drop out when unset. */
+    argv(file, outdir) {
+        const argv = [];
+        for (const arg of this.template) {
+            if (arg.includes('{language}') && !this.language) {
+                if (argv.length && argv[argv.length - 1].startsWith('-')) argv.pop();
+                continue;
+            }
+            argv.push(arg.replaceAll('{file}', file).replaceAll('{outdir}', outdir).replaceAll('{language}', this.language));
+        }
+        return argv;
+    }
+
+    async transcribe(file) {
+        const outdir = mkdtempSync(join(tmpdir(), 'wa-stt-'));
+        try {
+            const stdout = await runBinary(this.argv(file, outdir), this.timeoutMs);
+            if (!this.template.some(a => a.includes('{outdir}'))) return stdout.trim();
+            const txt = readdirSync(outdir).find(f => f.endsWith('.txt'));
+            if (!txt) throw new Error(`${this.template[0]} wrote no .txt transcript`);
+            return readFileSync(join(outdir, txt), 'utf8').trim();
+        } finally {
+            rmSync(outdir, { recursive: true, force: true });
+        }
+    }
+}
+
+export { WhisperCliProvider, DEFAULT_COMMAND };
@@ -0,0 +1,125 @@
+// ============================================================================
+// task_actions.js — Task statuses of an approved plan: what blocks a task,
+// and 🔁 Retry, ⏭ Skip and ↩️ Re-run
+// ============================================================================
+// A task starts once each of its deps is done. A ❌ failed dep blocks it. A
+// ⏭ skipped dep follows the dispatch's skip policy, taken from
+// DISPATCH_SKIP_POLICY when the plan was approved:
+//   block   — every task depending on it is ⛔ blocked (default)
+//   release — tasks depending on it run as if it were done
+//
+// The actions change a task in wa_dispatch.json and in the project's plan
+// (commands/plan_tasks.js). Blocked tasks are worked out again after each
+// one, so retrying a task releases the tasks that waited on it.
+// ============================================================================
+
+import { planDag } from './plan_dag.js';
+
+const SKIP_POLICIES = ['block', 'release'];
+
+// from: statuses the action applies to; done: how the reply words it
+const TASK_ACTIONS = {
+    retry: { from: ['error', 'blocked'], to: 'pending', done: 'retried' },
+    skip: { from: ['pending', 'error', 'blocked'], to: 'skipped', done: 'skipped' },
+    rerun: { from: ['done', 'skipped'], to: 'pending', done: 're-run' }
+};
+
+const TASKS_BUTTON = { text: '🔧 Tasks', callback_data: 'ep_tasks' };
+
+/**
+ * What ⏭ Skip does to the tasks depending on the skipped one.
+ *
+ * @returns {'block'|'release'}
+ */
+function loadSkipPolicy(env = process.env) {
+    const value = (env.DISPATCH_SKIP_POLICY || '').trim();
+    if (!value) return 'block';
+    if (!SKIP_POLICIES.includes(value)) {
+        throw new Error(`DISPATCH_SKIP_POLICY must be one of ${SKIP_POLICIES.join(', ')} (got "${value}")`);
+    }
+    return value;
+}
+
+function taskStatus(task) {
+    return task.taskStatus || 'pending';
+}
+
+// Whether a dep lets the tasks depending on it start; undefined for unknown ids
+function depDone(task, skipPolicy = 'block') {
+    return task?.taskStatus === 'done' || (skipPolicy === 'release' && task?.taskStatus === 'skipped');
+}
+
+/**
+ * Pending tasks that can never run: a dep failed, was blocked itself or —
+ * under the "block" policy — was skipped.
+ *
+ * @returns {Map<number, string>} task id → reason
+ */
+function blockedTasks(tasks, skipPolicy = 'block') {
+    const dag = planDag(tasks);
+    const blocked = new Map();
+    const visit = (id, reason) => {
+        for (const next of dag.get(id)?.dependents || []) {
+            if (taskStatus(dag.get(next).task) !== 'pending' || blocked.has(next)) continue;
+            blocked.set(next, reason);
+            visit(next, reason);
+        }
+    };
+    for (const task of tasks) {
+        if (['error', 'blocked'].includes(taskStatus(task))) visit(task.id, `Waits on task ${task.id}, which did not complete`);
+        if (taskStatus(task) === 'skipped' && skipPolicy === 'block') visit(task.id, `Waits on task ${task.id}, which was skipped`);
+    }
+    return blocked;
+}
+
+/**
+ * Retry, skip or re-run one task, then work out the blocked tasks again.
+ * Retried and re-run tasks count an attempt, so a parallel run gives them a
+ * fresh branch (dispatch.js).
+ *
+ * @param {object[]} tasks - changed in place
+ * @param {'retry'|'skip'|'rerun'} action
+ * @param {{ model?: string, skipPolicy?: string }} [opts] - model: retry on another model
+ * @returns {boolean} false if the task is missing or its status doesn't allow the action
+ */
+function applyTaskAction(tasks, id, action, { model, skipPolicy = 'block' } = {}) {
+    const task = tasks.find(t => t.id === id);
+    if (!task || !TASK_ACTIONS[action]?.from.includes(taskStatus(task))) return false;
+    task.taskStatus = TASK_ACTIONS[action].to;
+    delete task.error;
+    if (model) task.model = model;
+    if (action !== 'skip') task.attempt = (task.attempt || 1) + 1;
+
+    for (const t of tasks) {
+        if (taskStatus(t) !== 'blocked') continue;
+        t.taskStatus = 'pending';
+        delete t.error;
+    }
+    for (const [blockedId, reason] of blockedTasks(tasks, skipPolicy)) {
+        Object.assign(tasks.find(t => t.id === blockedId), { taskStatus: 'blocked', error: reason });
+    }
+    return true;
+}
+
+/**
+ * Action buttons for a task, by its status: 🔁 Retry, 🔀 Other model and
+ * ⏭ Skip for a failed or blocked task, ⏭ Skip for one still to run, ↩️ Re-run
+ * once it is done or skipped. Empty while it runs.
+ *
+ * @returns {object[]} one keyboard row
+ */
+function taskActionRow(task) {
+    const status = taskStatus(task);
+    const row = [];
+    if (TASK_ACTIONS.retry.from.includes(status)) {
+        row.push({ text: '🔁 Retry', callback_data: `ep_retry:${task.id}` }, { text: '🔀 Other model', callback_data: `ep_retry_pick:${task.id}` });
+    }
+    if (TASK_ACTIONS.skip.from.includes(status)) row.push({ text: '⏭ Skip', callback_data: `ep_skip:${task.id}` });
+    if (TASK_ACTIONS.rerun.from.includes(status)) row.push({ text: '↩️ Re-run', callback_data: `ep_rerun:${task.id}` });
+    return row;
+}
+
+export {
+    SKIP_POLICIES, TASK_ACTIONS, TASKS_BUTTON,
+    loadSkipPolicy, depDone, blockedTasks, applyTaskAction, taskActionRow
+};
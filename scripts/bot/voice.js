@@ -0,0 +1,132 @@
+// ============================================================================
+// voice.js — Voice notes and audio → transcript → inbox
+// ============================================================================
+// A voice note (or audio file) from an operator is downloaded and transcribed
+// with the configured speech-to-text provider (stt/index.js). The transcript
+// is held and echoed back with three buttons, so a misheard word never
+// reaches the agent:
+//
+//   ✅ Send    — writes it to the inbox exactly like a typed message (with
+//               the usual ✏️ Edit / 🗑 Cancel from message_edits.js)
+//   ✏️ Edit    — asks for the corrected text, then offers it again
+//   🗑 Discard — drops it
+//
+// Nothing is held when the transcript is empty or fails. Held transcripts
+// live in memory — a restart drops them.
+// ============================================================================
+
+import { mkdtempSync, rmSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { editKeyboard } from './message_edits.js';
+
+// Bot API downloads are capped at 20 MB
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_DRAFTS = 100;
+const EXPIRED = '⌛ This transcript is no longer held — send the voice note again.';
+
+function draftKeyboard(token) {
+    return { inline_keyboard: [[
+        { text: '✅ Send', callback_data: `vc:send:${token}` },
+        { text: '✏️ Edit', callback_data: `vc:edit:${token}` },
+        { text: '🗑 Discard', callback_data: `vc:drop:${token}` }
+    ]] };
+}
+
+/**
+ * Hold transcripts until the sender confirms them, and register the vc:
+ * buttons. ✏️ Edit asks through message_edits.js (ctx.edits.ask).
+ *
+ * @param {{ reply: Function, inbox: object, inboxOrigin: Function, getState: Function, onCallback: Function, edits: object }} ctx
+ * @returns {{ hold: Function, drafts: Map }}
+ */
+function createVoiceDrafts(bot, ctx) {
+    const { reply, inbox, inboxOrigin, getState, onCallback, edits } = ctx;
+    const drafts = new Map(); // token → { text, origin }
+
+    function offer(msg, heading, token) {
+        return reply(msg, `${heading}\n${drafts.get(token).text}`, { reply_markup: draftKeyboard(token) });
+    }
+
+    onCallback('vc:', async (query) => {
+        const [, action, token] = query.data.split(':');
+        const { chat, message_id: messageId } = query.message;
+        const draft = drafts.get(token);
+        const close = (text, opts = {}) => bot.editMessageText(text, { chat_id: chat.id, message_id: messageId, ...opts });
+        if (!draft) {
+            await bot.answerCallbackQuery(query.id, { text: '⌛ Expired' });
+            await close(EXPIRED);
+            return;
+        }
+        if (action === 'edit') {
+            const threadId = query.message.is_topic_message && query.message.message_thread_id;
+            await edits.ask(chat.id, threadId, `✏️ Reply to this message with the corrected transcript:\n${draft.text}`, async (msg, text) => {
+                if (!drafts.has(token)) return reply(msg, EXPIRED);
+                if (!text) return reply(msg, '❌ The transcript cannot be empty — reply with text or press 🗑 Discard.');
+                drafts.get(token).text = text;
+                await offer(msg, '🎙️ Corrected:', token);
+            });
+            await bot.answerCallbackQuery(query.id, { text: '✏️ Send the corrected text' });
+            return;
+        }
+        drafts.delete(token);
+        if (action === 'drop') {
+            await bot.answerCallbackQuery(query.id, { text: '🗑 Discarded' });
+            await close(`🎙️ Heard:\n${draft.text}\n🗑 Discarded — nothing was sent.`);
+            return;
+        }
+        const entry = await inbox.chat(draft.text, draft.origin);
+        await bot.answerCallbackQuery(query.id, { text: '✅ Sent' });
+        await close(`🎙️ Sent to the agent:\n${draft.text}`, { reply_markup: editKeyboard(entry) });
+        console.log(`🎙️ ${new Date().toISOString()} | Relayed transcript to inbox: ${draft.text.substring(0, 50)}`);
+    }, { role: 'operator' });
+
+    return {
+        drafts,
+
+        /** Hold a transcript for msg's chat and ask whether to send it. */
+        hold(msg, text) {
+            const token = randomBytes(4).toString('hex');
+            drafts.set(token, { text, origin: inboxOrigin(msg, getState()) });
+            if (drafts.size > MAX_DRAFTS) drafts.delete(drafts.keys().next().value);
+            return offer(msg, '🎙️ Heard:', token);
+        }
+    };
+}
+
+/**
+ * Transcribe one voice/audio message and hold the text for confirmation.
+ *
+ * @param {() => { name: string, transcribe: (file: string) => Promise<string> }} getStt
+ * @param {{ hold: Function }} drafts - from createVoiceDrafts
+ * @returns {Promise<string|null>} the held transcript
+ */
+async function relayVoice(bot, ctx, msg, getStt, drafts) {
+    const { reply } = ctx;
+    const media = msg.voice || msg.audio;
+    if (media.file_size > MAX_DOWNLOAD_BYTES) {
+        await reply(msg, '❌ Audio is too large to download (20 MB limit).');
+        return null;
+    }
+
+    const dir = mkdtempSync(join(tmpdir(), 'wa-voice-'));
+    try {
+        const file = await bot.downloadFile(media.file_id, dir);
+        const text = (await getStt().transcribe(file)).trim();
+        if (!text) {
+            await reply(msg, '🎙️ No speech recognised — nothing was sent.');
+            return null;
+        }
+        await drafts.hold(msg, text);
+        return text;
+    } catch (err) {
+        console.error(`Transcription error: ${err.message}`);
+        await reply(msg, `❌ Could not transcribe: ${err.message}`);
+        return null;
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+export { MAX_DOWNLOAD_BYTES, draftKeyboard, createVoiceDrafts, relayVoice };
@@ -27,6 +27,10 @@ DEBUG_FILE="$HOOK_DIR/after_agent_debug.json"
 OUTBOX="$HOOK_DIR/wa_outbox.json"
 INBOX="$HOOK_DIR/wa_inbox.json"
 STOP_FLAG="$HOOK_DIR/wa_stop_signal"
+BATCH_ORIGIN="${HOOK_BATCH_ORIGIN:-null}" # set by watcher.sh, see before_agent_wa.sh
+
+# Locked, revisioned writes shared with the bot and watcher
+source "$(cd "$(dirname "$0")" && pwd)/../json_lock.sh"
 
 # Read full stdin payload
 INPUT=$(cat)
@@ -45,19 +49,15 @@ RESPONSE=$(echo "$INPUT" | jq -r '
 # (thinking traces + tool calls + final answer). The actual response is at the end.
 SUMMARY=$(echo "$RESPONSE" | tail -c 1500)
 TIMESTAMP=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
-MSG_ID="resp_$(date +%s)"
+MSG_ID="resp_$(date +%s)_$$"
 
 echo "[wa-bridge] Writing response to outbox ($MSG_ID)" >&2
 
-# --- Write to outbox (atomic) ---
-if [ -f "$OUTBOX" ]; then
-  jq --arg id "$MSG_ID" --arg ts "$TIMESTAMP" --arg txt "$SUMMARY" \
-    '.messages += [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false}]' \
-    "$OUTBOX" > "${OUTBOX}.tmp" && mv "${OUTBOX}.tmp" "$OUTBOX"
-else
-  jq -n --arg id "$MSG_ID" --arg ts "$TIMESTAMP" --arg txt "$SUMMARY" \
-    '{"messages": [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false}]}' > "$OUTBOX"
-fi
+# --- Write to outbox (locked append) ---
+json_update "$OUTBOX" \
+  '.messages = ((.messages // []) + [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false}])' \
+  --arg id "$MSG_ID" --arg ts "$TIMESTAMP" --arg txt "$SUMMARY" \
+  || echo "[wa-bridge] ⚠️ Could not write to outbox" >&2
 
 # --- Sprint Mode: check for continuation ---
 
@@ -70,15 +70,19 @@ if [ -f "$STOP_FLAG" ]; then
 fi
 
 # Check inbox for new unread messages
-if [ -f "$INBOX" ] && command -v jq &>/dev/null; then
-  UNREAD=$(jq -r '.messages[]? | select(.read == false) | .text' "$INBOX" 2>/dev/null)
+if command -v jq &>/dev/null && INBOX_DOC=$(json_read "$INBOX" 2>/dev/null); then
+  # Chat and high-priority entries from this batch's origin — the rest wait for their own run
+  UNREAD_IDS=$(echo "$INBOX_DOC" | jq -c --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ"' inbox_live($origin) | map(.id)' 2>/dev/null || echo '[]')
+  UNREAD=$(echo "$INBOX_DOC" | jq -r --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ $INBOX_TEXT_JQ"' inbox_live($origin)[] | inbox_text' 2>/dev/null)
+  STOP_SENT=$(echo "$INBOX_DOC" | jq -r --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ"' inbox_live($origin) | inbox_stop' 2>/dev/null || echo false)
 
   if [ -n "$UNREAD" ]; then
-    # Mark messages as read
-    jq '.messages[] |= (if .read == false then .read = true else . end)' "$INBOX" > "${INBOX}.tmp" && mv "${INBOX}.tmp" "$INBOX"
+    # Mark only the messages we read — newer ones stay unread for the next turn
+    json_update "$INBOX" '.messages[] |= (if (.id as $i | any($ids[]; . == $i)) then .read = true else . end)' \
+      --argjson ids "$UNREAD_IDS" || true
 
-    # Check for STOP in new messages
-    if echo "$UNREAD" | grep -qi "STOP"; then
+    # Check for the /stop command among the new entries
+    if [ "$STOP_SENT" = "true" ]; then
       echo "[wa-bridge] STOP in new messages — ending sprint" >&2
       jq -n '{}'
       exit 0
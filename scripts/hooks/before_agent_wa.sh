@@ -2,8 +2,9 @@
 # ============================================================================
 # BeforeAgent Hook — wa-bridge-inject
 # ============================================================================
-# Reads wa_inbox.json and injects unread messages as additionalContext.
-# Detects STOP signal to halt Sprint Mode.
+# Reads wa_inbox.json and injects queued chat and high-priority entries from
+# the running batch's chat/topic/project (inbox_live) as additionalContext;
+# commands, system prompts and other chats wait for the watcher. Detects STOP signal to halt Sprint Mode.
 #
 # Contract:
 #   stdin:  {"prompt": "..."}
@@ -20,19 +21,28 @@ set -euo pipefail
 BASE_DIR="${HOOK_BRIDGE_DIR:-${GEMINI_PROJECT_DIR:-.}}"
 HOOK_DIR="$BASE_DIR/.gemini"
 INBOX="$HOOK_DIR/wa_inbox.json"
+# Origin of the batch the watcher is running (inbox_origin); only entries from
+# the same chat/topic/project join this session
+BATCH_ORIGIN="${HOOK_BATCH_ORIGIN:-null}"
+
+# Locked, revisioned writes shared with the bot and watcher
+source "$(cd "$(dirname "$0")" && pwd)/../json_lock.sh"
 
 echo "[wa-bridge] BeforeAgent hook fired" >&2
 
 # Check if inbox exists and has unread messages
-if [ -f "$INBOX" ] && command -v jq &>/dev/null; then
-  UNREAD=$(jq -r '.messages[]? | select(.read == false) | .text' "$INBOX" 2>/dev/null)
+if command -v jq &>/dev/null && INBOX_DOC=$(json_read "$INBOX" 2>/dev/null); then
+  UNREAD_IDS=$(echo "$INBOX_DOC" | jq -c --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ"' inbox_live($origin) | map(.id)' 2>/dev/null || echo '[]')
+  UNREAD=$(echo "$INBOX_DOC" | jq -r --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ $INBOX_TEXT_JQ"' inbox_live($origin)[] | inbox_text' 2>/dev/null)
+  STOP_SENT=$(echo "$INBOX_DOC" | jq -r --argjson origin "$BATCH_ORIGIN" "$INBOX_QUEUE_JQ"' inbox_live($origin) | inbox_stop' 2>/dev/null || echo false)
 
   if [ -n "$UNREAD" ]; then
-    # Mark all as read (atomic write)
-    jq '.messages[] |= (if .read == false then .read = true else . end)' "$INBOX" > "${INBOX}.tmp" && mv "${INBOX}.tmp" "$INBOX"
+    # Mark the messages we read (locked — the bot may be appending)
+    json_update "$INBOX" '.messages[] |= (if (.id as $i | any($ids[]; . == $i)) then .read = true else . end)' \
+      --argjson ids "$UNREAD_IDS" || true
 
-    # Detect STOP signal (exact match, case-insensitive)
-    if echo "$UNREAD" | grep -qi "STOP"; then
+    # Detect STOP signal (the /stop command entry, not text that mentions it)
+    if [ "$STOP_SENT" = "true" ]; then
       CONTEXT="⛔ STOP signal received from user. Complete your current action, write a final status update, and halt. Do not start any new tasks."
       # Write a stop flag file for AfterAgent to read
       echo "STOP" > "$HOOK_DIR/wa_stop_signal"
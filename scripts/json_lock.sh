@@ -0,0 +1,203 @@
+#!/usr/bin/env bash
+# ============================================================================
+# json_lock.sh — Locked, revisioned writes to the shared bridge JSON files
+# ============================================================================
+# Sourced by watcher.sh, watchdog.sh and the hooks. Same protocol as
+# bot/filelock.js + updateJson() in bot/helpers.js:
+#
+#   1. mkdir "<file>.lock" (atomic) and write our PID to "<file>.lock/owner"
+#   2. apply a jq filter to the current file and bump its "_rev" counter
+#   3. rename the result into place, then remove the lock directory
+#
+# A lock whose owner process is dead is broken; so is an owner-less lock
+# older than the stale threshold (see bot/filelock.js), after renaming it to
+# a tombstone so only one waiter breaks it (json_lock_break). Applies to
+# state.json, wa_inbox.json, wa_outbox.json and wa_dispatch.json.
+#
+# Read those documents with json_read / json_exists rather than jq on the
+# path: with WA_STORAGE=sqlite they live in .gemini/wa_bridge.db and are
+# reached through bot/store_cli.js (see bot/storage/index.js).
+# ============================================================================
+
+JSON_LOCK_TIMEOUT_SECS="${JSON_LOCK_TIMEOUT_SECS:-10}"
+JSON_LOCK_STALE_SECS=30 # STALE_LOCK_MS in bot/filelock.js
+
+# Storage backend: environment first, then bot/.env, else json files
+JSON_LOCK_LIB_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+if [ -z "${WA_STORAGE:-}" ] && [ -f "$JSON_LOCK_LIB_DIR/bot/.env" ]; then
+    WA_STORAGE=$(sed -n 's/^WA_STORAGE=//p' "$JSON_LOCK_LIB_DIR/bot/.env" | tail -1)
+fi
+export WA_STORAGE="${WA_STORAGE:-json}"
+STORE_CLI="$JSON_LOCK_LIB_DIR/bot/store_cli.js"
+
+# Usage: json_read FILE — print the document; returns 1 if it does not exist
+json_read() {
+    if [ "$WA_STORAGE" = "json" ]; then
+        cat "$1" 2>/dev/null
+    else
+        node "$STORE_CLI" read "$1"
+    fi
+}
+
+# Usage: json_exists FILE
+json_exists() {
+    if [ "$WA_STORAGE" = "json" ]; then
+        [ -f "$1" ]
+    else
+        node "$STORE_CLI" exists "$1"
+    fi
+}
+
+# Usage: json_write FILE < doc — replace the document (caller holds the lock)
+json_write() {
+    if [ "$WA_STORAGE" = "json" ]; then
+        cat > "$1.tmp.$$" && mv "$1.tmp.$$" "$1"
+    else
+        node "$STORE_CLI" write "$1"
+    fi
+}
+
+# Usage: json_lock_age DIR — seconds since DIR was modified (0 if it is gone)
+json_lock_age() {
+    local mtime
+    mtime=$(stat -c %Y "$1" 2>/dev/null || stat -f %m "$1" 2>/dev/null || date +%s)
+    echo $(( $(date +%s) - mtime ))
+}
+
+# Usage: json_lock_stale DIR — whether DIR's owner is dead, or it has none
+# and is older than JSON_LOCK_STALE_SECS
+json_lock_stale() {
+    local owner
+    [ -d "$1" ] || return 1
+    owner=$(cat "$1/owner" 2>/dev/null || echo "")
+    if [ -n "$owner" ]; then
+        ! kill -0 "$owner" 2>/dev/null
+    else
+        [ "$(json_lock_age "$1")" -gt "$JSON_LOCK_STALE_SECS" ]
+    fi
+}
+
+# Usage: json_lock_break LOCK — rename to a tombstone only this process
+# gets, check again there, then remove (same as breakStaleLock in
+# bot/filelock.js). Returns 1 if another waiter or a live writer won.
+json_lock_break() {
+    local tomb="$1.stale.$$.$RANDOM"
+    mv "$1" "$tomb" 2>/dev/null || return 1
+    if ! json_lock_stale "$tomb"; then
+        # mv into an existing dir would nest it: put it back only if still free
+        [ -e "$1" ] || mv "$tomb" "$1" 2>/dev/null || true
+        return 1
+    fi
+    echo "🔓 Breaking stale lock $1" >&2
+    rm -rf "$tomb"
+}
+
+# Usage: json_lock FILE — returns 1 on timeout
+json_lock() {
+    local lock="$1.lock" tries=0 owner
+    local max_tries=$((JSON_LOCK_TIMEOUT_SECS * 20))
+    mkdir -p "$(dirname "$1")"
+    while ! mkdir "$lock" 2>/dev/null; do
+        if json_lock_stale "$lock" && json_lock_break "$lock"; then
+            continue
+        fi
+        owner=$(cat "$lock/owner" 2>/dev/null || echo "")
+        tries=$((tries + 1))
+        if [ "$tries" -ge "$max_tries" ]; then
+            echo "⚠️  Timed out waiting for lock $lock (owner: ${owner:-none})" >&2
+            return 1
+        fi
+        sleep 0.05
+    done
+    echo $$ > "$lock/owner"
+}
+
+# Usage: json_unlock FILE
+json_unlock() {
+    rm -rf "$1.lock"
+}
+
+# For tools that need a real path (the python plan loader). The json backend
+# hands out the file itself; others export a copy and import it back.
+# Usage: work=$(json_checkout FILE); ...edit "$work"...; json_checkin FILE "$work"
+json_checkout() {
+    if [ "$WA_STORAGE" = "json" ]; then
+        echo "$1"
+    else
+        json_read "$1" > "$1.work.$$" 2>/dev/null || echo '{}' > "$1.work.$$"
+        echo "$1.work.$$"
+    fi
+}
+
+json_checkin() {
+    [ "$1" = "$2" ] && return 0
+    json_write "$1" < "$2"
+    local rc=$?
+    rm -f "$2"
+    return "$rc"
+}
+
+# Usage: json_update FILE 'jq filter' [jq args...]
+# Applies the filter under the lock and bumps _rev. A missing file starts
+# as {}. Returns non-zero (file untouched) if the lock or jq fails.
+json_update() {
+    local file="$1" filter="$2" rc=0
+    shift 2
+    json_lock "$file" || return 1
+    { json_read "$file" || echo '{}'; } \
+        | jq "$@" "($filter) | ._rev = ((._rev // 0) + 1)" > "${file}.next.$$" \
+        && json_write "$file" < "${file}.next.$$" || rc=1
+    rm -f "${file}.next.$$"
+    json_unlock "$file"
+    return "$rc"
+}
+
+# Usage: json_remove FILE — delete a shared file without racing a writer
+json_remove() {
+    json_lock "$1" || return 1
+    if [ "$WA_STORAGE" = "json" ]; then rm -f "$1"; else node "$STORE_CLI" remove "$1"; fi
+    json_unlock "$1"
+}
+
+# Release any locks this process still holds (call from trap handlers)
+json_release_own_locks() {
+    local dir="$1" lock
+    for lock in "$dir"/*.json.lock; do
+        [ -d "$lock" ] || continue
+        [ "$(cat "$lock/owner" 2>/dev/null)" = "$$" ] && rm -rf "$lock"
+    done
+    return 0
+}
+
+# jq def: an inbox message as prompt text — the agent message it replies to
+# (with its task/session), the text, then one line per file saved by
+# bot/attachments.js. Usage: jq "$INBOX_TEXT_JQ ... | inbox_text"
+INBOX_TEXT_JQ='
+def reply_source: [(.taskId | select(. != null) | "task \(.)"), (.sessionId | select(.) | "session \(.)")]
+    | if length > 0 then " (\(join(", ")))" else "" end;
+def inbox_text: [(.replyTo | select(.) | "↩️ In reply to\(reply_source): \"\(.text // "" | .[0:500])\"")]
+    + [(.text // "") | select(. != "")]
+    + ((.attachments // []) | map("📎 Attached file: \(.path) (\(.mimeType))")) | join("\n");'
+
+# jq defs: the inbox as a queue (bot/inbox.js) — pending entries by priority,
+# then order; entries without a type are chat. inbox_batch is what the watcher
+# runs next: a command or system entry alone, or the run of chat entries from
+# the head's chat/topic/project. inbox_live($origin) is what a running
+# session picks up between turns: chat entries and high-priority ones (STOP)
+# from the batch's origin (an inbox_origin; null means the queue head's).
+# Entries from other chats, topics or projects wait for the watcher.
+# inbox_stop is whether a list of entries holds the /stop command — read from
+# the entries' fields, never from quoted replies or attachment lines.
+# Usage: jq "$INBOX_QUEUE_JQ ... | inbox_batch"
+INBOX_QUEUE_JQ='
+def inbox_kind: .type // "chat";
+def inbox_rank: {"high": 0, "normal": 1, "low": 2}[.priority // "normal"] // 1;
+def inbox_queue: [.messages[]? | select(.read == false)] | sort_by(inbox_rank, (.order // 0));
+def inbox_origin: [(.chatId // "" | tostring), (.threadId // "" | tostring), (.project // "")];
+def inbox_batch: inbox_queue | if length == 0 then [] else
+    (.[0] | inbox_origin) as $o | map(select(inbox_origin == $o))
+    | if (.[0] | inbox_kind) != "chat" then .[0:1]
+      else .[0:((map(inbox_kind != "chat") | index(true)) // length)] end end;
+def inbox_live($origin): inbox_queue | ($origin // (.[0] // {} | inbox_origin)) as $o
+    | map(select(inbox_origin == $o and (inbox_kind == "chat" or .priority == "high")));
+def inbox_stop: any(.[]; inbox_kind == "command" and .text == "STOP");'
@@ -0,0 +1,118 @@
+#!/usr/bin/env bash
+# ============================================================================
+# progress.sh — Live agent progress events for the bot (bot/progress.js)
+# ============================================================================
+# Sourced by watcher.sh. run_agent brackets each CLI run with progress_begin /
+# progress_finish; in between, a background follower tails the agent's stdout
+# and appends one JSON line per change to .gemini/wa_progress.jsonl:
+#
+#   {"run":"run_…","ts":"…","type":"start","label":"🧠 Running …","chatId":…,"threadId":…}
+#   {"run":"run_…","ts":"…","type":"tool","text":"bash: npm test"}
+#   {"run":"run_…","ts":"…","type":"output","text":"last output line"}
+#   {"run":"run_…","ts":"…","type":"end","exitCode":0}
+#
+# The watcher is the only writer and only appends, so the file needs no lock
+# and is a plain file on every storage backend. It is emptied when a run
+# starts and it has grown past PROGRESS_MAX_BYTES.
+#
+# Tool calls are read from Kilo's --format json events (type "tool_use"),
+# or from "| Tool  detail" lines in plain CLI output.
+# ============================================================================
+
+PROGRESS_FILE="${PROGRESS_FILE:-$DOT_GEMINI/wa_progress.jsonl}"
+PROGRESS_INTERVAL_SECS="${PROGRESS_INTERVAL_SECS:-2}"
+PROGRESS_MAX_BYTES="${PROGRESS_MAX_BYTES:-1048576}"
+PROGRESS_RUN=""
+PROGRESS_FOLLOW_PID=""
+PROGRESS_STDOUT=""
+
+# Usage: progress_emit TYPE [TEXT] — append one event for the current run
+progress_emit() {
+    [ -n "$PROGRESS_RUN" ] || return 0
+    jq -nc --arg run "$PROGRESS_RUN" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" \
+        --arg type "$1" --arg text "${2:-}" \
+        '{run: $run, ts: $ts, type: $type} + (if $text != "" then {text: $text} else {} end)' \
+        >> "$PROGRESS_FILE" 2>/dev/null || true
+}
+
+# Strip colours and carriage returns from CLI output
+progress_plain() {
+    sed -E 's/\x1b\[[0-9;?]*[ -\/]*[@-~]//g; s/\r//g'
+}
+
+# Usage: progress_last_tool FILE — latest tool call in the agent's output
+progress_last_tool() {
+    tail -n 200 "$1" 2>/dev/null | progress_plain | jq -Rr '
+        (try fromjson catch null) as $e
+        | if ($e | type) == "object" then
+              select($e.type == "tool_use" or $e.part.type == "tool")
+              | [$e.part.tool // "tool", ($e.part.state.title // $e.part.state.input.command // $e.part.state.input.filePath // "")]
+              | map(select(. != "")) | join(": ")
+          else
+              capture("^\\|\\s+(?<tool>[A-Za-z][\\w-]*)\\s+(?<detail>.*)$")? | "\(.tool): \(.detail)"
+          end' 2>/dev/null | tail -1 | cut -c1-200
+}
+
+# Usage: progress_last_line FILE — last non-empty line of agent text
+progress_last_line() {
+    tail -n 50 "$1" 2>/dev/null | progress_plain | jq -Rr '
+        (try fromjson catch null) as $e
+        | if ($e | type) != "object" then .
+          elif $e.type == "text" then ($e.part.text // "")
+          else empty end' 2>/dev/null \
+        | grep -v '^[[:space:]]*$' | grep -v '^|' | tail -1 | cut -c1-200
+}
+
+# Usage: progress_follow FILE PARENT_PID — emit tool/output events while PARENT_PID lives
+progress_follow() {
+    local file="$1" parent="$2" tool line last_tool="" last_line=""
+    while kill -0 "$parent" 2>/dev/null && sleep "$PROGRESS_INTERVAL_SECS"; do
+        [ -s "$file" ] || continue
+        tool=$(progress_last_tool "$file")
+        if [ -n "$tool" ] && [ "$tool" != "$last_tool" ]; then
+            progress_emit tool "$tool"
+            last_tool="$tool"
+        fi
+        line=$(progress_last_line "$file")
+        if [ -n "$line" ] && [ "$line" != "$last_line" ]; then
+            progress_emit output "$line"
+            last_line="$line"
+        fi
+    done
+}
+
+# Usage: progress_begin LABEL STDOUT_FILE ROUTE_JSON
+# Starts a run: the bot posts LABEL as the status message it keeps editing.
+progress_begin() {
+    local label="$1" stdout_file="$2" route="${3:-}"
+    [ -n "$route" ] || route='{}'
+    if [ -f "$PROGRESS_FILE" ] && [ "$(wc -c < "$PROGRESS_FILE")" -gt "$PROGRESS_MAX_BYTES" ]; then
+        : > "$PROGRESS_FILE"
+    fi
+    PROGRESS_RUN="run_$(date +%s)_$$_$RANDOM"
+    PROGRESS_STDOUT="$stdout_file"
+    jq -nc --arg run "$PROGRESS_RUN" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" \
+        --arg title "$label" --argjson route "$route" \
+        '{run: $run, ts: $ts, type: "start", "label": $title} + $route' \
+        >> "$PROGRESS_FILE" 2>/dev/null || true
+    progress_follow "$stdout_file" "$$" &
+    PROGRESS_FOLLOW_PID=$!
+}
+
+# Usage: progress_finish EXIT_CODE
+progress_finish() {
+    if [ -n "$PROGRESS_FOLLOW_PID" ]; then
+        kill "$PROGRESS_FOLLOW_PID" 2>/dev/null || true
+        wait "$PROGRESS_FOLLOW_PID" 2>/dev/null || true
+        PROGRESS_FOLLOW_PID=""
+    fi
+    [ -n "$PROGRESS_RUN" ] || return 0
+    # The run may have ended between two follower polls
+    local line
+    line=$(progress_last_line "$PROGRESS_STDOUT")
+    [ -z "$line" ] || progress_emit output "$line"
+    jq -nc --arg run "$PROGRESS_RUN" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" --arg code "${1:-0}" \
+        '{run: $run, ts: $ts, type: "end", exitCode: ($code | tonumber? // 1)}' \
+        >> "$PROGRESS_FILE" 2>/dev/null || true
+    PROGRESS_RUN=""
+}
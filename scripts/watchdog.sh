@@ -26,6 +26,16 @@ mkdir -p "$GEMINI_DIR"
 
 log() { echo "$(date '+%Y-%m-%d %H:%M:%S') | $1" >> "$LOG"; }
 
+source "$SCRIPT_DIR/json_lock.sh"
+
+# Queue a message for the bot (locked append, same as watcher.sh)
+outbox_notify() {
+    json_update "$GEMINI_DIR/wa_outbox.json" \
+        '.messages = ((.messages // []) + [{id: $id, timestamp: $ts, text: $txt, sent: false}])' \
+        --arg id "watchdog_$(date +%s)_$$" --arg ts "$(date -u +%Y-%m-%dT%H:%M:%SZ)" \
+        --arg txt "$1" 2>/dev/null || log "⚠️ Could not queue outbox message"
+}
+
 # --- Restart Loop Guard ---
 # Max 3 restarts per hour to prevent crash loops
 HOUR=$(date '+%Y-%m-%d-%H')
@@ -104,9 +114,10 @@ $WATCHER_TAIL
 === BOT LOG (last 50 lines) ===
 $BOT_TAIL"
 
-    # Read active backend from state.json
-    BACKEND=$(python3 -c "import json; print(json.load(open('$GEMINI_DIR/state.json')).get('backend','gemini'))" 2>/dev/null || echo "gemini")
-    MODEL=$(python3 -c "import json; print(json.load(open('$GEMINI_DIR/state.json')).get('model',''))" 2>/dev/null || echo "")
+    # Read the active project's backend from state.json (per-project, legacy top-level fallback)
+    PSTATE_PY="import json, sys; s=json.load(sys.stdin); p=s.get('projectState',{}).get(s.get('activeProject'),{}); print(p.get(sys.argv[1], s.get(sys.argv[1], sys.argv[2])))"
+    BACKEND=$(json_read "$GEMINI_DIR/state.json" | python3 -c "$PSTATE_PY" backend gemini 2>/dev/null || echo "gemini")
+    MODEL=$(json_read "$GEMINI_DIR/state.json" | python3 -c "$PSTATE_PY" model "" 2>/dev/null || echo "")
 
     # Spawn diagnosis via active backend (fire-and-forget)
     if [ "$BACKEND" = "kilo" ]; then
@@ -127,7 +138,7 @@ fi
 # create hotfix branch from main, spawn CLI to fix, run tests, ask permission.
 # NEVER auto-merges — user must send /apply_fix to deploy.
 if [ -f "$DIAGNOSIS_PENDING" ] && [ -f "$GEMINI_DIR/diagnosis_output.txt" ] && [ -s "$GEMINI_DIR/diagnosis_output.txt" ]; then
-    AUTO_FIX=$(python3 -c "import json; print(json.load(open('$GEMINI_DIR/state.json')).get('auto_fix_enabled', False))" 2>/dev/null || echo "False")
+    AUTO_FIX=$(json_read "$GEMINI_DIR/state.json" | python3 -c "import json, sys; print(json.load(sys.stdin).get('auto_fix_enabled', False))" 2>/dev/null || echo "False")
     SEVERITY=$(grep -oE "CRITICAL|HIGH" "$GEMINI_DIR/diagnosis_output.txt" | head -1)
 
     if [ "$AUTO_FIX" = "True" ] && [ -n "$SEVERITY" ]; then
@@ -156,31 +167,13 @@ $DIAGNOSIS"
         if [ $TEST_EXIT -eq 0 ]; then
             DIFF_SUMMARY=$(git diff main --stat 2>/dev/null | tail -5)
             log "✅ Hotfix ready ($HOTFIX_BRANCH) — awaiting user approval"
-            python3 -c "
-import json, datetime, sys
-msg = {'timestamp': datetime.datetime.utcnow().strftime('%Y-%m-%dT%H:%M:%SZ'),
-       'text': '🔧 Hotfix ready (${SEVERITY}):\n${DIFF_SUMMARY}\n\nTests: PASSED ✅\nBranch: ${HOTFIX_BRANCH}\n\nSend /apply_fix to deploy or /discard_fix to discard.',
-       'sent': False}
-try:
-    with open('$GEMINI_DIR/wa_outbox.json') as f: d = json.load(f)
-except: d = {'messages': []}
-d['messages'].append(msg)
-with open('$GEMINI_DIR/wa_outbox.json', 'w') as f: json.dump(d, f, indent=2)
-" 2>/dev/null
+            TEXT=$(printf '🔧 Hotfix ready (%s):\n%s\n\nTests: PASSED ✅\nBranch: %s\n\nSend /apply_fix to deploy or /discard_fix to discard.' \
+                "$SEVERITY" "$DIFF_SUMMARY" "$HOTFIX_BRANCH")
+            outbox_notify "$TEXT"
         else
             git checkout main 2>/dev/null && git branch -D "$HOTFIX_BRANCH" 2>/dev/null
             log "❌ Auto-fix failed tests — hotfix discarded"
-            python3 -c "
-import json, datetime
-msg = {'timestamp': datetime.datetime.utcnow().strftime('%Y-%m-%dT%H:%M:%SZ'),
-       'text': '❌ Auto-fix failed tests. Manual fix needed.\nSee: .gemini/autofix_test.log',
-       'sent': False}
-try:
-    with open('$GEMINI_DIR/wa_outbox.json') as f: d = json.load(f)
-except: d = {'messages': []}
-d['messages'].append(msg)
-with open('$GEMINI_DIR/wa_outbox.json', 'w') as f: json.dump(d, f, indent=2)
-" 2>/dev/null
+            outbox_notify "$(printf '❌ Auto-fix failed tests. Manual fix needed.\nSee: .gemini/autofix_test.log')"
         fi
     fi
 fi
@@ -37,57 +37,71 @@ if [ -f "$ENV_FILE" ]; then
 fi
 
 CENTRAL_PROJECT_DIR="${GEMINI_PROJECT_DIR:-$(cd "$(dirname "$0")/.." && pwd)}"
+# Locked, revisioned JSON writes shared with the bot (json_update, json_lock)
+source "$SCRIPT_DIR/json_lock.sh"
 DOT_GEMINI="$CENTRAL_PROJECT_DIR/.gemini"
 INBOX="$DOT_GEMINI/wa_inbox.json"
 OUTBOX="$DOT_GEMINI/wa_outbox.json"
 STATE_FILE="$DOT_GEMINI/state.json"
 LOCK_FILE="$DOT_GEMINI/wa_session.lock"
 PLAN_MODE_FILE="$DOT_GEMINI/wa_plan_mode"
+# Live progress events for the bot's status message (progress_begin/finish)
+source "$SCRIPT_DIR/progress.sh"
 
 POLL_INTERVAL=3
 COOLDOWN=10
 DEFAULT_MODEL="gemini-2.5-flash"  # Fast + cheap, tasks get tier-appropriate models anyway
 
-echo "👁️  Inbox watcher started"
-echo "   HQ:      $CENTRAL_PROJECT_DIR"
-echo "   Inbox:   $INBOX"
-echo "   State:   $STATE_FILE"
-echo ""
+if [ "${1:-}" != "--run-task" ]; then
+    echo "👁️  Inbox watcher started"
+    echo "   HQ:      $CENTRAL_PROJECT_DIR"
+    echo "   Inbox:   $INBOX"
+    echo "   State:   $STATE_FILE"
+    echo ""
+fi
 
 cleanup() {
     rm -f "$LOCK_FILE"
+    progress_finish 130
     echo "👋 Watcher stopped"
+    json_release_own_locks "$DOT_GEMINI"
     # Notify Telegram that watcher has stopped
-    python3 -c "
-import json, datetime
-msg = {'timestamp': datetime.datetime.utcnow().strftime('%Y-%m-%dT%H:%M:%SZ'),
-       'text': '🔴 Watcher stopped. Agent is no longer running.',
-       'sent': False}
-try:
-    with open('$GEMINI_DIR/wa_outbox.json') as f: d = json.load(f)
-except: d = {'messages': []}
-d['messages'].append(msg)
-with open('$GEMINI_DIR/wa_outbox.json', 'w') as f: json.dump(d, f, indent=2)
-" 2>/dev/null
+    json_update "$OUTBOX" '.messages = ((.messages // []) + [{"id": $id, "timestamp": $ts, "text": $txt, "sent": false}])' \
+        --arg id "stop_$(date +%s)_$$" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" \
+        --arg txt "🔴 Watcher stopped. Agent is no longer running." 2>/dev/null || true
     exit 0
 }
 trap cleanup SIGINT SIGTERM
 
+# --- Helper: Reply routing fields for outbox entries ---
+# REPLY_CHAT_ID / REPLY_THREAD_ID come from the inbox batch (or dispatch) being
+# processed. Empty = bot sends to TELEGRAM_CHAT_ID (single-chat behaviour).
+# REPLY_TASK_ID / REPLY_SESSION_ID tag entries with the dispatch task or Kilo
+# session they report on, so a Telegram reply to them carries that context.
+REPLY_CHAT_ID=""
+REPLY_THREAD_ID=""
+REPLY_TASK_ID=""
+REPLY_SESSION_ID=""
+outbox_route() {
+    jq -n --arg chat "${REPLY_CHAT_ID:-}" --arg thread "${REPLY_THREAD_ID:-}" \
+        --arg task "${REPLY_TASK_ID:-}" --arg session "${REPLY_SESSION_ID:-}" \
+        '(if $chat != "" then {"chatId": ($chat | tonumber)} else {} end)
+         + (if $thread != "" then {"threadId": ($thread | tonumber)} else {} end)
+         + (if $task != "" then {"taskId": ($task | tonumber)} else {} end)
+         + (if $session != "" then {"sessionId": $session} else {} end)'
+}
+
 # --- Helper: Write response to outbox ---
 write_to_outbox() {
     local text="$1"
     local timestamp
     timestamp=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
-    local msg_id="resp_$(date +%s)"
+    local msg_id="resp_$(date +%s)_$$_$RANDOM"
+    local route
+    route=$(outbox_route)
 
-    if [ -f "$OUTBOX" ]; then
-        jq --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" \
-            '.messages += [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false}]' \
-            "$OUTBOX" > "${OUTBOX}.tmp" && mv "${OUTBOX}.tmp" "$OUTBOX"
-    else
-        jq -n --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" \
-            '{"messages": [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false}]}' > "$OUTBOX"
-    fi
+    json_update "$OUTBOX" '.messages = ((.messages // []) + [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "sent": false} + $route])' \
+        --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" --argjson route "$route" || true
 }
 
 # --- Helper: Write document attachment to outbox ---
@@ -96,16 +110,12 @@ write_to_outbox_file() {
     local caption="$2"
     local timestamp
     timestamp=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
-    local msg_id="doc_$(date +%s)"
+    local msg_id="doc_$(date +%s)_$$_$RANDOM"
+    local route
+    route=$(outbox_route)
 
-    if [ -f "$OUTBOX" ]; then
-        jq --arg id "$msg_id" --arg ts "$timestamp" --arg fp "$filepath" --arg cap "$caption" \
-            '.messages += [{"id": $id, "timestamp": $ts, "from": "agent", "type": "document", "filePath": $fp, "caption": $cap, "sent": false}]' \
-            "$OUTBOX" > "${OUTBOX}.tmp" && mv "${OUTBOX}.tmp" "$OUTBOX"
-    else
-        jq -n --arg id "$msg_id" --arg ts "$timestamp" --arg fp "$filepath" --arg cap "$caption" \
-            '{"messages": [{"id": $id, "timestamp": $ts, "from": "agent", "type": "document", "filePath": $fp, "caption": $cap, "sent": false}]}' > "$OUTBOX"
-    fi
+    json_update "$OUTBOX" '.messages = ((.messages // []) + [{"id": $id, "timestamp": $ts, "from": "agent", "type": "document", "filePath": $fp, "caption": $cap, "sent": false} + $route])' \
+        --arg id "$msg_id" --arg ts "$timestamp" --arg fp "$filepath" --arg cap "$caption" --argjson route "$route" || true
 }
 
 # --- Helper: Write text with inline keyboard to outbox ---
@@ -114,26 +124,42 @@ write_to_outbox_with_markup() {
     local markup_json="$2"  # JSON string for reply_markup
     local timestamp
     timestamp=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
-    local msg_id="btn_$(date +%s)"
+    local msg_id="btn_$(date +%s)_$$_$RANDOM"
+    local route
+    route=$(outbox_route)
 
-    if [ -f "$OUTBOX" ]; then
-        jq --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" --argjson rm "$markup_json" \
-            '.messages += [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "reply_markup": $rm, "sent": false}]' \
-            "$OUTBOX" > "${OUTBOX}.tmp" && mv "${OUTBOX}.tmp" "$OUTBOX"
-    else
-        jq -n --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" --argjson rm "$markup_json" \
-            '{"messages": [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "reply_markup": $rm, "sent": false}]}' > "$OUTBOX"
-    fi
+    json_update "$OUTBOX" '.messages = ((.messages // []) + [{"id": $id, "timestamp": $ts, "from": "agent", "text": $txt, "reply_markup": $rm, "sent": false} + $route])' \
+        --arg id "$msg_id" --arg ts "$timestamp" --arg txt "$text" --argjson rm "$markup_json" --argjson route "$route" || true
+}
+
+# --- Helper: Per-project state (state.json → .projectState[<project path>]) ---
+# model, backend, executionPlan, Kilo session and lastCommand are stored per
+# project (see bot/helpers.js). Both helpers default to $ACTIVE_PROJECT.
+# Reads fall back to legacy top-level fields until the bot has migrated them.
+# Usage: pstate_get '.executionPlan.specRef' [project]
+pstate_get() {
+    local project="${2:-${ACTIVE_PROJECT:-}}"
+    json_read "$STATE_FILE" 2>/dev/null | jq -r --arg p "$project" "((.projectState[\$p] // {}) | $1) // $1 // empty" 2>/dev/null || echo ""
 }
 
-# --- Helper: Get active backend from state.json ---
+# Usage: pstate_set '.lastCommand = $cmd' [project] [--arg cmd value ...]
+pstate_set() {
+    local filter="$1" project="${2:-${ACTIVE_PROJECT:-}}"
+    shift
+    if [ $# -gt 0 ]; then shift; fi
+    json_update "$STATE_FILE" ".projectState[\$p] = ((.projectState[\$p] // {}) | $filter)" \
+        --arg p "$project" "$@" 2>/dev/null || true
+}
+
+# --- Helper: Get the project's backend from state.json ---
 get_backend() {
-    jq -r '.backend // "gemini"' "$STATE_FILE" 2>/dev/null || echo "gemini"
+    json_read "$STATE_FILE" 2>/dev/null | jq -r --arg p "${ACTIVE_PROJECT:-}" '.projectState[$p].backend // .backend // "gemini"' 2>/dev/null || echo "gemini"
 }
 
 # --- Helper: Run agent CLI with backend abstraction ---
 # Usage: run_agent "prompt" "model" "project_dir" [extra_flags...]
 # Sets AGENT_OUTPUT and AGENT_STDERR_CONTENT in caller scope
+# Streams the run to the bot's live status message (progress.sh)
 #
 # Kilo session env vars (optional, Kilo-only — ignored by Gemini path):
 #   KILO_SESSION_ID   — session ID to resume (uses --session <id>)
@@ -174,7 +200,7 @@ run_agent() {
             # Build label for status message
             local agent_label="${KILO_AGENT:+ [${KILO_AGENT}]}"
             local session_label="${KILO_SESSION_ID:+ (resuming)}"
-            write_to_outbox "🧠 Running Kilo CLI ($model)${agent_label}${session_label}..."
+            progress_begin "🧠 Running Kilo CLI ($model)${agent_label}${session_label}..." "$AGENT_STDOUT_FILE" "$(outbox_route)"
             local KILO_ARGS=(run --auto)
 
             # --- Session resume flags (env var driven) ---
@@ -207,7 +233,7 @@ run_agent() {
             ) || true
             ;;
         gemini|*)
-            write_to_outbox "🧠 Running Gemini CLI ($model)..."
+            progress_begin "🧠 Running Gemini CLI ($model)..." "$AGENT_STDOUT_FILE" "$(outbox_route)"
             local GEMINI_ARGS=("--model" "$model")
             GEMINI_ARGS+=(${extra_flags[@]+"${extra_flags[@]}"})
             GEMINI_ARGS+=("--yolo" "-p" "$prompt")
@@ -237,6 +263,7 @@ run_agent() {
     AGENT_OUTPUT=$(cat "$AGENT_STDOUT_FILE" 2>/dev/null || echo "")
     AGENT_STDERR_CONTENT=$(cat "$AGENT_STDERR_FILE" 2>/dev/null || echo "")
     AGENT_EXIT_CODE=$(cat "$AGENT_EXIT_CODE_FILE" 2>/dev/null || echo "1")
+    progress_finish "$AGENT_EXIT_CODE"
 
     # --- Kilo JSON output parsing (only when --format json was used) ---
     if [ "$backend" = "kilo" ] && { [ -n "${KILO_SESSION_ID:-}" ] || [ -n "${KILO_AGENT:-}" ]; }; then
@@ -254,20 +281,263 @@ run_agent() {
     rm -f "$AGENT_STDOUT_FILE" "$AGENT_STDERR_FILE" "$AGENT_EXIT_CODE_FILE"
 }
 
+# --- Helper: Run one dispatch task ---
+# Usage: run_dispatch_task TASK_JSON WORK_DIR
+# Builds the task prompt (spec ref + scope boundary from the project's
+# antigravity_tasks.md) and runs the agent in WORK_DIR: the project itself
+# when stepping through a plan, the task's git worktree in a parallel run
+# (bot/dispatch.js). Sets TASK_ERROR (empty on success) and TASK_REPORT.
+run_dispatch_task() {
+    local task_json="$1" work_dir="$2"
+    TASK_ID=$(echo "$task_json" | jq -r '.id')
+    TASK_DESC=$(echo "$task_json" | jq -r '.description')
+    TASK_MODEL=$(echo "$task_json" | jq -r '.model // "gemini-2.5-flash"')
+    TASK_SUMMARY=$(echo "$task_json" | jq -r '.summary // empty')
+
+    # Build the task prompt — inject spec ref and scope boundary
+    TASK_SPEC_REF=$(pstate_get '.executionPlan.specRef')
+    TASK_SCOPE=$(python3 -c "
+import re, sys
+desc = sys.argv[1]
+with open(sys.argv[2]) as f: content = f.read()
+# Find the task line matching this description
+escaped = re.escape(desc[:40])
+block_match = re.search(r'- \[[ ]\].*?' + escaped + r'.*?\n((?:  - \*\*.*?\n)*)', content)
+if block_match:
+    block = block_match.group(1)
+    scope = re.search(r'\*\*Scope Boundary:\*\*\s*(.+)', block)
+    files = re.search(r'\*\*File\(s\):\*\*\s*(.+)', block)
+    sig = re.search(r'\*\*Signature:\*\*\s*(.+)', block)
+    if scope: print(f'SCOPE: {scope.group(1).strip()}')
+    if files: print(f'FILES: {files.group(1).strip()}')
+    if sig: print(f'SIGNATURE: {sig.group(1).strip()}')
+" "$TASK_DESC" "$ACTIVE_PROJECT/antigravity_tasks.md" 2>/dev/null || echo "")
+
+    TASK_PROMPT="🔨 Execute this implementation task:
+
+Task $TASK_ID: $TASK_DESC"
+    if [ -n "$TASK_SUMMARY" ] && [ "$TASK_SUMMARY" != "null" ]; then
+        TASK_PROMPT="$TASK_PROMPT
+Context: $TASK_SUMMARY"
+    fi
+    if [ -n "$TASK_SPEC_REF" ]; then
+        TASK_PROMPT="$TASK_PROMPT
+Spec: $TASK_SPEC_REF — read this file FIRST for detailed requirements, signatures, and acceptance criteria."
+    fi
+    if [ -n "$TASK_SCOPE" ]; then
+        TASK_PROMPT="$TASK_PROMPT
+$TASK_SCOPE"
+    fi
+    TASK_PROMPT="$TASK_PROMPT
+
+Instructions:
+- This is a single atomic task — implement ONLY what is described above
+- Do NOT implement other tasks or make unrelated changes
+- Do NOT modify files outside the scope boundary listed above
+- Run tests after implementation to verify
+- Write a brief completion report — plain text with emoji, NO markdown headers or bold
+  TO: .gemini/telegram_reply.txt
+---
+You have FULL tool access: use your available file, shell, and search tools directly.
+Do NOT say tools are unavailable — they ARE available. Use them directly.
+CRITICAL: Follow the task description EXACTLY. Implement only this specific task."
+
+    # Run agent via backend abstraction (--sandbox only for Gemini)
+    EXTRA_FLAGS=()
+    if [ "$(get_backend)" != "kilo" ]; then
+        EXTRA_FLAGS+=("--sandbox")
+    fi
+    # For Kilo: always use sop-developer for implementation dispatch
+    if [ "$(get_backend)" = "kilo" ]; then
+        KILO_AGENT="sop-developer"
+    fi
+    run_agent "$TASK_PROMPT" "$TASK_MODEL" "$work_dir" ${EXTRA_FLAGS[@]+"${EXTRA_FLAGS[@]}"}
+
+    # Check for errors — any failed agent run is one, so its work is not merged
+    TASK_ERROR=""
+    if [ "${AGENT_EXIT_CODE:-0}" -ne 0 ]; then
+        if echo "$AGENT_STDERR_CONTENT" | grep -qiE '429|rate.limit|quota|resource.exhausted|too.many.requests'; then
+            TASK_ERROR="Rate limit hit on $TASK_MODEL"
+        else
+            TASK_ERROR="Agent exited with code $AGENT_EXIT_CODE"
+        fi
+    fi
+
+    # Read reply file
+    REPLY_FILE="$work_dir/.gemini/telegram_reply.txt"
+    TASK_REPORT=""
+    if [ -f "$REPLY_FILE" ]; then
+        TASK_REPORT=$(cat "$REPLY_FILE")
+        rm -f "$REPLY_FILE"
+    fi
+    if [ -z "$TASK_REPORT" ]; then
+        TASK_REPORT=$(echo "$AGENT_OUTPUT" | tail -c 500)
+    fi
+}
+
+# --- Helper: Step-through dispatch state (bot/task_actions.js) ---
+# READY_TASKS_JQ: pending tasks whose deps are all done — or skipped, when
+# the dispatch's skip policy releases them — in plan order.
+READY_TASKS_JQ='(.skipPolicy // "block") as $policy
+    | (.tasks | map({key: (.id | tostring), value: (.taskStatus // "pending")}) | from_entries) as $status
+    | [.tasks[] | select((.taskStatus // "pending") == "pending")
+        | select(all(.deps[]?; $status[tostring] == "done" or ($policy == "release" and $status[tostring] == "skipped")))]'
+
+# --- Helper: 🤖 Unattended runs (mode "unattended", bot/commands/plan.js) ---
+# Every task runs without pausing. The run stops at the first task whose
+# agent fails, that changes files outside its File(s) list in
+# antigravity_tasks.md, or after which the dispatch's testCommand
+# (DISPATCH_TEST_CMD) fails; one report covers all tasks at the end.
+TASK_TEST_TIMEOUT=900
+
+# OUT_OF_SCOPE_JQ: of {files, changed}, the changed paths that the File(s)
+# text doesn't cover — a listed path, a file of a listed name or a path under
+# a listed directory. Without a File(s) list nothing is out of scope.
+OUT_OF_SCOPE_JQ='(.files | gsub("\\([^)]*\\)"; "") | split(",") | map(gsub("[`\\s]"; "")) | map(select(length > 0))) as $allowed
+    | if ($allowed | length) == 0 then [] else
+        [.changed[] | select(startswith(".gemini/") | not) | . as $f
+            | select(any($allowed[]; . as $a | $f == $a or ($f | endswith("/" + $a)) or (($a | endswith("/")) and ($f | startswith($a)))) | not)]
+      end'
+
+# UNATTENDED_REPORT_JQ: one line per task with how it ended, and the start of its report
+UNATTENDED_REPORT_JQ='{pending: "⏸", running: "⏳", done: "✅", error: "❌", blocked: "⛔", skipped: "⏭"} as $icon
+    | [.tasks[] | "\($icon[.taskStatus // "pending"]) \(.id). \(.description)"
+        + (if .error then " — \(.error)" else "" end)
+        + (if (.report // "") != "" then "\n   " + (.report | .[0:300] | gsub("\n"; "\n   ")) else "" end)]
+    | join("\n")'
+
+# Usage: check_task_guardrails WORK_DIR HEAD_BEFORE DIRTY_BEFORE
+# HEAD_BEFORE and DIRTY_BEFORE (paths `git status` listed) are taken before
+# the task ran. Sets TASK_GUARD_ERROR, empty when the task may go on; failing
+# tests add their output to TASK_REPORT.
+check_task_guardrails() {
+    local work_dir="$1" head_before="$2" dirty_before="$3" files changed outside test_cmd test_output
+    local runner=(bash -c)
+    TASK_GUARD_ERROR=""
+    if [ "${AGENT_EXIT_CODE:-0}" -ne 0 ]; then
+        TASK_GUARD_ERROR="Agent exited with code $AGENT_EXIT_CODE"
+        return 0
+    fi
+
+    files=$(echo "$TASK_SCOPE" | sed -n 's/^FILES: //p')
+    if [ -n "$files" ] && [ -n "$head_before" ]; then
+        changed=$(comm -23 <({ git -C "$work_dir" diff --name-only "$head_before"; git -C "$work_dir" ls-files --others --exclude-standard; } 2>/dev/null | sort -u) \
+            <(printf '%s\n' "$dirty_before" | sort -u) | jq -Rsc 'split("\n") | map(select(length > 0))')
+        outside=$(jq -rn --arg files "$files" --argjson changed "$changed" "{files: \$files, changed: \$changed} | $OUT_OF_SCOPE_JQ | join(\", \")" 2>/dev/null || echo "")
+        if [ -n "$outside" ]; then
+            TASK_GUARD_ERROR="Changed files outside its scope: $outside"
+            return 0
+        fi
+    fi
+
+    test_cmd=$(json_read "$DISPATCH_FILE" | jq -r '.testCommand // empty' 2>/dev/null || echo "")
+    [ -z "$test_cmd" ] && return 0
+    command -v timeout &>/dev/null && runner=(timeout "$TASK_TEST_TIMEOUT" bash -c)
+    echo "🧪 $(date +%H:%M:%S) | Task $TASK_ID: $test_cmd" >&2
+    if ! test_output=$(cd "$work_dir" && "${runner[@]}" "$test_cmd" 2>&1); then
+        TASK_GUARD_ERROR="Tests failed: $test_cmd"
+        TASK_REPORT="$TASK_REPORT
+
+🧪 $test_cmd:
+$(echo "$test_output" | tail -c 800)"
+    fi
+}
+
+# Usage: finish_dispatch [LAST_REPORT] [REASON]
+# Tasks still pending wait on a failed or skipped task, or on the task an
+# unattended run stopped at (REASON says why), and are marked blocked; the
+# dispatch and the project's plan are marked completed and the tally goes
+# out — with 🔧 Tasks (retry, skip) when anything did not get done. An
+# unattended run's tally lists every task.
+finish_dispatch() {
+    local last_report="${1:-}" pending_ids counts summary task_list
+    local reason="${2:-Waits on a task that did not complete}"
+    pending_ids=$(json_read "$DISPATCH_FILE" | jq -c '[.tasks[] | select((.taskStatus // "pending") == "pending") | .id]' 2>/dev/null || echo "[]")
+    json_update "$DISPATCH_FILE" '(.tasks[] | select(.id as $id | any($ids[]; . == $id))) |= (.taskStatus = "blocked" | .error = $err) | .status = "completed"' \
+        --argjson ids "$pending_ids" --arg err "$reason" || true
+    if json_exists "$STATE_FILE"; then
+        pstate_set 'if .executionPlan then ((.executionPlan.tasks[] | select(.id as $id | any($ids[]; . == $id))) |= (.taskStatus = "blocked" | .error = $err)) | .executionPlan.status = "completed" else . end' \
+            "$ACTIVE_PROJECT" --argjson ids "$pending_ids" --arg err "$reason"
+    fi
+
+    # total done error skipped blocked
+    counts=$(json_read "$DISPATCH_FILE" | jq -r '.tasks as $t | [$t | length] + (["done", "error", "skipped", "blocked"] | map(. as $s | [$t[] | select(.taskStatus == $s)] | length)) | @tsv' 2>/dev/null || echo "0 0 0 0 0")
+    read -r total_count done_count error_count skipped_count blocked_count <<< "$counts"
+    task_list=$(json_read "$DISPATCH_FILE" | jq -r "if .mode == \"unattended\" then ($UNATTENDED_REPORT_JQ) else empty end" 2>/dev/null || echo "")
+    [ -n "$task_list" ] && last_report="$last_report
+
+📋 Tasks:
+$task_list"
+    if [ "$((error_count + blocked_count))" -gt 0 ]; then
+        summary="⚠️ Dispatch finished: $done_count done, $error_count errors, $blocked_count blocked"
+        [ "$skipped_count" -gt 0 ] && summary="$summary, $skipped_count skipped"
+        write_to_outbox_with_markup "$summary$last_report" '{"inline_keyboard":[[{"text":"🔧 Tasks","callback_data":"ep_tasks"}]]}'
+    else
+        summary="✅ All $total_count tasks complete!"
+        [ "$skipped_count" -gt 0 ] && summary="✅ Dispatch finished: $done_count done, $skipped_count skipped"
+        write_to_outbox "$summary$last_report"
+    fi
+    echo "✅ $(date +%H:%M:%S) | All dispatch tasks complete" >&2
+}
+
+# --- Parallel dispatch: one task per call from bot/dispatch.js ---
+# Usage: watcher.sh --run-task TASK_JSON WORK_DIR RESULT_FILE
+# ACTIVE_PROJECT comes from the engine's environment; progress goes to the
+# chat/topic the plan was approved from. Writes {"error", "report"} to
+# RESULT_FILE and exits.
+if [ "${1:-}" = "--run-task" ]; then
+    trap - SIGINT SIGTERM
+    REPLY_CHAT_ID=$(json_read "$DOT_GEMINI/wa_dispatch.json" | jq -r '.chatId // empty' 2>/dev/null || echo "")
+    REPLY_THREAD_ID=$(json_read "$DOT_GEMINI/wa_dispatch.json" | jq -r '.threadId // empty' 2>/dev/null || echo "")
+    REPLY_TASK_ID=$(echo "$2" | jq -r '.id')
+    run_dispatch_task "$2" "$3"
+    jq -n --arg error "$TASK_ERROR" --arg report "$TASK_REPORT" '{error: $error, report: $report}' > "$4"
+    exit 0
+fi
+
 while true; do
-    if [ -f "$INBOX" ] && command -v jq &>/dev/null; then
-        UNREAD_COUNT=$(jq '[.messages[]? | select(.read == false)] | length' "$INBOX" 2>/dev/null || echo "0")
+    if command -v jq &>/dev/null; then
+        UNREAD_COUNT=$(json_read "$INBOX" | jq '[.messages[]? | select(.read == false)] | length' 2>/dev/null || echo "0")
+
+        # A 🤖 unattended plan run keeps the project to itself between tasks
+        UNATTENDED_RUN=""
+        if json_exists "$DOT_GEMINI/wa_dispatch.json"; then
+            UNATTENDED_RUN=$(json_read "$DOT_GEMINI/wa_dispatch.json" | jq -r 'select(.status == "approved" and .mode == "unattended") | "yes"' 2>/dev/null || echo "")
+        fi
+
+        if [ "$UNREAD_COUNT" -gt 0 ] && [ ! -f "$LOCK_FILE" ] && [ -z "$UNATTENDED_RUN" ]; then
+            # --- Queue head (bot/inbox.js, INBOX_QUEUE_JQ) ---
+            # The highest-priority entry runs next: a command or system entry on
+            # its own, chat entries together with the ones after it from the same
+            # chat/topic/project. Snapshot text + IDs in one read: only these
+            # entries get marked read later, so entries the bot appends meanwhile
+            # stay queued.
+            INBOX_BATCH=$(json_read "$INBOX" | jq -c "$INBOX_QUEUE_JQ $INBOX_TEXT_JQ"' inbox_batch
+                | {ids: map(.id), text: (map(inbox_text) | join("\n")), head: (.[0] // {})}' 2>/dev/null || echo '{"ids":[],"text":"","head":{}}')
+            FIRST_UNREAD=$(echo "$INBOX_BATCH" | jq -c '.head')
+            REPLY_CHAT_ID=$(echo "$FIRST_UNREAD" | jq -r '.chatId // empty')
+            REPLY_THREAD_ID=$(echo "$FIRST_UNREAD" | jq -r '.threadId // empty')
+            REPLY_TASK_ID=""
+            REPLY_SESSION_ID=""
+            MSG_PROJECT=$(echo "$FIRST_UNREAD" | jq -r '.project // empty')
+            # The hooks let later entries from this origin join the session
+            BATCH_ORIGIN=$(echo "$FIRST_UNREAD" | jq -c "$INBOX_QUEUE_JQ inbox_origin")
+            UNREAD_COUNT=$(echo "$INBOX_BATCH" | jq '.ids | length')
+
+            # Entries run in their target project; older ones without one in the active project
+            if [ -n "$MSG_PROJECT" ]; then
+                ACTIVE_PROJECT="$MSG_PROJECT"
+            else
+                ACTIVE_PROJECT=$(json_read "$STATE_FILE" | jq -r '.activeProject // empty' 2>/dev/null || echo "$CENTRAL_PROJECT_DIR")
+            fi
 
-        if [ "$UNREAD_COUNT" -gt 0 ] && [ ! -f "$LOCK_FILE" ]; then
-            ACTIVE_PROJECT=$(jq -r '.activeProject // empty' "$STATE_FILE" 2>/dev/null || echo "$CENTRAL_PROJECT_DIR")
-            
             if [ -z "$ACTIVE_PROJECT" ] || [ ! -d "$ACTIVE_PROJECT" ]; then
                 echo "⚠️  Active project not found: '$ACTIVE_PROJECT'. Falling back to HQ."
                 ACTIVE_PROJECT="$CENTRAL_PROJECT_DIR"
             fi
 
             MODEL_FLAG=""
-            SELECTED_MODEL=$(jq -r '.model // empty' "$STATE_FILE" 2>/dev/null || echo "")
+            SELECTED_MODEL=$(pstate_get '.model')
             
             # Validate model name (allow alphanumeric, dots, hyphens, underscores, slashes, colons)
             if [ -n "$SELECTED_MODEL" ] && [[ ! "$SELECTED_MODEL" =~ ^[a-zA-Z0-9._:/-]+$ ]]; then
@@ -275,9 +545,10 @@ while true; do
                  SELECTED_MODEL=""
             fi
 
-            # Extract unread message text BEFORE marking as read
+            # Batch text was extracted above, before marking as read
             # (Since hooks are disabled, we inject messages directly into the prompt)
-            USER_MESSAGES=$(jq -r '[.messages[] | select(.read == false) | .text] | join("\n")' "$INBOX" 2>/dev/null || echo "")
+            USER_MESSAGES=$(echo "$INBOX_BATCH" | jq -r '.text')
+            BATCH_IDS=$(echo "$INBOX_BATCH" | jq -c '.ids')
 
             # Check for session lifecycle commands
             IS_NEW_SESSION=false
@@ -329,11 +600,11 @@ while true; do
             if [ "$CURRENT_BACKEND" = "kilo" ]; then
                 # /startup always starts a fresh session — clear any stale ID
                 if [ "$IS_NEW_SESSION" = true ]; then
-                    jq '.kiloSessionId = null | .kiloSessionStartedAt = null' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                    pstate_set '.kiloSessionId = null | .kiloSessionStartedAt = null'
                     echo "🔄 Kilo session cleared for fresh start" >&2
                 else
                     # Resume existing session if available
-                    KILO_SESSION_ID=$(jq -r '.kiloSessionId // empty' "$STATE_FILE" 2>/dev/null || echo "")
+                    KILO_SESSION_ID=$(pstate_get '.kiloSessionId')
                     if [ -n "$KILO_SESSION_ID" ]; then
                         echo "🔗 Resuming Kilo session: ${KILO_SESSION_ID:0:20}..." >&2
                     fi
@@ -344,25 +615,25 @@ while true; do
                 case "$USER_MESSAGES" in
                     /startup*|/shutdown*)
                         KILO_AGENT="sop-coordinator"
-                        jq '.lastCommand = "startup"' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                        pstate_set '.lastCommand = "startup"'
                         ;;
                     /plan_feature*|/plan*)
                         KILO_AGENT="sop-planner"
-                        jq '.lastCommand = "plan_feature"' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                        pstate_set '.lastCommand = "plan_feature"'
                         ;;
                     /pr_check*)
                         KILO_AGENT="sop-auditor"
-                        jq '.lastCommand = "pr_check"' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                        pstate_set '.lastCommand = "pr_check"'
                         ;;
                     /implement_task*)
                         KILO_AGENT="sop-developer"
-                        jq '.lastCommand = "implement_task"' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                        pstate_set '.lastCommand = "implement_task"'
                         ;;
                     *)
                         # Smart fallback: if last command was plan_feature and no spec exists yet,
                         # this is a clarification reply — keep routing to sop-planner
-                        LAST_CMD=$(jq -r '.lastCommand // empty' "$STATE_FILE" 2>/dev/null || echo "")
-                        HAS_SPEC=$(jq -r '.executionPlan.specRef // empty' "$STATE_FILE" 2>/dev/null || echo "")
+                        LAST_CMD=$(pstate_get '.lastCommand')
+                        HAS_SPEC=$(pstate_get '.executionPlan.specRef')
                         if [ "$LAST_CMD" = "plan_feature" ] && [ -z "$HAS_SPEC" ]; then
                             KILO_AGENT="sop-planner"
                             echo "🧠 Planning clarification — routing to sop-planner" >&2
@@ -396,8 +667,9 @@ while true; do
                     ;;
             esac
 
-            # Mark messages as read
-            jq '.messages[] |= (if .read == false then .read = true else . end)' "$INBOX" > "${INBOX}.tmp" && mv "${INBOX}.tmp" "$INBOX"
+            # Mark this batch's messages as read
+            json_update "$INBOX" '.messages[] |= (if (.id as $i | any($ids[]; . == $i)) then .read = true else . end)' \
+                --argjson ids "$BATCH_IDS" || true
 
             echo "📬 $(date +%H:%M:%S) | $UNREAD_COUNT msg(s) → Launching in: $(basename "$ACTIVE_PROJECT")"
             MSG_PREVIEW=$(echo "$USER_MESSAGES" | head -1 | cut -c1-60)
@@ -410,6 +682,7 @@ while true; do
             (
                 cd "$ACTIVE_PROJECT"
                 export HOOK_BRIDGE_DIR="$CENTRAL_PROJECT_DIR"
+                export HOOK_BATCH_ORIGIN="$BATCH_ORIGIN"
 
                 ORIGINAL_BRANCH=$(git rev-parse --abbrev-ref HEAD 2>/dev/null || echo "main")
                 ACTIVE_BRANCH="telegram/active"
@@ -444,8 +717,9 @@ while true; do
                         if [ "$IS_PLAN_FEATURE" = true ]; then
                             echo "plan_feature" > "$PLAN_MODE_FILE"
                             # Clear stale dispatch + execution plan from previous sessions
-                            rm -f "$DOT_GEMINI/wa_dispatch.json" "$DOT_GEMINI/wa_dispatch_continue.json"
-                            python3 -c "import json; f='$ACTIVE_PROJECT/.gemini/state.json'; s=json.load(open(f)); s.pop('executionPlan',None); json.dump(s,open(f,'w'),indent=2)" 2>/dev/null || true
+                            json_remove "$DOT_GEMINI/wa_dispatch.json" || true
+                            rm -f "$DOT_GEMINI/wa_dispatch_continue.json"
+                            pstate_set 'del(.executionPlan)'
                             echo "🔒 Plan mode marker set (stale dispatch cleared)" >&2
                         fi
                     fi
@@ -453,6 +727,7 @@ while true; do
 
                 # Append user message to session history file
                 SESSION_HISTORY="$ACTIVE_PROJECT/.gemini/session_history.txt"
+                pstate_set '.historyFile = $h' "$ACTIVE_PROJECT" --arg h "$SESSION_HISTORY"
                 echo "[$(date +%H:%M)] USER: $USER_MESSAGES" >> "$SESSION_HISTORY"
                 echo "---" >> "$SESSION_HISTORY"
 
@@ -518,7 +793,7 @@ Rules for the reply file:
                     PLAN_GUARD=""
                     if [ "$IS_PLAN_FEATURE" = true ]; then
                         # Find the active spec file for context
-                        ACTIVE_SPEC=$(python3 -c "import json; s=json.load(open('$STATE_FILE')); print(s.get('executionPlan',{}).get('specRef',''))" 2>/dev/null || echo "")
+                        ACTIVE_SPEC=$(pstate_get '.executionPlan.specRef')
                         [ -z "$ACTIVE_SPEC" ] && ACTIVE_SPEC=$(cd "$ACTIVE_PROJECT" && find docs/specs -name "*.md" -not -name "_*" -type f 2>/dev/null | sort -t/ -k3 | tail -1)
                         SPEC_HINT=""
                         [ -n "$ACTIVE_SPEC" ] && SPEC_HINT="
@@ -583,9 +858,8 @@ Rules for the reply file:
 
                 # --- Kilo session lifecycle: store session ID ---
                 if [ "$CURRENT_BACKEND" = "kilo" ] && [ -n "$KILO_SESSION_ID_OUT" ]; then
-                    jq --arg sid "$KILO_SESSION_ID_OUT" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" \
-                        '.kiloSessionId = $sid | .kiloSessionStartedAt = (if .kiloSessionStartedAt then .kiloSessionStartedAt else $ts end)' \
-                        "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                    pstate_set '.kiloSessionId = $sid | .kiloSessionStartedAt = (if .kiloSessionStartedAt then .kiloSessionStartedAt else $ts end)' \
+                        "$ACTIVE_PROJECT" --arg sid "$KILO_SESSION_ID_OUT" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")"
                     # Update env var for fallback retry (if needed)
                     KILO_SESSION_ID="$KILO_SESSION_ID_OUT"
                     echo "📌 Kilo session stored: ${KILO_SESSION_ID_OUT:0:20}..." >&2
@@ -609,15 +883,14 @@ Rules for the reply file:
                         # Clear stale session
                         KILO_SESSION_ID=""
                         export KILO_SESSION_ID
-                        jq '.kiloSessionId = null | .kiloSessionStartedAt = null' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                        pstate_set '.kiloSessionId = null | .kiloSessionStartedAt = null'
                         # Retry with fresh session
                         run_agent "$TELEGRAM_PROMPT" "$ACTIVE_MODEL" "$ACTIVE_PROJECT"
                         SESSION_RECOVERED=true
                         # Store new session if recovery succeeded
                         if [ -n "$KILO_SESSION_ID_OUT" ]; then
-                            jq --arg sid "$KILO_SESSION_ID_OUT" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")" \
-                                '.kiloSessionId = $sid | .kiloSessionStartedAt = $ts' \
-                                "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                            pstate_set '.kiloSessionId = $sid | .kiloSessionStartedAt = $ts' \
+                                "$ACTIVE_PROJECT" --arg sid "$KILO_SESSION_ID_OUT" --arg ts "$(date -u +"%Y-%m-%dT%H:%M:%SZ")"
                             KILO_SESSION_ID="$KILO_SESSION_ID_OUT"
                             write_to_outbox "✅ New session created after recovery."
                         fi
@@ -645,6 +918,8 @@ Rules for the reply file:
                     echo "📋 $(date +%H:%M:%S) | Diagnosis output saved to diagnosis_output.txt"
                 fi
 
+                REPLY_SESSION_ID="${KILO_SESSION_ID:-}"
+
                 # Read Telegram reply — Kilo uses JSON response, Gemini uses reply file
                 REPLY_FILE="$ACTIVE_PROJECT/.gemini/telegram_reply.txt"
                 TELEGRAM_RESPONSE=""
@@ -724,16 +999,19 @@ Rules for the reply file:
                         # Always reload on initial /plan_feature, skip only on refinements if plan exists
                         TASKS_FILE="$ACTIVE_PROJECT/antigravity_tasks.md"
                         IS_INITIAL_PLAN=$(echo "$USER_MESSAGES" | grep -qi "^/plan_feature\|^/plan " && echo "yes" || echo "no")
-                        PLAN_EXISTS=$(python3 -c "import json; s=json.load(open('$STATE_FILE')); print('yes' if s.get('executionPlan',{}).get('status') else 'no')" 2>/dev/null || echo "no")
-                        if [ -f "$TASKS_FILE" ] && [ -n "$SPEC_FILE" ] && { [ "$IS_INITIAL_PLAN" = "yes" ] || [ "$PLAN_EXISTS" = "no" ]; }; then
+                        PLAN_EXISTS=$([ -n "$(pstate_get '.executionPlan.status')" ] && echo "yes" || echo "no")
+                        if [ -f "$TASKS_FILE" ] && [ -n "$SPEC_FILE" ] && { [ "$IS_INITIAL_PLAN" = "yes" ] || [ "$PLAN_EXISTS" = "no" ]; } \
+                            && json_lock "$STATE_FILE"; then
+                            STATE_WORK=$(json_checkout "$STATE_FILE")
                             python3 -c "
 import json, re, sys
 
 tasks_path = sys.argv[1]
 state_path = sys.argv[2]
 spec_ref = sys.argv[3]
+project = sys.argv[4] if len(sys.argv) > 4 else None
 
-# Read current backend from state (create if missing)
+# Read the project's backend from state (create if missing)
 import os
 os.makedirs(os.path.dirname(state_path), exist_ok=True)
 if not os.path.exists(state_path):
@@ -741,7 +1019,9 @@ if not os.path.exists(state_path):
         json.dump({}, f)
 with open(state_path) as f:
     cur_state = json.load(f)
-backend = cur_state.get('backend', 'gemini')
+# Per-project settings live in projectState[<path>]; top level is the legacy layout
+settings = cur_state.get('projectState', {}).get(project, {})
+backend = settings.get('backend', cur_state.get('backend', 'gemini'))
 
 # Backend-aware tier defaults
 TIER_MAP = {
@@ -795,20 +1075,28 @@ else:
     with open(state_path) as f:
         state = json.load(f)
 
-state['executionPlan'] = {
+plan = {
     'status': 'pending_review',
     'specRef': spec_ref,
     'tasks': tasks
 }
+if project:
+    state.setdefault('projectState', {}).setdefault(project, {})['executionPlan'] = plan
+else:
+    state['executionPlan'] = plan
+state['_rev'] = state.get('_rev', 0) + 1
 
-with open(state_path, 'w') as f:
+with open(state_path + '.tmp', 'w') as f:
     json.dump(state, f, indent=2)
+os.replace(state_path + '.tmp', state_path)
 
 print(f'Loaded {len(tasks)} tasks into execution plan')
-" "$TASKS_FILE" "$STATE_FILE" "$SPEC_FILE" 2>&1 || true
+" "$TASKS_FILE" "$STATE_WORK" "$SPEC_FILE" "$ACTIVE_PROJECT" 2>&1 || true
+                            json_checkin "$STATE_FILE" "$STATE_WORK" || true
+                            json_unlock "$STATE_FILE"
                             echo "📋 Execution plan auto-loaded into state.json" >&2
                             # Exit planning mode — spec created, future messages go to sop-developer
-                            jq '.lastCommand = "plan_complete"' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                            pstate_set '.lastCommand = "plan_complete"'
                         fi
                     fi
 
@@ -820,7 +1108,7 @@ print(f'Loaded {len(tasks)} tasks into execution plan')
                         write_to_outbox "🏁 Session closed — branch ready for review"
                         # Clear Kilo session on shutdown
                         if [ "$CURRENT_BACKEND" = "kilo" ]; then
-                            jq '.kiloSessionId = null | .kiloSessionStartedAt = null' "$STATE_FILE" > "${STATE_FILE}.tmp" 2>/dev/null && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+                            pstate_set '.kiloSessionId = null | .kiloSessionStartedAt = null'
                             echo "🔒 Kilo session cleared on shutdown" >&2
                         fi
                     fi
@@ -858,10 +1146,10 @@ print(f'Loaded {len(tasks)} tasks into execution plan')
     DISPATCH_FILE="$DOT_GEMINI/wa_dispatch.json"
     CONTINUE_FILE="$DOT_GEMINI/wa_dispatch_continue.json"
 
-    if [ -f "$DISPATCH_FILE" ] && [ ! -f "$LOCK_FILE" ] && command -v jq &>/dev/null; then
+    if [ ! -f "$LOCK_FILE" ] && command -v jq &>/dev/null && json_exists "$DISPATCH_FILE"; then
         # Block dispatch when plan mode is active — UNLESS dispatch was explicitly approved via /review_plan
         if [ -f "$PLAN_MODE_FILE" ]; then
-            DISPATCH_STATUS_CHECK=$(jq -r '.status // empty' "$DISPATCH_FILE" 2>/dev/null || echo "")
+            DISPATCH_STATUS_CHECK=$(json_read "$DISPATCH_FILE" | jq -r '.status // empty' 2>/dev/null || echo "")
             if [ "$DISPATCH_STATUS_CHECK" = "approved" ]; then
                 # Approval received — clear plan mode so execution can proceed
                 rm -f "$PLAN_MODE_FILE"
@@ -871,212 +1159,162 @@ print(f'Loaded {len(tasks)} tasks into execution plan')
             fi
         fi
         if [ ! -f "$PLAN_MODE_FILE" ]; then
-        DISPATCH_STATUS=$(jq -r '.status // empty' "$DISPATCH_FILE" 2>/dev/null || echo "")
+        DISPATCH_STATUS=$(json_read "$DISPATCH_FILE" | jq -r '.status // empty' 2>/dev/null || echo "")
 
-        if [ "$DISPATCH_STATUS" = "approved" ]; then
-            # Get total task count and find next pending task
-            TASK_COUNT=$(jq '.tasks | length' "$DISPATCH_FILE" 2>/dev/null || echo "0")
-            NEXT_TASK_JSON=$(jq -r '[.tasks[] | select(.taskStatus == "pending" or .taskStatus == null)] | first // empty' "$DISPATCH_FILE" 2>/dev/null || echo "")
+        DISPATCH_MODE=$(json_read "$DISPATCH_FILE" | jq -r '.mode // empty' 2>/dev/null || echo "")
+
+        if [ "$DISPATCH_STATUS" = "approved" ] && [ "$DISPATCH_MODE" = "parallel" ]; then
+            # ⚡ Execute Parallel — the Node engine runs the whole plan (DAG,
+            # worktrees, merge-back) and reports to the plan message itself
+            echo $$ > "$LOCK_FILE"
+            echo "⚡ $(date +%H:%M:%S) | Dispatch: parallel run" >&2
+            GEMINI_PROJECT_DIR="$CENTRAL_PROJECT_DIR" node "$SCRIPT_DIR/bot/dispatch.js" "$DISPATCH_FILE" \
+                || echo "⚠️  Parallel dispatch engine failed" >&2
+            rm -f "$LOCK_FILE"
+        elif [ "$DISPATCH_STATUS" = "approved" ]; then
+            # Task progress goes to the chat/topic the plan was approved from
+            REPLY_CHAT_ID=$(json_read "$DISPATCH_FILE" | jq -r '.chatId // empty' 2>/dev/null || echo "")
+            REPLY_THREAD_ID=$(json_read "$DISPATCH_FILE" | jq -r '.threadId // empty' 2>/dev/null || echo "")
+            REPLY_TASK_ID=""
+            REPLY_SESSION_ID=""
+
+            # Resolve the plan's project (stamped by the bot on approval);
+            # dispatch files without one run in the active project
+            ACTIVE_PROJECT=$(json_read "$DISPATCH_FILE" | jq -r '.project // empty' 2>/dev/null || echo "")
+            if [ -z "$ACTIVE_PROJECT" ]; then
+                ACTIVE_PROJECT=$(json_read "$STATE_FILE" | jq -r '.activeProject // empty' 2>/dev/null || echo "$CENTRAL_PROJECT_DIR")
+            fi
+            if [ -z "$ACTIVE_PROJECT" ] || [ ! -d "$ACTIVE_PROJECT" ]; then
+                ACTIVE_PROJECT="$CENTRAL_PROJECT_DIR"
+            fi
+
+            # Get total task count and the first task whose deps are met
+            TASK_COUNT=$(json_read "$DISPATCH_FILE" | jq '.tasks | length' 2>/dev/null || echo "0")
+            NEXT_TASK_JSON=$(json_read "$DISPATCH_FILE" | jq -c "$READY_TASKS_JQ | first // empty" 2>/dev/null || echo "")
+            PENDING_COUNT=$(json_read "$DISPATCH_FILE" | jq '[.tasks[] | select((.taskStatus // "pending") == "pending")] | length' 2>/dev/null || echo "0")
 
             if [ -n "$NEXT_TASK_JSON" ] && [ "$NEXT_TASK_JSON" != "null" ]; then
                 TASK_ID=$(echo "$NEXT_TASK_JSON" | jq -r '.id')
                 TASK_DESC=$(echo "$NEXT_TASK_JSON" | jq -r '.description')
                 TASK_MODEL=$(echo "$NEXT_TASK_JSON" | jq -r '.model // "gemini-2.5-flash"')
-                TASK_SUMMARY=$(echo "$NEXT_TASK_JSON" | jq -r '.summary // empty')
-                TASK_DEPS=$(echo "$NEXT_TASK_JSON" | jq -r '[.deps[]?] | join(", ")')
-
-                # Check if dependencies are complete
-                DEPS_MET=true
-                if [ -n "$TASK_DEPS" ]; then
-                    for DEP_ID in $(echo "$NEXT_TASK_JSON" | jq -r '.deps[]?' 2>/dev/null); do
-                        DEP_STATUS=$(jq -r --argjson id "$DEP_ID" '.tasks[] | select(.id == $id) | .taskStatus // "pending"' "$DISPATCH_FILE" 2>/dev/null || echo "pending")
-                        if [ "$DEP_STATUS" != "done" ]; then
-                            DEPS_MET=false
-                            break
-                        fi
-                    done
-                fi
 
-                if [ "$DEPS_MET" = false ]; then
-                    echo "⏳ Task $TASK_ID waiting on deps: $TASK_DEPS" >&2
-                else
-                    # Lock + mark task as running
-                    echo $$ > "$LOCK_FILE"
-                    jq --argjson id "$TASK_ID" '(.tasks[] | select(.id == $id)).taskStatus = "running"' "$DISPATCH_FILE" > "${DISPATCH_FILE}.tmp" && mv "${DISPATCH_FILE}.tmp" "$DISPATCH_FILE"
+                # Lock + mark task as running
+                echo $$ > "$LOCK_FILE"
+                REPLY_TASK_ID="$TASK_ID"
+                json_update "$DISPATCH_FILE" '(.tasks[] | select(.id == $id)).taskStatus = "running"' --argjson id "$TASK_ID" || true
 
-                    COMPLETED_COUNT=$(jq '[.tasks[] | select(.taskStatus == "done")] | length' "$DISPATCH_FILE" 2>/dev/null || echo "0")
+                COMPLETED_COUNT=$(json_read "$DISPATCH_FILE" | jq '[.tasks[] | select(.taskStatus == "done")] | length' 2>/dev/null || echo "0")
+                if [ "$DISPATCH_MODE" = "unattended" ]; then
+                    # Only the end report goes out; the guardrails compare against this
+                    HEAD_BEFORE=$(git -C "$ACTIVE_PROJECT" rev-parse HEAD 2>/dev/null || echo "")
+                    DIRTY_BEFORE=$(git -C "$ACTIVE_PROJECT" status --porcelain 2>/dev/null | cut -c4- || echo "")
+                else
                     write_to_outbox "🔨 Task $TASK_ID/$TASK_COUNT: $TASK_DESC
 ⚙️ Model: $TASK_MODEL
 📊 Progress: $COMPLETED_COUNT/$TASK_COUNT done"
+                fi
 
-                    echo "🔨 $(date +%H:%M:%S) | Dispatch: Task $TASK_ID — $TASK_DESC ($TASK_MODEL)" >&2
+                echo "🔨 $(date +%H:%M:%S) | Dispatch: Task $TASK_ID — $TASK_DESC ($TASK_MODEL)" >&2
 
-                    # Resolve active project
-                    ACTIVE_PROJECT=$(jq -r '.activeProject // empty' "$STATE_FILE" 2>/dev/null || echo "$CENTRAL_PROJECT_DIR")
-                    if [ -z "$ACTIVE_PROJECT" ] || [ ! -d "$ACTIVE_PROJECT" ]; then
-                        ACTIVE_PROJECT="$CENTRAL_PROJECT_DIR"
-                    fi
+                run_dispatch_task "$NEXT_TASK_JSON" "$ACTIVE_PROJECT"
 
-                    # Build the task prompt — inject spec ref and scope boundary
-                    TASK_SPEC_REF=$(python3 -c "import json; s=json.load(open('$STATE_FILE')); print(s.get('executionPlan',{}).get('specRef',''))" 2>/dev/null || echo "")
-                    TASK_SCOPE=$(python3 -c "
-import re, sys
-desc = sys.argv[1]
-with open(sys.argv[2]) as f: content = f.read()
-# Find the task line matching this description
-escaped = re.escape(desc[:40])
-block_match = re.search(r'- \[[ ]\].*?' + escaped + r'.*?\n((?:  - \*\*.*?\n)*)', content)
-if block_match:
-    block = block_match.group(1)
-    scope = re.search(r'\*\*Scope Boundary:\*\*\s*(.+)', block)
-    files = re.search(r'\*\*File\(s\):\*\*\s*(.+)', block)
-    sig = re.search(r'\*\*Signature:\*\*\s*(.+)', block)
-    if scope: print(f'SCOPE: {scope.group(1).strip()}')
-    if files: print(f'FILES: {files.group(1).strip()}')
-    if sig: print(f'SIGNATURE: {sig.group(1).strip()}')
-" "$TASK_DESC" "$ACTIVE_PROJECT/antigravity_tasks.md" 2>/dev/null || echo "")
-
-                    TASK_PROMPT="🔨 Execute this implementation task:
-
-Task $TASK_ID: $TASK_DESC"
-                    if [ -n "$TASK_SUMMARY" ] && [ "$TASK_SUMMARY" != "null" ]; then
-                        TASK_PROMPT="$TASK_PROMPT
-Context: $TASK_SUMMARY"
+                if [ "$DISPATCH_MODE" = "unattended" ]; then
+                    if [ -z "$TASK_ERROR" ]; then
+                        check_task_guardrails "$ACTIVE_PROJECT" "$HEAD_BEFORE" "$DIRTY_BEFORE"
+                        TASK_ERROR="$TASK_GUARD_ERROR"
                     fi
-                    if [ -n "$TASK_SPEC_REF" ]; then
-                        TASK_PROMPT="$TASK_PROMPT
-Spec: $TASK_SPEC_REF — read this file FIRST for detailed requirements, signatures, and acceptance criteria."
-                    fi
-                    if [ -n "$TASK_SCOPE" ]; then
-                        TASK_PROMPT="$TASK_PROMPT
-$TASK_SCOPE"
-                    fi
-                    TASK_PROMPT="$TASK_PROMPT
-
-Instructions:
-- This is a single atomic task — implement ONLY what is described above
-- Do NOT implement other tasks or make unrelated changes
-- Do NOT modify files outside the scope boundary listed above
-- Run tests after implementation to verify
-- Write a brief completion report — plain text with emoji, NO markdown headers or bold
-  TO: .gemini/telegram_reply.txt
----
-You have FULL tool access: use your available file, shell, and search tools directly.
-Do NOT say tools are unavailable — they ARE available. Use them directly.
-CRITICAL: Follow the task description EXACTLY. Implement only this specific task."
+                    json_update "$DISPATCH_FILE" '(.tasks[] | select(.id == $id)).report = $report' \
+                        --argjson id "$TASK_ID" --arg report "${TASK_REPORT:0:1000}" || true
+                fi
 
-                    # Run agent via backend abstraction (--sandbox only for Gemini)
-                    EXTRA_FLAGS=()
-                    if [ "$(get_backend)" != "kilo" ]; then
-                        EXTRA_FLAGS+=("--sandbox")
-                    fi
-                    # For Kilo: always use sop-developer for implementation dispatch
-                    if [ "$(get_backend)" = "kilo" ]; then
-                        KILO_AGENT="sop-developer"
-                    fi
-                    run_agent "$TASK_PROMPT" "$TASK_MODEL" "$ACTIVE_PROJECT" ${EXTRA_FLAGS[@]+"${EXTRA_FLAGS[@]}"}
+                # Mark task as done in dispatch
+                if [ -n "$TASK_ERROR" ]; then
+                    json_update "$DISPATCH_FILE" '(.tasks[] | select(.id == $id)).taskStatus = "error" | (.tasks[] | select(.id == $id)).error = $err' \
+                        --argjson id "$TASK_ID" --arg err "$TASK_ERROR" || true
+                else
+                    json_update "$DISPATCH_FILE" '(.tasks[] | select(.id == $id)).taskStatus = "done"' \
+                        --argjson id "$TASK_ID" || true
+                fi
 
-                    # Check for errors
-                    TASK_ERROR=""
-                    if [ "${AGENT_EXIT_CODE:-0}" -ne 0 ] && echo "$AGENT_STDERR_CONTENT" | grep -qiE '429|rate.limit|quota|resource.exhausted|too.many.requests'; then
-                        TASK_ERROR="Rate limit hit on $TASK_MODEL"
-                    fi
+                # Also update the project's executionPlan in state.json
+                if json_exists "$STATE_FILE"; then
+                    pstate_set 'if .executionPlan then (.executionPlan.tasks[] | select(.id == $id)).taskStatus = $status else . end' \
+                        "$ACTIVE_PROJECT" --argjson id "$TASK_ID" --arg status "$([ -n "$TASK_ERROR" ] && echo "error" || echo "done")"
+                fi
 
-                    # Read reply file
-                    REPLY_FILE="$ACTIVE_PROJECT/.gemini/telegram_reply.txt"
-                    TASK_REPORT=""
-                    if [ -f "$REPLY_FILE" ]; then
-                        TASK_REPORT=$(cat "$REPLY_FILE")
-                        rm -f "$REPLY_FILE"
+                # Commit changes — not those of a failed unattended task, they
+                # stay uncommitted for review
+                (
+                    cd "$ACTIVE_PROJECT" || exit 1
+                    if [ "$DISPATCH_MODE" = "unattended" ] && [ -n "$TASK_ERROR" ]; then
+                        exit 0
                     fi
-                    if [ -z "$TASK_REPORT" ]; then
-                        TASK_REPORT=$(echo "$AGENT_OUTPUT" | tail -c 500)
+                    if git rev-parse --git-dir >/dev/null 2>&1; then
+                        if [ -n "$(git status --porcelain 2>/dev/null)" ]; then
+                            git add -A 2>/dev/null
+                            git commit -m "dispatch: task $TASK_ID — $TASK_DESC" 2>/dev/null || true
+                            echo "💾 Task $TASK_ID committed" >&2
+                        fi
                     fi
+                ) || true
+
+                # Finished once no task is left that can run
+                DONE_COUNT=$(json_read "$DISPATCH_FILE" | jq '[.tasks[] | select(.taskStatus == "done")] | length' 2>/dev/null || echo "0")
+                READY_COUNT=$(json_read "$DISPATCH_FILE" | jq "$READY_TASKS_JQ | length" 2>/dev/null || echo "0")
 
-                    # Mark task as done in dispatch
+                if [ "$DISPATCH_MODE" = "unattended" ]; then
+                    # Stop at the first failure; otherwise the next pass runs the next task
                     if [ -n "$TASK_ERROR" ]; then
-                        jq --argjson id "$TASK_ID" --arg err "$TASK_ERROR" \
-                            '(.tasks[] | select(.id == $id)).taskStatus = "error" | (.tasks[] | select(.id == $id)).error = $err' \
-                            "$DISPATCH_FILE" > "${DISPATCH_FILE}.tmp" && mv "${DISPATCH_FILE}.tmp" "$DISPATCH_FILE"
-                    else
-                        jq --argjson id "$TASK_ID" \
-                            '(.tasks[] | select(.id == $id)).taskStatus = "done"' \
-                            "$DISPATCH_FILE" > "${DISPATCH_FILE}.tmp" && mv "${DISPATCH_FILE}.tmp" "$DISPATCH_FILE"
-                    fi
+                        echo "🛑 $(date +%H:%M:%S) | Unattended run stopped at task $TASK_ID: $TASK_ERROR" >&2
+                        finish_dispatch "
 
-                    # Also update state.json executionPlan
-                    if [ -f "$STATE_FILE" ]; then
-                        jq --argjson id "$TASK_ID" --arg status "$([ -n "$TASK_ERROR" ] && echo "error" || echo "done")" \
-                            'if .executionPlan then (.executionPlan.tasks[] | select(.id == $id)).taskStatus = $status else . end' \
-                            "$STATE_FILE" > "${STATE_FILE}.tmp" && mv "${STATE_FILE}.tmp" "$STATE_FILE"
+🤖 Unattended run stopped at task $TASK_ID: $TASK_ERROR
+Its changes are left uncommitted for review." "Not run — the unattended run stopped at task $TASK_ID"
+                    elif [ "$READY_COUNT" -eq 0 ]; then
+                        finish_dispatch
                     fi
-
-                    # Commit changes
-                    (
-                        cd "$ACTIVE_PROJECT" || exit 1
-                        if git rev-parse --git-dir >/dev/null 2>&1; then
-                            if [ -n "$(git status --porcelain 2>/dev/null)" ]; then
-                                git add -A 2>/dev/null
-                                git commit -m "dispatch: task $TASK_ID — $TASK_DESC" 2>/dev/null || true
-                                echo "💾 Task $TASK_ID committed" >&2
-                            fi
-                        fi
-                    ) || true
-
-                    # Check if all tasks are done
-                    DONE_COUNT=$(jq '[.tasks[] | select(.taskStatus == "done")] | length' "$DISPATCH_FILE" 2>/dev/null || echo "0")
-                    ERROR_COUNT=$(jq '[.tasks[] | select(.taskStatus == "error")] | length' "$DISPATCH_FILE" 2>/dev/null || echo "0")
-                    REMAINING=$((TASK_COUNT - DONE_COUNT - ERROR_COUNT))
-
-                    if [ "$REMAINING" -eq 0 ]; then
-                        # All tasks complete!
-                        jq '.status = "completed"' "$DISPATCH_FILE" > "${DISPATCH_FILE}.tmp" && mv "${DISPATCH_FILE}.tmp" "$DISPATCH_FILE"
-                        if [ -f "$STATE_FILE" ]; then
-                            jq 'if .executionPlan then .executionPlan.status = "completed" else . end' \
-                                "$STATE_FILE" > "${STATE_FILE}.tmp" && mv "${STATE_FILE}.tmp" "$STATE_FILE"
-                        fi
-
-                        SUMMARY="✅ All $TASK_COUNT tasks complete!"
-                        if [ "$ERROR_COUNT" -gt 0 ]; then
-                            SUMMARY="⚠️ Dispatch finished: $DONE_COUNT done, $ERROR_COUNT errors"
-                        fi
-                        write_to_outbox "$SUMMARY
+                elif [ "$READY_COUNT" -eq 0 ]; then
+                    finish_dispatch "
 
 📋 Last task report:
 $TASK_REPORT"
-                        echo "✅ $(date +%H:%M:%S) | All dispatch tasks complete" >&2
-                    else
-                        # More tasks remain — send report and wait for continue signal
-                        STATUS_LINE="✅ Task $TASK_ID done ($DONE_COUNT/$TASK_COUNT)"
-                        if [ -n "$TASK_ERROR" ]; then
-                            STATUS_LINE="❌ Task $TASK_ID error: $TASK_ERROR ($DONE_COUNT/$TASK_COUNT)"
-                        fi
+                else
+                    # More tasks remain — send report and wait for continue signal
+                    STATUS_LINE="✅ Task $TASK_ID done ($DONE_COUNT/$TASK_COUNT)"
+                    TASK_BUTTONS='[{"text":"↩️ Re-run","callback_data":"ep_rerun:'"$TASK_ID"'"}]'
+                    if [ -n "$TASK_ERROR" ]; then
+                        STATUS_LINE="❌ Task $TASK_ID error: $TASK_ERROR ($DONE_COUNT/$TASK_COUNT)"
+                        TASK_BUTTONS='[{"text":"🔁 Retry","callback_data":"ep_retry:'"$TASK_ID"'"},{"text":"🔀 Other model","callback_data":"ep_retry_pick:'"$TASK_ID"'"},{"text":"⏭ Skip","callback_data":"ep_skip:'"$TASK_ID"'"}]'
+                    fi
 
-                        STEP_MARKUP='{"inline_keyboard":[[{"text":"▶️ Next Task","callback_data":"ep_continue"},{"text":"🛑 Stop","callback_data":"ep_stop"}]]}'
-                        write_to_outbox_with_markup "$STATUS_LINE
+                    # The task's own buttons (bot/commands/plan_tasks.js), then ▶️ Next / 🛑 Stop
+                    STEP_MARKUP='{"inline_keyboard":['"$TASK_BUTTONS"',[{"text":"▶️ Next Task","callback_data":"ep_continue"},{"text":"🛑 Stop","callback_data":"ep_stop"}]]}'
+                    write_to_outbox_with_markup "$STATUS_LINE
 
 📋 Report:
 $TASK_REPORT" "$STEP_MARKUP"
-                        echo "⏸️ $(date +%H:%M:%S) | Task $TASK_ID done, waiting for continue signal" >&2
-
-                        # Wait for continue signal (bot writes wa_dispatch_continue.json)
-                        while [ ! -f "$CONTINUE_FILE" ]; do
-                            # Check if dispatch was stopped (status changed)
-                            CURRENT_STATUS=$(jq -r '.status // empty' "$DISPATCH_FILE" 2>/dev/null || echo "")
-                            if [ "$CURRENT_STATUS" = "stopped" ] || [ "$CURRENT_STATUS" = "completed" ]; then
-                                echo "🛑 Dispatch stopped by user" >&2
-                                break
-                            fi
-                            sleep "$POLL_INTERVAL"
-                        done
-
-                        # Consume continue signal
-                        rm -f "$CONTINUE_FILE"
-                    fi
+                    echo "⏸️ $(date +%H:%M:%S) | Task $TASK_ID done, waiting for continue signal" >&2
+
+                    # Wait for continue signal (bot writes wa_dispatch_continue.json)
+                    while [ ! -f "$CONTINUE_FILE" ]; do
+                        # Check if dispatch was stopped (status changed, or 🛑 Stop removed it)
+                        CURRENT_STATUS=$(json_read "$DISPATCH_FILE" | jq -r '.status // empty' 2>/dev/null || echo "")
+                        if [ "$CURRENT_STATUS" != "approved" ]; then
+                            echo "🛑 Dispatch stopped by user" >&2
+                            break
+                        fi
+                        sleep "$POLL_INTERVAL"
+                    done
 
-                    rm -f "$LOCK_FILE"
-                    echo "✅ $(date +%H:%M:%S) | Task $TASK_ID session complete" >&2
+                    # Consume continue signal
+                    rm -f "$CONTINUE_FILE"
                 fi
+
+                rm -f "$LOCK_FILE"
+                echo "✅ $(date +%H:%M:%S) | Task $TASK_ID session complete" >&2
+            elif [ "$PENDING_COUNT" -gt 0 ]; then
+                # Tasks are left, but each waits on a failed or skipped task
+                finish_dispatch
             fi
         fi
         fi # plan mode guard